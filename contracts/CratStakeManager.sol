@@ -1,204 +1,13 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.24;
 
-import "@openzeppelin/contracts/utils/math/Math.sol";
-import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
-import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
-
-contract CRATStakeManager is
-    AccessControlUpgradeable,
-    ReentrancyGuardUpgradeable
-{
-    using EnumerableSet for EnumerableSet.AddressSet;
-
-    /// @notice value of the distributor role
-    bytes32 public constant DISTRIBUTOR_ROLE = keccak256("DISTRIBUTOR_ROLE");
-
-    /// @notice value of the swap contract role
-    bytes32 public constant SWAP_ROLE = keccak256("SWAP_ROLE");
-
-    /// @notice denominator for percent calculations
-    uint256 public constant PRECISION = 100_00;
-
-    /// @notice year duration in seconds
-    uint256 public constant YEAR_DURATION = 365 days;
-
-    uint256 private constant _ACCURACY = 10 ** 18;
-
-    /// @notice global contract settings
-    GeneralSettings public settings;
-
-    /// @notice total validators counter
-    uint256 public totalValidatorsPool;
-
-    /// @notice total delegators counter
-    uint256 public totalDelegatorsPool;
-
-    /// @notice sum of stopped validators' deposits
-    uint256 public stoppedValidatorsPool;
-
-    /// @notice sum of stopped delegators' deposits
-    uint256 public stoppedDelegatorsPool;
-
-    /// @notice sum of tokens available to distribute for fixed rewards
-    uint256 public forFixedReward;
-
-    /// @notice sum of tokens available for validators/delegators to claim
-    /// (increases due to the failed _safeTransferETH in withdraw methods)
-    mapping(address => uint256) public unusualDepositor;
+import "./CratStakeManagerExtension.sol";
 
-    TotalRewardsDistributed private _totalValidatorsRewards;
-    TotalRewardsDistributed private _totalDelegatorsRewards;
-
-    EnumerableSet.AddressSet private _validators; // list of all active validators
-    EnumerableSet.AddressSet private _stopListValidators; // waiting pool before `withdrawAsValidator`
-
-    mapping(address => ValidatorInfo) private _validatorInfo; // all info for each validator
-    mapping(address => DelegatorInfo) private _delegatorInfo; // all info for each delegator
-
-    struct ValidatorInfo {
-        uint256 amount;
-        uint256 commission;
-        uint256 lastClaim;
-        uint256 calledForWithdraw;
-        uint256 vestingEnd;
-        FixedReward fixedReward;
-        VariableReward variableReward;
-        SlashPenaltyCalculation penalty;
-        uint256 delegatedAmount;
-        uint256 stoppedDelegatedAmount;
-        uint256 delegatorsAcc;
-        EnumerableSet.AddressSet delegators;
-    }
-
-    struct ValidatorInfoView {
-        uint256 amount;
-        uint256 commission;
-        uint256 lastClaim;
-        uint256 calledForWithdraw;
-        uint256 vestingEnd;
-        FixedReward fixedReward;
-        VariableReward variableReward;
-        SlashPenaltyCalculation penalty;
-        uint256 delegatedAmount;
-        uint256 stoppedDelegatedAmount;
-        uint256 delegatorsAcc;
-        address[] delegators;
-        uint256 withdrawAvailable;
-        uint256 claimAvailable;
-    }
-
-    struct DelegatorInfo {
-        EnumerableSet.AddressSet validators;
-        mapping(address => DelegatorPerValidatorInfo) delegatorPerValidator;
-    }
-
-    struct DelegatorPerValidatorInfo {
-        uint256 amount;
-        uint256 storedValidatorAcc;
-        uint256 calledForWithdraw;
-        uint256 lastClaim;
-        FixedReward fixedReward;
-        VariableReward variableReward;
-    }
-
-    struct FixedReward {
-        uint256 apr;
-        uint256 lastUpdate;
-        uint256 fixedReward;
-        uint256 totalClaimed;
-    }
-
-    struct VariableReward {
-        uint256 variableReward;
-        uint256 totalClaimed;
-    }
-
-    struct GeneralSettings {
-        uint256 validatorsLimit;
-        uint256 validatorsProbationPeriod;
-        address slashReceiver;
-        RoleSettings validatorsSettings;
-        RoleSettings delegatorsSettings;
-    }
-
-    struct RoleSettings {
-        uint256 apr;
-        uint256 toSlash;
-        uint256 minimumThreshold;
-        uint256 claimCooldown;
-        uint256 withdrawCooldown;
-    }
-
-    struct TotalRewardsDistributed {
-        uint256 variableReward;
-        uint256 fixedLastUpdate;
-        uint256 fixedReward;
-    }
+contract CRATStakeManager is CRATStakeManagerBase {
+    using EnumerableSet for EnumerableSet.AddressSet;
 
-    struct SlashPenaltyCalculation {
-        uint256 lastSlash;
-        uint256 potentialPenalty;
-    }
-
-    // users events
-    event ValidatorDeposited(
-        address validator,
-        uint256 amount,
-        uint256 commission
-    );
-    event ValidatorClaimed(address validator, uint256 amount);
-    event ValidatorCalledForWithdraw(address validator);
-    event ValidatorRevived(address validator);
-    event ValidatorWithdrawed(address validator);
-
-    event DelegatorDeposited(
-        address delegator,
-        address validator,
-        uint256 amount
-    );
-    event DelegatorClaimed(
-        address delegator,
-        address validator,
-        uint256 amount
-    );
-    event DelegatorCalledForWithdraw(address delegator, address validator);
-    event DelegatorRevived(address delegator, address validator);
-    event DelegatorWithdrawed(address delegator, address validator);
-    event TransferToDepositorFailed(address depositor, uint256 amount);
-    event UnusualDepositorClaimed(
-        address depositor,
-        address receiver,
-        uint256 amount
-    );
-
-    // admin methods events
-    event SlashReceiverChanged(address receiver);
-    event ValidatorsLimitChanged(uint256 limit);
-    event ValidatorsWithdrawCooldownChanged(uint256 cooldown);
-    event DelegatorsWithdrawCooldownChanged(uint256 cooldown);
-    event ValidatorsClaimCooldownChanged(uint256 cooldown);
-    event DelegatorsClaimCooldownChanged(uint256 cooldown);
-    event ValidatorsMinDepositChanged(uint256 minDeposit);
-    event DelegatorsMinDepositChanged(uint256 minDeposit);
-    event ValidatorsToSlashValueChanged(uint256 value);
-    event DelegatorsToSlashPercentChanged(uint256 perc);
-    event ValidatorsAPRChanged(uint256 apr);
-    event DelegatorsAPRChanged(uint256 apr);
-    event ExcessFixedRewardWithdrawed(uint256 amount);
-    event ValidatorsProbationPeriodChanged(uint256 value);
-
-    // custom error codes
-    error ZeroAddress();
-    error DelegatorsLimit();
-    error NativeTransferFailed();
-    error WrongValidatorsLength();
-    error WrongValue(uint256 value);
-    error ValidatorsOnly(address account);
-    error DelegatorsOnly(address account);
-    error Cooldown(bool forClaim, uint256 upperBond);
-    error InStoplistStatus(address account, bool stoplisted);
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _extension; // code of the methods moved out of this contract
 
     receive() external payable {
         forFixedReward += msg.value;
@@ -206,6 +15,7 @@ contract CRATStakeManager is
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
+        _extension = address(new CRATStakeManagerExtension());
         _disableInitializers();
     }
 
@@ -238,355 +48,210 @@ contract CRATStakeManager is
 
         _totalValidatorsRewards.fixedLastUpdate = block.timestamp;
         _totalDelegatorsRewards.fixedLastUpdate = block.timestamp;
+
+        _initializeV2();
+    }
+
+    /** @notice set default values of the settings added after the first release
+     * (commission changes, commission bounds, delegators limit and double signing penalty) on a proxy upgraded from it
+     * @dev single-use, meant to be executed atomically by ProxyAdmin.upgradeAndCall;
+     * proxies deployed with these settings (non-zero delegators limit) can't reset them
+     */
+    function initializeV2() external reinitializer(2) {
+        if (limits.delegatorsPerValidator > 0) revert InvalidInitialization();
+        _initializeV2();
     }
 
     // admin methods
 
     /** @notice change slash receiver address
-     * @param receiver new slash receiver address
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setSlashReceiver(
-        address receiver
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        if (receiver == address(0)) revert ZeroAddress();
-        settings.slashReceiver = receiver;
-        emit SlashReceiverChanged(receiver);
+    function setSlashReceiver(address) external {
+        _delegate();
     }
 
     /** @notice change validators limit
-     * @param value new validators limit
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setValidatorsLimit(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        if (value < _validators.length()) revert WrongValidatorsLength();
-        settings.validatorsLimit = value;
-        emit ValidatorsLimitChanged(value);
+    function setValidatorsLimit(uint256) external {
+        _delegate();
     }
 
     /** @notice change validators' withdraw cooldown
-     * @param value new time peroid duration
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setValidatorsWithdrawCooldown(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _cooldownCheck(value);
-        settings.validatorsSettings.withdrawCooldown = value;
-        emit ValidatorsWithdrawCooldownChanged(value);
+    function setValidatorsWithdrawCooldown(uint256) external {
+        _delegate();
     }
 
     /** @notice change delegators' withdraw cooldown
-     * @param value new time peroid duration
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setDelegatorsWithdrawCooldown(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _cooldownCheck(value);
-        settings.delegatorsSettings.withdrawCooldown = value;
-        emit DelegatorsWithdrawCooldownChanged(value);
+    function setDelegatorsWithdrawCooldown(uint256) external {
+        _delegate();
     }
 
     /** @notice change validators' minimum amount to deposit
-     * @param value new minimum amount
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setValidatorsMinimum(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        settings.validatorsSettings.minimumThreshold = value;
-        emit ValidatorsMinDepositChanged(value);
+    function setValidatorsMinimum(uint256) external {
+        _delegate();
     }
 
     /** @notice change delegators' minimum amount to deposit
-     * @param value new minimum amount
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setDelegatorsMinimum(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        settings.delegatorsSettings.minimumThreshold = value;
-        emit DelegatorsMinDepositChanged(value);
+    function setDelegatorsMinimum(uint256) external {
+        _delegate();
     }
 
-    /** @notice change validators' token amount to slash (to substract from their deposit)
-     * @param value new slash token amount
-     * @dev only admin
+    /** @notice change validators' token amount to slash
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setValidatorsAmountToSlash(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        settings.validatorsSettings.toSlash = value;
-        emit ValidatorsToSlashValueChanged(value);
+    function setValidatorsAmountToSlash(uint256) external {
+        _delegate();
     }
 
-    /** @notice change delegators' percent to slash (to substract that percent of their deposit)
-     * @param value new slash percent of the deposit
-     * @dev only admin
+    /** @notice change delegators' percent to slash
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setDelegatorsPercToSlash(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        if (value > PRECISION) revert WrongValue(value);
-        settings.delegatorsSettings.toSlash = value;
-        emit DelegatorsToSlashPercentChanged(value);
+    function setDelegatorsPercToSlash(uint256) external {
+        _delegate();
     }
 
     /** @notice change validators' fixed APR
-     * @param value new apr value
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setValidatorsAPR(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _updateFixedValidatorsReward();
-        settings.validatorsSettings.apr = value;
-        emit ValidatorsAPRChanged(value);
+    function setValidatorsAPR(uint256) external {
+        _delegate();
     }
 
     /** @notice change delegators' fixed APR
-     * @param value new apr value
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setDelegatorsAPR(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _updateFixedDelegatorsReward();
-        settings.delegatorsSettings.apr = value;
-        emit DelegatorsAPRChanged(value);
+    function setDelegatorsAPR(uint256) external {
+        _delegate();
     }
 
     /** @notice change validators' claim cooldown
-     * @param value new time peroid duration
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setValidatorsClaimCooldown(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _cooldownCheck(value);
-        settings.validatorsSettings.claimCooldown = value;
-        emit ValidatorsClaimCooldownChanged(value);
+    function setValidatorsClaimCooldown(uint256) external {
+        _delegate();
     }
 
     /** @notice change delegators' claim cooldown
-     * @param value new time peroid duration
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setDelegatorsClaimCooldown(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _cooldownCheck(value);
-        settings.delegatorsSettings.claimCooldown = value;
-        emit DelegatorsClaimCooldownChanged(value);
+    function setDelegatorsClaimCooldown(uint256) external {
+        _delegate();
     }
 
     /** @notice withdraw excess reward coins from {forFixedReward} pool
-     * @param amount token amount
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function withdrawExcessFixedReward(
-        uint256 amount
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
-        if (forFixedReward < amount) revert WrongValue(amount);
-        forFixedReward -= amount;
-        _safeTransferETH(_msgSender(), amount, false);
-        emit ExcessFixedRewardWithdrawed(amount);
-    }
-
-    /** @notice change validators' probation period - duration in seconds between two slashing events;
-     * if second slashing happens earlier that probation period passed, validator loses his APR rewards
-     * @param value new minimum amount
-     * @dev only admin
+    function withdrawExcessFixedReward(uint256) external {
+        _delegate();
+    }
+
+    /** @notice change validators' probation period
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function setValidatorsProbationPeriod(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        settings.validatorsProbationPeriod = value;
-        emit ValidatorsProbationPeriodChanged(value);
+    function setValidatorsProbationPeriod(uint256) external {
+        _delegate();
     }
 
-    // distributor methods
+    /** @notice change notice period of commission changes
+     * @dev only admin, see {CRATStakeManagerExtension}
+     */
+    function setCommissionChangeDelay(uint256) external {
+        _delegate();
+    }
 
-    /** @notice distribute rewards to validators (and their delegators automatically)
-     * @param validators an array of validator addresses
-     * @param amounts an array of reward amounts
-     * @dev only depositor
+    /** @notice change maximum difference between validator's current and scheduled commission
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function distributeRewards(
-        address[] calldata validators,
-        uint256[] calldata amounts
-    ) external payable onlyRole(DISTRIBUTOR_ROLE) nonReentrant {
-        uint256 len = validators.length;
-        if (len == 0 || amounts.length != len) revert WrongValidatorsLength();
-
-        uint256 totalReward;
-        uint256 totalValidatorsReward;
-        uint256 totalDelegatorsReward;
-        uint256 forDelegators;
-
-        for (uint256 i; i < len; ++i) {
-            if (isValidator(validators[i]) && amounts[i] > 0) {
-                if (
-                    _validatorInfo[validators[i]].delegatedAmount +
-                        _validatorInfo[validators[i]].stoppedDelegatedAmount >
-                    0
-                ) {
-                    forDelegators =
-                        (amounts[i] *
-                            (PRECISION -
-                                _validatorInfo[validators[i]].commission)) /
-                        PRECISION;
-                    _validatorInfo[validators[i]].delegatorsAcc +=
-                        (forDelegators * _ACCURACY) /
-                        (_validatorInfo[validators[i]].delegatedAmount +
-                            _validatorInfo[validators[i]]
-                                .stoppedDelegatedAmount);
-                    totalDelegatorsReward += forDelegators;
-                }
-                _validatorInfo[validators[i]].variableReward.variableReward +=
-                    amounts[i] -
-                    forDelegators;
-                totalValidatorsReward += amounts[i] - forDelegators;
-
-                delete forDelegators;
-            }
-        }
+    function setMaxCommissionChange(uint256) external {
+        _delegate();
+    }
 
-        totalReward = totalDelegatorsReward + totalValidatorsReward;
+    /** @notice change validators' minimum commission
+     * @dev only admin, see {CRATStakeManagerExtension}
+     */
+    function setValidatorsMinCommission(uint256) external {
+        _delegate();
+    }
 
-        if (msg.value < totalReward) revert WrongValue(msg.value);
+    /** @notice change validators' maximum commission
+     * @dev only admin, see {CRATStakeManagerExtension}
+     */
+    function setValidatorsMaxCommission(uint256) external {
+        _delegate();
+    }
 
-        _totalValidatorsRewards.variableReward += totalValidatorsReward;
-        _totalDelegatorsRewards.variableReward += totalDelegatorsReward;
+    /** @notice change maximum number of delegators per validator
+     * @dev only admin, see {CRATStakeManagerExtension}
+     */
+    function setDelegatorsPerValidatorLimit(uint256) external {
+        _delegate();
+    }
 
-        if (msg.value > totalReward)
-            _safeTransferETH(_msgSender(), msg.value - totalReward, false); // send excess coins back
+    /** @notice change percent of validator's and its delegators' deposits slashed for double signing
+     * @dev only admin, see {CRATStakeManagerExtension}
+     */
+    function setDoubleSignSlashPercent(uint256) external {
+        _delegate();
     }
 
-    /** @notice slash validators (and their delegators automatically)
-     * @param validators an array of validator addresses
-     * @dev only depositor
+    /** @notice change percent of the validator's own double signing penalty paid to the evidence reporter
+     * @dev only admin, see {CRATStakeManagerExtension}
      */
-    function slash(
-        address[] calldata validators
-    ) external onlyRole(DISTRIBUTOR_ROLE) nonReentrant {
-        uint256 len = validators.length;
-        uint256 delegatorsPerc = settings.delegatorsSettings.toSlash;
-        uint256 fee;
-        address[] memory delegators;
-        uint256 total;
-        uint256 currentTime = block.timestamp;
-        for (uint256 i; i < len; ++i) {
-            if (isValidator(validators[i])) {
-                _updateValidatorReward(validators[i]);
-
-                fee = settings.validatorsSettings.toSlash;
-                if (
-                    _validatorInfo[validators[i]].penalty.lastSlash +
-                        settings.validatorsProbationPeriod >
-                    currentTime
-                ) fee += _validatorInfo[validators[i]].penalty.potentialPenalty;
-                fee = _validatorInfo[validators[i]].amount > fee
-                    ? fee
-                    : _validatorInfo[validators[i]].amount;
-
-                _validatorInfo[validators[i]].amount -= fee;
-                delete _validatorInfo[validators[i]].penalty.potentialPenalty;
-                _validatorInfo[validators[i]].penalty.lastSlash = currentTime;
-                total += fee;
-                delegators = _validatorInfo[validators[i]].delegators.values();
-                if (_validatorInfo[validators[i]].calledForWithdraw > 0) {
-                    // for validator
-                    stoppedValidatorsPool -= fee;
-
-                    // for stopped delegators
-                    fee =
-                        (delegatorsPerc *
-                            _validatorInfo[validators[i]]
-                                .stoppedDelegatedAmount) /
-                        PRECISION;
-                    _validatorInfo[validators[i]].stoppedDelegatedAmount -= fee;
-                    stoppedDelegatorsPool -= fee;
-                    total += fee;
-                } else {
-                    totalValidatorsPool -= fee;
-
-                    // for validator
-                    if (
-                        _validatorInfo[validators[i]].amount <
-                        settings.validatorsSettings.minimumThreshold
-                    ) {
-                        _validatorCallForWithdraw(validators[i]);
-
-                        // for stopped delegators
-                        fee =
-                            (delegatorsPerc *
-                                _validatorInfo[validators[i]]
-                                    .stoppedDelegatedAmount) /
-                            PRECISION;
-                        _validatorInfo[validators[i]]
-                            .stoppedDelegatedAmount -= fee;
-                        stoppedDelegatorsPool -= fee;
-                        total += fee;
-                    } else {
-                        // for active delegators
-                        fee =
-                            (delegatorsPerc *
-                                _validatorInfo[validators[i]].delegatedAmount) /
-                            PRECISION;
-                        _validatorInfo[validators[i]].delegatedAmount -= fee;
-                        totalDelegatorsPool -= fee;
-                        total += fee;
-
-                        // for stopped delegators
-                        fee =
-                            (delegatorsPerc *
-                                _validatorInfo[validators[i]]
-                                    .stoppedDelegatedAmount) /
-                            PRECISION;
-                        _validatorInfo[validators[i]]
-                            .stoppedDelegatedAmount -= fee;
-                        stoppedDelegatorsPool -= fee;
-                        total += fee;
-                    }
-                }
-
-                for (uint256 j; j < delegators.length; ++j) {
-                    _updateDelegatorRewardPerValidator(
-                        delegators[j],
-                        validators[i]
-                    );
-                    _delegatorInfo[delegators[j]]
-                        .delegatorPerValidator[validators[i]]
-                        .amount -=
-                        (_delegatorInfo[delegators[j]]
-                            .delegatorPerValidator[validators[i]]
-                            .amount * delegatorsPerc) /
-                        PRECISION;
-
-                    if (
-                        _delegatorInfo[delegators[j]]
-                            .delegatorPerValidator[validators[i]]
-                            .amount <
-                        settings.delegatorsSettings.minimumThreshold &&
-                        _delegatorInfo[delegators[j]]
-                            .delegatorPerValidator[validators[i]]
-                            .calledForWithdraw ==
-                        0
-                    ) {
-                        _delegatorCallForWithdraw(delegators[j], validators[i]);
-                    }
-                }
-
-                delete fee;
-                delete delegators;
-            }
-        }
+    function setDoubleSignReporterShare(uint256) external {
+        _delegate();
+    }
+
+    /** @notice unpause the subsystem paused by guardian
+     * @dev only admin, see {CRATStakeManagerExtension}
+     */
+    function unpause(Subsystem) external {
+        _delegate();
+    }
+
+    /** @notice stop the validator without taking its funds: it leaves the active validators list,
+     * its and its delegators' fixed rewards stop accruing and it gets no distributed rewards until {unjail}
+     * @dev only admin, see {CRATStakeManagerExtension}
+     */
+    function jail(address, uint256, string calldata) external {
+        _delegate();
+    }
+
+    // guardian methods
+
+    /** @notice pause the subsystem (deposits, claims, withdrawals, distribution or slashing)
+     * @dev only guardian, see {CRATStakeManagerExtension}
+     */
+    function pause(Subsystem) external {
+        _delegate();
+    }
 
-        if (total > 0) _safeTransferETH(settings.slashReceiver, total, false);
+    // distributor methods
+
+    /** @notice distribute rewards to validators (and their delegators automatically)
+     * @dev only depositor, see {CRATStakeManagerExtension}
+     */
+    function distributeRewards(
+        address[] calldata,
+        uint256[] calldata
+    ) external payable {
+        _delegate();
+    }
+
+    /** @notice slash validators (and their delegators automatically)
+     * @dev only depositor, see {CRATStakeManagerExtension}
+     */
+    function slash(address[] calldata) external {
+        _delegate();
     }
 
     // swap contract methods
@@ -602,6 +267,7 @@ contract CRATStakeManager is
         uint256 commission,
         uint256 vestingEnd
     ) external payable onlyRole(SWAP_ROLE) nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
         if (sender == address(0)) revert ZeroAddress();
         if (
             vestingEnd <= block.timestamp ||
@@ -626,6 +292,11 @@ contract CRATStakeManager is
         _depositAsValidator(sender, amount, commission);
     }
 
+    /// @notice make deposit for exact user as delegator, locked till the vesting end (see {CRATStakeManagerExtension})
+    function depositForDelegator(address, address, uint256) external payable {
+        _delegate();
+    }
+
     // public methods
 
     /** @notice make deposit as validator
@@ -634,6 +305,7 @@ contract CRATStakeManager is
     function depositAsValidator(
         uint256 commission
     ) external payable nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
         uint256 amount = msg.value;
         address sender = _msgSender();
 
@@ -657,6 +329,7 @@ contract CRATStakeManager is
     function depositAsDelegator(
         address validator
     ) external payable nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
         uint256 amount = msg.value;
         address sender = _msgSender();
 
@@ -674,6 +347,7 @@ contract CRATStakeManager is
     /** @notice claim rewards as validator
      */
     function claimAsValidator() external nonReentrant {
+        _checkNotPaused(Subsystem.Claims);
         address sender = _msgSender();
         if (
             !isValidator(sender) &&
@@ -689,6 +363,7 @@ contract CRATStakeManager is
     function claimAsDelegatorPerValidator(
         address validator
     ) external nonReentrant {
+        _checkNotPaused(Subsystem.Claims);
         address sender = _msgSender();
         if (
             !_delegatorInfo[sender].validators.contains(validator) &&
@@ -696,6 +371,11 @@ contract CRATStakeManager is
                 .delegatorPerValidator[validator]
                 .fixedReward
                 .fixedReward ==
+            0 &&
+            _delegatorInfo[sender]
+                .delegatorPerValidator[validator]
+                .variableReward
+                .variableReward ==
             0
         ) revert ValidatorsOnly(validator);
         uint256 reward = _claimAsDelegatorPerValidator(sender, validator, true);
@@ -705,6 +385,7 @@ contract CRATStakeManager is
     /** @notice restake rewards as validator
      */
     function restakeAsValidator() external nonReentrant {
+        _checkNotPaused(Subsystem.Claims);
         address sender = _msgSender();
         if (!isValidator(sender)) revert ValidatorsOnly(sender);
         uint256 reward = _claimAsValidator(sender);
@@ -716,6 +397,7 @@ contract CRATStakeManager is
      * @param validator certain validator address
      */
     function restakeAsDelegator(address validator) external nonReentrant {
+        _checkNotPaused(Subsystem.Claims);
         address sender = _msgSender();
         if (!_delegatorInfo[sender].validators.contains(validator))
             revert DelegatorsOnly(sender);
@@ -726,6 +408,7 @@ contract CRATStakeManager is
 
     /// @notice sign up to a stop list as validator (will be able to withdraw deposit after cooldown)
     function validatorCallForWithdraw() external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         address sender = _msgSender();
         if (!isValidator(sender)) revert ValidatorsOnly(sender);
         if (_validatorInfo[sender].calledForWithdraw > 0)
@@ -737,6 +420,7 @@ contract CRATStakeManager is
     /// @notice sign up to a stop list as delegator (will be able to withdraw deposit after cooldown) for certain validator
     /// @param validator address
     function delegatorCallForWithdraw(address validator) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         address sender = _msgSender();
         if (!isDelegator(sender)) revert DelegatorsOnly(sender);
         if (!_delegatorInfo[sender].validators.contains(validator))
@@ -750,92 +434,139 @@ contract CRATStakeManager is
         _delegatorCallForWithdraw(sender, validator);
     }
 
+    /// @notice return to the active validators list after the jail period (increase your deposit, if necessary; see {CRATStakeManagerExtension})
+    function unjail() external payable {
+        _delegate();
+    }
+
+    /// @notice register validator's block signing key, which signatures are accepted as double signing evidence (see {CRATStakeManagerExtension})
+    function registerSigningKey(address, bytes calldata) external {
+        _delegate();
+    }
+
+    /// @notice tombstone and slash the validator, which has signed two different headers of the same height;
+    /// anyone submits the evidence and gets a share of the penalty (see {CRATStakeManagerExtension})
+    function submitDoubleSignEvidence(
+        SignedHeader calldata,
+        SignedHeader calldata
+    ) external {
+        _delegate();
+    }
+
+    /// @notice withdraw a part of the deposit as active validator, the rest keeps earning rewards (see {CRATStakeManagerExtension})
+    function validatorUnbond(uint256) external {
+        _delegate();
+    }
+
+    /// @notice withdraw a part of the deposit as active delegator for certain validator, the rest keeps earning rewards (see {CRATStakeManagerExtension})
+    function delegatorUnbond(address, uint256) external {
+        _delegate();
+    }
+
+    /// @notice move a part of the deposit from one validator to another active validator, skipping the stop list (see {CRATStakeManagerExtension})
+    function redelegate(address, address, uint256) external {
+        _delegate();
+    }
+
+    /// @notice schedule a change of the validator's commission, it takes effect after the notice period (see {CRATStakeManagerExtension})
+    function scheduleCommissionChange(uint256) external {
+        _delegate();
+    }
+
+    /// @notice apply validator's scheduled commission change, which notice period has passed (see {CRATStakeManagerExtension})
+    function applyCommissionChange() external {
+        _delegate();
+    }
+
+    /// @notice withdraw all unbonding entries as validator, which cooldown has passed
+    function withdrawUnbondedAsValidator() external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
+        address sender = _msgSender();
+        uint256 amount = _withdrawUnbonded(_validatorUnbonding[sender]);
+        unbondingValidatorsPool -= amount;
+
+        emit ValidatorUnbondedWithdrawed(sender, amount);
+
+        _safeTransferETH(sender, amount, false);
+    }
+
+    /// @notice withdraw all unbonding entries as delegator for certain validator, which cooldown has passed
+    /// @param validator address
+    function withdrawUnbondedAsDelegator(
+        address validator
+    ) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
+        address sender = _msgSender();
+        uint256 amount = _withdrawUnbonded(
+            _delegatorUnbonding[sender][validator]
+        );
+        unbondingDelegatorsPool -= amount;
+        if (_delegatorUnbonding[sender][validator].length == 0)
+            _exitedDelegators[validator].remove(sender);
+
+        emit DelegatorUnbondedWithdrawed(sender, validator, amount);
+
+        _safeTransferETH(sender, amount, false);
+    }
+
     /// @notice withdraw deposit as validator (after cooldown; removes all its delegators automatically)
     function withdrawAsValidator() external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         _withdrawAsValidator(_msgSender());
     }
 
     /// @notice withdraw deposit as delegator (after cooldown) for certain validator
     /// @notice validator address
     function withdrawAsDelegator(address validator) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         _withdrawAsDelegator(_msgSender(), validator);
     }
 
     /// @notice withdraw deposit for current validator (after cooldown; removes all its delegators automatically)
     function withdrawForValidator(address validator) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         _withdrawAsValidator(validator);
     }
 
+    /** @notice withdraw deposits of a part of validator's delegators after validator's withdraw cooldown (anyone calls);
+     * lets a validator with too many delegators for one {withdrawAsValidator} transaction leave in several ones
+     * @param validator address
+     * @param limit maximum number of delegators to process
+     */
+    function withdrawValidatorDelegators(
+        address validator,
+        uint256 limit
+    ) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
+        _checkValidatorWithdraw(validator);
+
+        uint256 count = _withdrawValidatorDelegators(validator, limit);
+
+        emit ValidatorDelegatorsWithdrawed(
+            validator,
+            count,
+            _validatorInfo[validator].delegators.length()
+        );
+    }
+
     /// @notice withdraw deposit for current delegator (after cooldown)
     function withdrawForDelegators(
         address validator,
         address[] calldata delegators
     ) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         for (uint256 i; i < delegators.length; i++) {
             _withdrawAsDelegator(delegators[i], validator);
         }
     }
 
-    /// @notice exit the stop list as validator (increase your deposit, if necessary)
+    /// @notice exit the stop list as validator (increase your deposit, if necessary); jailed validator calls {unjail} instead
     function reviveAsValidator() external payable nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
         address sender = _msgSender();
-        if (!isValidator(sender)) revert ValidatorsOnly(sender);
-        if (_validatorInfo[sender].calledForWithdraw == 0)
-            revert InStoplistStatus(sender, false);
-        if (
-            _validatorInfo[sender].amount + msg.value <
-            settings.validatorsSettings.minimumThreshold
-        ) revert WrongValue(msg.value);
-        if (_validators.length() >= settings.validatorsLimit)
-            revert WrongValidatorsLength();
-
-        // revive validator and his non-called for withdraw delegators
-        _validatorInfo[sender].fixedReward.lastUpdate = block.timestamp;
-        _validatorInfo[sender].fixedReward.apr = settings
-            .validatorsSettings
-            .apr;
-
-        stoppedValidatorsPool -= _validatorInfo[sender].amount;
-        _validatorInfo[sender].amount += msg.value;
-        totalValidatorsPool += _validatorInfo[sender].amount;
-        _stopListValidators.remove(sender);
-        _validators.add(sender);
-
-        address[] memory delegators = _validatorInfo[sender]
-            .delegators
-            .values();
-        uint256 totalMigratedAmount;
-        for (uint256 i; i < delegators.length; i++) {
-            _updateDelegatorRewardPerValidator(delegators[i], sender);
-            if (
-                _delegatorInfo[delegators[i]]
-                    .delegatorPerValidator[sender]
-                    .calledForWithdraw == 0
-            ) {
-                _delegatorInfo[delegators[i]]
-                    .delegatorPerValidator[sender]
-                    .fixedReward
-                    .lastUpdate = block.timestamp;
-                totalMigratedAmount += _delegatorInfo[delegators[i]]
-                    .delegatorPerValidator[sender]
-                    .amount;
-            } else {
-                _delegatorInfo[delegators[i]]
-                    .delegatorPerValidator[sender]
-                    .fixedReward
-                    .lastUpdate = _delegatorInfo[delegators[i]]
-                    .delegatorPerValidator[sender]
-                    .calledForWithdraw;
-            }
-        }
+        if (jailedUntil[sender] > 0) revert Jailed(sender, jailedUntil[sender]);
 
-        delete _validatorInfo[sender].calledForWithdraw;
-        stoppedDelegatorsPool -= totalMigratedAmount;
-        _validatorInfo[sender].stoppedDelegatedAmount -= totalMigratedAmount;
-        totalDelegatorsPool += totalMigratedAmount;
-        _validatorInfo[sender].delegatedAmount += totalMigratedAmount;
-
-        emit ValidatorRevived(sender);
+        _reviveValidator(sender, msg.value);
     }
 
     /// @notice exit the stop list as delegator (increase your deposit, if necessary) for certain validator
@@ -843,6 +574,7 @@ contract CRATStakeManager is
     function reviveAsDelegator(
         address validator
     ) external payable nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
         address sender = _msgSender();
         DelegatorPerValidatorInfo storage info = _delegatorInfo[sender]
             .delegatorPerValidator[validator];
@@ -873,6 +605,7 @@ contract CRATStakeManager is
     /// @notice claim native coins that appeared as a result of a failed transfer (in withdraw methods)
     /// @param to funds receiver
     function claimAsUnusualDepositor(address to) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         address sender = _msgSender();
         uint256 amount = unusualDepositor[sender];
         if (amount > 0) {
@@ -884,22 +617,6 @@ contract CRATStakeManager is
 
     // view methods
 
-    /** @notice view-method to get validator's earned amounts
-     * @param validator address
-     * @return fixedReward amount (apr)
-     * @return variableReward amount (from distributor)
-     */
-    function validatorEarned(
-        address validator
-    ) public view returns (uint256 fixedReward, uint256 variableReward) {
-        fixedReward =
-            _validatorInfo[validator].fixedReward.fixedReward +
-            _fixedRewardToAdd(validator);
-        variableReward = _validatorInfo[validator]
-            .variableReward
-            .variableReward;
-    }
-
     /** @notice view-method to get delegators's earned amounts per validator
      * @param delegator address
      * @param validator address
@@ -945,23 +662,6 @@ contract CRATStakeManager is
         }
     }
 
-    /** @notice view-method to get account status
-     * @param account address
-     * @return true - if the account is a validator (even if stop-listed), else - false
-     */
-    function isValidator(address account) public view returns (bool) {
-        return (_validators.contains(account) ||
-            _stopListValidators.contains(account));
-    }
-
-    /** @notice view-method to get account status
-     * @param account address
-     * @return true - if the account is a delegator (even if stop-listed), else - false
-     */
-    function isDelegator(address account) public view returns (bool) {
-        return _delegatorInfo[account].validators.length() > 0 ? true : false;
-    }
-
     /** @notice view-method to get the list of all active validators and their deposited/voted amounts
      * @return validators an array of the active validators addresses
      * @return amounts an array of following uint256[3] arrays - [validators deposit, delegated amount for this validator (from active delegators), delegated amount for this validator (from stop-listed delegators)]
@@ -972,14 +672,30 @@ contract CRATStakeManager is
         returns (address[] memory validators, uint256[3][] memory amounts)
     {
         validators = _validators.values();
-        amounts = new uint256[3][](validators.length);
+        amounts = _validatorsAmounts(validators);
+    }
 
-        for (uint256 i; i < validators.length; i++) {
-            amounts[i][0] = _validatorInfo[validators[i]].amount;
-            amounts[i][1] = _validatorInfo[validators[i]].delegatedAmount;
-            amounts[i][2] = _validatorInfo[validators[i]]
-                .stoppedDelegatedAmount;
-        }
+    /** @notice view-method to get a part of the active validators list and their deposited/voted amounts
+     * @param offset index of the first validator in the list
+     * @param limit maximum number of validators to return
+     * @return validators an array of the active validators addresses (empty if offset is out of the list)
+     * @return amounts an array of uint256[3] arrays (see {getActiveValidators})
+     */
+    function getActiveValidatorsPage(
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (address[] memory validators, uint256[3][] memory amounts)
+    {
+        validators = _slice(_validators, offset, limit);
+        amounts = _validatorsAmounts(validators);
+    }
+
+    /// @notice view-method to get the number of active validators
+    function getActiveValidatorsCount() external view returns (uint256) {
+        return _validators.length();
     }
 
     /** @notice view-method to get the list of all stop-listed validators and their deposited/voted amounts
@@ -992,21 +708,37 @@ contract CRATStakeManager is
         returns (address[] memory validators, uint256[3][] memory amounts)
     {
         validators = _stopListValidators.values();
-        amounts = new uint256[3][](validators.length);
+        amounts = _validatorsAmounts(validators);
+    }
 
-        for (uint256 i; i < validators.length; i++) {
-            amounts[i][0] = _validatorInfo[validators[i]].amount;
-            amounts[i][1] = _validatorInfo[validators[i]].delegatedAmount;
-            amounts[i][2] = _validatorInfo[validators[i]]
-                .stoppedDelegatedAmount;
-        }
+    /** @notice view-method to get a part of the stop-listed validators list and their deposited/voted amounts
+     * @param offset index of the first validator in the list
+     * @param limit maximum number of validators to return
+     * @return validators an array of the stop-listed validators addresses (empty if offset is out of the list)
+     * @return amounts an array of uint256[3] arrays (see {getStoppedValidators})
+     */
+    function getStoppedValidatorsPage(
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (address[] memory validators, uint256[3][] memory amounts)
+    {
+        validators = _slice(_stopListValidators, offset, limit);
+        amounts = _validatorsAmounts(validators);
+    }
+
+    /// @notice view-method to get the number of stop-listed validators
+    function getStoppedValidatorsCount() external view returns (uint256) {
+        return _stopListValidators.length();
     }
 
     /** @notice view-method to get validator info
      * @param validator address
      * @return info validator info:
      * amount of validator's deposit
-     * commission percent that validator takes from its delegators
+     * commission percent that validator takes from its delegators (scheduled change included, once it has taken effect)
      * lastClaim previous claim timestamp
      * calledForWithdraw timestamp of #callForWithdrawAsValidator transaction (0 - if validator is active)
      * vestingEnd timestamp of the vesting funds process end
@@ -1019,30 +751,40 @@ contract CRATStakeManager is
      * delegators an array of delegators' addresses list (even if someone is stopped)
      * withdrawAvailable timestamp since validator is able to withdraw
      * claimAvailable timestamp since validator is able to claim
+     * unbonding pending partial withdrawals: [amount, availableAt - timestamp since it can be withdrawn]
      */
     function getValidatorInfo(
         address validator
     ) external view returns (ValidatorInfoView memory info) {
-        info.amount = _validatorInfo[validator].amount;
-        info.commission = _validatorInfo[validator].commission;
-        info.lastClaim = _validatorInfo[validator].lastClaim;
-        info.calledForWithdraw = _validatorInfo[validator].calledForWithdraw;
-        info.vestingEnd = _validatorInfo[validator].vestingEnd;
-        info.fixedReward = _validatorInfo[validator].fixedReward;
-        info.variableReward = _validatorInfo[validator].variableReward;
-        info.penalty = _validatorInfo[validator].penalty;
-        info.delegatedAmount = _validatorInfo[validator].delegatedAmount;
-        info.stoppedDelegatedAmount = _validatorInfo[validator]
-            .stoppedDelegatedAmount;
-        info.delegatorsAcc = _validatorInfo[validator].delegatorsAcc;
-        info.delegators = _validatorInfo[validator].delegators.values();
-        info.withdrawAvailable = (info.calledForWithdraw > 0)
-            ? info.calledForWithdraw +
-                settings.validatorsSettings.withdrawCooldown
-            : 0;
-        info.claimAvailable =
-            info.lastClaim +
-            settings.validatorsSettings.claimCooldown;
+        info = _validatorInfoView(
+            validator,
+            _validatorInfo[validator].delegators.values()
+        );
+    }
+
+    /** @notice view-method to get validator info with a part of its delegators list
+     * @param validator address
+     * @param offset index of the first delegator in the list
+     * @param limit maximum number of delegators to return
+     * @return info validator info (see {getValidatorInfo}), delegators - only the requested part of the list
+     */
+    function getValidatorInfoPage(
+        address validator,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ValidatorInfoView memory info) {
+        info = _validatorInfoView(
+            validator,
+            _slice(_validatorInfo[validator].delegators, offset, limit)
+        );
+    }
+
+    /// @notice view-method to get the number of validator's delegators (even if someone is stopped)
+    /// @param validator address
+    function getDelegatorsCount(
+        address validator
+    ) external view returns (uint256) {
+        return _validatorInfo[validator].delegators.length();
     }
 
     /** @notice view-method to get delegator info
@@ -1051,6 +793,7 @@ contract CRATStakeManager is
      * @return delegatorPerValidatorArr the list of info for all validators
      * @return withdrawAvailable timestamp since delegator is able to withdraw
      * @return claimAvailable timestamp since delegator is able to claim
+     * @return unbonding pending partial withdrawals for each validator: [amount, availableAt - timestamp since it can be withdrawn]
      */
     function getDelegatorInfo(
         address delegator
@@ -1061,7 +804,8 @@ contract CRATStakeManager is
             address[] memory validatorsArr,
             DelegatorPerValidatorInfo[] memory delegatorPerValidatorArr,
             uint256[] memory withdrawAvailable,
-            uint256[] memory claimAvailable
+            uint256[] memory claimAvailable,
+            UnbondingEntry[][] memory unbonding
         )
     {
         validatorsArr = _delegatorInfo[delegator].validators.values();
@@ -1070,6 +814,7 @@ contract CRATStakeManager is
         delegatorPerValidatorArr = new DelegatorPerValidatorInfo[](len);
         withdrawAvailable = new uint256[](len);
         claimAvailable = new uint256[](len);
+        unbonding = new UnbondingEntry[][](len);
 
         for (uint256 i; i < len; i++) {
             delegatorPerValidatorArr[i] = _delegatorInfo[delegator]
@@ -1086,6 +831,7 @@ contract CRATStakeManager is
             claimAvailable[i] =
                 delegatorPerValidatorArr[i].lastClaim +
                 settings.delegatorsSettings.claimCooldown;
+            unbonding[i] = _delegatorUnbonding[delegator][validatorsArr[i]];
         }
     }
 
@@ -1105,12 +851,96 @@ contract CRATStakeManager is
         )
     {
         delegators = _validatorInfo[validator].delegators.values();
-        uint256 len = delegators.length;
-        delegatorPerValidatorArr = new DelegatorPerValidatorInfo[](len);
-        for (uint256 i; i < len; i++) {
-            delegatorPerValidatorArr[i] = _delegatorInfo[delegators[i]]
-                .delegatorPerValidator[validator];
-        }
+        delegatorPerValidatorArr = _delegatorsInfo(validator, delegators);
+    }
+
+    /** @notice view-method to get info of a part of validator's delegators
+     * @param validator address
+     * @param offset index of the first delegator in the list
+     * @param limit maximum number of delegators to return
+     * @return delegators an array of delegators addresses (empty if offset is out of the list)
+     * @return delegatorPerValidatorArr an array of DelegatorPerValidatorInfo structs (see {getDelegatorsInfoPerValidator})
+     */
+    function getDelegatorsInfoPerValidatorPage(
+        address validator,
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (
+            address[] memory delegators,
+            DelegatorPerValidatorInfo[] memory delegatorPerValidatorArr
+        )
+    {
+        delegators = _slice(
+            _validatorInfo[validator].delegators,
+            offset,
+            limit
+        );
+        delegatorPerValidatorArr = _delegatorsInfo(validator, delegators);
+    }
+
+    /** @notice view-method to get the slashing history of the validator
+     * @param validator address
+     * @return history an array of slashes:
+     * timestamp of the slash
+     * amount taken from the validator's deposit (penalty included)
+     * penalty additional amount taken for the slash during the probation period
+     * delegatorsAmount amount taken from its delegators' deposits
+     * calledForWithdraw true - if the slash moved the validator to the stop list
+     */
+    function getSlashHistory(
+        address validator
+    ) external view returns (SlashRecord[] memory history) {
+        history = _slashHistory[validator];
+    }
+
+    /** @notice view-method to get the stake redelegated away from the validator, which is liable for its slashes
+     * (expired entries are removed by the next slash)
+     * @param validator address
+     * @return entries an array of redelegations:
+     * delegator address
+     * validator new validator address
+     * amount redelegated stake (decreases with slashes)
+     * liableUntil timestamp till the stake can be slashed for this validator
+     */
+    function getRedelegations(
+        address validator
+    ) external view returns (RedelegationEntry[] memory entries) {
+        entries = _redelegations[validator];
+    }
+
+    /** @notice view-method to get the delegators, which have left the validator with unbonding entries there
+     * (they are slashed with the validator till withdrawn, the entries are removed by the next slash once matured)
+     * @param validator address
+     * @return delegators addresses
+     * @return unbonding their pending partial withdrawals from the validator
+     */
+    function getExitedDelegators(
+        address validator
+    )
+        external
+        view
+        returns (address[] memory delegators, UnbondingEntry[][] memory unbonding)
+    {
+        delegators = _exitedDelegators[validator].values();
+        unbonding = new UnbondingEntry[][](delegators.length);
+        for (uint256 i; i < delegators.length; i++)
+            unbonding[i] = _delegatorUnbonding[delegators[i]][validator];
+    }
+
+    /** @notice view-method to get validator's scheduled commission change, which hasn't taken effect yet
+     * @param validator address
+     * @return commission new commission percent (0 - no scheduled change)
+     * @return effectiveAt timestamp since the new commission is used by distributeRewards
+     */
+    function getPendingCommissionChange(
+        address validator
+    ) external view returns (uint256 commission, uint256 effectiveAt) {
+        CommissionChange memory change = _commissionChanges[validator];
+        if (change.effectiveAt > block.timestamp)
+            (commission, effectiveAt) = (change.commission, change.effectiveAt);
     }
 
     /** @notice view-method to approximately calculate total distributed rewards for validators
@@ -1178,69 +1008,64 @@ contract CRATStakeManager is
 
     // internal methods
 
-    function _delegatorEarnedPerValidator(
-        address delegator,
-        address validator
-    ) internal view returns (uint256 fixedReward, uint256 variableReward) {
-        DelegatorPerValidatorInfo memory info = _delegatorInfo[delegator]
-            .delegatorPerValidator[validator];
+    function _validatorsAmounts(
+        address[] memory validators
+    ) internal view returns (uint256[3][] memory amounts) {
+        amounts = new uint256[3][](validators.length);
 
-        fixedReward = info.fixedReward.fixedReward;
-        variableReward = info.variableReward.variableReward;
-        if (info.amount > 0) {
-            fixedReward +=
-                (info.amount *
-                    (_rightBoarderDPV(delegator, validator) -
-                        info.fixedReward.lastUpdate) *
-                    info.fixedReward.apr) /
-                (YEAR_DURATION * PRECISION);
-            variableReward +=
-                ((_validatorInfo[validator].delegatorsAcc -
-                    info.storedValidatorAcc) * info.amount) /
-                _ACCURACY;
+        for (uint256 i; i < validators.length; i++) {
+            amounts[i][0] = _validatorInfo[validators[i]].amount;
+            amounts[i][1] = _validatorInfo[validators[i]].delegatedAmount;
+            amounts[i][2] = _validatorInfo[validators[i]]
+                .stoppedDelegatedAmount;
         }
     }
 
-    function _updateValidatorReward(address validator) internal {
-        _updateFixedValidatorsReward();
+    function _validatorInfoView(
+        address validator,
+        address[] memory delegators
+    ) internal view returns (ValidatorInfoView memory info) {
+        info.amount = _validatorInfo[validator].amount;
+        info.commission = _currentCommission(validator);
+        info.lastClaim = _validatorInfo[validator].lastClaim;
+        info.calledForWithdraw = _validatorInfo[validator].calledForWithdraw;
+        info.vestingEnd = _validatorInfo[validator].vestingEnd;
+        info.fixedReward = _validatorInfo[validator].fixedReward;
+        info.variableReward = _validatorInfo[validator].variableReward;
+        info.penalty = _validatorInfo[validator].penalty;
+        info.delegatedAmount = _validatorInfo[validator].delegatedAmount;
+        info.stoppedDelegatedAmount = _validatorInfo[validator]
+            .stoppedDelegatedAmount;
+        info.delegatorsAcc = _validatorInfo[validator].delegatorsAcc;
+        info.delegators = delegators;
+        info.withdrawAvailable = (info.calledForWithdraw > 0)
+            ? info.calledForWithdraw +
+                settings.validatorsSettings.withdrawCooldown
+            : 0;
+        info.claimAvailable =
+            info.lastClaim +
+            settings.validatorsSettings.claimCooldown;
+        info.unbonding = _validatorUnbonding[validator];
+    }
 
-        // calculate potential penatly
-        if (_validatorInfo[validator].penalty.lastSlash > 0) {
-            _validatorInfo[validator]
-                .penalty
-                .potentialPenalty += _fixedRewardToAdd(validator);
+    function _delegatorsInfo(
+        address validator,
+        address[] memory delegators
+    ) internal view returns (DelegatorPerValidatorInfo[] memory infos) {
+        uint256 len = delegators.length;
+        infos = new DelegatorPerValidatorInfo[](len);
+        for (uint256 i; i < len; i++) {
+            infos[i] = _delegatorInfo[delegators[i]].delegatorPerValidator[
+                validator
+            ];
         }
-
-        // store fixed reward
-        (_validatorInfo[validator].fixedReward.fixedReward, ) = validatorEarned(
-            validator
-        );
-        _validatorInfo[validator].fixedReward.lastUpdate = _rightBoarderV(
-            validator
-        );
-        _validatorInfo[validator].fixedReward.apr = settings
-            .validatorsSettings
-            .apr; // change each _update call (to keep it actual)
     }
 
-    function _updateDelegatorRewardPerValidator(
-        address delegator,
-        address validator
-    ) internal {
-        _updateFixedDelegatorsReward();
-
-        DelegatorPerValidatorInfo storage info = _delegatorInfo[delegator]
-            .delegatorPerValidator[validator];
-
-        // store fixed & variable rewards
-        (
-            info.fixedReward.fixedReward,
-            info.variableReward.variableReward
-        ) = _delegatorEarnedPerValidator(delegator, validator);
-
-        info.fixedReward.lastUpdate = _rightBoarderDPV(delegator, validator);
-        info.fixedReward.apr = settings.delegatorsSettings.apr; // change each _update call (to keep it actual)
-        info.storedValidatorAcc = _validatorInfo[validator].delegatorsAcc;
+    function _initializeV2() internal {
+        commissionChangeDelay = 7 days;
+        maxCommissionChange = 5_00;
+        limits = LimitSettings(5_00, 30_00, 4800);
+        doubleSign = DoubleSignSettings(5_00, 10_00);
     }
 
     function _depositAsValidator(
@@ -1248,6 +1073,7 @@ contract CRATStakeManager is
         uint256 amount,
         uint256 commission
     ) internal {
+        if (tombstoned[validator]) revert Tombstoned(validator);
         if (_validatorInfo[validator].calledForWithdraw > 0)
             revert InStoplistStatus(validator, true);
 
@@ -1255,8 +1081,10 @@ contract CRATStakeManager is
         _updateValidatorReward(validator);
 
         if (!_validators.contains(validator)) {
-            if (commission > 30_00 || commission < 5_00)
-                revert WrongValue(commission);
+            if (
+                commission > limits.maxCommission ||
+                commission < limits.minCommission
+            ) revert WrongValue(commission);
 
             _validatorInfo[validator].commission = commission; // do not allow change commission value once validator has been registered
             _validatorInfo[validator].lastClaim = block.timestamp; // to keep unboarding period
@@ -1272,41 +1100,6 @@ contract CRATStakeManager is
         );
     }
 
-    function _depositAsDelegator(
-        address delegator,
-        uint256 amount,
-        address validator
-    ) internal {
-        if (
-            _delegatorInfo[delegator]
-                .delegatorPerValidator[validator]
-                .calledForWithdraw > 0
-        ) revert InStoplistStatus(delegator, true);
-
-        if (!_validators.contains(validator)) revert ValidatorsOnly(validator); // necessary to choose only active validator
-
-        if (!_delegatorInfo[delegator].validators.contains(validator)) {
-            if (_validatorInfo[validator].delegators.length() == 4800)
-                revert DelegatorsLimit();
-            _delegatorInfo[delegator].validators.add(validator);
-            _validatorInfo[validator].delegators.add(delegator);
-            _delegatorInfo[delegator]
-                .delegatorPerValidator[validator]
-                .lastClaim = block.timestamp; // to keep unboarding period
-        }
-
-        // update delegator rewards before amount will be changed
-        _updateDelegatorRewardPerValidator(delegator, validator);
-
-        _delegatorInfo[delegator]
-            .delegatorPerValidator[validator]
-            .amount += amount;
-        _validatorInfo[validator].delegatedAmount += amount;
-        totalDelegatorsPool += amount;
-
-        emit DelegatorDeposited(delegator, validator, amount);
-    }
-
     function _claimAsValidator(
         address validator
     ) internal returns (uint256 toClaim) {
@@ -1384,53 +1177,31 @@ contract CRATStakeManager is
         emit DelegatorClaimed(delegator, validator, toClaim);
     }
 
-    function _validatorCallForWithdraw(address sender) internal {
-        _updateValidatorReward(sender);
-
-        (uint256 amount, uint256 delegatedAmount) = (
-            _validatorInfo[sender].amount,
-            _validatorInfo[sender].delegatedAmount
-        );
-
-        _validatorInfo[sender].calledForWithdraw = block.timestamp;
-        _validators.remove(sender);
-        _stopListValidators.add(sender);
-
-        totalValidatorsPool -= amount;
-        totalDelegatorsPool -= delegatedAmount;
-        stoppedValidatorsPool += amount;
-        stoppedDelegatorsPool += delegatedAmount;
-
-        _validatorInfo[sender].stoppedDelegatedAmount += delegatedAmount;
-        delete _validatorInfo[sender].delegatedAmount;
-
-        emit ValidatorCalledForWithdraw(sender);
-    }
+    function _withdrawAsValidator(address validator) internal {
+        _checkValidatorWithdraw(validator);
+        _withdrawValidatorDelegators(validator, type(uint256).max);
 
-    function _delegatorCallForWithdraw(
-        address sender,
-        address validator
-    ) internal {
-        _updateDelegatorRewardPerValidator(sender, validator);
+        uint256 validatorsAmount = _validatorInfo[validator].amount;
 
-        _delegatorInfo[sender]
-            .delegatorPerValidator[validator]
-            .calledForWithdraw = block.timestamp;
+        uint256 amount = _claimAsValidator(validator) + validatorsAmount;
+        uint256 fixedRewardToStore = _validatorInfo[validator]
+            .fixedReward
+            .fixedReward;
+        stoppedValidatorsPool -= validatorsAmount;
+        stoppedDelegatorsPool -= _validatorInfo[validator]
+            .stoppedDelegatedAmount; // rounding leftovers of slashing
+        _stopListValidators.remove(validator);
 
-        if (_validatorInfo[validator].calledForWithdraw == 0) {
-            uint256 amount = _delegatorInfo[sender]
-                .delegatorPerValidator[validator]
-                .amount;
-            totalDelegatorsPool -= amount;
-            stoppedDelegatorsPool += amount;
-            _validatorInfo[validator].delegatedAmount -= amount;
-            _validatorInfo[validator].stoppedDelegatedAmount += amount;
-        }
+        delete _validatorInfo[validator];
+        delete _commissionChanges[validator];
+        delete jailedUntil[validator];
+        _validatorInfo[validator].fixedReward.fixedReward = fixedRewardToStore;
+        _safeTransferETH(validator, amount, true);
 
-        emit DelegatorCalledForWithdraw(sender, validator);
+        emit ValidatorWithdrawed(validator);
     }
 
-    function _withdrawAsValidator(address validator) internal {
+    function _checkValidatorWithdraw(address validator) internal view {
         if (
             _validatorInfo[validator].calledForWithdraw +
                 settings.validatorsSettings.withdrawCooldown >
@@ -1446,57 +1217,56 @@ contract CRATStakeManager is
                         settings.validatorsSettings.withdrawCooldown
                     : _validatorInfo[validator].vestingEnd
             );
+        if (jailedUntil[validator] > block.timestamp)
+            revert Jailed(validator, jailedUntil[validator]);
         if (_validatorInfo[validator].calledForWithdraw == 0)
             revert InStoplistStatus(validator, false);
+    }
 
-        address[] memory delegators = _validatorInfo[validator]
-            .delegators
-            .values();
+    /// @dev settles delegators from the end of the set, so the set itself keeps the progress between transactions
+    function _withdrawValidatorDelegators(
+        address validator,
+        uint256 limit
+    ) internal returns (uint256 count) {
+        EnumerableSet.AddressSet storage delegators = _validatorInfo[validator]
+            .delegators;
+        uint256 len = delegators.length();
+        if (limit > len) limit = len;
+
+        address delegator;
         uint256 amount;
+        uint256 deposit;
         uint256 fixedRewardToStore;
-        for (uint256 i; i < delegators.length; i++) {
-            amount = _claimAsDelegatorPerValidator(
-                delegators[i],
-                validator,
-                false
-            );
-            amount += _delegatorInfo[delegators[i]]
+        for (; count < limit; count++) {
+            delegator = delegators.at(len - count - 1);
+            _checkNotLiable(delegator, validator);
+            amount = _claimAsDelegatorPerValidator(delegator, validator, false);
+            deposit = _delegatorInfo[delegator]
                 .delegatorPerValidator[validator]
                 .amount;
-            _delegatorInfo[delegators[i]].validators.remove(validator);
-            _validatorInfo[validator].delegators.remove(delegators[i]);
-            fixedRewardToStore = _delegatorInfo[delegators[i]]
+            amount += _releaseDeposit(delegator, validator, deposit);
+
+            // slashing fees are rounded for the validator and for each delegator separately
+            deposit = Math.min(
+                deposit,
+                _validatorInfo[validator].stoppedDelegatedAmount
+            );
+            stoppedDelegatorsPool -= deposit;
+            _validatorInfo[validator].stoppedDelegatedAmount -= deposit;
+            _leaveValidator(delegator, validator);
+            fixedRewardToStore = _delegatorInfo[delegator]
                 .delegatorPerValidator[validator]
                 .fixedReward
                 .fixedReward;
-            delete _delegatorInfo[delegators[i]].delegatorPerValidator[
-                validator
-            ];
-            _delegatorInfo[delegators[i]]
+            delete _delegatorInfo[delegator].delegatorPerValidator[validator];
+            _delegatorInfo[delegator]
                 .delegatorPerValidator[validator]
                 .fixedReward
                 .fixedReward = fixedRewardToStore;
-            delete fixedRewardToStore;
-            _safeTransferETH(delegators[i], amount, true);
+            _safeTransferETH(delegator, amount, true);
 
-            emit DelegatorWithdrawed(delegators[i], validator);
+            emit DelegatorWithdrawed(delegator, validator);
         }
-
-        uint256 validatorsAmount = _validatorInfo[validator].amount;
-
-        amount = _claimAsValidator(validator);
-        fixedRewardToStore = _validatorInfo[validator].fixedReward.fixedReward;
-        amount += validatorsAmount;
-        stoppedValidatorsPool -= validatorsAmount;
-        stoppedDelegatorsPool -= _validatorInfo[validator]
-            .stoppedDelegatedAmount;
-        _stopListValidators.remove(validator);
-
-        delete _validatorInfo[validator];
-        _validatorInfo[validator].fixedReward.fixedReward = fixedRewardToStore;
-        _safeTransferETH(validator, amount, true);
-
-        emit ValidatorWithdrawed(validator);
     }
 
     function _withdrawAsDelegator(
@@ -1508,8 +1278,13 @@ contract CRATStakeManager is
             validator
         );
         if (calledForWithdraw == 0) revert InStoplistStatus(delegator, false);
+        _checkNotLiable(delegator, validator);
 
+        // delegators leave a jailed validator without waiting for the cooldowns
+        bool immediate = jailedUntil[validator] > 0 &&
+            delegator == _msgSender();
         if (
+            !immediate &&
             calledForWithdraw + settings.delegatorsSettings.withdrawCooldown >
             block.timestamp
         )
@@ -1521,17 +1296,16 @@ contract CRATStakeManager is
         uint256 amount = _claimAsDelegatorPerValidator(
             delegator,
             validator,
-            true
+            !immediate
         );
         uint256 delegatorsAmount = _delegatorInfo[delegator]
             .delegatorPerValidator[validator]
             .amount;
-        amount += delegatorsAmount;
+        amount += _releaseDeposit(delegator, validator, delegatorsAmount);
 
         stoppedDelegatorsPool -= delegatorsAmount;
         _validatorInfo[validator].stoppedDelegatedAmount -= delegatorsAmount;
-        _validatorInfo[validator].delegators.remove(delegator);
-        _delegatorInfo[delegator].validators.remove(validator);
+        _leaveValidator(delegator, validator);
 
         uint256 fixedRewardToStore = _delegatorInfo[delegator]
             .delegatorPerValidator[validator]
@@ -1548,108 +1322,80 @@ contract CRATStakeManager is
         _safeTransferETH(delegator, amount, true);
     }
 
-    function _updateFixedValidatorsReward() internal {
-        if (_totalValidatorsRewards.fixedLastUpdate < block.timestamp) {
-            _totalValidatorsRewards.fixedReward = _fixedValidatorsReward();
-            _totalValidatorsRewards.fixedLastUpdate = block.timestamp;
-        }
-        _updateFixedDelegatorsReward();
-    }
-
-    function _updateFixedDelegatorsReward() internal {
-        if (_totalDelegatorsRewards.fixedLastUpdate < block.timestamp) {
-            _totalDelegatorsRewards.fixedReward = _fixedDelegatorsReward();
-            _totalDelegatorsRewards.fixedLastUpdate = block.timestamp;
-        }
-    }
-
-    function _safeTransferETH(
-        address _to,
-        uint256 _value,
-        bool withTry
-    ) internal {
-        if (withTry) {
-            (bool success, ) = _to.call{value: _value}(new bytes(0));
-            if (!success) {
-                unusualDepositor[_to] += _value;
-                emit TransferToDepositorFailed(_to, _value);
-            }
-        } else {
-            (bool success, ) = _to.call{value: _value}(new bytes(0));
-            if (!success) revert NativeTransferFailed();
+    function _withdrawUnbonded(
+        UnbondingEntry[] storage entries
+    ) internal returns (uint256 amount) {
+        uint256 len = entries.length;
+        if (len == 0) revert WrongValue(0);
+
+        uint256 nextAvailable = type(uint256).max;
+        for (uint256 i = len; i > 0; i--) {
+            if (entries[i - 1].availableAt <= block.timestamp) {
+                amount += entries[i - 1].amount;
+                entries[i - 1] = entries[entries.length - 1];
+                entries.pop();
+            } else if (entries[i - 1].availableAt < nextAvailable)
+                nextAvailable = entries[i - 1].availableAt;
         }
-    }
-
-    // internal view methods
 
-    function _rightBoarderV(address account) internal view returns (uint256) {
-        return
-            _validatorInfo[account].calledForWithdraw > 0
-                ? _validatorInfo[account].calledForWithdraw
-                : block.timestamp;
+        if (amount == 0) revert Cooldown(false, nextAvailable);
     }
 
-    function _rightBoarderDPV(
+    /// @dev redelegated stake stays till the stored end of its liability for the previous validator's slashes
+    /// (later changes of the withdraw cooldown don't move it)
+    function _checkNotLiable(
         address delegator,
         address validator
-    ) internal view returns (uint256) {
-        uint256 calledForWithdraw = _getDelegatorCallForWithdraw(
-            delegator,
-            validator
-        );
-        if (calledForWithdraw > 0) return calledForWithdraw;
-        else return block.timestamp;
+    ) internal view {
+        uint256 until = redelegatedUntil[delegator][validator];
+        if (until > block.timestamp) revert Cooldown(false, until);
     }
 
-    function _fixedValidatorsReward() internal view returns (uint256) {
-        return
-            _totalValidatorsRewards.fixedReward +
-            ((block.timestamp - _totalValidatorsRewards.fixedLastUpdate) *
-                totalValidatorsPool *
-                settings.validatorsSettings.apr) /
-            (PRECISION * YEAR_DURATION);
-    }
-
-    function _fixedDelegatorsReward() internal view returns (uint256) {
-        return
-            _totalDelegatorsRewards.fixedReward +
-            ((block.timestamp - _totalDelegatorsRewards.fixedLastUpdate) *
-                totalDelegatorsPool *
-                settings.delegatorsSettings.apr) /
-            (PRECISION * YEAR_DURATION);
-    }
-
-    function _fixedRewardToAdd(
-        address validator
-    ) internal view returns (uint256) {
-        return
-            ((_rightBoarderV(validator) -
-                _validatorInfo[validator].fixedReward.lastUpdate) *
-                _validatorInfo[validator].amount *
-                _validatorInfo[validator].fixedReward.apr) /
-            (YEAR_DURATION * PRECISION);
-    }
-
-    function _getDelegatorCallForWithdraw(
+    /// @dev deposit locked by swap contract waits for the vesting end as an unbonding entry
+    /// @return deposit part to pay at once
+    function _releaseDeposit(
         address delegator,
-        address validator
-    ) internal view returns (uint256) {
-        (uint256 validatorCall, uint256 delegatorCall) = (
-            _validatorInfo[validator].calledForWithdraw,
-            _delegatorInfo[delegator]
-                .delegatorPerValidator[validator]
-                .calledForWithdraw
+        address validator,
+        uint256 deposit
+    ) internal returns (uint256) {
+        uint256 vestingEnd = delegatorVestingEnd[delegator][validator];
+        if (vestingEnd == 0) return deposit;
+        delete delegatorVestingEnd[delegator][validator];
+        if (vestingEnd <= block.timestamp || deposit == 0) return deposit;
+
+        unbondingDelegatorsPool += deposit;
+        // the position is closed anyway, so the entries limit doesn't apply
+        _addUnbonding(
+            _delegatorUnbonding[delegator][validator],
+            deposit,
+            vestingEnd,
+            false
         );
-        if (delegatorCall > 0 && validatorCall > 0) {
-            return Math.min(delegatorCall, validatorCall);
-        } else if (delegatorCall > 0) {
-            return delegatorCall;
-        } else if (validatorCall > 0) {
-            return validatorCall;
-        } else return 0;
-    }
 
-    function _cooldownCheck(uint256 _value) private pure {
-        if (_value > 365 days) revert WrongValue(_value);
+        emit DelegatorUnbonded(delegator, validator, deposit, vestingEnd);
+        return 0;
+    }
+
+    /// @dev execute the current call with the code of {CRATStakeManagerExtension} in the context of this contract
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    function _delegate() private {
+        address extension = _extension;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(
+                gas(),
+                extension,
+                ptr,
+                calldatasize(),
+                0,
+                0
+            )
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
+        }
     }
 }
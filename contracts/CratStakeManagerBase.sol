@@ -0,0 +1,829 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+
+/// @notice storage layout, events, errors and shared internal logic of the stake manager:
+/// inherited by {CRATStakeManager} and by {CRATStakeManagerExtension}, which works with the stake manager storage through delegatecall
+abstract contract CRATStakeManagerBase is
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable
+{
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    /// @notice value of the distributor role
+    bytes32 public constant DISTRIBUTOR_ROLE = keccak256("DISTRIBUTOR_ROLE");
+
+    /// @notice value of the swap contract role
+    bytes32 public constant SWAP_ROLE = keccak256("SWAP_ROLE");
+
+    /// @notice value of the guardian role (pauses subsystems of the contract)
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// @notice denominator for percent calculations
+    uint256 public constant PRECISION = 100_00;
+
+    /// @notice year duration in seconds
+    uint256 public constant YEAR_DURATION = 365 days;
+
+    uint256 internal constant _ACCURACY = 10 ** 18;
+
+    /// @notice maximum duration of the withdrawals pause (and minimum time between two such pauses)
+    uint256 public constant MAX_WITHDRAWALS_PAUSE = 7 days;
+
+    /// @notice maximum number of live redelegation entries of a delegator per source validator (all of them are walked by slash)
+    uint256 public constant MAX_REDELEGATIONS = 10;
+
+    /// @notice maximum number of unbonding entries of a validator or of a delegator's position (all of them are walked by slash)
+    uint256 public constant MAX_UNBONDING_ENTRIES = 10;
+
+    /// @notice minimum unbonding amount, in PRECISION parts of the role's minimum threshold
+    uint256 public constant MIN_UNBONDING_PART = 10_00;
+
+    /// @notice global contract settings
+    GeneralSettings public settings;
+
+    /// @notice total validators counter
+    uint256 public totalValidatorsPool;
+
+    /// @notice total delegators counter
+    uint256 public totalDelegatorsPool;
+
+    /// @notice sum of stopped validators' deposits
+    uint256 public stoppedValidatorsPool;
+
+    /// @notice sum of stopped delegators' deposits
+    uint256 public stoppedDelegatorsPool;
+
+    /// @notice sum of tokens available to distribute for fixed rewards
+    uint256 public forFixedReward;
+
+    /// @notice sum of tokens available for validators/delegators to claim
+    /// (increases due to the failed _safeTransferETH in withdraw methods)
+    mapping(address => uint256) public unusualDepositor;
+
+    TotalRewardsDistributed internal _totalValidatorsRewards;
+    TotalRewardsDistributed internal _totalDelegatorsRewards;
+
+    EnumerableSet.AddressSet internal _validators; // list of all active validators
+    EnumerableSet.AddressSet internal _stopListValidators; // waiting pool before `withdrawAsValidator`
+
+    mapping(address => ValidatorInfo) internal _validatorInfo; // all info for each validator
+    mapping(address => DelegatorInfo) internal _delegatorInfo; // all info for each delegator
+
+    mapping(address => SlashRecord[]) internal _slashHistory; // all slashes of each validator
+
+    /// @notice id of the last rewards distribution round (increases with every distributeRewards call)
+    uint256 public rewardsRound;
+
+    /// @notice sum of validators' deposits waiting in unbonding entries
+    uint256 public unbondingValidatorsPool;
+
+    /// @notice sum of delegators' deposits waiting in unbonding entries
+    uint256 public unbondingDelegatorsPool;
+
+    mapping(address => UnbondingEntry[]) internal _validatorUnbonding; // partial withdrawals of each validator
+    mapping(address => mapping(address => UnbondingEntry[]))
+        internal _delegatorUnbonding; // partial withdrawals of each delegator per validator
+
+    mapping(address => RedelegationEntry[]) internal _redelegations; // stake moved away from each validator, still liable for its slashes
+
+    /// @notice timestamp till the stake redelegated to the validator is liable for slashes of its previous validator
+    /// (delegator => validator => timestamp); this position can't be redelegated, unbonded or withdrawn until then
+    mapping(address => mapping(address => uint256)) public redelegatedUntil;
+
+    /// @notice notice period between scheduling a commission change and its taking effect
+    uint256 public commissionChangeDelay;
+
+    /// @notice maximum difference between the current and the scheduled commission (one change per notice period)
+    uint256 public maxCommissionChange;
+
+    mapping(address => CommissionChange) internal _commissionChanges; // scheduled commission change of each validator
+
+    /// @notice validators' commission bounds and maximum number of delegators per validator
+    /// (not a part of {settings}, which can't grow without shifting the storage of deployed proxies)
+    LimitSettings public limits;
+
+    /// @notice timestamp till the subsystem is paused (in the past or zero - not paused)
+    mapping(Subsystem => uint256) public pausedUntil;
+
+    /// @notice timestamp till the validator is jailed by admin (zero - not jailed);
+    /// the validator stays jailed after this time until it calls unjail or withdraws
+    mapping(address => uint256) public jailedUntil;
+
+    /// @notice validator, which has registered the block signing key (a key belongs to one validator forever)
+    mapping(address => address) public signingKeyValidator;
+
+    /// @notice current block signing key of the validator
+    mapping(address => address) public signingKeys;
+
+    /// @notice validators banned forever for double signing (stay jailed, can't return as validators)
+    mapping(address => bool) public tombstoned;
+
+    /// @notice double signing penalty settings
+    DoubleSignSettings public doubleSign;
+
+    /// @notice timestamp till the delegator's deposit for the validator made by swap contract is locked (zero - not locked);
+    /// the deposit withdrawn before it waits for this time as an unbonding entry
+    mapping(address => mapping(address => uint256)) public delegatorVestingEnd;
+
+    mapping(address => EnumerableSet.AddressSet) internal _exitedDelegators; // delegators, which have left each validator with unbonding entries there (slashed with it, count in its delegators limit)
+
+    /// @notice parts of the contract paused independently: deposits (and revives, redelegations),
+    /// claims and restakes, withdrawals (calls for withdraw, deposits, unbonding and its entries, failed transfers),
+    /// distributeRewards, slash
+    enum Subsystem {
+        Deposits,
+        Claims,
+        Withdrawals,
+        Distribution,
+        Slashing
+    }
+
+    struct ValidatorInfo {
+        uint256 amount;
+        uint256 commission;
+        uint256 lastClaim;
+        uint256 calledForWithdraw;
+        uint256 vestingEnd;
+        FixedReward fixedReward;
+        VariableReward variableReward;
+        SlashPenaltyCalculation penalty;
+        uint256 delegatedAmount;
+        uint256 stoppedDelegatedAmount;
+        uint256 delegatorsAcc;
+        EnumerableSet.AddressSet delegators;
+    }
+
+    struct ValidatorInfoView {
+        uint256 amount;
+        uint256 commission;
+        uint256 lastClaim;
+        uint256 calledForWithdraw;
+        uint256 vestingEnd;
+        FixedReward fixedReward;
+        VariableReward variableReward;
+        SlashPenaltyCalculation penalty;
+        uint256 delegatedAmount;
+        uint256 stoppedDelegatedAmount;
+        uint256 delegatorsAcc;
+        address[] delegators;
+        uint256 withdrawAvailable;
+        uint256 claimAvailable;
+        UnbondingEntry[] unbonding;
+    }
+
+    struct DelegatorInfo {
+        EnumerableSet.AddressSet validators;
+        mapping(address => DelegatorPerValidatorInfo) delegatorPerValidator;
+    }
+
+    struct DelegatorPerValidatorInfo {
+        uint256 amount;
+        uint256 storedValidatorAcc;
+        uint256 calledForWithdraw;
+        uint256 lastClaim;
+        FixedReward fixedReward;
+        VariableReward variableReward;
+    }
+
+    struct FixedReward {
+        uint256 apr;
+        uint256 lastUpdate;
+        uint256 fixedReward;
+        uint256 totalClaimed;
+    }
+
+    struct VariableReward {
+        uint256 variableReward;
+        uint256 totalClaimed;
+    }
+
+    struct GeneralSettings {
+        uint256 validatorsLimit;
+        uint256 validatorsProbationPeriod;
+        address slashReceiver;
+        RoleSettings validatorsSettings;
+        RoleSettings delegatorsSettings;
+    }
+
+    struct RoleSettings {
+        uint256 apr;
+        uint256 toSlash;
+        uint256 minimumThreshold;
+        uint256 claimCooldown;
+        uint256 withdrawCooldown;
+    }
+
+    struct LimitSettings {
+        uint256 minCommission;
+        uint256 maxCommission;
+        uint256 delegatorsPerValidator;
+    }
+
+    struct DoubleSignSettings {
+        uint256 slashPercent; // of validator's and its delegators' deposits
+        uint256 reporterShare; // percent of the validator's own slashed sum paid to the evidence reporter
+    }
+
+    /// @notice block header signed by validator's signing key:
+    /// signature of keccak256(abi.encode(chainid, height, headerHash)) as an Ethereum signed message
+    struct SignedHeader {
+        uint256 height;
+        bytes32 headerHash;
+        bytes signature;
+    }
+
+    struct TotalRewardsDistributed {
+        uint256 variableReward;
+        uint256 fixedLastUpdate;
+        uint256 fixedReward;
+    }
+
+    struct SlashPenaltyCalculation {
+        uint256 lastSlash;
+        uint256 potentialPenalty;
+    }
+
+    struct UnbondingEntry {
+        uint256 amount;
+        uint256 availableAt;
+    }
+
+    struct RedelegationEntry {
+        address delegator;
+        address validator;
+        uint256 amount;
+        uint256 liableUntil;
+    }
+
+    struct CommissionChange {
+        uint256 commission;
+        uint256 effectiveAt;
+    }
+
+    struct SlashRecord {
+        uint256 timestamp;
+        uint256 amount;
+        uint256 penalty;
+        uint256 delegatorsAmount;
+        bool calledForWithdraw;
+    }
+
+    // users events
+    event ValidatorDeposited(
+        address validator,
+        uint256 amount,
+        uint256 commission
+    );
+    event ValidatorClaimed(address validator, uint256 amount);
+    event ValidatorCalledForWithdraw(address validator);
+    event ValidatorRevived(address validator);
+    event ValidatorWithdrawed(address validator);
+    event ValidatorDelegatorsWithdrawed(
+        address validator,
+        uint256 count,
+        uint256 remaining
+    );
+    event ValidatorJailed(address validator, uint256 until, string reason);
+    event ValidatorUnjailed(address validator);
+    event SigningKeyRegistered(address validator, address key);
+    event DoubleSignReported(
+        address validator,
+        address reporter,
+        uint256 height,
+        uint256 amount,
+        uint256 reward
+    );
+
+    event DelegatorDeposited(
+        address delegator,
+        address validator,
+        uint256 amount
+    );
+    event DelegatorClaimed(
+        address delegator,
+        address validator,
+        uint256 amount
+    );
+    event DelegatorCalledForWithdraw(address delegator, address validator);
+    event DelegatorRevived(address delegator, address validator);
+    event DelegatorWithdrawed(address delegator, address validator);
+    event ValidatorUnbonded(
+        address validator,
+        uint256 amount,
+        uint256 availableAt
+    );
+    event DelegatorUnbonded(
+        address delegator,
+        address validator,
+        uint256 amount,
+        uint256 availableAt
+    );
+    event ValidatorUnbondedWithdrawed(address validator, uint256 amount);
+    event DelegatorUnbondedWithdrawed(
+        address delegator,
+        address validator,
+        uint256 amount
+    );
+    event DelegatorRedelegated(
+        address delegator,
+        address fromValidator,
+        address toValidator,
+        uint256 amount,
+        uint256 liableUntil
+    );
+    event CommissionChangeScheduled(
+        address validator,
+        uint256 commission,
+        uint256 effectiveAt
+    );
+    event CommissionChanged(
+        address validator,
+        uint256 oldCommission,
+        uint256 newCommission
+    );
+    event ValidatorSlashed(
+        address validator,
+        uint256 amount,
+        uint256 penalty,
+        uint256 delegatorsAmount,
+        bool calledForWithdraw
+    );
+    event DelegatorSlashed(
+        address delegator,
+        address validator,
+        uint256 amount,
+        bool calledForWithdraw
+    );
+    event ValidatorRewarded(
+        address validator,
+        uint256 validatorShare,
+        uint256 delegatorsShare
+    );
+    event RewardSkipped(address validator, uint256 amount);
+    event RewardsDistributed(
+        uint256 round,
+        uint256 validatorsReward,
+        uint256 delegatorsReward,
+        uint256 skipped,
+        uint256 refund
+    );
+    event TransferToDepositorFailed(address depositor, uint256 amount);
+    event UnusualDepositorClaimed(
+        address depositor,
+        address receiver,
+        uint256 amount
+    );
+
+    // admin methods events
+    event SlashReceiverChanged(address receiver);
+    event ValidatorsLimitChanged(uint256 limit);
+    event ValidatorsWithdrawCooldownChanged(uint256 cooldown);
+    event DelegatorsWithdrawCooldownChanged(uint256 cooldown);
+    event ValidatorsClaimCooldownChanged(uint256 cooldown);
+    event DelegatorsClaimCooldownChanged(uint256 cooldown);
+    event ValidatorsMinDepositChanged(uint256 minDeposit);
+    event DelegatorsMinDepositChanged(uint256 minDeposit);
+    event ValidatorsToSlashValueChanged(uint256 value);
+    event DelegatorsToSlashPercentChanged(uint256 perc);
+    event ValidatorsAPRChanged(uint256 apr);
+    event DelegatorsAPRChanged(uint256 apr);
+    event ExcessFixedRewardWithdrawed(uint256 amount);
+    event ValidatorsProbationPeriodChanged(uint256 value);
+    event CommissionChangeDelayChanged(uint256 delay);
+    event MaxCommissionChangeChanged(uint256 value);
+    event ValidatorsMinCommissionChanged(uint256 commission);
+    event ValidatorsMaxCommissionChanged(uint256 commission);
+    event DelegatorsPerValidatorLimitChanged(uint256 limit);
+    event DoubleSignSlashPercentChanged(uint256 perc);
+    event DoubleSignReporterShareChanged(uint256 perc);
+    event SubsystemPaused(Subsystem subsystem, uint256 until);
+    event SubsystemUnpaused(Subsystem subsystem);
+
+    // custom error codes
+    error ZeroAddress();
+    error DelegatorsLimit();
+    error RedelegationsLimit();
+    error UnbondingLimit();
+    error NativeTransferFailed();
+    error WrongValidatorsLength();
+    error WrongValue(uint256 value);
+    error ValidatorsOnly(address account);
+    error DelegatorsOnly(address account);
+    error Cooldown(bool forClaim, uint256 upperBond);
+    error InStoplistStatus(address account, bool stoplisted);
+    error InPause(Subsystem subsystem, uint256 until);
+    error PauseTooLong(uint256 until);
+    error Jailed(address validator, uint256 until);
+    error Tombstoned(address validator);
+    error InvalidSignature(address signer);
+    error InvalidEvidence();
+    error SelfReport(address validator);
+
+    // view methods
+
+    /** @notice view-method to get validator's earned amounts
+     * @param validator address
+     * @return fixedReward amount (apr)
+     * @return variableReward amount (from distributor)
+     */
+    function validatorEarned(
+        address validator
+    ) public view returns (uint256 fixedReward, uint256 variableReward) {
+        fixedReward =
+            _validatorInfo[validator].fixedReward.fixedReward +
+            _fixedRewardToAdd(validator);
+        variableReward = _validatorInfo[validator]
+            .variableReward
+            .variableReward;
+    }
+    /** @notice view-method to get account status
+     * @param account address
+     * @return true - if the account is a validator (even if stop-listed), else - false
+     */
+    function isValidator(address account) public view returns (bool) {
+        return (_validators.contains(account) ||
+            _stopListValidators.contains(account));
+    }
+
+    /** @notice view-method to get account status
+     * @param account address
+     * @return true - if the account is a delegator (even if stop-listed), else - false
+     */
+    function isDelegator(address account) public view returns (bool) {
+        return _delegatorInfo[account].validators.length() > 0 ? true : false;
+    }
+
+    // internal methods
+
+    function _delegatorEarnedPerValidator(
+        address delegator,
+        address validator
+    ) internal view returns (uint256 fixedReward, uint256 variableReward) {
+        DelegatorPerValidatorInfo memory info = _delegatorInfo[delegator]
+            .delegatorPerValidator[validator];
+
+        fixedReward = info.fixedReward.fixedReward;
+        variableReward = info.variableReward.variableReward;
+        if (info.amount > 0) {
+            fixedReward +=
+                (info.amount *
+                    (_rightBoarderDPV(delegator, validator) -
+                        info.fixedReward.lastUpdate) *
+                    info.fixedReward.apr) /
+                (YEAR_DURATION * PRECISION);
+            variableReward +=
+                ((_validatorInfo[validator].delegatorsAcc -
+                    info.storedValidatorAcc) * info.amount) /
+                _ACCURACY;
+        }
+    }
+
+    function _updateValidatorReward(address validator) internal {
+        _updateFixedValidatorsReward();
+
+        // calculate potential penatly
+        if (_validatorInfo[validator].penalty.lastSlash > 0) {
+            _validatorInfo[validator]
+                .penalty
+                .potentialPenalty += _fixedRewardToAdd(validator);
+        }
+
+        // store fixed reward
+        (_validatorInfo[validator].fixedReward.fixedReward, ) = validatorEarned(
+            validator
+        );
+        _validatorInfo[validator].fixedReward.lastUpdate = _rightBoarderV(
+            validator
+        );
+        _validatorInfo[validator].fixedReward.apr = settings
+            .validatorsSettings
+            .apr; // change each _update call (to keep it actual)
+    }
+
+    function _updateDelegatorRewardPerValidator(
+        address delegator,
+        address validator
+    ) internal {
+        _updateFixedDelegatorsReward();
+
+        DelegatorPerValidatorInfo storage info = _delegatorInfo[delegator]
+            .delegatorPerValidator[validator];
+
+        // store fixed & variable rewards
+        (
+            info.fixedReward.fixedReward,
+            info.variableReward.variableReward
+        ) = _delegatorEarnedPerValidator(delegator, validator);
+
+        info.fixedReward.lastUpdate = _rightBoarderDPV(delegator, validator);
+        info.fixedReward.apr = settings.delegatorsSettings.apr; // change each _update call (to keep it actual)
+        info.storedValidatorAcc = _validatorInfo[validator].delegatorsAcc;
+    }
+
+    function _depositAsDelegator(
+        address delegator,
+        uint256 amount,
+        address validator
+    ) internal {
+        if (
+            _delegatorInfo[delegator]
+                .delegatorPerValidator[validator]
+                .calledForWithdraw > 0
+        ) revert InStoplistStatus(delegator, true);
+
+        if (!_validators.contains(validator)) revert ValidatorsOnly(validator); // necessary to choose only active validator
+
+        if (!_delegatorInfo[delegator].validators.contains(validator)) {
+            // a returning delegator's entries are slashed with its deposit again
+            _exitedDelegators[validator].remove(delegator);
+            // lowered limit keeps current delegators, but doesn't let new ones in
+            if (
+                _validatorInfo[validator].delegators.length() +
+                    _exitedDelegators[validator].length() >=
+                limits.delegatorsPerValidator
+            ) revert DelegatorsLimit();
+            _delegatorInfo[delegator].validators.add(validator);
+            _validatorInfo[validator].delegators.add(delegator);
+            _delegatorInfo[delegator]
+                .delegatorPerValidator[validator]
+                .lastClaim = block.timestamp; // to keep unboarding period
+        }
+
+        // update delegator rewards before amount will be changed
+        _updateDelegatorRewardPerValidator(delegator, validator);
+
+        _delegatorInfo[delegator]
+            .delegatorPerValidator[validator]
+            .amount += amount;
+        _validatorInfo[validator].delegatedAmount += amount;
+        totalDelegatorsPool += amount;
+
+        emit DelegatorDeposited(delegator, validator, amount);
+    }
+
+    function _validatorCallForWithdraw(address sender) internal {
+        _updateValidatorReward(sender);
+
+        (uint256 amount, uint256 delegatedAmount) = (
+            _validatorInfo[sender].amount,
+            _validatorInfo[sender].delegatedAmount
+        );
+
+        _validatorInfo[sender].calledForWithdraw = block.timestamp;
+        _validators.remove(sender);
+        _stopListValidators.add(sender);
+
+        totalValidatorsPool -= amount;
+        totalDelegatorsPool -= delegatedAmount;
+        stoppedValidatorsPool += amount;
+        stoppedDelegatorsPool += delegatedAmount;
+
+        _validatorInfo[sender].stoppedDelegatedAmount += delegatedAmount;
+        delete _validatorInfo[sender].delegatedAmount;
+
+        emit ValidatorCalledForWithdraw(sender);
+    }
+
+    function _delegatorCallForWithdraw(
+        address sender,
+        address validator
+    ) internal {
+        _updateDelegatorRewardPerValidator(sender, validator);
+
+        _delegatorInfo[sender]
+            .delegatorPerValidator[validator]
+            .calledForWithdraw = block.timestamp;
+
+        if (_validatorInfo[validator].calledForWithdraw == 0) {
+            uint256 amount = _delegatorInfo[sender]
+                .delegatorPerValidator[validator]
+                .amount;
+            totalDelegatorsPool -= amount;
+            stoppedDelegatorsPool += amount;
+            _validatorInfo[validator].delegatedAmount -= amount;
+            _validatorInfo[validator].stoppedDelegatedAmount += amount;
+        }
+
+        emit DelegatorCalledForWithdraw(sender, validator);
+    }
+
+    function _reviveValidator(address validator, uint256 value) internal {
+        if (!isValidator(validator)) revert ValidatorsOnly(validator);
+        if (_validatorInfo[validator].calledForWithdraw == 0)
+            revert InStoplistStatus(validator, false);
+        if (
+            _validatorInfo[validator].amount + value <
+            settings.validatorsSettings.minimumThreshold
+        ) revert WrongValue(value);
+        if (_validators.length() >= settings.validatorsLimit)
+            revert WrongValidatorsLength();
+
+        // revive validator and his non-called for withdraw delegators
+        _validatorInfo[validator].fixedReward.lastUpdate = block.timestamp;
+        _validatorInfo[validator].fixedReward.apr = settings
+            .validatorsSettings
+            .apr;
+
+        stoppedValidatorsPool -= _validatorInfo[validator].amount;
+        _validatorInfo[validator].amount += value;
+        totalValidatorsPool += _validatorInfo[validator].amount;
+        _stopListValidators.remove(validator);
+        _validators.add(validator);
+
+        address[] memory delegators = _validatorInfo[validator]
+            .delegators
+            .values();
+        uint256 totalMigratedAmount;
+        for (uint256 i; i < delegators.length; i++) {
+            _updateDelegatorRewardPerValidator(delegators[i], validator);
+            if (
+                _delegatorInfo[delegators[i]]
+                    .delegatorPerValidator[validator]
+                    .calledForWithdraw == 0
+            ) {
+                _delegatorInfo[delegators[i]]
+                    .delegatorPerValidator[validator]
+                    .fixedReward
+                    .lastUpdate = block.timestamp;
+                totalMigratedAmount += _delegatorInfo[delegators[i]]
+                    .delegatorPerValidator[validator]
+                    .amount;
+            } else {
+                _delegatorInfo[delegators[i]]
+                    .delegatorPerValidator[validator]
+                    .fixedReward
+                    .lastUpdate = _delegatorInfo[delegators[i]]
+                    .delegatorPerValidator[validator]
+                    .calledForWithdraw;
+            }
+        }
+
+        delete _validatorInfo[validator].calledForWithdraw;
+        stoppedDelegatorsPool -= totalMigratedAmount;
+        _validatorInfo[validator]
+            .stoppedDelegatedAmount -= totalMigratedAmount;
+        totalDelegatorsPool += totalMigratedAmount;
+        _validatorInfo[validator].delegatedAmount += totalMigratedAmount;
+
+        emit ValidatorRevived(validator);
+    }
+
+    function _updateFixedValidatorsReward() internal {
+        if (_totalValidatorsRewards.fixedLastUpdate < block.timestamp) {
+            _totalValidatorsRewards.fixedReward = _fixedValidatorsReward();
+            _totalValidatorsRewards.fixedLastUpdate = block.timestamp;
+        }
+        _updateFixedDelegatorsReward();
+    }
+
+    function _updateFixedDelegatorsReward() internal {
+        if (_totalDelegatorsRewards.fixedLastUpdate < block.timestamp) {
+            _totalDelegatorsRewards.fixedReward = _fixedDelegatorsReward();
+            _totalDelegatorsRewards.fixedLastUpdate = block.timestamp;
+        }
+    }
+
+    /// @dev removes the position from both sets, its unbonding entries stay liable for the validator's slashes
+    function _leaveValidator(address delegator, address validator) internal {
+        _validatorInfo[validator].delegators.remove(delegator);
+        _delegatorInfo[delegator].validators.remove(validator);
+        if (_delegatorUnbonding[delegator][validator].length > 0)
+            _exitedDelegators[validator].add(delegator);
+    }
+
+    /// @dev adds `amount` to the last entry if it matures at the same time, otherwise appends a new entry
+    /// (reverts at MAX_UNBONDING_ENTRIES entries, if `limited`)
+    function _addUnbonding(
+        UnbondingEntry[] storage entries,
+        uint256 amount,
+        uint256 availableAt,
+        bool limited
+    ) internal {
+        uint256 len = entries.length;
+        if (len > 0 && entries[len - 1].availableAt == availableAt) {
+            entries[len - 1].amount += amount;
+            return;
+        }
+        if (limited && len >= MAX_UNBONDING_ENTRIES) revert UnbondingLimit();
+        entries.push(UnbondingEntry(amount, availableAt));
+    }
+
+    function _safeTransferETH(
+        address _to,
+        uint256 _value,
+        bool withTry
+    ) internal {
+        if (withTry) {
+            (bool success, ) = _to.call{value: _value}(new bytes(0));
+            if (!success) {
+                unusualDepositor[_to] += _value;
+                emit TransferToDepositorFailed(_to, _value);
+            }
+        } else {
+            (bool success, ) = _to.call{value: _value}(new bytes(0));
+            if (!success) revert NativeTransferFailed();
+        }
+    }
+
+    // internal view methods
+
+    function _rightBoarderV(address account) internal view returns (uint256) {
+        return
+            _validatorInfo[account].calledForWithdraw > 0
+                ? _validatorInfo[account].calledForWithdraw
+                : block.timestamp;
+    }
+
+    function _rightBoarderDPV(
+        address delegator,
+        address validator
+    ) internal view returns (uint256) {
+        uint256 calledForWithdraw = _getDelegatorCallForWithdraw(
+            delegator,
+            validator
+        );
+        if (calledForWithdraw > 0) return calledForWithdraw;
+        else return block.timestamp;
+    }
+
+    function _fixedValidatorsReward() internal view returns (uint256) {
+        return
+            _totalValidatorsRewards.fixedReward +
+            ((block.timestamp - _totalValidatorsRewards.fixedLastUpdate) *
+                totalValidatorsPool *
+                settings.validatorsSettings.apr) /
+            (PRECISION * YEAR_DURATION);
+    }
+
+    function _fixedDelegatorsReward() internal view returns (uint256) {
+        return
+            _totalDelegatorsRewards.fixedReward +
+            ((block.timestamp - _totalDelegatorsRewards.fixedLastUpdate) *
+                totalDelegatorsPool *
+                settings.delegatorsSettings.apr) /
+            (PRECISION * YEAR_DURATION);
+    }
+
+    function _fixedRewardToAdd(
+        address validator
+    ) internal view returns (uint256) {
+        return
+            ((_rightBoarderV(validator) -
+                _validatorInfo[validator].fixedReward.lastUpdate) *
+                _validatorInfo[validator].amount *
+                _validatorInfo[validator].fixedReward.apr) /
+            (YEAR_DURATION * PRECISION);
+    }
+
+    function _getDelegatorCallForWithdraw(
+        address delegator,
+        address validator
+    ) internal view returns (uint256) {
+        (uint256 validatorCall, uint256 delegatorCall) = (
+            _validatorInfo[validator].calledForWithdraw,
+            _delegatorInfo[delegator]
+                .delegatorPerValidator[validator]
+                .calledForWithdraw
+        );
+        if (delegatorCall > 0 && validatorCall > 0) {
+            return Math.min(delegatorCall, validatorCall);
+        } else if (delegatorCall > 0) {
+            return delegatorCall;
+        } else if (validatorCall > 0) {
+            return validatorCall;
+        } else return 0;
+    }
+
+    function _checkNotPaused(Subsystem subsystem) internal view {
+        if (pausedUntil[subsystem] > block.timestamp)
+            revert InPause(subsystem, pausedUntil[subsystem]);
+    }
+
+    function _slice(
+        EnumerableSet.AddressSet storage set,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (address[] memory list) {
+        uint256 len = set.length();
+        if (offset >= len) return list;
+        if (limit > len - offset) limit = len - offset;
+
+        list = new address[](limit);
+        for (uint256 i; i < limit; i++) list[i] = set.at(offset + i);
+    }
+
+    function _currentCommission(
+        address validator
+    ) internal view returns (uint256) {
+        CommissionChange memory change = _commissionChanges[validator];
+        return
+            change.effectiveAt > 0 && change.effectiveAt <= block.timestamp
+                ? change.commission
+                : _validatorInfo[validator].commission;
+    }
+}
@@ -0,0 +1,1119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./CratStakeManagerBase.sol";
+
+/// @notice admin, distributor, unbonding and redelegation methods of the stake manager;
+/// called only by {CRATStakeManager} through delegatecall (keeps the stake manager within the contract size limit)
+contract CRATStakeManagerExtension is CRATStakeManagerBase {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // admin methods
+
+    /** @notice change slash receiver address
+     * @param receiver new slash receiver address
+     * @dev only admin
+     */
+    function setSlashReceiver(
+        address receiver
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (receiver == address(0)) revert ZeroAddress();
+        settings.slashReceiver = receiver;
+        emit SlashReceiverChanged(receiver);
+    }
+
+    /** @notice change validators limit
+     * @param value new validators limit
+     * @dev only admin
+     */
+    function setValidatorsLimit(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value < _validators.length()) revert WrongValidatorsLength();
+        settings.validatorsLimit = value;
+        emit ValidatorsLimitChanged(value);
+    }
+
+    /** @notice change validators' withdraw cooldown
+     * @param value new time peroid duration
+     * @dev only admin
+     */
+    function setValidatorsWithdrawCooldown(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _cooldownCheck(value);
+        settings.validatorsSettings.withdrawCooldown = value;
+        emit ValidatorsWithdrawCooldownChanged(value);
+    }
+
+    /** @notice change delegators' withdraw cooldown
+     * @param value new time peroid duration
+     * @dev only admin
+     */
+    function setDelegatorsWithdrawCooldown(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _cooldownCheck(value);
+        settings.delegatorsSettings.withdrawCooldown = value;
+        emit DelegatorsWithdrawCooldownChanged(value);
+    }
+
+    /** @notice change validators' minimum amount to deposit
+     * @param value new minimum amount
+     * @dev only admin
+     */
+    function setValidatorsMinimum(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        settings.validatorsSettings.minimumThreshold = value;
+        emit ValidatorsMinDepositChanged(value);
+    }
+
+    /** @notice change delegators' minimum amount to deposit
+     * @param value new minimum amount
+     * @dev only admin
+     */
+    function setDelegatorsMinimum(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        settings.delegatorsSettings.minimumThreshold = value;
+        emit DelegatorsMinDepositChanged(value);
+    }
+
+    /** @notice change validators' token amount to slash (to substract from their deposit)
+     * @param value new slash token amount
+     * @dev only admin
+     */
+    function setValidatorsAmountToSlash(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        settings.validatorsSettings.toSlash = value;
+        emit ValidatorsToSlashValueChanged(value);
+    }
+
+    /** @notice change delegators' percent to slash (to substract that percent of their deposit)
+     * @param value new slash percent of the deposit
+     * @dev only admin
+     */
+    function setDelegatorsPercToSlash(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > PRECISION) revert WrongValue(value);
+        settings.delegatorsSettings.toSlash = value;
+        emit DelegatorsToSlashPercentChanged(value);
+    }
+
+    /** @notice change validators' fixed APR
+     * @param value new apr value
+     * @dev only admin
+     */
+    function setValidatorsAPR(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _updateFixedValidatorsReward();
+        settings.validatorsSettings.apr = value;
+        emit ValidatorsAPRChanged(value);
+    }
+
+    /** @notice change delegators' fixed APR
+     * @param value new apr value
+     * @dev only admin
+     */
+    function setDelegatorsAPR(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _updateFixedDelegatorsReward();
+        settings.delegatorsSettings.apr = value;
+        emit DelegatorsAPRChanged(value);
+    }
+
+    /** @notice change validators' claim cooldown
+     * @param value new time peroid duration
+     * @dev only admin
+     */
+    function setValidatorsClaimCooldown(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _cooldownCheck(value);
+        settings.validatorsSettings.claimCooldown = value;
+        emit ValidatorsClaimCooldownChanged(value);
+    }
+
+    /** @notice change delegators' claim cooldown
+     * @param value new time peroid duration
+     * @dev only admin
+     */
+    function setDelegatorsClaimCooldown(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _cooldownCheck(value);
+        settings.delegatorsSettings.claimCooldown = value;
+        emit DelegatorsClaimCooldownChanged(value);
+    }
+
+    /** @notice withdraw excess reward coins from {forFixedReward} pool
+     * @param amount token amount
+     * @dev only admin
+     */
+    function withdrawExcessFixedReward(
+        uint256 amount
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        if (forFixedReward < amount) revert WrongValue(amount);
+        forFixedReward -= amount;
+        _safeTransferETH(_msgSender(), amount, false);
+        emit ExcessFixedRewardWithdrawed(amount);
+    }
+
+    /** @notice change validators' probation period - duration in seconds between two slashing events;
+     * if second slashing happens earlier that probation period passed, validator loses his APR rewards
+     * @param value new minimum amount
+     * @dev only admin
+     */
+    function setValidatorsProbationPeriod(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        settings.validatorsProbationPeriod = value;
+        emit ValidatorsProbationPeriodChanged(value);
+    }
+
+    /** @notice change notice period between scheduling a commission change and its taking effect
+     * (already scheduled changes keep their time)
+     * @param value new time peroid duration
+     * @dev only admin
+     */
+    function setCommissionChangeDelay(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _cooldownCheck(value);
+        commissionChangeDelay = value;
+        emit CommissionChangeDelayChanged(value);
+    }
+
+    /** @notice change maximum difference between validator's current and scheduled commission
+     * @param value new maximum difference (0 - commission changes are disabled)
+     * @dev only admin
+     */
+    function setMaxCommissionChange(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > PRECISION) revert WrongValue(value);
+        maxCommissionChange = value;
+        emit MaxCommissionChangeChanged(value);
+    }
+
+    /** @notice change validators' minimum commission (current commissions of validators stay the same)
+     * @param value new minimum commission
+     * @dev only admin
+     */
+    function setValidatorsMinCommission(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > limits.maxCommission) revert WrongValue(value);
+        limits.minCommission = value;
+        emit ValidatorsMinCommissionChanged(value);
+    }
+
+    /** @notice change validators' maximum commission (current commissions of validators stay the same)
+     * @param value new maximum commission
+     * @dev only admin
+     */
+    function setValidatorsMaxCommission(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > PRECISION || value < limits.minCommission)
+            revert WrongValue(value);
+        limits.maxCommission = value;
+        emit ValidatorsMaxCommissionChanged(value);
+    }
+
+    /** @notice change maximum number of delegators per validator (current delegators stay, even if there are more of them)
+     * @param value new delegators limit
+     * @dev only admin
+     */
+    function setDelegatorsPerValidatorLimit(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value == 0) revert WrongValue(value);
+        limits.delegatorsPerValidator = value;
+        emit DelegatorsPerValidatorLimitChanged(value);
+    }
+
+    /** @notice change percent of validator's and its delegators' deposits slashed for double signing
+     * @param value new percent
+     * @dev only admin
+     */
+    function setDoubleSignSlashPercent(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > PRECISION) revert WrongValue(value);
+        doubleSign.slashPercent = value;
+        emit DoubleSignSlashPercentChanged(value);
+    }
+
+    /** @notice change percent of the validator's own double signing penalty paid to the evidence reporter (the rest goes to slash receiver)
+     * @param value new percent
+     * @dev only admin
+     */
+    function setDoubleSignReporterShare(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > PRECISION) revert WrongValue(value);
+        doubleSign.reporterShare = value;
+        emit DoubleSignReporterShareChanged(value);
+    }
+
+    /** @notice stop the validator without taking its funds: it leaves the active validators list,
+     * its and its delegators' fixed rewards stop accruing and it gets no distributed rewards;
+     * delegators can withdraw at once, the validator - not earlier than the jail ends
+     * @param validator address (active or stop-listed)
+     * @param duration of the jail in seconds (the validator can call {unjail} after it)
+     * @param reason of the jail (emitted in the event)
+     * @dev only admin
+     */
+    function jail(
+        address validator,
+        uint256 duration,
+        string calldata reason
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        if (!isValidator(validator)) revert ValidatorsOnly(validator);
+        if (jailedUntil[validator] > 0)
+            revert Jailed(validator, jailedUntil[validator]);
+        if (duration == 0) revert WrongValue(duration);
+
+        if (_validatorInfo[validator].calledForWithdraw == 0)
+            _validatorCallForWithdraw(validator);
+        jailedUntil[validator] = block.timestamp + duration;
+
+        emit ValidatorJailed(validator, block.timestamp + duration, reason);
+    }
+
+    /** @notice unpause the subsystem paused by guardian
+     * @param subsystem paused subsystem
+     * @dev only admin
+     */
+    function unpause(
+        Subsystem subsystem
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (pausedUntil[subsystem] <= block.timestamp)
+            revert WrongValue(uint256(subsystem));
+        pausedUntil[subsystem] = block.timestamp;
+        emit SubsystemUnpaused(subsystem);
+    }
+
+    // guardian methods
+
+    /** @notice pause the subsystem till admin unpauses it; withdrawals are paused for MAX_WITHDRAWALS_PAUSE at most
+     * and can't be paused again earlier than MAX_WITHDRAWALS_PAUSE after the previous pause ends
+     * @param subsystem subsystem to pause
+     * @dev only guardian
+     */
+    function pause(Subsystem subsystem) external onlyRole(GUARDIAN_ROLE) {
+        uint256 until = pausedUntil[subsystem];
+        if (subsystem == Subsystem.Withdrawals) {
+            if (until + MAX_WITHDRAWALS_PAUSE > block.timestamp)
+                revert PauseTooLong(until + MAX_WITHDRAWALS_PAUSE);
+            until = block.timestamp + MAX_WITHDRAWALS_PAUSE;
+        } else {
+            if (until > block.timestamp) revert InPause(subsystem, until);
+            until = type(uint256).max;
+        }
+
+        pausedUntil[subsystem] = until;
+        emit SubsystemPaused(subsystem, until);
+    }
+
+    // swap contract methods
+
+    /** @notice make deposit for exact user as delegator; the whole user's deposit for the validator
+     * can't be withdrawn till the vesting end (withdrawn earlier, it waits for this time as an unbonding entry)
+     * @param sender address of delegator
+     * @param validator address chosen
+     * @param vestingEnd timestamp of the vesting funds process end (the latest one is kept)
+     * @dev swap role only
+     */
+    function depositForDelegator(
+        address sender,
+        address validator,
+        uint256 vestingEnd
+    ) external payable onlyRole(SWAP_ROLE) nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
+        if (sender == address(0)) revert ZeroAddress();
+        if (vestingEnd <= block.timestamp) revert WrongValue(vestingEnd);
+
+        uint256 amount = msg.value;
+
+        if (isValidator(sender)) revert DelegatorsOnly(sender);
+        if (
+            amount == 0 ||
+            amount +
+                _delegatorInfo[sender].delegatorPerValidator[validator].amount <
+            settings.delegatorsSettings.minimumThreshold
+        ) revert WrongValue(amount);
+
+        _depositAsDelegator(sender, amount, validator);
+
+        delegatorVestingEnd[sender][validator] = Math.max(
+            delegatorVestingEnd[sender][validator],
+            vestingEnd
+        );
+    }
+
+    // distributor methods
+
+    /** @notice distribute rewards to validators (and their delegators automatically)
+     * @param validators an array of validator addresses
+     * @param amounts an array of reward amounts
+     * @dev only depositor
+     */
+    function distributeRewards(
+        address[] calldata validators,
+        uint256[] calldata amounts
+    ) external payable onlyRole(DISTRIBUTOR_ROLE) nonReentrant {
+        _checkNotPaused(Subsystem.Distribution);
+        uint256 len = validators.length;
+        if (len == 0 || amounts.length != len) revert WrongValidatorsLength();
+
+        uint256 totalReward;
+        uint256 totalValidatorsReward;
+        uint256 totalDelegatorsReward;
+        uint256 forDelegators;
+        uint256 skipped;
+
+        for (uint256 i; i < len; ++i) {
+            if (
+                isValidator(validators[i]) &&
+                jailedUntil[validators[i]] == 0 &&
+                amounts[i] > 0
+            ) {
+                // the commission in force at distribution time
+                _applyCommissionChange(validators[i]);
+                if (
+                    _validatorInfo[validators[i]].delegatedAmount +
+                        _validatorInfo[validators[i]].stoppedDelegatedAmount >
+                    0
+                ) {
+                    forDelegators =
+                        (amounts[i] *
+                            (PRECISION -
+                                _validatorInfo[validators[i]].commission)) /
+                        PRECISION;
+                    _validatorInfo[validators[i]].delegatorsAcc +=
+                        (forDelegators * _ACCURACY) /
+                        (_validatorInfo[validators[i]].delegatedAmount +
+                            _validatorInfo[validators[i]]
+                                .stoppedDelegatedAmount);
+                    totalDelegatorsReward += forDelegators;
+                }
+                _validatorInfo[validators[i]].variableReward.variableReward +=
+                    amounts[i] -
+                    forDelegators;
+                totalValidatorsReward += amounts[i] - forDelegators;
+
+                emit ValidatorRewarded(
+                    validators[i],
+                    amounts[i] - forDelegators,
+                    forDelegators
+                );
+                delete forDelegators;
+            } else {
+                // not a validator, jailed or nothing to distribute
+                ++skipped;
+                emit RewardSkipped(validators[i], amounts[i]);
+            }
+        }
+
+        totalReward = totalDelegatorsReward + totalValidatorsReward;
+
+        if (msg.value < totalReward) revert WrongValue(msg.value);
+
+        _totalValidatorsRewards.variableReward += totalValidatorsReward;
+        _totalDelegatorsRewards.variableReward += totalDelegatorsReward;
+
+        emit RewardsDistributed(
+            ++rewardsRound,
+            totalValidatorsReward,
+            totalDelegatorsReward,
+            skipped,
+            msg.value - totalReward
+        );
+
+        if (msg.value > totalReward)
+            _safeTransferETH(_msgSender(), msg.value - totalReward, false); // send excess coins back
+    }
+
+    /** @notice slash validators (and their delegators automatically)
+     * @param validators an array of validator addresses
+     * @dev only depositor
+     */
+    function slash(
+        address[] calldata validators
+    ) external onlyRole(DISTRIBUTOR_ROLE) nonReentrant {
+        _checkNotPaused(Subsystem.Slashing);
+        uint256 len = validators.length;
+        uint256 fee;
+        uint256 stake;
+        uint256 total;
+        uint256 currentTime = block.timestamp;
+        for (uint256 i; i < len; ++i) {
+            if (isValidator(validators[i])) {
+                _updateValidatorReward(validators[i]);
+
+                fee = settings.validatorsSettings.toSlash;
+                if (
+                    _validatorInfo[validators[i]].penalty.lastSlash +
+                        settings.validatorsProbationPeriod >
+                    currentTime
+                ) fee += _validatorInfo[validators[i]].penalty.potentialPenalty;
+                stake =
+                    _validatorInfo[validators[i]].amount +
+                    _pendingUnbonding(
+                        _validatorUnbonding[validators[i]],
+                        currentTime
+                    );
+                fee = stake > fee ? fee : stake;
+
+                total += _slashValidator(
+                    validators[i],
+                    fee,
+                    fee > settings.validatorsSettings.toSlash
+                        ? fee - settings.validatorsSettings.toSlash
+                        : 0,
+                    settings.delegatorsSettings.toSlash,
+                    currentTime
+                );
+            }
+        }
+
+        if (total > 0) _safeTransferETH(settings.slashReceiver, total, false);
+    }
+
+    // public methods
+
+    /** @notice register validator's block signing key (replaces the current one; signatures of the previous keys
+     * are still accepted as evidence); the key proves its possession by signing
+     * keccak256(abi.encode(chainid, stake manager address, validator)) as an Ethereum signed message
+     * @param key signing key address (can't be registered by another validator or twice)
+     * @param signature of the key
+     */
+    function registerSigningKey(
+        address key,
+        bytes calldata signature
+    ) external {
+        address sender = _msgSender();
+        if (!isValidator(sender)) revert ValidatorsOnly(sender);
+        if (tombstoned[sender]) revert Tombstoned(sender);
+        if (key == address(0)) revert ZeroAddress();
+        if (signingKeyValidator[key] != address(0))
+            revert InvalidSignature(key);
+
+        address signer = ECDSA.recover(
+            MessageHashUtils.toEthSignedMessageHash(
+                keccak256(abi.encode(block.chainid, address(this), sender))
+            ),
+            signature
+        );
+        if (signer != key) revert InvalidSignature(signer);
+
+        signingKeyValidator[key] = sender;
+        signingKeys[sender] = key;
+
+        emit SigningKeyRegistered(sender, key);
+    }
+
+    /** @notice tombstone the validator, which has signed two different headers of the same height (anyone calls):
+     * it's stop-listed and jailed forever (its delegators withdraw at once), {doubleSign} slashPercent
+     * of its and its delegators' deposits is slashed, reporterShare of the validator's own slashed sum is paid to the caller
+     * (the validator can't report itself)
+     * @param first signed header
+     * @param second conflicting signed header (same height, different hash)
+     */
+    function submitDoubleSignEvidence(
+        SignedHeader calldata first,
+        SignedHeader calldata second
+    ) external nonReentrant {
+        _checkNotPaused(Subsystem.Slashing);
+        if (
+            first.height != second.height ||
+            first.headerHash == second.headerHash
+        ) revert InvalidEvidence();
+        address key = _headerSigner(first);
+        if (key != _headerSigner(second)) revert InvalidEvidence();
+
+        address validator = signingKeyValidator[key];
+        if (!isValidator(validator)) revert ValidatorsOnly(validator);
+        if (tombstoned[validator]) revert Tombstoned(validator);
+        if (_msgSender() == validator) revert SelfReport(validator);
+
+        tombstoned[validator] = true;
+        if (_validatorInfo[validator].calledForWithdraw == 0)
+            _validatorCallForWithdraw(validator);
+        if (jailedUntil[validator] == 0) {
+            jailedUntil[validator] = block.timestamp;
+            emit ValidatorJailed(validator, block.timestamp, "double sign");
+        }
+
+        _updateValidatorReward(validator);
+        uint256 perc = doubleSign.slashPercent;
+        uint256 total = _slashValidator(
+            validator,
+            ((_validatorInfo[validator].amount +
+                _pendingUnbonding(
+                    _validatorUnbonding[validator],
+                    block.timestamp
+                )) * perc) / PRECISION,
+            0,
+            perc,
+            block.timestamp
+        );
+        // delegators' stake doesn't count, so reporting itself through another address never pays off
+        uint256 reward = (_slashHistory[validator][
+            _slashHistory[validator].length - 1
+        ].amount * doubleSign.reporterShare) / PRECISION;
+
+        emit DoubleSignReported(
+            validator,
+            _msgSender(),
+            first.height,
+            total,
+            reward
+        );
+
+        if (total > reward)
+            _safeTransferETH(settings.slashReceiver, total - reward, false);
+        if (reward > 0) _safeTransferETH(_msgSender(), reward, false);
+    }
+
+    /// @notice return to the active validators list with the delegators, which haven't left, after the jail period
+    /// (increase your deposit, if it's lower than minimum threshold after slashes)
+    function unjail() external payable nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
+        address sender = _msgSender();
+        uint256 until = jailedUntil[sender];
+        if (until == 0) revert ValidatorsOnly(sender);
+        if (until > block.timestamp) revert Jailed(sender, until);
+        if (tombstoned[sender]) revert Tombstoned(sender);
+
+        delete jailedUntil[sender];
+        _reviveValidator(sender, msg.value);
+
+        emit ValidatorUnjailed(sender);
+    }
+
+    /** @notice withdraw a part of the deposit as active validator (will be able to withdraw it after cooldown), the rest keeps earning rewards
+     * @param amount to unbond (at least MIN_UNBONDING_PART of minimum threshold, the rest of the deposit can't be lower than minimum threshold)
+     */
+    function validatorUnbond(uint256 amount) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
+        address sender = _msgSender();
+        if (!isValidator(sender)) revert ValidatorsOnly(sender);
+        if (_validatorInfo[sender].calledForWithdraw > 0)
+            revert InStoplistStatus(sender, true);
+        uint256 threshold = settings.validatorsSettings.minimumThreshold;
+        if (
+            amount == 0 ||
+            amount * PRECISION < threshold * MIN_UNBONDING_PART ||
+            _validatorInfo[sender].amount < amount + threshold
+        ) revert WrongValue(amount);
+
+        _updateValidatorReward(sender);
+
+        _validatorInfo[sender].amount -= amount;
+        totalValidatorsPool -= amount;
+        unbondingValidatorsPool += amount;
+
+        // vested funds stay locked till the vesting end
+        uint256 availableAt = Math.max(
+            block.timestamp + settings.validatorsSettings.withdrawCooldown,
+            _validatorInfo[sender].vestingEnd
+        );
+        _addUnbonding(_validatorUnbonding[sender], amount, availableAt, true);
+
+        emit ValidatorUnbonded(sender, amount, availableAt);
+    }
+
+    /** @notice withdraw a part of the deposit as active delegator for certain validator (will be able to withdraw it after cooldown), the rest keeps earning rewards
+     * @param validator address
+     * @param amount to unbond (at least MIN_UNBONDING_PART of minimum threshold, the rest of the deposit can't be lower than minimum threshold)
+     */
+    function delegatorUnbond(
+        address validator,
+        uint256 amount
+    ) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
+        address sender = _msgSender();
+        if (!_delegatorInfo[sender].validators.contains(validator))
+            revert DelegatorsOnly(sender);
+        if (_getDelegatorCallForWithdraw(sender, validator) > 0)
+            revert InStoplistStatus(sender, true);
+        if (redelegatedUntil[sender][validator] > block.timestamp)
+            revert Cooldown(false, redelegatedUntil[sender][validator]);
+
+        DelegatorPerValidatorInfo storage info = _delegatorInfo[sender]
+            .delegatorPerValidator[validator];
+        uint256 threshold = settings.delegatorsSettings.minimumThreshold;
+        if (
+            amount == 0 ||
+            amount * PRECISION < threshold * MIN_UNBONDING_PART ||
+            info.amount < amount + threshold
+        ) revert WrongValue(amount);
+
+        _updateDelegatorRewardPerValidator(sender, validator);
+
+        info.amount -= amount;
+        _validatorInfo[validator].delegatedAmount -= amount;
+        totalDelegatorsPool -= amount;
+        unbondingDelegatorsPool += amount;
+
+        // vested funds stay locked till the vesting end
+        uint256 availableAt = Math.max(
+            block.timestamp + settings.delegatorsSettings.withdrawCooldown,
+            delegatorVestingEnd[sender][validator]
+        );
+        _addUnbonding(
+            _delegatorUnbonding[sender][validator],
+            amount,
+            availableAt,
+            true
+        );
+
+        emit DelegatorUnbonded(sender, validator, amount, availableAt);
+    }
+
+    /** @notice move a part of the deposit (or the whole deposit) from one validator to another active validator, skipping the stop list;
+     * the moved stake stays liable for slashes of the previous validator during delegators' withdraw cooldown
+     * @param fromValidator current validator address
+     * @param toValidator new validator address
+     * @param amount to move (the rest of the deposit can't be lower than minimum threshold, unless it is zero)
+     */
+    function redelegate(
+        address fromValidator,
+        address toValidator,
+        uint256 amount
+    ) external nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
+        address sender = _msgSender();
+        if (!_delegatorInfo[sender].validators.contains(fromValidator))
+            revert DelegatorsOnly(sender);
+        if (_getDelegatorCallForWithdraw(sender, fromValidator) > 0)
+            revert InStoplistStatus(sender, true);
+        if (fromValidator == toValidator) revert ValidatorsOnly(toValidator);
+        if (redelegatedUntil[sender][fromValidator] > block.timestamp)
+            revert Cooldown(false, redelegatedUntil[sender][fromValidator]);
+
+        DelegatorPerValidatorInfo storage info = _delegatorInfo[sender]
+            .delegatorPerValidator[fromValidator];
+        uint256 minimum = settings.delegatorsSettings.minimumThreshold;
+        if (
+            amount < minimum ||
+            amount > info.amount ||
+            (amount < info.amount && info.amount - amount < minimum) ||
+            _delegatorInfo[sender].delegatorPerValidator[toValidator].amount +
+                amount <
+            minimum
+        ) revert WrongValue(amount);
+
+        _updateDelegatorRewardPerValidator(sender, fromValidator);
+
+        info.amount -= amount;
+        _validatorInfo[fromValidator].delegatedAmount -= amount;
+        totalDelegatorsPool -= amount;
+
+        // checks the new validator status and its delegators limit
+        _depositAsDelegator(sender, amount, toValidator);
+        // vested funds keep their lock on the new validator
+        if (delegatorVestingEnd[sender][fromValidator] > 0)
+            delegatorVestingEnd[sender][toValidator] = Math.max(
+                delegatorVestingEnd[sender][toValidator],
+                delegatorVestingEnd[sender][fromValidator]
+            );
+        if (info.amount == 0) _removeEmptyPosition(sender, fromValidator);
+
+        uint256 liableUntil = block.timestamp +
+            settings.delegatorsSettings.withdrawCooldown;
+        RedelegationEntry[] storage entries = _redelegations[fromValidator];
+        uint256 own; // sender's live entries
+        uint256 target; // index + 1 of the sender's live entry to `toValidator`
+        for (uint256 i = entries.length; i > 0; i--) {
+            if (entries[i - 1].liableUntil <= block.timestamp) {
+                // liability is over
+                if (target == entries.length) target = i;
+                entries[i - 1] = entries[entries.length - 1];
+                entries.pop();
+            } else if (entries[i - 1].delegator == sender) {
+                own++;
+                if (entries[i - 1].validator == toValidator) target = i;
+            }
+        }
+        if (target > 0) {
+            // the same destination - one entry liable till the later end
+            entries[target - 1].amount += amount;
+            liableUntil = Math.max(entries[target - 1].liableUntil, liableUntil);
+            entries[target - 1].liableUntil = liableUntil;
+        } else {
+            if (own >= MAX_REDELEGATIONS) revert RedelegationsLimit();
+            entries.push(
+                RedelegationEntry(sender, toValidator, amount, liableUntil)
+            );
+        }
+        redelegatedUntil[sender][toValidator] = Math.max(
+            redelegatedUntil[sender][toValidator],
+            liableUntil
+        );
+
+        emit DelegatorRedelegated(
+            sender,
+            fromValidator,
+            toValidator,
+            amount,
+            liableUntil
+        );
+    }
+
+    /** @notice schedule a change of the validator's commission, it takes effect after {commissionChangeDelay}
+     * (replaces the previous scheduled change, if it hasn't taken effect yet)
+     * @param commission new commission percent (within {limits}, can't differ from the current one more than {maxCommissionChange})
+     */
+    function scheduleCommissionChange(uint256 commission) external {
+        address sender = _msgSender();
+        if (!isValidator(sender)) revert ValidatorsOnly(sender);
+        if (_validatorInfo[sender].calledForWithdraw > 0)
+            revert InStoplistStatus(sender, true);
+
+        _applyCommissionChange(sender);
+
+        uint256 current = _validatorInfo[sender].commission;
+        if (
+            commission > limits.maxCommission ||
+            commission < limits.minCommission ||
+            commission == current ||
+            (
+                commission > current
+                    ? commission - current
+                    : current - commission
+            ) >
+            maxCommissionChange
+        ) revert WrongValue(commission);
+
+        uint256 effectiveAt = block.timestamp + commissionChangeDelay;
+        _commissionChanges[sender] = CommissionChange(commission, effectiveAt);
+
+        emit CommissionChangeScheduled(sender, commission, effectiveAt);
+    }
+
+    /// @notice apply validator's scheduled commission change, which notice period has passed
+    /// (distributeRewards applies it automatically)
+    function applyCommissionChange() external {
+        address sender = _msgSender();
+        if (!isValidator(sender)) revert ValidatorsOnly(sender);
+
+        uint256 effectiveAt = _commissionChanges[sender].effectiveAt;
+        if (effectiveAt == 0) revert WrongValue(0);
+        if (effectiveAt > block.timestamp) revert Cooldown(false, effectiveAt);
+
+        _applyCommissionChange(sender);
+    }
+
+    // internal methods
+
+    function _applyCommissionChange(address validator) internal {
+        CommissionChange memory change = _commissionChanges[validator];
+        if (change.effectiveAt == 0 || change.effectiveAt > block.timestamp)
+            return;
+
+        emit CommissionChanged(
+            validator,
+            _validatorInfo[validator].commission,
+            change.commission
+        );
+        _validatorInfo[validator].commission = change.commission;
+        delete _commissionChanges[validator];
+    }
+
+    /// @dev takes `fee` from the validator's deposit and pending unbonding entries (in proportion to their amounts)
+    /// and `delegatorsPerc` of its delegators' deposits, unbonding entries and the stake redelegated away from it,
+    /// records the slash
+    /// @return total sum taken from the validator and its delegators
+    function _slashValidator(
+        address validator,
+        uint256 fee,
+        uint256 penalty,
+        uint256 delegatorsPerc,
+        uint256 currentTime
+    ) internal returns (uint256 total) {
+        SlashRecord memory record = SlashRecord(
+            currentTime,
+            fee,
+            penalty,
+            0,
+            false
+        );
+
+        // unbonding stake is still liable for the validator's slashes
+        uint256 unbonding = _pendingUnbonding(
+            _validatorUnbonding[validator],
+            currentTime
+        );
+        if (unbonding > 0) {
+            unbonding = _slashUnbonding(
+                _validatorUnbonding[validator],
+                fee,
+                _validatorInfo[validator].amount + unbonding,
+                currentTime
+            );
+            unbondingValidatorsPool -= unbonding;
+            fee = Math.min(fee - unbonding, _validatorInfo[validator].amount);
+            record.amount = fee + unbonding;
+        }
+
+        _validatorInfo[validator].amount -= fee;
+        delete _validatorInfo[validator].penalty.potentialPenalty;
+        _validatorInfo[validator].penalty.lastSlash = currentTime;
+        total += record.amount;
+        address[] memory delegators = _validatorInfo[validator]
+            .delegators
+            .values();
+        if (_validatorInfo[validator].calledForWithdraw > 0) {
+            // for validator
+            stoppedValidatorsPool -= fee;
+
+            // for stopped delegators
+            fee =
+                (delegatorsPerc *
+                    _validatorInfo[validator].stoppedDelegatedAmount) /
+                PRECISION;
+            _validatorInfo[validator].stoppedDelegatedAmount -= fee;
+            stoppedDelegatorsPool -= fee;
+            record.delegatorsAmount = fee;
+        } else {
+            totalValidatorsPool -= fee;
+
+            // for validator
+            if (
+                _validatorInfo[validator].amount <
+                settings.validatorsSettings.minimumThreshold
+            ) {
+                _validatorCallForWithdraw(validator);
+                record.calledForWithdraw = true;
+
+                // for stopped delegators
+                fee =
+                    (delegatorsPerc *
+                        _validatorInfo[validator].stoppedDelegatedAmount) /
+                    PRECISION;
+                _validatorInfo[validator].stoppedDelegatedAmount -= fee;
+                stoppedDelegatorsPool -= fee;
+                record.delegatorsAmount = fee;
+            } else {
+                // for active delegators
+                fee =
+                    (delegatorsPerc *
+                        _validatorInfo[validator].delegatedAmount) /
+                    PRECISION;
+                _validatorInfo[validator].delegatedAmount -= fee;
+                totalDelegatorsPool -= fee;
+                record.delegatorsAmount = fee;
+
+                // for stopped delegators
+                fee =
+                    (delegatorsPerc *
+                        _validatorInfo[validator].stoppedDelegatedAmount) /
+                    PRECISION;
+                _validatorInfo[validator].stoppedDelegatedAmount -= fee;
+                stoppedDelegatorsPool -= fee;
+                record.delegatorsAmount += fee;
+            }
+        }
+        // stake redelegated away from this validator is still liable for its slashes
+        record.delegatorsAmount += _slashRedelegations(
+            validator,
+            delegatorsPerc,
+            currentTime
+        );
+        // and so is the stake delegators are unbonding
+        uint256[] memory unbondingFees = new uint256[](delegators.length);
+        for (uint256 i; i < delegators.length; ++i) {
+            unbondingFees[i] = _slashUnbonding(
+                _delegatorUnbonding[delegators[i]][validator],
+                delegatorsPerc,
+                PRECISION,
+                currentTime
+            );
+            unbondingDelegatorsPool -= unbondingFees[i];
+            record.delegatorsAmount += unbondingFees[i];
+        }
+        // as well as the entries of delegators, which have left the validator
+        EnumerableSet.AddressSet storage exited = _exitedDelegators[validator];
+        for (uint256 i = exited.length(); i > 0; i--) {
+            address delegator = exited.at(i - 1);
+            UnbondingEntry[] storage entries = _delegatorUnbonding[delegator][
+                validator
+            ];
+            fee = _slashUnbonding(entries, delegatorsPerc, PRECISION, currentTime);
+            unbondingDelegatorsPool -= fee;
+            record.delegatorsAmount += fee;
+            if (fee > 0) emit DelegatorSlashed(delegator, validator, fee, false);
+            // nothing is liable any more
+            if (_pendingUnbonding(entries, currentTime) == 0)
+                exited.remove(delegator);
+        }
+        total += record.delegatorsAmount;
+
+        _slashHistory[validator].push(record);
+        emit ValidatorSlashed(
+            validator,
+            record.amount,
+            record.penalty,
+            record.delegatorsAmount,
+            record.calledForWithdraw
+        );
+
+        bool called;
+        for (uint256 i; i < delegators.length; ++i) {
+            _updateDelegatorRewardPerValidator(delegators[i], validator);
+            DelegatorPerValidatorInfo storage info = _delegatorInfo[
+                delegators[i]
+            ].delegatorPerValidator[validator];
+            fee = (info.amount * delegatorsPerc) / PRECISION;
+            info.amount -= fee;
+
+            called =
+                info.amount < settings.delegatorsSettings.minimumThreshold &&
+                info.calledForWithdraw == 0;
+            if (called) _delegatorCallForWithdraw(delegators[i], validator);
+            emit DelegatorSlashed(
+                delegators[i],
+                validator,
+                fee + unbondingFees[i],
+                called
+            );
+        }
+    }
+
+    /// @return amount of the entries still in cooldown
+    function _pendingUnbonding(
+        UnbondingEntry[] storage entries,
+        uint256 currentTime
+    ) internal view returns (uint256 amount) {
+        for (uint256 i; i < entries.length; ++i)
+            if (entries[i].availableAt > currentTime)
+                amount += entries[i].amount;
+    }
+
+    /// @dev takes `numerator / denominator` of each entry still in cooldown
+    /// @return total sum taken from the entries
+    function _slashUnbonding(
+        UnbondingEntry[] storage entries,
+        uint256 numerator,
+        uint256 denominator,
+        uint256 currentTime
+    ) internal returns (uint256 total) {
+        uint256 fee;
+        for (uint256 i; i < entries.length; ++i) {
+            if (entries[i].availableAt <= currentTime) continue;
+            fee = (entries[i].amount * numerator) / denominator;
+            entries[i].amount -= fee;
+            total += fee;
+        }
+    }
+
+    function _headerSigner(
+        SignedHeader calldata header
+    ) internal view returns (address) {
+        return
+            ECDSA.recover(
+                MessageHashUtils.toEthSignedMessageHash(
+                    keccak256(
+                        abi.encode(
+                            block.chainid,
+                            header.height,
+                            header.headerHash
+                        )
+                    )
+                ),
+                header.signature
+            );
+    }
+
+    function _slashRedelegations(
+        address validator,
+        uint256 delegatorsPerc,
+        uint256 currentTime
+    ) internal returns (uint256 total) {
+        RedelegationEntry[] storage entries = _redelegations[validator];
+        uint256 fee;
+        bool called;
+        for (uint256 i = entries.length; i > 0; i--) {
+            RedelegationEntry storage entry = entries[i - 1];
+            if (entry.liableUntil <= currentTime) {
+                // liability is over
+                entries[i - 1] = entries[entries.length - 1];
+                entries.pop();
+                continue;
+            }
+
+            _updateDelegatorRewardPerValidator(
+                entry.delegator,
+                entry.validator
+            );
+            DelegatorPerValidatorInfo storage info = _delegatorInfo[
+                entry.delegator
+            ].delegatorPerValidator[entry.validator];
+
+            // the stake could be already slashed or called for withdraw on the new validator
+            fee = Math.min(
+                (entry.amount * delegatorsPerc) / PRECISION,
+                info.amount
+            );
+            entry.amount -= fee;
+            info.amount -= fee;
+            if (
+                _getDelegatorCallForWithdraw(entry.delegator, entry.validator) >
+                0
+            ) {
+                _validatorInfo[entry.validator].stoppedDelegatedAmount -= fee;
+                stoppedDelegatorsPool -= fee;
+            } else {
+                _validatorInfo[entry.validator].delegatedAmount -= fee;
+                totalDelegatorsPool -= fee;
+            }
+            total += fee;
+
+            called =
+                info.amount < settings.delegatorsSettings.minimumThreshold &&
+                info.calledForWithdraw == 0;
+            if (called)
+                _delegatorCallForWithdraw(entry.delegator, entry.validator);
+            emit DelegatorSlashed(
+                entry.delegator,
+                entry.validator,
+                fee,
+                called
+            );
+        }
+    }
+
+    /// @dev the moved out position leaves the validator like a withdrawn one, earned rewards stay claimable
+    function _removeEmptyPosition(
+        address delegator,
+        address validator
+    ) internal {
+        _leaveValidator(delegator, validator);
+        delete delegatorVestingEnd[delegator][validator];
+
+        DelegatorPerValidatorInfo storage info = _delegatorInfo[delegator]
+            .delegatorPerValidator[validator];
+        (uint256 fixedRewardToStore, uint256 variableRewardToStore) = (
+            info.fixedReward.fixedReward,
+            info.variableReward.variableReward
+        );
+        delete _delegatorInfo[delegator].delegatorPerValidator[validator];
+        info.fixedReward.fixedReward = fixedRewardToStore;
+        info.variableReward.variableReward = variableRewardToStore;
+    }
+
+    function _cooldownCheck(uint256 _value) private pure {
+        if (_value > 365 days) revert WrongValue(_value);
+    }
+}
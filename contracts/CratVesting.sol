@@ -3,28 +3,95 @@ pragma solidity 0.8.24;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@quant-finance/solidity-datetime/contracts/DateTime.sol";
+
+/// @notice CRATStakeManager methods for the swap contracts
+interface ICRATStakeManager {
+    function depositForValidator(
+        address sender,
+        uint256 commission,
+        uint256 vestingEnd
+    ) external payable;
+
+    function depositForDelegator(
+        address sender,
+        address validator,
+        uint256 vestingEnd
+    ) external payable;
+
+    function isValidator(address account) external view returns (bool);
+
+    function isDelegator(address account) external view returns (bool);
+}
 
 contract CRATVesting is AccessControl, ReentrancyGuard {
-    uint256 public constant PRECISION = 10 ** 26;
-    uint256 public constant TOTAL_SUPPLY = 300_000_000 * 10 ** 18;
+    uint256 public constant BENEFICIARY_CHANGE_DELAY = 7 days;
 
     address public initializer;
+    uint256 public totalSupply; // sum of all shedules funded in startDistribution
+    bool public linearRelease; // false - tranche unlocks at once, true - streams across its period
+    uint256 public cliff; // linear release: seconds after tranche's periodStart before it starts to unlock
 
-    uint16 private _startYear;
-    uint16 private _endYear;
-
-    address[10] private _allocators; // [early adoptors, royalties, ico, CTVG, ieo, team, staking rewards, liquidity, airdrop, manual distribution]
+    address[] private _allocators;
     mapping(address => AddressInfo) private _addressToInfo;
+    mapping(address => address) public claimDelegates; // allocator => address able to claim on its behalf
+    mapping(address => BeneficiaryChange) public beneficiaryChanges; // allocator => proposed change
+    ICRATStakeManager public stakeManager; // locked tranches are staked in it (needs its SWAP_ROLE)
+    mapping(address => uint256) public validatorLockedUntil; // allocator => the latest lock of its validator deposit
+    mapping(address => uint256) public stakeLockedUntil; // allocator => the latest lock of any its deposit
+    mapping(address => address) public claimReceivers; // allocator => address its delegate may claim to (besides the allocator)
+
+    struct Tranche {
+        uint256 periodStart; // start of the tranche's period (linear release - starts to stream)
+        uint256 amount;
+        uint256 periodEnd; // the amount is fully unlocked at this time (stepwise release - at once)
+    }
 
     struct AddressInfo {
         bool hasShedule;
         uint256 claimed;
-        uint256[8] shedule;
+        Tranche[] shedule; // sorted by periodStart
+        uint256 staked; // sum of the tranches' parts sent to the stake manager
+        mapping(uint256 => uint256) stakedTranches; // tranche index => its part sent to the stake manager
     }
 
-    event DistributionStarted(address[10] allocators);
+    struct BeneficiaryChange {
+        address beneficiary;
+        bool approvedByAdmin;
+        bool approvedByAllocator;
+        uint256 availableAt;
+    }
+
+    event DistributionStarted(
+        address[] allocators,
+        uint256 totalSupply,
+        bool linearRelease,
+        uint256 cliff
+    );
     event Claimed(address allocator, uint256 amount);
+    event SelfClaimed(
+        address allocator,
+        address sender,
+        address to,
+        uint256 amount
+    );
+    event ClaimDelegateSet(address allocator, address delegate);
+    event ClaimReceiverSet(address allocator, address receiver);
+    event BeneficiaryChangeProposed(
+        address allocator,
+        address beneficiary,
+        address sender,
+        uint256 availableAt
+    );
+    event BeneficiaryChangeCancelled(address allocator);
+    event BeneficiaryChanged(address allocator, address beneficiary);
+    event StakeManagerSet(address stakeManager);
+    event Staked(
+        address allocator,
+        address validator,
+        uint256 tranche,
+        uint256 amount,
+        uint256 lockedUntil
+    );
 
     constructor(address _admin, address _initializer) {
         require(
@@ -40,127 +107,77 @@ contract CRATVesting is AccessControl, ReentrancyGuard {
 
     /** @notice initial allocators set-up
      * @param allocators an array of receiver addresses of the allocation
-     * @dev only admin
+     * @param shedules tranches of every allocator sorted by periodStart
+     * (`msg.value` must be equal to the sum of all tranches)
+     * @param linear true - every tranche streams from its periodStart till its
+     * periodEnd, false - it unlocks at once at periodEnd
+     * @param _cliff linear release: seconds after periodStart before the tranche
+     * starts to unlock (the amount streamed during the cliff unlocks after it)
+     * @dev only initializer
      */
     function startDistribution(
-        address[10] memory allocators
+        address[] calldata allocators,
+        Tranche[][] calldata shedules,
+        bool linear,
+        uint256 _cliff
     ) external payable {
         require(initializer == _msgSender(), "CRATVesting: wrong sender");
         delete initializer;
-        
-        require(msg.value == TOTAL_SUPPLY, "CRATVesting: wrong vesting supply");
-        _startYear = 2024;
-        _endYear = 2038;
 
-        _allocators = allocators;
+        require(
+            allocators.length > 0 && allocators.length == shedules.length,
+            "CRATVesting: wrong length"
+        );
 
-        for (uint256 i; i < 10; i++) {
+        uint256 total;
+        for (uint256 i; i < allocators.length; i++) {
             require(allocators[i] != address(0), "CRATVesting: 0x00");
-            _addressToInfo[allocators[i]].hasShedule = true;
+            AddressInfo storage info = _addressToInfo[allocators[i]];
+            require(!info.hasShedule, "CRATVesting: has shedule");
+            require(shedules[i].length > 0, "CRATVesting: wrong shedule");
+            info.hasShedule = true;
+
+            for (uint256 j; j < shedules[i].length; j++) {
+                Tranche calldata tranche = shedules[i][j];
+                require(
+                    tranche.amount > 0 &&
+                        (j == 0 ||
+                            tranche.periodStart > shedules[i][j - 1].periodStart),
+                    "CRATVesting: wrong shedule"
+                );
+                require(
+                    linear
+                        ? tranche.periodEnd > tranche.periodStart &&
+                            tranche.periodEnd >= tranche.periodStart + _cliff
+                        : tranche.periodEnd >= tranche.periodStart,
+                    "CRATVesting: wrong shedule"
+                );
+                info.shedule.push(tranche);
+                total += tranche.amount;
+            }
         }
+        require(msg.value == total, "CRATVesting: wrong vesting supply");
 
-        _addressToInfo[allocators[0]].shedule = [
-            1_709000000000000000000000,
-            0,
-            0,
-            0,
-            0,
-            0,
-            0,
-            0
-        ];
-        _addressToInfo[allocators[1]].shedule = [
-            0,
-            1_000000000000000000000000,
-            3_000000000000000000000000,
-            5_119000000000000000000000,
-            3_000000000000000000000000,
-            6_291000000000000000000000,
-            4_590000000000000000000000,
-            7_000000000000000000000000
-        ];
-        _addressToInfo[allocators[2]].shedule = [
-            6_666666666666666666666666,
-            0,
-            0,
-            0,
-            0,
-            0,
-            0,
-            0
-        ];
-        _addressToInfo[allocators[3]].shedule = [
-            0,
-            200000000000000000000000,
-            700000000000000000000000,
-            600000000000000000000000,
-            2_500000000000000000000000,
-            3_900000000000000000000000,
-            500000000000000000000000,
-            1_600000000000000000000000
-        ];
-        _addressToInfo[allocators[4]].shedule = [
-            1_000000000000000000000000,
-            0,
-            0,
-            0,
-            0,
-            0,
-            0,
-            0
-        ];
-        _addressToInfo[allocators[5]].shedule = [
-            100000000000000000000000,
-            500000000000000000000000,
-            600000000000000000000000,
-            2_800000000000000000000000,
-            1_000000000000000000000000,
-            2_200000000000000000000000,
-            1_300000000000000000000000,
-            1_500000000000000000000000
-        ];
-        _addressToInfo[allocators[6]].shedule = [
-            274333333333333333333333,
-            1_000000000000000000000000,
-            2_000000000000000000000000,
-            3_000000000000000000000000,
-            3_000000000000000000000000,
-            3_692300000000000000000000,
-            2_000000000000000000000000,
-            3_033400000000000000000000
-        ];
-        _addressToInfo[allocators[7]].shedule = [
-            0,
-            200000000000000000000000,
-            400000000000000000000000,
-            2_500000000000000000000000,
-            1_900000000000000000000000,
-            1_500000000000000000000000,
-            2_000000000000000000000000,
-            1_500000000000000000000000
-        ];
-        _addressToInfo[allocators[8]].shedule = [
-            250000000000000000000000,
-            0,
-            0,
-            0,
-            0,
-            0,
-            0,
-            0
-        ];
-        _addressToInfo[allocators[9]].shedule = [
-            0,
-            1_100000000000000000000000,
-            1_900000000000000000000000,
-            1_781000000000000000000000,
-            1_200000000000000000000000,
-            1_916700000000000000000000,
-            1_410000000000000000000000,
-            3_066600000000000000000000
-        ];
-
-        emit DistributionStarted(allocators);
+        totalSupply = total;
+        linearRelease = linear;
+        cliff = _cliff;
+        _allocators = allocators;
+
+        emit DistributionStarted(allocators, total, linear, _cliff);
+    }
+
+    /** @notice set the stake manager, which allocators stake their locked
+     * tranches in (this contract needs its SWAP_ROLE)
+     * @param _stakeManager CRATStakeManager address
+     * @dev only admin
+     */
+    function setStakeManager(
+        address _stakeManager
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_stakeManager != address(0), "CRATVesting: 0x00");
+        stakeManager = ICRATStakeManager(_stakeManager);
+
+        emit StakeManagerSet(_stakeManager);
     }
 
     /** @notice partially claim available tokens
@@ -177,7 +194,9 @@ contract CRATVesting is AccessControl, ReentrancyGuard {
             totalPending >= amount && amount > 0,
             "CRATVesting: wrong amount"
         );
-        _claim(to, amount);
+        _claim(to, to, amount);
+
+        emit Claimed(to, amount);
     }
 
     /** @notice claim all available tokens
@@ -189,43 +208,288 @@ contract CRATVesting is AccessControl, ReentrancyGuard {
     ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
         uint256 totalPending = pending(to);
         require(totalPending > 0, "CRATVesting: nothing to claim");
-        _claim(to, totalPending);
+        _claim(to, to, totalPending);
+
+        emit Claimed(to, totalPending);
+    }
+
+    // allocator methods
+
+    /** @notice set an address able to claim allocator's tokens on its behalf
+     * @param delegate delegate address (zero address - no delegate)
+     * @dev only allocator
+     */
+    function setClaimDelegate(address delegate) external {
+        require(
+            _addressToInfo[_msgSender()].hasShedule,
+            "CRATVesting: not allocator"
+        );
+        claimDelegates[_msgSender()] = delegate;
+
+        emit ClaimDelegateSet(_msgSender(), delegate);
+    }
+
+    /** @notice set an address the claim delegate is able to send allocator's tokens to (besides the allocator itself)
+     * @param receiver receiver address (zero address - only the allocator)
+     * @dev only allocator
+     */
+    function setClaimReceiver(address receiver) external {
+        require(
+            _addressToInfo[_msgSender()].hasShedule,
+            "CRATVesting: not allocator"
+        );
+        claimReceivers[_msgSender()] = receiver;
+
+        emit ClaimReceiverSet(_msgSender(), receiver);
+    }
+
+    /** @notice partially claim available tokens of the allocator
+     * @param allocator allocation address
+     * @param to receiver address (for the delegate - the allocator or its claim receiver)
+     * @param amount token amount
+     * @dev only allocator or its delegate
+     */
+    function selfClaim(
+        address allocator,
+        address to,
+        uint256 amount
+    ) external nonReentrant {
+        _checkBeneficiary(allocator, to);
+        uint256 totalPending = pending(allocator);
+        require(
+            totalPending >= amount && amount > 0,
+            "CRATVesting: wrong amount"
+        );
+        _claim(allocator, to, amount);
+
+        emit SelfClaimed(allocator, _msgSender(), to, amount);
+    }
+
+    /** @notice claim all available tokens of the allocator
+     * @param allocator allocation address
+     * @param to receiver address (for the delegate - the allocator or its claim receiver)
+     * @dev only allocator or its delegate
+     */
+    function selfClaimAll(
+        address allocator,
+        address to
+    ) external nonReentrant {
+        _checkBeneficiary(allocator, to);
+        uint256 totalPending = pending(allocator);
+        require(totalPending > 0, "CRATVesting: nothing to claim");
+        _claim(allocator, to, totalPending);
+
+        emit SelfClaimed(allocator, _msgSender(), to, totalPending);
+    }
+
+    /** @notice stake a part of the locked tranche in the stake manager as
+     * validator; the stake manager keeps allocator's validator deposit locked
+     * till the latest release of the tranches staked this way, then pays it
+     * (and the rewards) to the allocator
+     * @param tranche index of the tranche in allocator's shedule
+     * @param amount token amount (is excluded from the tranche's release)
+     * @param commission percent that validator will take from variable rewards
+     * @dev only allocator
+     */
+    function stakeAsValidator(
+        uint256 tranche,
+        uint256 amount,
+        uint256 commission
+    ) external nonReentrant {
+        address allocator = _msgSender();
+        uint256 lockedUntil = _stake(allocator, tranche, amount);
+        // the stake manager keeps validator's latest vesting end
+        if (validatorLockedUntil[allocator] > lockedUntil)
+            lockedUntil = validatorLockedUntil[allocator];
+        else validatorLockedUntil[allocator] = lockedUntil;
+
+        stakeManager.depositForValidator{value: amount}(
+            allocator,
+            commission,
+            lockedUntil
+        );
+
+        emit Staked(allocator, allocator, tranche, amount, lockedUntil);
+    }
+
+    /** @notice stake a part of the locked tranche in the stake manager as
+     * delegator; the stake manager keeps allocator's deposit for the validator
+     * locked till the tranche's release, then pays it (and the rewards)
+     * to the allocator
+     * @param tranche index of the tranche in allocator's shedule
+     * @param amount token amount (is excluded from the tranche's release)
+     * @param validator address chosen
+     * @dev only allocator
+     */
+    function stakeAsDelegator(
+        uint256 tranche,
+        uint256 amount,
+        address validator
+    ) external nonReentrant {
+        address allocator = _msgSender();
+        uint256 lockedUntil = _stake(allocator, tranche, amount);
+
+        stakeManager.depositForDelegator{value: amount}(
+            allocator,
+            validator,
+            lockedUntil
+        );
+
+        emit Staked(allocator, validator, tranche, amount, lockedUntil);
+    }
+
+    // beneficiary change methods
+
+    /** @notice propose to move allocator's shedule to a new address; the change
+     * is approved, when both admin and allocator proposed the same address,
+     * and can be accepted BENEFICIARY_CHANGE_DELAY after that (not while the
+     * allocator has a position or locked deposit in the stake manager)
+     * @param allocator current allocation address
+     * @param beneficiary new allocation address
+     * @dev only admin or allocator
+     */
+    function proposeBeneficiaryChange(
+        address allocator,
+        address beneficiary
+    ) external {
+        require(
+            _addressToInfo[allocator].hasShedule,
+            "CRATVesting: not allocator"
+        );
+        bool isAdmin = hasRole(DEFAULT_ADMIN_ROLE, _msgSender());
+        require(
+            isAdmin || _msgSender() == allocator,
+            "CRATVesting: not admin or allocator"
+        );
+        require(beneficiary != address(0), "CRATVesting: 0x00");
+        require(
+            !_addressToInfo[beneficiary].hasShedule,
+            "CRATVesting: has shedule"
+        );
+        _checkNoStake(allocator);
+
+        BeneficiaryChange storage change = beneficiaryChanges[allocator];
+        if (change.beneficiary != beneficiary) {
+            delete beneficiaryChanges[allocator];
+            change.beneficiary = beneficiary;
+        }
+        if (isAdmin) change.approvedByAdmin = true;
+        if (_msgSender() == allocator) change.approvedByAllocator = true;
+        if (
+            change.approvedByAdmin &&
+            change.approvedByAllocator &&
+            change.availableAt == 0
+        ) change.availableAt = block.timestamp + BENEFICIARY_CHANGE_DELAY;
+
+        emit BeneficiaryChangeProposed(
+            allocator,
+            beneficiary,
+            _msgSender(),
+            change.availableAt
+        );
+    }
+
+    /** @notice cancel proposed beneficiary change
+     * @param allocator current allocation address
+     * @dev only admin or allocator
+     */
+    function cancelBeneficiaryChange(address allocator) external {
+        require(
+            hasRole(DEFAULT_ADMIN_ROLE, _msgSender()) ||
+                _msgSender() == allocator,
+            "CRATVesting: not admin or allocator"
+        );
+        require(
+            beneficiaryChanges[allocator].beneficiary != address(0),
+            "CRATVesting: no change"
+        );
+        delete beneficiaryChanges[allocator];
+
+        emit BeneficiaryChangeCancelled(allocator);
+    }
+
+    /** @notice move allocator's shedule, claimed and staked amounts and place in
+     * allocation addresses to the new beneficiary (allocator's claim delegate is
+     * removed; allocator must withdraw its stake manager position first)
+     * @param allocator current allocation address
+     * @dev only new beneficiary after the approved change delay
+     */
+    function acceptBeneficiaryChange(address allocator) external {
+        BeneficiaryChange memory change = beneficiaryChanges[allocator];
+        require(
+            change.beneficiary == _msgSender() &&
+                change.approvedByAdmin &&
+                change.approvedByAllocator,
+            "CRATVesting: no change"
+        );
+        require(block.timestamp >= change.availableAt, "CRATVesting: timelock");
+        require(
+            !_addressToInfo[change.beneficiary].hasShedule,
+            "CRATVesting: has shedule"
+        );
+        _checkNoStake(allocator);
+
+        AddressInfo storage info = _addressToInfo[allocator];
+        AddressInfo storage moved = _addressToInfo[change.beneficiary];
+        moved.hasShedule = true;
+        moved.claimed = info.claimed;
+        moved.staked = info.staked;
+        for (uint256 i; i < info.shedule.length; i++) {
+            moved.shedule.push(info.shedule[i]);
+            moved.stakedTranches[i] = info.stakedTranches[i];
+            delete info.stakedTranches[i];
+        }
+        delete _addressToInfo[allocator];
+        delete claimDelegates[allocator];
+        delete claimReceivers[allocator];
+        delete beneficiaryChanges[allocator];
+        for (uint256 i; i < _allocators.length; i++) {
+            if (_allocators[i] == allocator) {
+                _allocators[i] = change.beneficiary;
+                break;
+            }
+        }
+
+        emit BeneficiaryChanged(allocator, change.beneficiary);
     }
 
     // view methods
 
     /** @notice view-method to get amount of available tokens for user
+     * (staked parts of the tranches aren't released)
      * @param user address
      * @return unlocked token amount
      */
     function pending(address user) public view returns (uint256 unlocked) {
-        if (_startYear == 0 || !_addressToInfo[user].hasShedule) return 0;
-
-        uint256 currentYear = DateTime.getYear(block.timestamp);
-        currentYear = currentYear > _endYear ? _endYear : currentYear;
-        uint256 indexTill = (currentYear - _startYear) / 2;
-        uint256 perc;
-        for (uint256 i; i <= indexTill; i++) {
-            perc += _addressToInfo[user].shedule[i];
+        AddressInfo storage info = _addressToInfo[user];
+        uint256 delay = linearRelease ? cliff : 0;
+        for (uint256 i; i < info.shedule.length; i++) {
+            Tranche storage tranche = info.shedule[i];
+            if (tranche.periodStart + delay > block.timestamp) break;
+            uint256 amount = tranche.amount - info.stakedTranches[i];
+            if (tranche.periodEnd <= block.timestamp) {
+                unlocked += amount;
+            } else if (linearRelease) {
+                unlocked +=
+                    (amount * (block.timestamp - tranche.periodStart)) /
+                    (tranche.periodEnd - tranche.periodStart);
+            }
         }
-        unlocked =
-            (perc * TOTAL_SUPPLY) /
-            PRECISION -
-            _addressToInfo[user].claimed;
+        unlocked -= info.claimed;
     }
 
     /** @notice view-method to get user's shedule
      * @param account address
      * @return hasShedule true - has shedule, else - false
      * @return claimed already claimed token amount
-     * @return shedule an array of percents
+     * @return shedule an array of tranches (periodStart, amount and periodEnd)
      */
     function getAddressInfo(
         address account
     )
         external
         view
-        returns (bool hasShedule, uint256 claimed, uint256[8] memory shedule)
+        returns (bool hasShedule, uint256 claimed, Tranche[] memory shedule)
     {
         return (
             _addressToInfo[account].hasShedule,
@@ -234,23 +498,98 @@ contract CRATVesting is AccessControl, ReentrancyGuard {
         );
     }
 
+    /** @notice view-method to get user's tranches parts sent to the stake manager
+     * @param account address
+     * @return staked total staked token amount
+     * @return tranches staked amount of every tranche of the shedule
+     */
+    function getStaked(
+        address account
+    ) external view returns (uint256 staked, uint256[] memory tranches) {
+        AddressInfo storage info = _addressToInfo[account];
+        tranches = new uint256[](info.shedule.length);
+        for (uint256 i; i < tranches.length; i++) {
+            tranches[i] = info.stakedTranches[i];
+        }
+        return (info.staked, tranches);
+    }
+
     /** @notice view-method to get an array of allocation receivers' addresses
      */
     function getAllocationAddresses()
         external
         view
-        returns (address[10] memory)
+        returns (address[] memory)
     {
         return _allocators;
     }
 
     // internal methods
 
-    function _claim(address to, uint256 amount) internal {
-        _addressToInfo[to].claimed += amount;
+    function _claim(address allocator, address to, uint256 amount) internal {
+        _addressToInfo[allocator].claimed += amount;
         _safeTransferETH(to, amount);
+    }
 
-        emit Claimed(to, amount);
+    /// @dev takes the amount out of the locked tranche's release
+    /// @return lockedUntil time of the tranche's full release
+    function _stake(
+        address allocator,
+        uint256 index,
+        uint256 amount
+    ) internal returns (uint256 lockedUntil) {
+        require(
+            address(stakeManager) != address(0),
+            "CRATVesting: no stake manager"
+        );
+        AddressInfo storage info = _addressToInfo[allocator];
+        require(info.hasShedule, "CRATVesting: not allocator");
+        require(index < info.shedule.length, "CRATVesting: wrong tranche");
+        Tranche storage tranche = info.shedule[index];
+        require(
+            (linearRelease ? tranche.periodStart : tranche.periodEnd) >
+                block.timestamp,
+            "CRATVesting: tranche unlocked"
+        );
+        require(
+            amount > 0 &&
+                info.stakedTranches[index] + amount <= tranche.amount,
+            "CRATVesting: wrong amount"
+        );
+
+        info.stakedTranches[index] += amount;
+        info.staked += amount;
+        lockedUntil = tranche.periodEnd;
+        if (lockedUntil > stakeLockedUntil[allocator])
+            stakeLockedUntil[allocator] = lockedUntil;
+    }
+
+    /// @dev locked deposits may wait in the stake manager's unbonding entries
+    /// after their position is closed
+    function _checkNoStake(address allocator) internal view {
+        if (address(stakeManager) == address(0)) return;
+        require(
+            stakeLockedUntil[allocator] <= block.timestamp &&
+                !stakeManager.isValidator(allocator) &&
+                !stakeManager.isDelegator(allocator),
+            "CRATVesting: has stake"
+        );
+    }
+
+    function _checkBeneficiary(address allocator, address to) internal view {
+        require(to != address(0), "CRATVesting: 0x00");
+        require(
+            _msgSender() == allocator ||
+                _msgSender() == claimDelegates[allocator],
+            "CRATVesting: not beneficiary"
+        );
+        // delegate can't send the coins elsewhere
+        require(
+            _msgSender() == allocator ||
+                to == allocator ||
+                to == claimReceivers[allocator],
+            "CRATVesting: wrong receiver"
+        );
     }
 
     function _safeTransferETH(address _to, uint256 _value) internal {
@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+
+// storage-incompatible version of the stake manager (new field inserted in the middle of ValidatorInfo)
+contract CRATStakeManagerBrokenLayoutMock is
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable
+{
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    GeneralSettings public settings;
+    uint256 public totalValidatorsPool;
+    uint256 public totalDelegatorsPool;
+    uint256 public stoppedValidatorsPool;
+    uint256 public stoppedDelegatorsPool;
+    uint256 public forFixedReward;
+    mapping(address => uint256) public unusualDepositor;
+
+    TotalRewardsDistributed private _totalValidatorsRewards;
+    TotalRewardsDistributed private _totalDelegatorsRewards;
+
+    EnumerableSet.AddressSet private _validators;
+    EnumerableSet.AddressSet private _stopListValidators;
+
+    mapping(address => ValidatorInfo) private _validatorInfo;
+    mapping(address => DelegatorInfo) private _delegatorInfo;
+
+    struct ValidatorInfo {
+        uint256 amount;
+        uint256 commission;
+        uint256 pendingCommission;
+        uint256 lastClaim;
+        uint256 calledForWithdraw;
+        uint256 vestingEnd;
+        FixedReward fixedReward;
+        VariableReward variableReward;
+        SlashPenaltyCalculation penalty;
+        uint256 delegatedAmount;
+        uint256 stoppedDelegatedAmount;
+        uint256 delegatorsAcc;
+        EnumerableSet.AddressSet delegators;
+    }
+
+    struct DelegatorInfo {
+        EnumerableSet.AddressSet validators;
+        mapping(address => DelegatorPerValidatorInfo) delegatorPerValidator;
+    }
+
+    struct DelegatorPerValidatorInfo {
+        uint256 amount;
+        uint256 storedValidatorAcc;
+        uint256 calledForWithdraw;
+        uint256 lastClaim;
+        FixedReward fixedReward;
+        VariableReward variableReward;
+    }
+
+    struct FixedReward {
+        uint256 apr;
+        uint256 lastUpdate;
+        uint256 fixedReward;
+        uint256 totalClaimed;
+    }
+
+    struct VariableReward {
+        uint256 variableReward;
+        uint256 totalClaimed;
+    }
+
+    struct GeneralSettings {
+        uint256 validatorsLimit;
+        uint256 validatorsProbationPeriod;
+        address slashReceiver;
+        RoleSettings validatorsSettings;
+        RoleSettings delegatorsSettings;
+    }
+
+    struct RoleSettings {
+        uint256 apr;
+        uint256 toSlash;
+        uint256 minimumThreshold;
+        uint256 claimCooldown;
+        uint256 withdrawCooldown;
+    }
+
+    struct TotalRewardsDistributed {
+        uint256 variableReward;
+        uint256 fixedLastUpdate;
+        uint256 fixedReward;
+    }
+
+    struct SlashPenaltyCalculation {
+        uint256 lastSlash;
+        uint256 potentialPenalty;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize() public initializer {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+    }
+}
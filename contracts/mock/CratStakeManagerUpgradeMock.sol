@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "../CratStakeManager.sol";
+
+// storage-compatible next version of the stake manager (new variable appended after the existing ones)
+contract CRATStakeManagerUpgradeMock is CRATStakeManager {
+    uint256 public upgradeVersion;
+
+    function setUpgradeVersion(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        upgradeVersion = value;
+    }
+}
@@ -6,7 +6,9 @@ import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 
-contract CRATStakeManagerTest is
+/// @notice storage layout, events, errors and shared internal logic of the stake manager:
+/// inherited by {CRATStakeManagerTest} and by {CRATStakeManagerTestExtension}, which works with the stake manager storage through delegatecall
+abstract contract CRATStakeManagerTestBase is
     AccessControlUpgradeable,
     ReentrancyGuardUpgradeable
 {
@@ -18,13 +20,28 @@ contract CRATStakeManagerTest is
     /// @notice value of the swap contract role
     bytes32 public constant SWAP_ROLE = keccak256("SWAP_ROLE");
 
+    /// @notice value of the guardian role (pauses subsystems of the contract)
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
     /// @notice denominator for percent calculations
     uint256 public constant PRECISION = 100_00;
 
     /// @notice year duration in seconds
     uint256 public constant YEAR_DURATION = 365 days;
 
-    uint256 private constant _ACCURACY = 10 ** 18;
+    uint256 internal constant _ACCURACY = 10 ** 18;
+
+    /// @notice maximum duration of the withdrawals pause (and minimum time between two such pauses)
+    uint256 public constant MAX_WITHDRAWALS_PAUSE = 7 days;
+
+    /// @notice maximum number of live redelegation entries of a delegator per source validator (all of them are walked by slash)
+    uint256 public constant MAX_REDELEGATIONS = 10;
+
+    /// @notice maximum number of unbonding entries of a validator or of a delegator's position (all of them are walked by slash)
+    uint256 public constant MAX_UNBONDING_ENTRIES = 10;
+
+    /// @notice minimum unbonding amount, in PRECISION parts of the role's minimum threshold
+    uint256 public constant MIN_UNBONDING_PART = 10_00;
 
     /// @notice global contract settings
     GeneralSettings public settings;
@@ -50,14 +67,83 @@ contract CRATStakeManagerTest is
 
     uint256 public testTime;
 
-    TotalRewardsDistributed private _totalValidatorsRewards;
-    TotalRewardsDistributed private _totalDelegatorsRewards;
+    TotalRewardsDistributed internal _totalValidatorsRewards;
+    TotalRewardsDistributed internal _totalDelegatorsRewards;
+
+    EnumerableSet.AddressSet internal _validators; // list of all active validators
+    EnumerableSet.AddressSet internal _stopListValidators; // waiting pool before `withdrawAsValidator`
+
+    mapping(address => ValidatorInfo) internal _validatorInfo; // all info for each validator
+    mapping(address => DelegatorInfo) internal _delegatorInfo; // all info for each delegator
+
+    mapping(address => SlashRecord[]) internal _slashHistory; // all slashes of each validator
+
+    /// @notice id of the last rewards distribution round (increases with every distributeRewards call)
+    uint256 public rewardsRound;
+
+    /// @notice sum of validators' deposits waiting in unbonding entries
+    uint256 public unbondingValidatorsPool;
+
+    /// @notice sum of delegators' deposits waiting in unbonding entries
+    uint256 public unbondingDelegatorsPool;
+
+    mapping(address => UnbondingEntry[]) internal _validatorUnbonding; // partial withdrawals of each validator
+    mapping(address => mapping(address => UnbondingEntry[]))
+        internal _delegatorUnbonding; // partial withdrawals of each delegator per validator
+
+    mapping(address => RedelegationEntry[]) internal _redelegations; // stake moved away from each validator, still liable for its slashes
+
+    /// @notice timestamp till the stake redelegated to the validator is liable for slashes of its previous validator
+    /// (delegator => validator => timestamp); this position can't be redelegated, unbonded or withdrawn until then
+    mapping(address => mapping(address => uint256)) public redelegatedUntil;
+
+    /// @notice notice period between scheduling a commission change and its taking effect
+    uint256 public commissionChangeDelay;
+
+    /// @notice maximum difference between the current and the scheduled commission (one change per notice period)
+    uint256 public maxCommissionChange;
 
-    EnumerableSet.AddressSet private _validators; // list of all active validators
-    EnumerableSet.AddressSet private _stopListValidators; // waiting pool before `withdrawAsValidator`
+    mapping(address => CommissionChange) internal _commissionChanges; // scheduled commission change of each validator
 
-    mapping(address => ValidatorInfo) private _validatorInfo; // all info for each validator
-    mapping(address => DelegatorInfo) private _delegatorInfo; // all info for each delegator
+    /// @notice validators' commission bounds and maximum number of delegators per validator
+    /// (not a part of {settings}, which can't grow without shifting the storage of deployed proxies)
+    LimitSettings public limits;
+
+    /// @notice timestamp till the subsystem is paused (in the past or zero - not paused)
+    mapping(Subsystem => uint256) public pausedUntil;
+
+    /// @notice timestamp till the validator is jailed by admin (zero - not jailed);
+    /// the validator stays jailed after this time until it calls unjail or withdraws
+    mapping(address => uint256) public jailedUntil;
+
+    /// @notice validator, which has registered the block signing key (a key belongs to one validator forever)
+    mapping(address => address) public signingKeyValidator;
+
+    /// @notice current block signing key of the validator
+    mapping(address => address) public signingKeys;
+
+    /// @notice validators banned forever for double signing (stay jailed, can't return as validators)
+    mapping(address => bool) public tombstoned;
+
+    /// @notice double signing penalty settings
+    DoubleSignSettings public doubleSign;
+
+    /// @notice timestamp till the delegator's deposit for the validator made by swap contract is locked (zero - not locked);
+    /// the deposit withdrawn before it waits for this time as an unbonding entry
+    mapping(address => mapping(address => uint256)) public delegatorVestingEnd;
+
+    mapping(address => EnumerableSet.AddressSet) internal _exitedDelegators; // delegators, which have left each validator with unbonding entries there (slashed with it, count in its delegators limit)
+
+    /// @notice parts of the contract paused independently: deposits (and revives, redelegations),
+    /// claims and restakes, withdrawals (calls for withdraw, deposits, unbonding and its entries, failed transfers),
+    /// distributeRewards, slash
+    enum Subsystem {
+        Deposits,
+        Claims,
+        Withdrawals,
+        Distribution,
+        Slashing
+    }
 
     struct ValidatorInfo {
         uint256 amount;
@@ -89,6 +175,7 @@ contract CRATStakeManagerTest is
         address[] delegators;
         uint256 withdrawAvailable;
         uint256 claimAvailable;
+        UnbondingEntry[] unbonding;
     }
 
     struct DelegatorInfo {
@@ -133,6 +220,25 @@ contract CRATStakeManagerTest is
         uint256 withdrawCooldown;
     }
 
+    struct LimitSettings {
+        uint256 minCommission;
+        uint256 maxCommission;
+        uint256 delegatorsPerValidator;
+    }
+
+    struct DoubleSignSettings {
+        uint256 slashPercent; // of validator's and its delegators' deposits
+        uint256 reporterShare; // percent of the validator's own slashed sum paid to the evidence reporter
+    }
+
+    /// @notice block header signed by validator's signing key:
+    /// signature of keccak256(abi.encode(chainid, height, headerHash)) as an Ethereum signed message
+    struct SignedHeader {
+        uint256 height;
+        bytes32 headerHash;
+        bytes signature;
+    }
+
     struct TotalRewardsDistributed {
         uint256 variableReward;
         uint256 fixedLastUpdate;
@@ -144,6 +250,31 @@ contract CRATStakeManagerTest is
         uint256 potentialPenalty;
     }
 
+    struct UnbondingEntry {
+        uint256 amount;
+        uint256 availableAt;
+    }
+
+    struct RedelegationEntry {
+        address delegator;
+        address validator;
+        uint256 amount;
+        uint256 liableUntil;
+    }
+
+    struct CommissionChange {
+        uint256 commission;
+        uint256 effectiveAt;
+    }
+
+    struct SlashRecord {
+        uint256 timestamp;
+        uint256 amount;
+        uint256 penalty;
+        uint256 delegatorsAmount;
+        bool calledForWithdraw;
+    }
+
     // users events
     event ValidatorDeposited(
         address validator,
@@ -154,6 +285,21 @@ contract CRATStakeManagerTest is
     event ValidatorCalledForWithdraw(address validator);
     event ValidatorRevived(address validator);
     event ValidatorWithdrawed(address validator);
+    event ValidatorDelegatorsWithdrawed(
+        address validator,
+        uint256 count,
+        uint256 remaining
+    );
+    event ValidatorJailed(address validator, uint256 until, string reason);
+    event ValidatorUnjailed(address validator);
+    event SigningKeyRegistered(address validator, address key);
+    event DoubleSignReported(
+        address validator,
+        address reporter,
+        uint256 height,
+        uint256 amount,
+        uint256 reward
+    );
 
     event DelegatorDeposited(
         address delegator,
@@ -168,6 +314,66 @@ contract CRATStakeManagerTest is
     event DelegatorCalledForWithdraw(address delegator, address validator);
     event DelegatorRevived(address delegator, address validator);
     event DelegatorWithdrawed(address delegator, address validator);
+    event ValidatorUnbonded(
+        address validator,
+        uint256 amount,
+        uint256 availableAt
+    );
+    event DelegatorUnbonded(
+        address delegator,
+        address validator,
+        uint256 amount,
+        uint256 availableAt
+    );
+    event ValidatorUnbondedWithdrawed(address validator, uint256 amount);
+    event DelegatorUnbondedWithdrawed(
+        address delegator,
+        address validator,
+        uint256 amount
+    );
+    event DelegatorRedelegated(
+        address delegator,
+        address fromValidator,
+        address toValidator,
+        uint256 amount,
+        uint256 liableUntil
+    );
+    event CommissionChangeScheduled(
+        address validator,
+        uint256 commission,
+        uint256 effectiveAt
+    );
+    event CommissionChanged(
+        address validator,
+        uint256 oldCommission,
+        uint256 newCommission
+    );
+    event ValidatorSlashed(
+        address validator,
+        uint256 amount,
+        uint256 penalty,
+        uint256 delegatorsAmount,
+        bool calledForWithdraw
+    );
+    event DelegatorSlashed(
+        address delegator,
+        address validator,
+        uint256 amount,
+        bool calledForWithdraw
+    );
+    event ValidatorRewarded(
+        address validator,
+        uint256 validatorShare,
+        uint256 delegatorsShare
+    );
+    event RewardSkipped(address validator, uint256 amount);
+    event RewardsDistributed(
+        uint256 round,
+        uint256 validatorsReward,
+        uint256 delegatorsReward,
+        uint256 skipped,
+        uint256 refund
+    );
     event TransferToDepositorFailed(address depositor, uint256 amount);
     event UnusualDepositorClaimed(
         address depositor,
@@ -190,10 +396,21 @@ contract CRATStakeManagerTest is
     event DelegatorsAPRChanged(uint256 apr);
     event ExcessFixedRewardWithdrawed(uint256 amount);
     event ValidatorsProbationPeriodChanged(uint256 value);
+    event CommissionChangeDelayChanged(uint256 delay);
+    event MaxCommissionChangeChanged(uint256 value);
+    event ValidatorsMinCommissionChanged(uint256 commission);
+    event ValidatorsMaxCommissionChanged(uint256 commission);
+    event DelegatorsPerValidatorLimitChanged(uint256 limit);
+    event DoubleSignSlashPercentChanged(uint256 perc);
+    event DoubleSignReporterShareChanged(uint256 perc);
+    event SubsystemPaused(Subsystem subsystem, uint256 until);
+    event SubsystemUnpaused(Subsystem subsystem);
 
     // custom error codes
     error ZeroAddress();
     error DelegatorsLimit();
+    error RedelegationsLimit();
+    error UnbondingLimit();
     error NativeTransferFailed();
     error WrongValidatorsLength();
     error WrongValue(uint256 value);
@@ -201,47 +418,1582 @@ contract CRATStakeManagerTest is
     error DelegatorsOnly(address account);
     error Cooldown(bool forClaim, uint256 upperBond);
     error InStoplistStatus(address account, bool stoplisted);
+    error InPause(Subsystem subsystem, uint256 until);
+    error PauseTooLong(uint256 until);
+    error Jailed(address validator, uint256 until);
+    error Tombstoned(address validator);
+    error InvalidSignature(address signer);
+    error InvalidEvidence();
+    error SelfReport(address validator);
 
-    receive() external payable {
-        forFixedReward += msg.value;
+    // view methods
+
+    /** @notice view-method to get validator's earned amounts
+     * @param validator address
+     * @return fixedReward amount (apr)
+     * @return variableReward amount (from distributor)
+     */
+    function validatorEarned(
+        address validator
+    ) public view returns (uint256 fixedReward, uint256 variableReward) {
+        fixedReward =
+            _validatorInfo[validator].fixedReward.fixedReward +
+            _fixedRewardToAdd(validator);
+        variableReward = _validatorInfo[validator]
+            .variableReward
+            .variableReward;
+    }
+    /** @notice view-method to get account status
+     * @param account address
+     * @return true - if the account is a validator (even if stop-listed), else - false
+     */
+    function isValidator(address account) public view returns (bool) {
+        return (_validators.contains(account) ||
+            _stopListValidators.contains(account));
     }
 
-    /// @custom:oz-upgrades-unsafe-allow constructor
-    constructor() {
-        _disableInitializers();
+    /** @notice view-method to get account status
+     * @param account address
+     * @return true - if the account is a delegator (even if stop-listed), else - false
+     */
+    function isDelegator(address account) public view returns (bool) {
+        return _delegatorInfo[account].validators.length() > 0 ? true : false;
     }
 
-    function initialize(
-        address _distributor,
-        address _receiver
-    ) public initializer {
-        if (_receiver == address(0)) revert ZeroAddress();
+    // internal methods
 
-        __AccessControl_init();
-        __ReentrancyGuard_init();
+    function _delegatorEarnedPerValidator(
+        address delegator,
+        address validator
+    ) internal view returns (uint256 fixedReward, uint256 variableReward) {
+        DelegatorPerValidatorInfo memory info = _delegatorInfo[delegator]
+            .delegatorPerValidator[validator];
 
-        settings = GeneralSettings(
-            101,
-            90 days,
-            _receiver,
-            RoleSettings(
-                15_00,
-                100 * 10 ** 18,
-                100_000 * 10 ** 18,
-                2 weeks,
-                7 days
-            ),
-            RoleSettings(13_00, 5_00, 1000 * 10 ** 18, 30 days, 5 days)
+        fixedReward = info.fixedReward.fixedReward;
+        variableReward = info.variableReward.variableReward;
+        if (info.amount > 0) {
+            fixedReward +=
+                (info.amount *
+                    (_rightBoarderDPV(delegator, validator) -
+                        info.fixedReward.lastUpdate) *
+                    info.fixedReward.apr) /
+                (YEAR_DURATION * PRECISION);
+            variableReward +=
+                ((_validatorInfo[validator].delegatorsAcc -
+                    info.storedValidatorAcc) * info.amount) /
+                _ACCURACY;
+        }
+    }
+
+    function _updateValidatorReward(address validator) internal {
+        _updateFixedValidatorsReward();
+
+        // calculate potential penatly
+        if (_validatorInfo[validator].penalty.lastSlash > 0) {
+            _validatorInfo[validator]
+                .penalty
+                .potentialPenalty += _fixedRewardToAdd(validator);
+        }
+
+        // store fixed reward
+        (_validatorInfo[validator].fixedReward.fixedReward, ) = validatorEarned(
+            validator
         );
+        _validatorInfo[validator].fixedReward.lastUpdate = _rightBoarderV(
+            validator
+        );
+        _validatorInfo[validator].fixedReward.apr = settings
+            .validatorsSettings
+            .apr; // change each _update call (to keep it actual)
+    }
 
-        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
-        if (_distributor != address(0))
-            _grantRole(DISTRIBUTOR_ROLE, _distributor);
+    function _updateDelegatorRewardPerValidator(
+        address delegator,
+        address validator
+    ) internal {
+        _updateFixedDelegatorsReward();
 
-        testTime = block.timestamp;
+        DelegatorPerValidatorInfo storage info = _delegatorInfo[delegator]
+            .delegatorPerValidator[validator];
 
-        _totalValidatorsRewards.fixedLastUpdate = testTime;
-        _totalDelegatorsRewards.fixedLastUpdate = testTime;
+        // store fixed & variable rewards
+        (
+            info.fixedReward.fixedReward,
+            info.variableReward.variableReward
+        ) = _delegatorEarnedPerValidator(delegator, validator);
+
+        info.fixedReward.lastUpdate = _rightBoarderDPV(delegator, validator);
+        info.fixedReward.apr = settings.delegatorsSettings.apr; // change each _update call (to keep it actual)
+        info.storedValidatorAcc = _validatorInfo[validator].delegatorsAcc;
+    }
+
+    function _depositAsDelegator(
+        address delegator,
+        uint256 amount,
+        address validator
+    ) internal {
+        if (
+            _delegatorInfo[delegator]
+                .delegatorPerValidator[validator]
+                .calledForWithdraw > 0
+        ) revert InStoplistStatus(delegator, true);
+
+        if (!_validators.contains(validator)) revert ValidatorsOnly(validator); // necessary to choose only active validator
+
+        if (!_delegatorInfo[delegator].validators.contains(validator)) {
+            // a returning delegator's entries are slashed with its deposit again
+            _exitedDelegators[validator].remove(delegator);
+            // lowered limit keeps current delegators, but doesn't let new ones in
+            if (
+                _validatorInfo[validator].delegators.length() +
+                    _exitedDelegators[validator].length() >=
+                limits.delegatorsPerValidator
+            ) revert DelegatorsLimit();
+            _delegatorInfo[delegator].validators.add(validator);
+            _validatorInfo[validator].delegators.add(delegator);
+            _delegatorInfo[delegator]
+                .delegatorPerValidator[validator]
+                .lastClaim = testTime; // to keep unboarding period
+        }
+
+        // update delegator rewards before amount will be changed
+        _updateDelegatorRewardPerValidator(delegator, validator);
+
+        _delegatorInfo[delegator]
+            .delegatorPerValidator[validator]
+            .amount += amount;
+        _validatorInfo[validator].delegatedAmount += amount;
+        totalDelegatorsPool += amount;
+
+        emit DelegatorDeposited(delegator, validator, amount);
+    }
+
+    function _validatorCallForWithdraw(address sender) internal {
+        _updateValidatorReward(sender);
+
+        (uint256 amount, uint256 delegatedAmount) = (
+            _validatorInfo[sender].amount,
+            _validatorInfo[sender].delegatedAmount
+        );
+
+        _validatorInfo[sender].calledForWithdraw = testTime;
+        _validators.remove(sender);
+        _stopListValidators.add(sender);
+
+        totalValidatorsPool -= amount;
+        totalDelegatorsPool -= delegatedAmount;
+        stoppedValidatorsPool += amount;
+        stoppedDelegatorsPool += delegatedAmount;
+
+        _validatorInfo[sender].stoppedDelegatedAmount += delegatedAmount;
+        delete _validatorInfo[sender].delegatedAmount;
+
+        emit ValidatorCalledForWithdraw(sender);
+    }
+
+    function _delegatorCallForWithdraw(
+        address sender,
+        address validator
+    ) internal {
+        _updateDelegatorRewardPerValidator(sender, validator);
+
+        _delegatorInfo[sender]
+            .delegatorPerValidator[validator]
+            .calledForWithdraw = testTime;
+
+        if (_validatorInfo[validator].calledForWithdraw == 0) {
+            uint256 amount = _delegatorInfo[sender]
+                .delegatorPerValidator[validator]
+                .amount;
+            totalDelegatorsPool -= amount;
+            stoppedDelegatorsPool += amount;
+            _validatorInfo[validator].delegatedAmount -= amount;
+            _validatorInfo[validator].stoppedDelegatedAmount += amount;
+        }
+
+        emit DelegatorCalledForWithdraw(sender, validator);
+    }
+
+    function _reviveValidator(address validator, uint256 value) internal {
+        if (!isValidator(validator)) revert ValidatorsOnly(validator);
+        if (_validatorInfo[validator].calledForWithdraw == 0)
+            revert InStoplistStatus(validator, false);
+        if (
+            _validatorInfo[validator].amount + value <
+            settings.validatorsSettings.minimumThreshold
+        ) revert WrongValue(value);
+        if (_validators.length() >= settings.validatorsLimit)
+            revert WrongValidatorsLength();
+
+        // revive validator and his non-called for withdraw delegators
+        _validatorInfo[validator].fixedReward.lastUpdate = testTime;
+        _validatorInfo[validator].fixedReward.apr = settings
+            .validatorsSettings
+            .apr;
+
+        stoppedValidatorsPool -= _validatorInfo[validator].amount;
+        _validatorInfo[validator].amount += value;
+        totalValidatorsPool += _validatorInfo[validator].amount;
+        _stopListValidators.remove(validator);
+        _validators.add(validator);
+
+        address[] memory delegators = _validatorInfo[validator]
+            .delegators
+            .values();
+        uint256 totalMigratedAmount;
+        for (uint256 i; i < delegators.length; i++) {
+            _updateDelegatorRewardPerValidator(delegators[i], validator);
+            if (
+                _delegatorInfo[delegators[i]]
+                    .delegatorPerValidator[validator]
+                    .calledForWithdraw == 0
+            ) {
+                _delegatorInfo[delegators[i]]
+                    .delegatorPerValidator[validator]
+                    .fixedReward
+                    .lastUpdate = testTime;
+                totalMigratedAmount += _delegatorInfo[delegators[i]]
+                    .delegatorPerValidator[validator]
+                    .amount;
+            } else {
+                _delegatorInfo[delegators[i]]
+                    .delegatorPerValidator[validator]
+                    .fixedReward
+                    .lastUpdate = _delegatorInfo[delegators[i]]
+                    .delegatorPerValidator[validator]
+                    .calledForWithdraw;
+            }
+        }
+
+        delete _validatorInfo[validator].calledForWithdraw;
+        stoppedDelegatorsPool -= totalMigratedAmount;
+        _validatorInfo[validator]
+            .stoppedDelegatedAmount -= totalMigratedAmount;
+        totalDelegatorsPool += totalMigratedAmount;
+        _validatorInfo[validator].delegatedAmount += totalMigratedAmount;
+
+        emit ValidatorRevived(validator);
+    }
+
+    function _updateFixedValidatorsReward() internal {
+        if (_totalValidatorsRewards.fixedLastUpdate < testTime) {
+            _totalValidatorsRewards.fixedReward = _fixedValidatorsReward();
+            _totalValidatorsRewards.fixedLastUpdate = testTime;
+        }
+        _updateFixedDelegatorsReward();
+    }
+
+    function _updateFixedDelegatorsReward() internal {
+        if (_totalDelegatorsRewards.fixedLastUpdate < testTime) {
+            _totalDelegatorsRewards.fixedReward = _fixedDelegatorsReward();
+            _totalDelegatorsRewards.fixedLastUpdate = testTime;
+        }
+    }
+
+    /// @dev removes the position from both sets, its unbonding entries stay liable for the validator's slashes
+    function _leaveValidator(address delegator, address validator) internal {
+        _validatorInfo[validator].delegators.remove(delegator);
+        _delegatorInfo[delegator].validators.remove(validator);
+        if (_delegatorUnbonding[delegator][validator].length > 0)
+            _exitedDelegators[validator].add(delegator);
+    }
+
+    /// @dev adds `amount` to the last entry if it matures at the same time, otherwise appends a new entry
+    /// (reverts at MAX_UNBONDING_ENTRIES entries, if `limited`)
+    function _addUnbonding(
+        UnbondingEntry[] storage entries,
+        uint256 amount,
+        uint256 availableAt,
+        bool limited
+    ) internal {
+        uint256 len = entries.length;
+        if (len > 0 && entries[len - 1].availableAt == availableAt) {
+            entries[len - 1].amount += amount;
+            return;
+        }
+        if (limited && len >= MAX_UNBONDING_ENTRIES) revert UnbondingLimit();
+        entries.push(UnbondingEntry(amount, availableAt));
+    }
+
+    function _safeTransferETH(
+        address _to,
+        uint256 _value,
+        bool withTry
+    ) internal {
+        if (withTry) {
+            (bool success, ) = _to.call{value: _value}(new bytes(0));
+            if (!success) {
+                unusualDepositor[_to] += _value;
+                emit TransferToDepositorFailed(_to, _value);
+            }
+        } else {
+            (bool success, ) = _to.call{value: _value}(new bytes(0));
+            if (!success) revert NativeTransferFailed();
+        }
+    }
+
+    // internal view methods
+
+    function _rightBoarderV(address account) internal view returns (uint256) {
+        return
+            _validatorInfo[account].calledForWithdraw > 0
+                ? _validatorInfo[account].calledForWithdraw
+                : testTime;
+    }
+
+    function _rightBoarderDPV(
+        address delegator,
+        address validator
+    ) internal view returns (uint256) {
+        uint256 calledForWithdraw = _getDelegatorCallForWithdraw(
+            delegator,
+            validator
+        );
+        if (calledForWithdraw > 0) return calledForWithdraw;
+        else return testTime;
+    }
+
+    function _fixedValidatorsReward() internal view returns (uint256) {
+        return
+            _totalValidatorsRewards.fixedReward +
+            ((testTime - _totalValidatorsRewards.fixedLastUpdate) *
+                totalValidatorsPool *
+                settings.validatorsSettings.apr) /
+            (PRECISION * YEAR_DURATION);
+    }
+
+    function _fixedDelegatorsReward() internal view returns (uint256) {
+        return
+            _totalDelegatorsRewards.fixedReward +
+            ((testTime - _totalDelegatorsRewards.fixedLastUpdate) *
+                totalDelegatorsPool *
+                settings.delegatorsSettings.apr) /
+            (PRECISION * YEAR_DURATION);
+    }
+
+    function _fixedRewardToAdd(
+        address validator
+    ) internal view returns (uint256) {
+        return
+            ((_rightBoarderV(validator) -
+                _validatorInfo[validator].fixedReward.lastUpdate) *
+                _validatorInfo[validator].amount *
+                _validatorInfo[validator].fixedReward.apr) /
+            (YEAR_DURATION * PRECISION);
+    }
+
+    function _getDelegatorCallForWithdraw(
+        address delegator,
+        address validator
+    ) internal view returns (uint256) {
+        (uint256 validatorCall, uint256 delegatorCall) = (
+            _validatorInfo[validator].calledForWithdraw,
+            _delegatorInfo[delegator]
+                .delegatorPerValidator[validator]
+                .calledForWithdraw
+        );
+        if (delegatorCall > 0 && validatorCall > 0) {
+            return Math.min(delegatorCall, validatorCall);
+        } else if (delegatorCall > 0) {
+            return delegatorCall;
+        } else if (validatorCall > 0) {
+            return validatorCall;
+        } else return 0;
+    }
+
+    function _checkNotPaused(Subsystem subsystem) internal view {
+        if (pausedUntil[subsystem] > testTime)
+            revert InPause(subsystem, pausedUntil[subsystem]);
+    }
+
+    function _slice(
+        EnumerableSet.AddressSet storage set,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (address[] memory list) {
+        uint256 len = set.length();
+        if (offset >= len) return list;
+        if (limit > len - offset) limit = len - offset;
+
+        list = new address[](limit);
+        for (uint256 i; i < limit; i++) list[i] = set.at(offset + i);
+    }
+
+    function _currentCommission(
+        address validator
+    ) internal view returns (uint256) {
+        CommissionChange memory change = _commissionChanges[validator];
+        return
+            change.effectiveAt > 0 && change.effectiveAt <= testTime
+                ? change.commission
+                : _validatorInfo[validator].commission;
+    }
+}
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+/// @notice admin, distributor, unbonding and redelegation methods of the stake manager;
+/// called only by {CRATStakeManagerTest} through delegatecall (keeps the stake manager within the contract size limit)
+contract CRATStakeManagerTestExtension is CRATStakeManagerTestBase {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // admin methods
+
+    /** @notice change slash receiver address
+     * @param receiver new slash receiver address
+     * @dev only admin
+     */
+    function setSlashReceiver(
+        address receiver
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (receiver == address(0)) revert ZeroAddress();
+        settings.slashReceiver = receiver;
+        emit SlashReceiverChanged(receiver);
+    }
+
+    /** @notice change validators limit
+     * @param value new validators limit
+     * @dev only admin
+     */
+    function setValidatorsLimit(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value < _validators.length()) revert WrongValidatorsLength();
+        settings.validatorsLimit = value;
+        emit ValidatorsLimitChanged(value);
+    }
+
+    /** @notice change validators' withdraw cooldown
+     * @param value new time peroid duration
+     * @dev only admin
+     */
+    function setValidatorsWithdrawCooldown(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _cooldownCheck(value);
+        settings.validatorsSettings.withdrawCooldown = value;
+        emit ValidatorsWithdrawCooldownChanged(value);
+    }
+
+    /** @notice change delegators' withdraw cooldown
+     * @param value new time peroid duration
+     * @dev only admin
+     */
+    function setDelegatorsWithdrawCooldown(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _cooldownCheck(value);
+        settings.delegatorsSettings.withdrawCooldown = value;
+        emit DelegatorsWithdrawCooldownChanged(value);
+    }
+
+    /** @notice change validators' minimum amount to deposit
+     * @param value new minimum amount
+     * @dev only admin
+     */
+    function setValidatorsMinimum(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        settings.validatorsSettings.minimumThreshold = value;
+        emit ValidatorsMinDepositChanged(value);
+    }
+
+    /** @notice change delegators' minimum amount to deposit
+     * @param value new minimum amount
+     * @dev only admin
+     */
+    function setDelegatorsMinimum(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        settings.delegatorsSettings.minimumThreshold = value;
+        emit DelegatorsMinDepositChanged(value);
+    }
+
+    /** @notice change validators' token amount to slash (to substract from their deposit)
+     * @param value new slash token amount
+     * @dev only admin
+     */
+    function setValidatorsAmountToSlash(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        settings.validatorsSettings.toSlash = value;
+        emit ValidatorsToSlashValueChanged(value);
+    }
+
+    /** @notice change delegators' percent to slash (to substract that percent of their deposit)
+     * @param value new slash percent of the deposit
+     * @dev only admin
+     */
+    function setDelegatorsPercToSlash(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > PRECISION) revert WrongValue(value);
+        settings.delegatorsSettings.toSlash = value;
+        emit DelegatorsToSlashPercentChanged(value);
+    }
+
+    /** @notice change validators' fixed APR
+     * @param value new apr value
+     * @dev only admin
+     */
+    function setValidatorsAPR(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _updateFixedValidatorsReward();
+        settings.validatorsSettings.apr = value;
+        emit ValidatorsAPRChanged(value);
+    }
+
+    /** @notice change delegators' fixed APR
+     * @param value new apr value
+     * @dev only admin
+     */
+    function setDelegatorsAPR(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _updateFixedDelegatorsReward();
+        settings.delegatorsSettings.apr = value;
+        emit DelegatorsAPRChanged(value);
+    }
+
+    /** @notice change validators' claim cooldown
+     * @param value new time peroid duration
+     * @dev only admin
+     */
+    function setValidatorsClaimCooldown(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _cooldownCheck(value);
+        settings.validatorsSettings.claimCooldown = value;
+        emit ValidatorsClaimCooldownChanged(value);
+    }
+
+    /** @notice change delegators' claim cooldown
+     * @param value new time peroid duration
+     * @dev only admin
+     */
+    function setDelegatorsClaimCooldown(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _cooldownCheck(value);
+        settings.delegatorsSettings.claimCooldown = value;
+        emit DelegatorsClaimCooldownChanged(value);
+    }
+
+    /** @notice withdraw excess reward coins from {forFixedReward} pool
+     * @param amount token amount
+     * @dev only admin
+     */
+    function withdrawExcessFixedReward(
+        uint256 amount
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        if (forFixedReward < amount) revert WrongValue(amount);
+        forFixedReward -= amount;
+        _safeTransferETH(_msgSender(), amount, false);
+        emit ExcessFixedRewardWithdrawed(amount);
+    }
+
+    /** @notice change validators' probation period - duration in seconds between two slashing events;
+     * if second slashing happens earlier that probation period passed, validator loses his APR rewards
+     * @param value new minimum amount
+     * @dev only admin
+     */
+    function setValidatorsProbationPeriod(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        settings.validatorsProbationPeriod = value;
+        emit ValidatorsProbationPeriodChanged(value);
+    }
+
+    /** @notice change notice period between scheduling a commission change and its taking effect
+     * (already scheduled changes keep their time)
+     * @param value new time peroid duration
+     * @dev only admin
+     */
+    function setCommissionChangeDelay(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _cooldownCheck(value);
+        commissionChangeDelay = value;
+        emit CommissionChangeDelayChanged(value);
+    }
+
+    /** @notice change maximum difference between validator's current and scheduled commission
+     * @param value new maximum difference (0 - commission changes are disabled)
+     * @dev only admin
+     */
+    function setMaxCommissionChange(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > PRECISION) revert WrongValue(value);
+        maxCommissionChange = value;
+        emit MaxCommissionChangeChanged(value);
+    }
+
+    /** @notice change validators' minimum commission (current commissions of validators stay the same)
+     * @param value new minimum commission
+     * @dev only admin
+     */
+    function setValidatorsMinCommission(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > limits.maxCommission) revert WrongValue(value);
+        limits.minCommission = value;
+        emit ValidatorsMinCommissionChanged(value);
+    }
+
+    /** @notice change validators' maximum commission (current commissions of validators stay the same)
+     * @param value new maximum commission
+     * @dev only admin
+     */
+    function setValidatorsMaxCommission(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > PRECISION || value < limits.minCommission)
+            revert WrongValue(value);
+        limits.maxCommission = value;
+        emit ValidatorsMaxCommissionChanged(value);
+    }
+
+    /** @notice change maximum number of delegators per validator (current delegators stay, even if there are more of them)
+     * @param value new delegators limit
+     * @dev only admin
+     */
+    function setDelegatorsPerValidatorLimit(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value == 0) revert WrongValue(value);
+        limits.delegatorsPerValidator = value;
+        emit DelegatorsPerValidatorLimitChanged(value);
+    }
+
+    /** @notice change percent of validator's and its delegators' deposits slashed for double signing
+     * @param value new percent
+     * @dev only admin
+     */
+    function setDoubleSignSlashPercent(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > PRECISION) revert WrongValue(value);
+        doubleSign.slashPercent = value;
+        emit DoubleSignSlashPercentChanged(value);
+    }
+
+    /** @notice change percent of the validator's own double signing penalty paid to the evidence reporter (the rest goes to slash receiver)
+     * @param value new percent
+     * @dev only admin
+     */
+    function setDoubleSignReporterShare(
+        uint256 value
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (value > PRECISION) revert WrongValue(value);
+        doubleSign.reporterShare = value;
+        emit DoubleSignReporterShareChanged(value);
+    }
+
+    /** @notice stop the validator without taking its funds: it leaves the active validators list,
+     * its and its delegators' fixed rewards stop accruing and it gets no distributed rewards;
+     * delegators can withdraw at once, the validator - not earlier than the jail ends
+     * @param validator address (active or stop-listed)
+     * @param duration of the jail in seconds (the validator can call {unjail} after it)
+     * @param reason of the jail (emitted in the event)
+     * @dev only admin
+     */
+    function jail(
+        address validator,
+        uint256 duration,
+        string calldata reason
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        if (!isValidator(validator)) revert ValidatorsOnly(validator);
+        if (jailedUntil[validator] > 0)
+            revert Jailed(validator, jailedUntil[validator]);
+        if (duration == 0) revert WrongValue(duration);
+
+        if (_validatorInfo[validator].calledForWithdraw == 0)
+            _validatorCallForWithdraw(validator);
+        jailedUntil[validator] = testTime + duration;
+
+        emit ValidatorJailed(validator, testTime + duration, reason);
+    }
+
+    /** @notice unpause the subsystem paused by guardian
+     * @param subsystem paused subsystem
+     * @dev only admin
+     */
+    function unpause(
+        Subsystem subsystem
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (pausedUntil[subsystem] <= testTime)
+            revert WrongValue(uint256(subsystem));
+        pausedUntil[subsystem] = testTime;
+        emit SubsystemUnpaused(subsystem);
+    }
+
+    // guardian methods
+
+    /** @notice pause the subsystem till admin unpauses it; withdrawals are paused for MAX_WITHDRAWALS_PAUSE at most
+     * and can't be paused again earlier than MAX_WITHDRAWALS_PAUSE after the previous pause ends
+     * @param subsystem subsystem to pause
+     * @dev only guardian
+     */
+    function pause(Subsystem subsystem) external onlyRole(GUARDIAN_ROLE) {
+        uint256 until = pausedUntil[subsystem];
+        if (subsystem == Subsystem.Withdrawals) {
+            if (until + MAX_WITHDRAWALS_PAUSE > testTime)
+                revert PauseTooLong(until + MAX_WITHDRAWALS_PAUSE);
+            until = testTime + MAX_WITHDRAWALS_PAUSE;
+        } else {
+            if (until > testTime) revert InPause(subsystem, until);
+            until = type(uint256).max;
+        }
+
+        pausedUntil[subsystem] = until;
+        emit SubsystemPaused(subsystem, until);
+    }
+
+    // swap contract methods
+
+    /** @notice make deposit for exact user as delegator; the whole user's deposit for the validator
+     * can't be withdrawn till the vesting end (withdrawn earlier, it waits for this time as an unbonding entry)
+     * @param sender address of delegator
+     * @param validator address chosen
+     * @param vestingEnd timestamp of the vesting funds process end (the latest one is kept)
+     * @dev swap role only
+     */
+    function depositForDelegator(
+        address sender,
+        address validator,
+        uint256 vestingEnd
+    ) external payable onlyRole(SWAP_ROLE) nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
+        if (sender == address(0)) revert ZeroAddress();
+        if (vestingEnd <= testTime) revert WrongValue(vestingEnd);
+
+        uint256 amount = msg.value;
+
+        if (isValidator(sender)) revert DelegatorsOnly(sender);
+        if (
+            amount == 0 ||
+            amount +
+                _delegatorInfo[sender].delegatorPerValidator[validator].amount <
+            settings.delegatorsSettings.minimumThreshold
+        ) revert WrongValue(amount);
+
+        _depositAsDelegator(sender, amount, validator);
+
+        delegatorVestingEnd[sender][validator] = Math.max(
+            delegatorVestingEnd[sender][validator],
+            vestingEnd
+        );
+    }
+
+    // distributor methods
+
+    /** @notice distribute rewards to validators (and their delegators automatically)
+     * @param validators an array of validator addresses
+     * @param amounts an array of reward amounts
+     * @dev only depositor
+     */
+    function distributeRewards(
+        address[] calldata validators,
+        uint256[] calldata amounts
+    ) external payable onlyRole(DISTRIBUTOR_ROLE) nonReentrant {
+        _checkNotPaused(Subsystem.Distribution);
+        uint256 len = validators.length;
+        if (len == 0 || amounts.length != len) revert WrongValidatorsLength();
+
+        uint256 totalReward;
+        uint256 totalValidatorsReward;
+        uint256 totalDelegatorsReward;
+        uint256 forDelegators;
+        uint256 skipped;
+
+        for (uint256 i; i < len; ++i) {
+            if (
+                isValidator(validators[i]) &&
+                jailedUntil[validators[i]] == 0 &&
+                amounts[i] > 0
+            ) {
+                // the commission in force at distribution time
+                _applyCommissionChange(validators[i]);
+                if (
+                    _validatorInfo[validators[i]].delegatedAmount +
+                        _validatorInfo[validators[i]].stoppedDelegatedAmount >
+                    0
+                ) {
+                    forDelegators =
+                        (amounts[i] *
+                            (PRECISION -
+                                _validatorInfo[validators[i]].commission)) /
+                        PRECISION;
+                    _validatorInfo[validators[i]].delegatorsAcc +=
+                        (forDelegators * _ACCURACY) /
+                        (_validatorInfo[validators[i]].delegatedAmount +
+                            _validatorInfo[validators[i]]
+                                .stoppedDelegatedAmount);
+                    totalDelegatorsReward += forDelegators;
+                }
+                _validatorInfo[validators[i]].variableReward.variableReward +=
+                    amounts[i] -
+                    forDelegators;
+                totalValidatorsReward += amounts[i] - forDelegators;
+
+                emit ValidatorRewarded(
+                    validators[i],
+                    amounts[i] - forDelegators,
+                    forDelegators
+                );
+                delete forDelegators;
+            } else {
+                // not a validator, jailed or nothing to distribute
+                ++skipped;
+                emit RewardSkipped(validators[i], amounts[i]);
+            }
+        }
+
+        totalReward = totalDelegatorsReward + totalValidatorsReward;
+
+        if (msg.value < totalReward) revert WrongValue(msg.value);
+
+        _totalValidatorsRewards.variableReward += totalValidatorsReward;
+        _totalDelegatorsRewards.variableReward += totalDelegatorsReward;
+
+        emit RewardsDistributed(
+            ++rewardsRound,
+            totalValidatorsReward,
+            totalDelegatorsReward,
+            skipped,
+            msg.value - totalReward
+        );
+
+        if (msg.value > totalReward)
+            _safeTransferETH(_msgSender(), msg.value - totalReward, false); // send excess coins back
+    }
+
+    /** @notice slash validators (and their delegators automatically)
+     * @param validators an array of validator addresses
+     * @dev only depositor
+     */
+    function slash(
+        address[] calldata validators
+    ) external onlyRole(DISTRIBUTOR_ROLE) nonReentrant {
+        _checkNotPaused(Subsystem.Slashing);
+        uint256 len = validators.length;
+        uint256 fee;
+        uint256 stake;
+        uint256 total;
+        uint256 currentTime = block.timestamp;
+        for (uint256 i; i < len; ++i) {
+            if (isValidator(validators[i])) {
+                _updateValidatorReward(validators[i]);
+
+                fee = settings.validatorsSettings.toSlash;
+                if (
+                    _validatorInfo[validators[i]].penalty.lastSlash +
+                        settings.validatorsProbationPeriod >
+                    currentTime
+                ) fee += _validatorInfo[validators[i]].penalty.potentialPenalty;
+                stake =
+                    _validatorInfo[validators[i]].amount +
+                    _pendingUnbonding(
+                        _validatorUnbonding[validators[i]],
+                        currentTime
+                    );
+                fee = stake > fee ? fee : stake;
+
+                total += _slashValidator(
+                    validators[i],
+                    fee,
+                    fee > settings.validatorsSettings.toSlash
+                        ? fee - settings.validatorsSettings.toSlash
+                        : 0,
+                    settings.delegatorsSettings.toSlash,
+                    currentTime
+                );
+            }
+        }
+
+        if (total > 0) _safeTransferETH(settings.slashReceiver, total, false);
+    }
+
+    // public methods
+
+    /** @notice register validator's block signing key (replaces the current one; signatures of the previous keys
+     * are still accepted as evidence); the key proves its possession by signing
+     * keccak256(abi.encode(chainid, stake manager address, validator)) as an Ethereum signed message
+     * @param key signing key address (can't be registered by another validator or twice)
+     * @param signature of the key
+     */
+    function registerSigningKey(
+        address key,
+        bytes calldata signature
+    ) external {
+        address sender = _msgSender();
+        if (!isValidator(sender)) revert ValidatorsOnly(sender);
+        if (tombstoned[sender]) revert Tombstoned(sender);
+        if (key == address(0)) revert ZeroAddress();
+        if (signingKeyValidator[key] != address(0))
+            revert InvalidSignature(key);
+
+        address signer = ECDSA.recover(
+            MessageHashUtils.toEthSignedMessageHash(
+                keccak256(abi.encode(block.chainid, address(this), sender))
+            ),
+            signature
+        );
+        if (signer != key) revert InvalidSignature(signer);
+
+        signingKeyValidator[key] = sender;
+        signingKeys[sender] = key;
+
+        emit SigningKeyRegistered(sender, key);
+    }
+
+    /** @notice tombstone the validator, which has signed two different headers of the same height (anyone calls):
+     * it's stop-listed and jailed forever (its delegators withdraw at once), {doubleSign} slashPercent
+     * of its and its delegators' deposits is slashed, reporterShare of the validator's own slashed sum is paid to the caller
+     * (the validator can't report itself)
+     * @param first signed header
+     * @param second conflicting signed header (same height, different hash)
+     */
+    function submitDoubleSignEvidence(
+        SignedHeader calldata first,
+        SignedHeader calldata second
+    ) external nonReentrant {
+        _checkNotPaused(Subsystem.Slashing);
+        if (
+            first.height != second.height ||
+            first.headerHash == second.headerHash
+        ) revert InvalidEvidence();
+        address key = _headerSigner(first);
+        if (key != _headerSigner(second)) revert InvalidEvidence();
+
+        address validator = signingKeyValidator[key];
+        if (!isValidator(validator)) revert ValidatorsOnly(validator);
+        if (tombstoned[validator]) revert Tombstoned(validator);
+        if (_msgSender() == validator) revert SelfReport(validator);
+
+        tombstoned[validator] = true;
+        if (_validatorInfo[validator].calledForWithdraw == 0)
+            _validatorCallForWithdraw(validator);
+        if (jailedUntil[validator] == 0) {
+            jailedUntil[validator] = testTime;
+            emit ValidatorJailed(validator, testTime, "double sign");
+        }
+
+        _updateValidatorReward(validator);
+        uint256 perc = doubleSign.slashPercent;
+        uint256 total = _slashValidator(
+            validator,
+            ((_validatorInfo[validator].amount +
+                _pendingUnbonding(
+                    _validatorUnbonding[validator],
+                    testTime
+                )) * perc) / PRECISION,
+            0,
+            perc,
+            testTime
+        );
+        // delegators' stake doesn't count, so reporting itself through another address never pays off
+        uint256 reward = (_slashHistory[validator][
+            _slashHistory[validator].length - 1
+        ].amount * doubleSign.reporterShare) / PRECISION;
+
+        emit DoubleSignReported(
+            validator,
+            _msgSender(),
+            first.height,
+            total,
+            reward
+        );
+
+        if (total > reward)
+            _safeTransferETH(settings.slashReceiver, total - reward, false);
+        if (reward > 0) _safeTransferETH(_msgSender(), reward, false);
+    }
+
+    /// @notice return to the active validators list with the delegators, which haven't left, after the jail period
+    /// (increase your deposit, if it's lower than minimum threshold after slashes)
+    function unjail() external payable nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
+        address sender = _msgSender();
+        uint256 until = jailedUntil[sender];
+        if (until == 0) revert ValidatorsOnly(sender);
+        if (until > testTime) revert Jailed(sender, until);
+        if (tombstoned[sender]) revert Tombstoned(sender);
+
+        delete jailedUntil[sender];
+        _reviveValidator(sender, msg.value);
+
+        emit ValidatorUnjailed(sender);
+    }
+
+    /** @notice withdraw a part of the deposit as active validator (will be able to withdraw it after cooldown), the rest keeps earning rewards
+     * @param amount to unbond (at least MIN_UNBONDING_PART of minimum threshold, the rest of the deposit can't be lower than minimum threshold)
+     */
+    function validatorUnbond(uint256 amount) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
+        address sender = _msgSender();
+        if (!isValidator(sender)) revert ValidatorsOnly(sender);
+        if (_validatorInfo[sender].calledForWithdraw > 0)
+            revert InStoplistStatus(sender, true);
+        uint256 threshold = settings.validatorsSettings.minimumThreshold;
+        if (
+            amount == 0 ||
+            amount * PRECISION < threshold * MIN_UNBONDING_PART ||
+            _validatorInfo[sender].amount < amount + threshold
+        ) revert WrongValue(amount);
+
+        _updateValidatorReward(sender);
+
+        _validatorInfo[sender].amount -= amount;
+        totalValidatorsPool -= amount;
+        unbondingValidatorsPool += amount;
+
+        // vested funds stay locked till the vesting end
+        uint256 availableAt = Math.max(
+            testTime + settings.validatorsSettings.withdrawCooldown,
+            _validatorInfo[sender].vestingEnd
+        );
+        _addUnbonding(_validatorUnbonding[sender], amount, availableAt, true);
+
+        emit ValidatorUnbonded(sender, amount, availableAt);
+    }
+
+    /** @notice withdraw a part of the deposit as active delegator for certain validator (will be able to withdraw it after cooldown), the rest keeps earning rewards
+     * @param validator address
+     * @param amount to unbond (at least MIN_UNBONDING_PART of minimum threshold, the rest of the deposit can't be lower than minimum threshold)
+     */
+    function delegatorUnbond(
+        address validator,
+        uint256 amount
+    ) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
+        address sender = _msgSender();
+        if (!_delegatorInfo[sender].validators.contains(validator))
+            revert DelegatorsOnly(sender);
+        if (_getDelegatorCallForWithdraw(sender, validator) > 0)
+            revert InStoplistStatus(sender, true);
+        if (redelegatedUntil[sender][validator] > testTime)
+            revert Cooldown(false, redelegatedUntil[sender][validator]);
+
+        DelegatorPerValidatorInfo storage info = _delegatorInfo[sender]
+            .delegatorPerValidator[validator];
+        uint256 threshold = settings.delegatorsSettings.minimumThreshold;
+        if (
+            amount == 0 ||
+            amount * PRECISION < threshold * MIN_UNBONDING_PART ||
+            info.amount < amount + threshold
+        ) revert WrongValue(amount);
+
+        _updateDelegatorRewardPerValidator(sender, validator);
+
+        info.amount -= amount;
+        _validatorInfo[validator].delegatedAmount -= amount;
+        totalDelegatorsPool -= amount;
+        unbondingDelegatorsPool += amount;
+
+        // vested funds stay locked till the vesting end
+        uint256 availableAt = Math.max(
+            testTime + settings.delegatorsSettings.withdrawCooldown,
+            delegatorVestingEnd[sender][validator]
+        );
+        _addUnbonding(
+            _delegatorUnbonding[sender][validator],
+            amount,
+            availableAt,
+            true
+        );
+
+        emit DelegatorUnbonded(sender, validator, amount, availableAt);
+    }
+
+    /** @notice move a part of the deposit (or the whole deposit) from one validator to another active validator, skipping the stop list;
+     * the moved stake stays liable for slashes of the previous validator during delegators' withdraw cooldown
+     * @param fromValidator current validator address
+     * @param toValidator new validator address
+     * @param amount to move (the rest of the deposit can't be lower than minimum threshold, unless it is zero)
+     */
+    function redelegate(
+        address fromValidator,
+        address toValidator,
+        uint256 amount
+    ) external nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
+        address sender = _msgSender();
+        if (!_delegatorInfo[sender].validators.contains(fromValidator))
+            revert DelegatorsOnly(sender);
+        if (_getDelegatorCallForWithdraw(sender, fromValidator) > 0)
+            revert InStoplistStatus(sender, true);
+        if (fromValidator == toValidator) revert ValidatorsOnly(toValidator);
+        if (redelegatedUntil[sender][fromValidator] > testTime)
+            revert Cooldown(false, redelegatedUntil[sender][fromValidator]);
+
+        DelegatorPerValidatorInfo storage info = _delegatorInfo[sender]
+            .delegatorPerValidator[fromValidator];
+        uint256 minimum = settings.delegatorsSettings.minimumThreshold;
+        if (
+            amount < minimum ||
+            amount > info.amount ||
+            (amount < info.amount && info.amount - amount < minimum) ||
+            _delegatorInfo[sender].delegatorPerValidator[toValidator].amount +
+                amount <
+            minimum
+        ) revert WrongValue(amount);
+
+        _updateDelegatorRewardPerValidator(sender, fromValidator);
+
+        info.amount -= amount;
+        _validatorInfo[fromValidator].delegatedAmount -= amount;
+        totalDelegatorsPool -= amount;
+
+        // checks the new validator status and its delegators limit
+        _depositAsDelegator(sender, amount, toValidator);
+        // vested funds keep their lock on the new validator
+        if (delegatorVestingEnd[sender][fromValidator] > 0)
+            delegatorVestingEnd[sender][toValidator] = Math.max(
+                delegatorVestingEnd[sender][toValidator],
+                delegatorVestingEnd[sender][fromValidator]
+            );
+        if (info.amount == 0) _removeEmptyPosition(sender, fromValidator);
+
+        uint256 liableUntil = testTime +
+            settings.delegatorsSettings.withdrawCooldown;
+        RedelegationEntry[] storage entries = _redelegations[fromValidator];
+        uint256 own; // sender's live entries
+        uint256 target; // index + 1 of the sender's live entry to `toValidator`
+        for (uint256 i = entries.length; i > 0; i--) {
+            if (entries[i - 1].liableUntil <= testTime) {
+                // liability is over
+                if (target == entries.length) target = i;
+                entries[i - 1] = entries[entries.length - 1];
+                entries.pop();
+            } else if (entries[i - 1].delegator == sender) {
+                own++;
+                if (entries[i - 1].validator == toValidator) target = i;
+            }
+        }
+        if (target > 0) {
+            // the same destination - one entry liable till the later end
+            entries[target - 1].amount += amount;
+            liableUntil = Math.max(entries[target - 1].liableUntil, liableUntil);
+            entries[target - 1].liableUntil = liableUntil;
+        } else {
+            if (own >= MAX_REDELEGATIONS) revert RedelegationsLimit();
+            entries.push(
+                RedelegationEntry(sender, toValidator, amount, liableUntil)
+            );
+        }
+        redelegatedUntil[sender][toValidator] = Math.max(
+            redelegatedUntil[sender][toValidator],
+            liableUntil
+        );
+
+        emit DelegatorRedelegated(
+            sender,
+            fromValidator,
+            toValidator,
+            amount,
+            liableUntil
+        );
+    }
+
+    /** @notice schedule a change of the validator's commission, it takes effect after {commissionChangeDelay}
+     * (replaces the previous scheduled change, if it hasn't taken effect yet)
+     * @param commission new commission percent (within {limits}, can't differ from the current one more than {maxCommissionChange})
+     */
+    function scheduleCommissionChange(uint256 commission) external {
+        address sender = _msgSender();
+        if (!isValidator(sender)) revert ValidatorsOnly(sender);
+        if (_validatorInfo[sender].calledForWithdraw > 0)
+            revert InStoplistStatus(sender, true);
+
+        _applyCommissionChange(sender);
+
+        uint256 current = _validatorInfo[sender].commission;
+        if (
+            commission > limits.maxCommission ||
+            commission < limits.minCommission ||
+            commission == current ||
+            (
+                commission > current
+                    ? commission - current
+                    : current - commission
+            ) >
+            maxCommissionChange
+        ) revert WrongValue(commission);
+
+        uint256 effectiveAt = testTime + commissionChangeDelay;
+        _commissionChanges[sender] = CommissionChange(commission, effectiveAt);
+
+        emit CommissionChangeScheduled(sender, commission, effectiveAt);
+    }
+
+    /// @notice apply validator's scheduled commission change, which notice period has passed
+    /// (distributeRewards applies it automatically)
+    function applyCommissionChange() external {
+        address sender = _msgSender();
+        if (!isValidator(sender)) revert ValidatorsOnly(sender);
+
+        uint256 effectiveAt = _commissionChanges[sender].effectiveAt;
+        if (effectiveAt == 0) revert WrongValue(0);
+        if (effectiveAt > testTime) revert Cooldown(false, effectiveAt);
+
+        _applyCommissionChange(sender);
+    }
+
+    // internal methods
+
+    function _applyCommissionChange(address validator) internal {
+        CommissionChange memory change = _commissionChanges[validator];
+        if (change.effectiveAt == 0 || change.effectiveAt > testTime)
+            return;
+
+        emit CommissionChanged(
+            validator,
+            _validatorInfo[validator].commission,
+            change.commission
+        );
+        _validatorInfo[validator].commission = change.commission;
+        delete _commissionChanges[validator];
+    }
+
+    /// @dev takes `fee` from the validator's deposit and pending unbonding entries (in proportion to their amounts)
+    /// and `delegatorsPerc` of its delegators' deposits, unbonding entries and the stake redelegated away from it,
+    /// records the slash
+    /// @return total sum taken from the validator and its delegators
+    function _slashValidator(
+        address validator,
+        uint256 fee,
+        uint256 penalty,
+        uint256 delegatorsPerc,
+        uint256 currentTime
+    ) internal returns (uint256 total) {
+        SlashRecord memory record = SlashRecord(
+            currentTime,
+            fee,
+            penalty,
+            0,
+            false
+        );
+
+        // unbonding stake is still liable for the validator's slashes
+        uint256 unbonding = _pendingUnbonding(
+            _validatorUnbonding[validator],
+            currentTime
+        );
+        if (unbonding > 0) {
+            unbonding = _slashUnbonding(
+                _validatorUnbonding[validator],
+                fee,
+                _validatorInfo[validator].amount + unbonding,
+                currentTime
+            );
+            unbondingValidatorsPool -= unbonding;
+            fee = Math.min(fee - unbonding, _validatorInfo[validator].amount);
+            record.amount = fee + unbonding;
+        }
+
+        _validatorInfo[validator].amount -= fee;
+        delete _validatorInfo[validator].penalty.potentialPenalty;
+        _validatorInfo[validator].penalty.lastSlash = currentTime;
+        total += record.amount;
+        address[] memory delegators = _validatorInfo[validator]
+            .delegators
+            .values();
+        if (_validatorInfo[validator].calledForWithdraw > 0) {
+            // for validator
+            stoppedValidatorsPool -= fee;
+
+            // for stopped delegators
+            fee =
+                (delegatorsPerc *
+                    _validatorInfo[validator].stoppedDelegatedAmount) /
+                PRECISION;
+            _validatorInfo[validator].stoppedDelegatedAmount -= fee;
+            stoppedDelegatorsPool -= fee;
+            record.delegatorsAmount = fee;
+        } else {
+            totalValidatorsPool -= fee;
+
+            // for validator
+            if (
+                _validatorInfo[validator].amount <
+                settings.validatorsSettings.minimumThreshold
+            ) {
+                _validatorCallForWithdraw(validator);
+                record.calledForWithdraw = true;
+
+                // for stopped delegators
+                fee =
+                    (delegatorsPerc *
+                        _validatorInfo[validator].stoppedDelegatedAmount) /
+                    PRECISION;
+                _validatorInfo[validator].stoppedDelegatedAmount -= fee;
+                stoppedDelegatorsPool -= fee;
+                record.delegatorsAmount = fee;
+            } else {
+                // for active delegators
+                fee =
+                    (delegatorsPerc *
+                        _validatorInfo[validator].delegatedAmount) /
+                    PRECISION;
+                _validatorInfo[validator].delegatedAmount -= fee;
+                totalDelegatorsPool -= fee;
+                record.delegatorsAmount = fee;
+
+                // for stopped delegators
+                fee =
+                    (delegatorsPerc *
+                        _validatorInfo[validator].stoppedDelegatedAmount) /
+                    PRECISION;
+                _validatorInfo[validator].stoppedDelegatedAmount -= fee;
+                stoppedDelegatorsPool -= fee;
+                record.delegatorsAmount += fee;
+            }
+        }
+        // stake redelegated away from this validator is still liable for its slashes
+        record.delegatorsAmount += _slashRedelegations(
+            validator,
+            delegatorsPerc,
+            currentTime
+        );
+        // and so is the stake delegators are unbonding
+        uint256[] memory unbondingFees = new uint256[](delegators.length);
+        for (uint256 i; i < delegators.length; ++i) {
+            unbondingFees[i] = _slashUnbonding(
+                _delegatorUnbonding[delegators[i]][validator],
+                delegatorsPerc,
+                PRECISION,
+                currentTime
+            );
+            unbondingDelegatorsPool -= unbondingFees[i];
+            record.delegatorsAmount += unbondingFees[i];
+        }
+        // as well as the entries of delegators, which have left the validator
+        EnumerableSet.AddressSet storage exited = _exitedDelegators[validator];
+        for (uint256 i = exited.length(); i > 0; i--) {
+            address delegator = exited.at(i - 1);
+            UnbondingEntry[] storage entries = _delegatorUnbonding[delegator][
+                validator
+            ];
+            fee = _slashUnbonding(entries, delegatorsPerc, PRECISION, currentTime);
+            unbondingDelegatorsPool -= fee;
+            record.delegatorsAmount += fee;
+            if (fee > 0) emit DelegatorSlashed(delegator, validator, fee, false);
+            // nothing is liable any more
+            if (_pendingUnbonding(entries, currentTime) == 0)
+                exited.remove(delegator);
+        }
+        total += record.delegatorsAmount;
+
+        _slashHistory[validator].push(record);
+        emit ValidatorSlashed(
+            validator,
+            record.amount,
+            record.penalty,
+            record.delegatorsAmount,
+            record.calledForWithdraw
+        );
+
+        bool called;
+        for (uint256 i; i < delegators.length; ++i) {
+            _updateDelegatorRewardPerValidator(delegators[i], validator);
+            DelegatorPerValidatorInfo storage info = _delegatorInfo[
+                delegators[i]
+            ].delegatorPerValidator[validator];
+            fee = (info.amount * delegatorsPerc) / PRECISION;
+            info.amount -= fee;
+
+            called =
+                info.amount < settings.delegatorsSettings.minimumThreshold &&
+                info.calledForWithdraw == 0;
+            if (called) _delegatorCallForWithdraw(delegators[i], validator);
+            emit DelegatorSlashed(
+                delegators[i],
+                validator,
+                fee + unbondingFees[i],
+                called
+            );
+        }
+    }
+
+    /// @return amount of the entries still in cooldown
+    function _pendingUnbonding(
+        UnbondingEntry[] storage entries,
+        uint256 currentTime
+    ) internal view returns (uint256 amount) {
+        for (uint256 i; i < entries.length; ++i)
+            if (entries[i].availableAt > currentTime)
+                amount += entries[i].amount;
+    }
+
+    /// @dev takes `numerator / denominator` of each entry still in cooldown
+    /// @return total sum taken from the entries
+    function _slashUnbonding(
+        UnbondingEntry[] storage entries,
+        uint256 numerator,
+        uint256 denominator,
+        uint256 currentTime
+    ) internal returns (uint256 total) {
+        uint256 fee;
+        for (uint256 i; i < entries.length; ++i) {
+            if (entries[i].availableAt <= currentTime) continue;
+            fee = (entries[i].amount * numerator) / denominator;
+            entries[i].amount -= fee;
+            total += fee;
+        }
+    }
+
+    function _headerSigner(
+        SignedHeader calldata header
+    ) internal view returns (address) {
+        return
+            ECDSA.recover(
+                MessageHashUtils.toEthSignedMessageHash(
+                    keccak256(
+                        abi.encode(
+                            block.chainid,
+                            header.height,
+                            header.headerHash
+                        )
+                    )
+                ),
+                header.signature
+            );
+    }
+
+    function _slashRedelegations(
+        address validator,
+        uint256 delegatorsPerc,
+        uint256 currentTime
+    ) internal returns (uint256 total) {
+        RedelegationEntry[] storage entries = _redelegations[validator];
+        uint256 fee;
+        bool called;
+        for (uint256 i = entries.length; i > 0; i--) {
+            RedelegationEntry storage entry = entries[i - 1];
+            if (entry.liableUntil <= currentTime) {
+                // liability is over
+                entries[i - 1] = entries[entries.length - 1];
+                entries.pop();
+                continue;
+            }
+
+            _updateDelegatorRewardPerValidator(
+                entry.delegator,
+                entry.validator
+            );
+            DelegatorPerValidatorInfo storage info = _delegatorInfo[
+                entry.delegator
+            ].delegatorPerValidator[entry.validator];
+
+            // the stake could be already slashed or called for withdraw on the new validator
+            fee = Math.min(
+                (entry.amount * delegatorsPerc) / PRECISION,
+                info.amount
+            );
+            entry.amount -= fee;
+            info.amount -= fee;
+            if (
+                _getDelegatorCallForWithdraw(entry.delegator, entry.validator) >
+                0
+            ) {
+                _validatorInfo[entry.validator].stoppedDelegatedAmount -= fee;
+                stoppedDelegatorsPool -= fee;
+            } else {
+                _validatorInfo[entry.validator].delegatedAmount -= fee;
+                totalDelegatorsPool -= fee;
+            }
+            total += fee;
+
+            called =
+                info.amount < settings.delegatorsSettings.minimumThreshold &&
+                info.calledForWithdraw == 0;
+            if (called)
+                _delegatorCallForWithdraw(entry.delegator, entry.validator);
+            emit DelegatorSlashed(
+                entry.delegator,
+                entry.validator,
+                fee,
+                called
+            );
+        }
+    }
+
+    /// @dev the moved out position leaves the validator like a withdrawn one, earned rewards stay claimable
+    function _removeEmptyPosition(
+        address delegator,
+        address validator
+    ) internal {
+        _leaveValidator(delegator, validator);
+        delete delegatorVestingEnd[delegator][validator];
+
+        DelegatorPerValidatorInfo storage info = _delegatorInfo[delegator]
+            .delegatorPerValidator[validator];
+        (uint256 fixedRewardToStore, uint256 variableRewardToStore) = (
+            info.fixedReward.fixedReward,
+            info.variableReward.variableReward
+        );
+        delete _delegatorInfo[delegator].delegatorPerValidator[validator];
+        info.fixedReward.fixedReward = fixedRewardToStore;
+        info.variableReward.variableReward = variableRewardToStore;
+    }
+
+    function _cooldownCheck(uint256 _value) private pure {
+        if (_value > 365 days) revert WrongValue(_value);
+    }
+}
+
+contract CRATStakeManagerTest is CRATStakeManagerTestBase {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _extension; // code of the methods moved out of this contract
+
+    receive() external payable {
+        forFixedReward += msg.value;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _extension = address(new CRATStakeManagerTestExtension());
+        _disableInitializers();
+    }
+
+    function initialize(
+        address _distributor,
+        address _receiver
+    ) public initializer {
+        if (_receiver == address(0)) revert ZeroAddress();
+
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+
+        settings = GeneralSettings(
+            101,
+            90 days,
+            _receiver,
+            RoleSettings(
+                15_00,
+                100 * 10 ** 18,
+                100_000 * 10 ** 18,
+                2 weeks,
+                7 days
+            ),
+            RoleSettings(13_00, 5_00, 1000 * 10 ** 18, 30 days, 5 days)
+        );
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+        if (_distributor != address(0))
+            _grantRole(DISTRIBUTOR_ROLE, _distributor);
+
+        testTime = block.timestamp;
+
+        _totalValidatorsRewards.fixedLastUpdate = testTime;
+        _totalDelegatorsRewards.fixedLastUpdate = testTime;
+
+        _initializeV2();
     }
 
     function changeTestTime(uint256 value) public {
@@ -249,353 +2001,206 @@ contract CRATStakeManagerTest is
         testTime = value;
     }
 
+    /** @notice set default values of the settings added after the first release
+     * (commission changes, commission bounds, delegators limit and double signing penalty) on a proxy upgraded from it
+     * @dev single-use, meant to be executed atomically by ProxyAdmin.upgradeAndCall;
+     * proxies deployed with these settings (non-zero delegators limit) can't reset them
+     */
+    function initializeV2() external reinitializer(2) {
+        if (limits.delegatorsPerValidator > 0) revert InvalidInitialization();
+        _initializeV2();
+    }
+
     // admin methods
 
     /** @notice change slash receiver address
-     * @param receiver new slash receiver address
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setSlashReceiver(
-        address receiver
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        if (receiver == address(0)) revert ZeroAddress();
-        settings.slashReceiver = receiver;
-        emit SlashReceiverChanged(receiver);
+    function setSlashReceiver(address) external {
+        _delegate();
     }
 
     /** @notice change validators limit
-     * @param value new validators limit
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setValidatorsLimit(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        if (value < _validators.length()) revert WrongValidatorsLength();
-        settings.validatorsLimit = value;
-        emit ValidatorsLimitChanged(value);
+    function setValidatorsLimit(uint256) external {
+        _delegate();
     }
 
     /** @notice change validators' withdraw cooldown
-     * @param value new time peroid duration
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setValidatorsWithdrawCooldown(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _cooldownCheck(value);
-        settings.validatorsSettings.withdrawCooldown = value;
-        emit ValidatorsWithdrawCooldownChanged(value);
+    function setValidatorsWithdrawCooldown(uint256) external {
+        _delegate();
     }
 
     /** @notice change delegators' withdraw cooldown
-     * @param value new time peroid duration
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setDelegatorsWithdrawCooldown(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _cooldownCheck(value);
-        settings.delegatorsSettings.withdrawCooldown = value;
-        emit DelegatorsWithdrawCooldownChanged(value);
+    function setDelegatorsWithdrawCooldown(uint256) external {
+        _delegate();
     }
 
     /** @notice change validators' minimum amount to deposit
-     * @param value new minimum amount
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setValidatorsMinimum(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        settings.validatorsSettings.minimumThreshold = value;
-        emit ValidatorsMinDepositChanged(value);
+    function setValidatorsMinimum(uint256) external {
+        _delegate();
     }
 
     /** @notice change delegators' minimum amount to deposit
-     * @param value new minimum amount
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setDelegatorsMinimum(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        settings.delegatorsSettings.minimumThreshold = value;
-        emit DelegatorsMinDepositChanged(value);
+    function setDelegatorsMinimum(uint256) external {
+        _delegate();
     }
 
-    /** @notice change validators' token amount to slash (to substract from their deposit)
-     * @param value new slash token amount
-     * @dev only admin
+    /** @notice change validators' token amount to slash
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setValidatorsAmountToSlash(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        settings.validatorsSettings.toSlash = value;
-        emit ValidatorsToSlashValueChanged(value);
+    function setValidatorsAmountToSlash(uint256) external {
+        _delegate();
     }
 
-    /** @notice change delegators' percent to slash (to substract that percent of their deposit)
-     * @param value new slash percent of the deposit
-     * @dev only admin
+    /** @notice change delegators' percent to slash
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setDelegatorsPercToSlash(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        if (value > PRECISION) revert WrongValue(value);
-        settings.delegatorsSettings.toSlash = value;
-        emit DelegatorsToSlashPercentChanged(value);
+    function setDelegatorsPercToSlash(uint256) external {
+        _delegate();
     }
 
     /** @notice change validators' fixed APR
-     * @param value new apr value
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setValidatorsAPR(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _updateFixedValidatorsReward();
-        settings.validatorsSettings.apr = value;
-        emit ValidatorsAPRChanged(value);
+    function setValidatorsAPR(uint256) external {
+        _delegate();
     }
 
     /** @notice change delegators' fixed APR
-     * @param value new apr value
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setDelegatorsAPR(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _updateFixedDelegatorsReward();
-        settings.delegatorsSettings.apr = value;
-        emit DelegatorsAPRChanged(value);
+    function setDelegatorsAPR(uint256) external {
+        _delegate();
     }
 
     /** @notice change validators' claim cooldown
-     * @param value new time peroid duration
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setValidatorsClaimCooldown(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _cooldownCheck(value);
-        settings.validatorsSettings.claimCooldown = value;
-        emit ValidatorsClaimCooldownChanged(value);
+    function setValidatorsClaimCooldown(uint256) external {
+        _delegate();
     }
 
     /** @notice change delegators' claim cooldown
-     * @param value new time peroid duration
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setDelegatorsClaimCooldown(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _cooldownCheck(value);
-        settings.delegatorsSettings.claimCooldown = value;
-        emit DelegatorsClaimCooldownChanged(value);
+    function setDelegatorsClaimCooldown(uint256) external {
+        _delegate();
     }
 
     /** @notice withdraw excess reward coins from {forFixedReward} pool
-     * @param amount token amount
-     * @dev only admin
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function withdrawExcessFixedReward(
-        uint256 amount
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
-        if (forFixedReward < amount) revert WrongValue(amount);
-        forFixedReward -= amount;
-        _safeTransferETH(_msgSender(), amount, false);
-        emit ExcessFixedRewardWithdrawed(amount);
+    function withdrawExcessFixedReward(uint256) external {
+        _delegate();
     }
 
-    /** @notice change validators' probation period - duration in seconds between two slashing events;
-     * if second slashing happens earlier that probation period passed, validator loses his APR rewards
-     * @param value new minimum amount
-     * @dev only admin
+    /** @notice change validators' probation period
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function setValidatorsProbationPeriod(
-        uint256 value
-    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        settings.validatorsProbationPeriod = value;
-        emit ValidatorsProbationPeriodChanged(value);
+    function setValidatorsProbationPeriod(uint256) external {
+        _delegate();
     }
 
-    // distributor methods
-
-    /** @notice distribute rewards to validators (and their delegators automatically)
-     * @param validators an array of validator addresses
-     * @param amounts an array of reward amounts
-     * @dev only depositor
+    /** @notice change notice period of commission changes
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function distributeRewards(
-        address[] calldata validators,
-        uint256[] calldata amounts
-    ) external payable onlyRole(DISTRIBUTOR_ROLE) nonReentrant {
-        uint256 len = validators.length;
-        if (len == 0 || amounts.length != len) revert WrongValidatorsLength();
+    function setCommissionChangeDelay(uint256) external {
+        _delegate();
+    }
 
-        uint256 totalReward;
-        uint256 totalValidatorsReward;
-        uint256 totalDelegatorsReward;
-        uint256 forDelegators;
+    /** @notice change maximum difference between validator's current and scheduled commission
+     * @dev only admin, see {CRATStakeManagerTestExtension}
+     */
+    function setMaxCommissionChange(uint256) external {
+        _delegate();
+    }
 
-        for (uint256 i; i < len; ++i) {
-            if (isValidator(validators[i]) && amounts[i] > 0) {
-                if (
-                    _validatorInfo[validators[i]].delegatedAmount +
-                        _validatorInfo[validators[i]].stoppedDelegatedAmount >
-                    0
-                ) {
-                    forDelegators =
-                        (amounts[i] *
-                            (PRECISION -
-                                _validatorInfo[validators[i]].commission)) /
-                        PRECISION;
-                    _validatorInfo[validators[i]].delegatorsAcc +=
-                        (forDelegators * _ACCURACY) /
-                        (_validatorInfo[validators[i]].delegatedAmount +
-                            _validatorInfo[validators[i]]
-                                .stoppedDelegatedAmount);
-                    totalDelegatorsReward += forDelegators;
-                }
-                _validatorInfo[validators[i]].variableReward.variableReward +=
-                    amounts[i] -
-                    forDelegators;
-                totalValidatorsReward += amounts[i] - forDelegators;
+    /** @notice change validators' minimum commission
+     * @dev only admin, see {CRATStakeManagerTestExtension}
+     */
+    function setValidatorsMinCommission(uint256) external {
+        _delegate();
+    }
 
-                delete forDelegators;
-            }
-        }
+    /** @notice change validators' maximum commission
+     * @dev only admin, see {CRATStakeManagerTestExtension}
+     */
+    function setValidatorsMaxCommission(uint256) external {
+        _delegate();
+    }
 
-        totalReward = totalDelegatorsReward + totalValidatorsReward;
+    /** @notice change maximum number of delegators per validator
+     * @dev only admin, see {CRATStakeManagerTestExtension}
+     */
+    function setDelegatorsPerValidatorLimit(uint256) external {
+        _delegate();
+    }
 
-        if (msg.value < totalReward) revert WrongValue(msg.value);
+    /** @notice change percent of validator's and its delegators' deposits slashed for double signing
+     * @dev only admin, see {CRATStakeManagerTestExtension}
+     */
+    function setDoubleSignSlashPercent(uint256) external {
+        _delegate();
+    }
 
-        _totalValidatorsRewards.variableReward += totalValidatorsReward;
-        _totalDelegatorsRewards.variableReward += totalDelegatorsReward;
+    /** @notice change percent of the validator's own double signing penalty paid to the evidence reporter
+     * @dev only admin, see {CRATStakeManagerTestExtension}
+     */
+    function setDoubleSignReporterShare(uint256) external {
+        _delegate();
+    }
 
-        if (msg.value > totalReward)
-            _safeTransferETH(_msgSender(), msg.value - totalReward, false); // send excess coins back
+    /** @notice unpause the subsystem paused by guardian
+     * @dev only admin, see {CRATStakeManagerTestExtension}
+     */
+    function unpause(Subsystem) external {
+        _delegate();
     }
 
-    /** @notice slash validators (and their delegators automatically)
-     * @param validators an array of validator addresses
-     * @dev only depositor
+    /** @notice stop the validator without taking its funds: it leaves the active validators list,
+     * its and its delegators' fixed rewards stop accruing and it gets no distributed rewards until {unjail}
+     * @dev only admin, see {CRATStakeManagerTestExtension}
      */
-    function slash(
-        address[] calldata validators
-    ) external onlyRole(DISTRIBUTOR_ROLE) nonReentrant {
-        uint256 len = validators.length;
-        uint256 delegatorsPerc = settings.delegatorsSettings.toSlash;
-        uint256 fee;
-        address[] memory delegators;
-        uint256 total;
-        uint256 currentTime = block.timestamp;
-        for (uint256 i; i < len; ++i) {
-            if (isValidator(validators[i])) {
-                _updateValidatorReward(validators[i]);
+    function jail(address, uint256, string calldata) external {
+        _delegate();
+    }
 
-                fee = settings.validatorsSettings.toSlash;
-                if (
-                    _validatorInfo[validators[i]].penalty.lastSlash +
-                        settings.validatorsProbationPeriod >
-                    currentTime
-                ) fee += _validatorInfo[validators[i]].penalty.potentialPenalty;
-                fee = _validatorInfo[validators[i]].amount > fee
-                    ? fee
-                    : _validatorInfo[validators[i]].amount;
-
-                _validatorInfo[validators[i]].amount -= fee;
-                delete _validatorInfo[validators[i]].penalty.potentialPenalty;
-                _validatorInfo[validators[i]].penalty.lastSlash = currentTime;
-                total += fee;
-                delegators = _validatorInfo[validators[i]].delegators.values();
-                if (_validatorInfo[validators[i]].calledForWithdraw > 0) {
-                    // for validator
-                    stoppedValidatorsPool -= fee;
-
-                    // for stopped delegators
-                    fee =
-                        (delegatorsPerc *
-                            _validatorInfo[validators[i]]
-                                .stoppedDelegatedAmount) /
-                        PRECISION;
-                    _validatorInfo[validators[i]].stoppedDelegatedAmount -= fee;
-                    stoppedDelegatorsPool -= fee;
-                    total += fee;
-                } else {
-                    totalValidatorsPool -= fee;
-
-                    // for validator
-                    if (
-                        _validatorInfo[validators[i]].amount <
-                        settings.validatorsSettings.minimumThreshold
-                    ) {
-                        _validatorCallForWithdraw(validators[i]);
-
-                        // for stopped delegators
-                        fee =
-                            (delegatorsPerc *
-                                _validatorInfo[validators[i]]
-                                    .stoppedDelegatedAmount) /
-                            PRECISION;
-                        _validatorInfo[validators[i]]
-                            .stoppedDelegatedAmount -= fee;
-                        stoppedDelegatorsPool -= fee;
-                        total += fee;
-                    } else {
-                        // for active delegators
-                        fee =
-                            (delegatorsPerc *
-                                _validatorInfo[validators[i]].delegatedAmount) /
-                            PRECISION;
-                        _validatorInfo[validators[i]].delegatedAmount -= fee;
-                        totalDelegatorsPool -= fee;
-                        total += fee;
-
-                        // for stopped delegators
-                        fee =
-                            (delegatorsPerc *
-                                _validatorInfo[validators[i]]
-                                    .stoppedDelegatedAmount) /
-                            PRECISION;
-                        _validatorInfo[validators[i]]
-                            .stoppedDelegatedAmount -= fee;
-                        stoppedDelegatorsPool -= fee;
-                        total += fee;
-                    }
-                }
+    // guardian methods
 
-                for (uint256 j; j < delegators.length; ++j) {
-                    _updateDelegatorRewardPerValidator(
-                        delegators[j],
-                        validators[i]
-                    );
-                    _delegatorInfo[delegators[j]]
-                        .delegatorPerValidator[validators[i]]
-                        .amount -=
-                        (_delegatorInfo[delegators[j]]
-                            .delegatorPerValidator[validators[i]]
-                            .amount * delegatorsPerc) /
-                        PRECISION;
+    /** @notice pause the subsystem (deposits, claims, withdrawals, distribution or slashing)
+     * @dev only guardian, see {CRATStakeManagerTestExtension}
+     */
+    function pause(Subsystem) external {
+        _delegate();
+    }
 
-                    if (
-                        _delegatorInfo[delegators[j]]
-                            .delegatorPerValidator[validators[i]]
-                            .amount <
-                        settings.delegatorsSettings.minimumThreshold &&
-                        _delegatorInfo[delegators[j]]
-                            .delegatorPerValidator[validators[i]]
-                            .calledForWithdraw ==
-                        0
-                    ) {
-                        _delegatorCallForWithdraw(delegators[j], validators[i]);
-                    }
-                }
+    // distributor methods
 
-                delete fee;
-                delete delegators;
-            }
-        }
+    /** @notice distribute rewards to validators (and their delegators automatically)
+     * @dev only depositor, see {CRATStakeManagerTestExtension}
+     */
+    function distributeRewards(
+        address[] calldata,
+        uint256[] calldata
+    ) external payable {
+        _delegate();
+    }
 
-        if (total > 0) _safeTransferETH(settings.slashReceiver, total, false);
+    /** @notice slash validators (and their delegators automatically)
+     * @dev only depositor, see {CRATStakeManagerTestExtension}
+     */
+    function slash(address[] calldata) external {
+        _delegate();
     }
 
     // swap contract methods
@@ -611,6 +2216,7 @@ contract CRATStakeManagerTest is
         uint256 commission,
         uint256 vestingEnd
     ) external payable onlyRole(SWAP_ROLE) nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
         if (sender == address(0)) revert ZeroAddress();
         if (
             vestingEnd <= testTime ||
@@ -635,6 +2241,11 @@ contract CRATStakeManagerTest is
         _depositAsValidator(sender, amount, commission);
     }
 
+    /// @notice make deposit for exact user as delegator, locked till the vesting end (see {CRATStakeManagerTestExtension})
+    function depositForDelegator(address, address, uint256) external payable {
+        _delegate();
+    }
+
     // public methods
 
     /** @notice make deposit as validator
@@ -643,6 +2254,7 @@ contract CRATStakeManagerTest is
     function depositAsValidator(
         uint256 commission
     ) external payable nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
         uint256 amount = msg.value;
         address sender = _msgSender();
 
@@ -666,6 +2278,7 @@ contract CRATStakeManagerTest is
     function depositAsDelegator(
         address validator
     ) external payable nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
         uint256 amount = msg.value;
         address sender = _msgSender();
 
@@ -683,6 +2296,7 @@ contract CRATStakeManagerTest is
     /** @notice claim rewards as validator
      */
     function claimAsValidator() external nonReentrant {
+        _checkNotPaused(Subsystem.Claims);
         address sender = _msgSender();
         if (
             !isValidator(sender) &&
@@ -698,6 +2312,7 @@ contract CRATStakeManagerTest is
     function claimAsDelegatorPerValidator(
         address validator
     ) external nonReentrant {
+        _checkNotPaused(Subsystem.Claims);
         address sender = _msgSender();
         if (
             !_delegatorInfo[sender].validators.contains(validator) &&
@@ -705,6 +2320,11 @@ contract CRATStakeManagerTest is
                 .delegatorPerValidator[validator]
                 .fixedReward
                 .fixedReward ==
+            0 &&
+            _delegatorInfo[sender]
+                .delegatorPerValidator[validator]
+                .variableReward
+                .variableReward ==
             0
         ) revert ValidatorsOnly(validator);
         uint256 reward = _claimAsDelegatorPerValidator(sender, validator, true);
@@ -714,6 +2334,7 @@ contract CRATStakeManagerTest is
     /** @notice restake rewards as validator
      */
     function restakeAsValidator() external nonReentrant {
+        _checkNotPaused(Subsystem.Claims);
         address sender = _msgSender();
         if (!isValidator(sender)) revert ValidatorsOnly(sender);
         uint256 reward = _claimAsValidator(sender);
@@ -725,6 +2346,7 @@ contract CRATStakeManagerTest is
      * @param validator certain validator address
      */
     function restakeAsDelegator(address validator) external nonReentrant {
+        _checkNotPaused(Subsystem.Claims);
         address sender = _msgSender();
         if (!_delegatorInfo[sender].validators.contains(validator))
             revert DelegatorsOnly(sender);
@@ -733,118 +2355,167 @@ contract CRATStakeManagerTest is
         _depositAsDelegator(sender, reward, validator);
     }
 
-    /// @notice sign up to a stop list as validator (will be able to withdraw deposit after cooldown)
-    function validatorCallForWithdraw() external nonReentrant {
+    /// @notice sign up to a stop list as validator (will be able to withdraw deposit after cooldown)
+    function validatorCallForWithdraw() external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
+        address sender = _msgSender();
+        if (!isValidator(sender)) revert ValidatorsOnly(sender);
+        if (_validatorInfo[sender].calledForWithdraw > 0)
+            revert InStoplistStatus(sender, true);
+
+        _validatorCallForWithdraw(sender);
+    }
+
+    /// @notice sign up to a stop list as delegator (will be able to withdraw deposit after cooldown) for certain validator
+    /// @param validator address
+    function delegatorCallForWithdraw(address validator) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
+        address sender = _msgSender();
+        if (!isDelegator(sender)) revert DelegatorsOnly(sender);
+        if (!_delegatorInfo[sender].validators.contains(validator))
+            revert ValidatorsOnly(validator);
+        if (
+            _delegatorInfo[sender]
+                .delegatorPerValidator[validator]
+                .calledForWithdraw > 0
+        ) revert InStoplistStatus(sender, true);
+
+        _delegatorCallForWithdraw(sender, validator);
+    }
+
+    /// @notice return to the active validators list after the jail period (increase your deposit, if necessary; see {CRATStakeManagerTestExtension})
+    function unjail() external payable {
+        _delegate();
+    }
+
+    /// @notice register validator's block signing key, which signatures are accepted as double signing evidence (see {CRATStakeManagerTestExtension})
+    function registerSigningKey(address, bytes calldata) external {
+        _delegate();
+    }
+
+    /// @notice tombstone and slash the validator, which has signed two different headers of the same height;
+    /// anyone submits the evidence and gets a share of the penalty (see {CRATStakeManagerTestExtension})
+    function submitDoubleSignEvidence(
+        SignedHeader calldata,
+        SignedHeader calldata
+    ) external {
+        _delegate();
+    }
+
+    /// @notice withdraw a part of the deposit as active validator, the rest keeps earning rewards (see {CRATStakeManagerTestExtension})
+    function validatorUnbond(uint256) external {
+        _delegate();
+    }
+
+    /// @notice withdraw a part of the deposit as active delegator for certain validator, the rest keeps earning rewards (see {CRATStakeManagerTestExtension})
+    function delegatorUnbond(address, uint256) external {
+        _delegate();
+    }
+
+    /// @notice move a part of the deposit from one validator to another active validator, skipping the stop list (see {CRATStakeManagerTestExtension})
+    function redelegate(address, address, uint256) external {
+        _delegate();
+    }
+
+    /// @notice schedule a change of the validator's commission, it takes effect after the notice period (see {CRATStakeManagerTestExtension})
+    function scheduleCommissionChange(uint256) external {
+        _delegate();
+    }
+
+    /// @notice apply validator's scheduled commission change, which notice period has passed (see {CRATStakeManagerTestExtension})
+    function applyCommissionChange() external {
+        _delegate();
+    }
+
+    /// @notice withdraw all unbonding entries as validator, which cooldown has passed
+    function withdrawUnbondedAsValidator() external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         address sender = _msgSender();
-        if (!isValidator(sender)) revert ValidatorsOnly(sender);
-        if (_validatorInfo[sender].calledForWithdraw > 0)
-            revert InStoplistStatus(sender, true);
+        uint256 amount = _withdrawUnbonded(_validatorUnbonding[sender]);
+        unbondingValidatorsPool -= amount;
 
-        _validatorCallForWithdraw(sender);
+        emit ValidatorUnbondedWithdrawed(sender, amount);
+
+        _safeTransferETH(sender, amount, false);
     }
 
-    /// @notice sign up to a stop list as delegator (will be able to withdraw deposit after cooldown) for certain validator
+    /// @notice withdraw all unbonding entries as delegator for certain validator, which cooldown has passed
     /// @param validator address
-    function delegatorCallForWithdraw(address validator) external nonReentrant {
+    function withdrawUnbondedAsDelegator(
+        address validator
+    ) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         address sender = _msgSender();
-        if (!isDelegator(sender)) revert DelegatorsOnly(sender);
-        if (!_delegatorInfo[sender].validators.contains(validator))
-            revert ValidatorsOnly(validator);
-        if (
-            _delegatorInfo[sender]
-                .delegatorPerValidator[validator]
-                .calledForWithdraw > 0
-        ) revert InStoplistStatus(sender, true);
+        uint256 amount = _withdrawUnbonded(
+            _delegatorUnbonding[sender][validator]
+        );
+        unbondingDelegatorsPool -= amount;
+        if (_delegatorUnbonding[sender][validator].length == 0)
+            _exitedDelegators[validator].remove(sender);
 
-        _delegatorCallForWithdraw(sender, validator);
+        emit DelegatorUnbondedWithdrawed(sender, validator, amount);
+
+        _safeTransferETH(sender, amount, false);
     }
 
     /// @notice withdraw deposit as validator (after cooldown; removes all its delegators automatically)
     function withdrawAsValidator() external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         _withdrawAsValidator(_msgSender());
     }
 
     /// @notice withdraw deposit as delegator (after cooldown) for certain validator
     /// @notice validator address
     function withdrawAsDelegator(address validator) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         _withdrawAsDelegator(_msgSender(), validator);
     }
 
     /// @notice withdraw deposit for current validator (after cooldown; removes all its delegators automatically)
     function withdrawForValidator(address validator) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         _withdrawAsValidator(validator);
     }
 
+    /** @notice withdraw deposits of a part of validator's delegators after validator's withdraw cooldown (anyone calls);
+     * lets a validator with too many delegators for one {withdrawAsValidator} transaction leave in several ones
+     * @param validator address
+     * @param limit maximum number of delegators to process
+     */
+    function withdrawValidatorDelegators(
+        address validator,
+        uint256 limit
+    ) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
+        _checkValidatorWithdraw(validator);
+
+        uint256 count = _withdrawValidatorDelegators(validator, limit);
+
+        emit ValidatorDelegatorsWithdrawed(
+            validator,
+            count,
+            _validatorInfo[validator].delegators.length()
+        );
+    }
+
     /// @notice withdraw deposit for current delegator (after cooldown)
     function withdrawForDelegators(
         address validator,
         address[] calldata delegators
     ) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         for (uint256 i; i < delegators.length; i++) {
             _withdrawAsDelegator(delegators[i], validator);
         }
     }
 
-    /// @notice exit the stop list as validator (increase your deposit, if necessary)
+    /// @notice exit the stop list as validator (increase your deposit, if necessary); jailed validator calls {unjail} instead
     function reviveAsValidator() external payable nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
         address sender = _msgSender();
-        if (!isValidator(sender)) revert ValidatorsOnly(sender);
-        if (_validatorInfo[sender].calledForWithdraw == 0)
-            revert InStoplistStatus(sender, false);
-        if (
-            _validatorInfo[sender].amount + msg.value <
-            settings.validatorsSettings.minimumThreshold
-        ) revert WrongValue(msg.value);
-        if (_validators.length() >= settings.validatorsLimit)
-            revert WrongValidatorsLength();
-
-        // revive validator and his non-called for withdraw delegators
-        _validatorInfo[sender].fixedReward.lastUpdate = testTime;
-        _validatorInfo[sender].fixedReward.apr = settings
-            .validatorsSettings
-            .apr;
-
-        stoppedValidatorsPool -= _validatorInfo[sender].amount;
-        _validatorInfo[sender].amount += msg.value;
-        totalValidatorsPool += _validatorInfo[sender].amount;
-        _stopListValidators.remove(sender);
-        _validators.add(sender);
-
-        address[] memory delegators = _validatorInfo[sender]
-            .delegators
-            .values();
-        uint256 totalMigratedAmount;
-        for (uint256 i; i < delegators.length; i++) {
-            _updateDelegatorRewardPerValidator(delegators[i], sender);
-            if (
-                _delegatorInfo[delegators[i]]
-                    .delegatorPerValidator[sender]
-                    .calledForWithdraw == 0
-            ) {
-                _delegatorInfo[delegators[i]]
-                    .delegatorPerValidator[sender]
-                    .fixedReward
-                    .lastUpdate = testTime;
-                totalMigratedAmount += _delegatorInfo[delegators[i]]
-                    .delegatorPerValidator[sender]
-                    .amount;
-            } else {
-                _delegatorInfo[delegators[i]]
-                    .delegatorPerValidator[sender]
-                    .fixedReward
-                    .lastUpdate = _delegatorInfo[delegators[i]]
-                    .delegatorPerValidator[sender]
-                    .calledForWithdraw;
-            }
-        }
-
-        delete _validatorInfo[sender].calledForWithdraw;
-        stoppedDelegatorsPool -= totalMigratedAmount;
-        _validatorInfo[sender].stoppedDelegatedAmount -= totalMigratedAmount;
-        totalDelegatorsPool += totalMigratedAmount;
-        _validatorInfo[sender].delegatedAmount += totalMigratedAmount;
+        if (jailedUntil[sender] > 0) revert Jailed(sender, jailedUntil[sender]);
 
-        emit ValidatorRevived(sender);
+        _reviveValidator(sender, msg.value);
     }
 
     /// @notice exit the stop list as delegator (increase your deposit, if necessary) for certain validator
@@ -852,6 +2523,7 @@ contract CRATStakeManagerTest is
     function reviveAsDelegator(
         address validator
     ) external payable nonReentrant {
+        _checkNotPaused(Subsystem.Deposits);
         address sender = _msgSender();
         DelegatorPerValidatorInfo storage info = _delegatorInfo[sender]
             .delegatorPerValidator[validator];
@@ -882,6 +2554,7 @@ contract CRATStakeManagerTest is
     /// @notice claim native coins that appeared as a result of a failed transfer (in withdraw methods)
     /// @param to funds receiver
     function claimAsUnusualDepositor(address to) external nonReentrant {
+        _checkNotPaused(Subsystem.Withdrawals);
         address sender = _msgSender();
         uint256 amount = unusualDepositor[sender];
         if (amount > 0) {
@@ -893,22 +2566,6 @@ contract CRATStakeManagerTest is
 
     // view methods
 
-    /** @notice view-method to get validator's earned amounts
-     * @param validator address
-     * @return fixedReward amount (apr)
-     * @return variableReward amount (from distributor)
-     */
-    function validatorEarned(
-        address validator
-    ) public view returns (uint256 fixedReward, uint256 variableReward) {
-        fixedReward =
-            _validatorInfo[validator].fixedReward.fixedReward +
-            _fixedRewardToAdd(validator);
-        variableReward = _validatorInfo[validator]
-            .variableReward
-            .variableReward;
-    }
-
     /** @notice view-method to get delegators's earned amounts per validator
      * @param delegator address
      * @param validator address
@@ -954,23 +2611,6 @@ contract CRATStakeManagerTest is
         }
     }
 
-    /** @notice view-method to get account status
-     * @param account address
-     * @return true - if the account is a validator (even if stop-listed), else - false
-     */
-    function isValidator(address account) public view returns (bool) {
-        return (_validators.contains(account) ||
-            _stopListValidators.contains(account));
-    }
-
-    /** @notice view-method to get account status
-     * @param account address
-     * @return true - if the account is a delegator (even if stop-listed), else - false
-     */
-    function isDelegator(address account) public view returns (bool) {
-        return _delegatorInfo[account].validators.length() > 0 ? true : false;
-    }
-
     /** @notice view-method to get the list of all active validators and their deposited/voted amounts
      * @return validators an array of the active validators addresses
      * @return amounts an array of following uint256[3] arrays - [validators deposit, delegated amount for this validator (from active delegators), delegated amount for this validator (from stop-listed delegators)]
@@ -981,14 +2621,30 @@ contract CRATStakeManagerTest is
         returns (address[] memory validators, uint256[3][] memory amounts)
     {
         validators = _validators.values();
-        amounts = new uint256[3][](validators.length);
+        amounts = _validatorsAmounts(validators);
+    }
 
-        for (uint256 i; i < validators.length; i++) {
-            amounts[i][0] = _validatorInfo[validators[i]].amount;
-            amounts[i][1] = _validatorInfo[validators[i]].delegatedAmount;
-            amounts[i][2] = _validatorInfo[validators[i]]
-                .stoppedDelegatedAmount;
-        }
+    /** @notice view-method to get a part of the active validators list and their deposited/voted amounts
+     * @param offset index of the first validator in the list
+     * @param limit maximum number of validators to return
+     * @return validators an array of the active validators addresses (empty if offset is out of the list)
+     * @return amounts an array of uint256[3] arrays (see {getActiveValidators})
+     */
+    function getActiveValidatorsPage(
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (address[] memory validators, uint256[3][] memory amounts)
+    {
+        validators = _slice(_validators, offset, limit);
+        amounts = _validatorsAmounts(validators);
+    }
+
+    /// @notice view-method to get the number of active validators
+    function getActiveValidatorsCount() external view returns (uint256) {
+        return _validators.length();
     }
 
     /** @notice view-method to get the list of all stop-listed validators and their deposited/voted amounts
@@ -1001,21 +2657,37 @@ contract CRATStakeManagerTest is
         returns (address[] memory validators, uint256[3][] memory amounts)
     {
         validators = _stopListValidators.values();
-        amounts = new uint256[3][](validators.length);
+        amounts = _validatorsAmounts(validators);
+    }
 
-        for (uint256 i; i < validators.length; i++) {
-            amounts[i][0] = _validatorInfo[validators[i]].amount;
-            amounts[i][1] = _validatorInfo[validators[i]].delegatedAmount;
-            amounts[i][2] = _validatorInfo[validators[i]]
-                .stoppedDelegatedAmount;
-        }
+    /** @notice view-method to get a part of the stop-listed validators list and their deposited/voted amounts
+     * @param offset index of the first validator in the list
+     * @param limit maximum number of validators to return
+     * @return validators an array of the stop-listed validators addresses (empty if offset is out of the list)
+     * @return amounts an array of uint256[3] arrays (see {getStoppedValidators})
+     */
+    function getStoppedValidatorsPage(
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (address[] memory validators, uint256[3][] memory amounts)
+    {
+        validators = _slice(_stopListValidators, offset, limit);
+        amounts = _validatorsAmounts(validators);
+    }
+
+    /// @notice view-method to get the number of stop-listed validators
+    function getStoppedValidatorsCount() external view returns (uint256) {
+        return _stopListValidators.length();
     }
 
     /** @notice view-method to get validator info
      * @param validator address
      * @return info validator info:
      * amount of validator's deposit
-     * commission percent that validator takes from its delegators
+     * commission percent that validator takes from its delegators (scheduled change included, once it has taken effect)
      * lastClaim previous claim timestamp
      * calledForWithdraw timestamp of #callForWithdrawAsValidator transaction (0 - if validator is active)
      * vestingEnd timestamp of the vesting funds process end
@@ -1028,30 +2700,40 @@ contract CRATStakeManagerTest is
      * delegators an array of delegators' addresses list (even if someone is stopped)
      * withdrawAvailable timestamp since validator is able to withdraw
      * claimAvailable timestamp since validator is able to claim
+     * unbonding pending partial withdrawals: [amount, availableAt - timestamp since it can be withdrawn]
      */
     function getValidatorInfo(
         address validator
     ) external view returns (ValidatorInfoView memory info) {
-        info.amount = _validatorInfo[validator].amount;
-        info.commission = _validatorInfo[validator].commission;
-        info.lastClaim = _validatorInfo[validator].lastClaim;
-        info.calledForWithdraw = _validatorInfo[validator].calledForWithdraw;
-        info.vestingEnd = _validatorInfo[validator].vestingEnd;
-        info.fixedReward = _validatorInfo[validator].fixedReward;
-        info.variableReward = _validatorInfo[validator].variableReward;
-        info.penalty = _validatorInfo[validator].penalty;
-        info.delegatedAmount = _validatorInfo[validator].delegatedAmount;
-        info.stoppedDelegatedAmount = _validatorInfo[validator]
-            .stoppedDelegatedAmount;
-        info.delegatorsAcc = _validatorInfo[validator].delegatorsAcc;
-        info.delegators = _validatorInfo[validator].delegators.values();
-        info.withdrawAvailable = (info.calledForWithdraw > 0)
-            ? info.calledForWithdraw +
-                settings.validatorsSettings.withdrawCooldown
-            : 0;
-        info.claimAvailable =
-            info.lastClaim +
-            settings.validatorsSettings.claimCooldown;
+        info = _validatorInfoView(
+            validator,
+            _validatorInfo[validator].delegators.values()
+        );
+    }
+
+    /** @notice view-method to get validator info with a part of its delegators list
+     * @param validator address
+     * @param offset index of the first delegator in the list
+     * @param limit maximum number of delegators to return
+     * @return info validator info (see {getValidatorInfo}), delegators - only the requested part of the list
+     */
+    function getValidatorInfoPage(
+        address validator,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ValidatorInfoView memory info) {
+        info = _validatorInfoView(
+            validator,
+            _slice(_validatorInfo[validator].delegators, offset, limit)
+        );
+    }
+
+    /// @notice view-method to get the number of validator's delegators (even if someone is stopped)
+    /// @param validator address
+    function getDelegatorsCount(
+        address validator
+    ) external view returns (uint256) {
+        return _validatorInfo[validator].delegators.length();
     }
 
     /** @notice view-method to get delegator info
@@ -1060,6 +2742,7 @@ contract CRATStakeManagerTest is
      * @return delegatorPerValidatorArr the list of info for all validators
      * @return withdrawAvailable timestamp since delegator is able to withdraw
      * @return claimAvailable timestamp since delegator is able to claim
+     * @return unbonding pending partial withdrawals for each validator: [amount, availableAt - timestamp since it can be withdrawn]
      */
     function getDelegatorInfo(
         address delegator
@@ -1070,7 +2753,8 @@ contract CRATStakeManagerTest is
             address[] memory validatorsArr,
             DelegatorPerValidatorInfo[] memory delegatorPerValidatorArr,
             uint256[] memory withdrawAvailable,
-            uint256[] memory claimAvailable
+            uint256[] memory claimAvailable,
+            UnbondingEntry[][] memory unbonding
         )
     {
         validatorsArr = _delegatorInfo[delegator].validators.values();
@@ -1079,6 +2763,7 @@ contract CRATStakeManagerTest is
         delegatorPerValidatorArr = new DelegatorPerValidatorInfo[](len);
         withdrawAvailable = new uint256[](len);
         claimAvailable = new uint256[](len);
+        unbonding = new UnbondingEntry[][](len);
 
         for (uint256 i; i < len; i++) {
             delegatorPerValidatorArr[i] = _delegatorInfo[delegator]
@@ -1095,6 +2780,7 @@ contract CRATStakeManagerTest is
             claimAvailable[i] =
                 delegatorPerValidatorArr[i].lastClaim +
                 settings.delegatorsSettings.claimCooldown;
+            unbonding[i] = _delegatorUnbonding[delegator][validatorsArr[i]];
         }
     }
 
@@ -1114,12 +2800,96 @@ contract CRATStakeManagerTest is
         )
     {
         delegators = _validatorInfo[validator].delegators.values();
-        uint256 len = delegators.length;
-        delegatorPerValidatorArr = new DelegatorPerValidatorInfo[](len);
-        for (uint256 i; i < len; i++) {
-            delegatorPerValidatorArr[i] = _delegatorInfo[delegators[i]]
-                .delegatorPerValidator[validator];
-        }
+        delegatorPerValidatorArr = _delegatorsInfo(validator, delegators);
+    }
+
+    /** @notice view-method to get info of a part of validator's delegators
+     * @param validator address
+     * @param offset index of the first delegator in the list
+     * @param limit maximum number of delegators to return
+     * @return delegators an array of delegators addresses (empty if offset is out of the list)
+     * @return delegatorPerValidatorArr an array of DelegatorPerValidatorInfo structs (see {getDelegatorsInfoPerValidator})
+     */
+    function getDelegatorsInfoPerValidatorPage(
+        address validator,
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (
+            address[] memory delegators,
+            DelegatorPerValidatorInfo[] memory delegatorPerValidatorArr
+        )
+    {
+        delegators = _slice(
+            _validatorInfo[validator].delegators,
+            offset,
+            limit
+        );
+        delegatorPerValidatorArr = _delegatorsInfo(validator, delegators);
+    }
+
+    /** @notice view-method to get the slashing history of the validator
+     * @param validator address
+     * @return history an array of slashes:
+     * timestamp of the slash
+     * amount taken from the validator's deposit (penalty included)
+     * penalty additional amount taken for the slash during the probation period
+     * delegatorsAmount amount taken from its delegators' deposits
+     * calledForWithdraw true - if the slash moved the validator to the stop list
+     */
+    function getSlashHistory(
+        address validator
+    ) external view returns (SlashRecord[] memory history) {
+        history = _slashHistory[validator];
+    }
+
+    /** @notice view-method to get the stake redelegated away from the validator, which is liable for its slashes
+     * (expired entries are removed by the next slash)
+     * @param validator address
+     * @return entries an array of redelegations:
+     * delegator address
+     * validator new validator address
+     * amount redelegated stake (decreases with slashes)
+     * liableUntil timestamp till the stake can be slashed for this validator
+     */
+    function getRedelegations(
+        address validator
+    ) external view returns (RedelegationEntry[] memory entries) {
+        entries = _redelegations[validator];
+    }
+
+    /** @notice view-method to get the delegators, which have left the validator with unbonding entries there
+     * (they are slashed with the validator till withdrawn, the entries are removed by the next slash once matured)
+     * @param validator address
+     * @return delegators addresses
+     * @return unbonding their pending partial withdrawals from the validator
+     */
+    function getExitedDelegators(
+        address validator
+    )
+        external
+        view
+        returns (address[] memory delegators, UnbondingEntry[][] memory unbonding)
+    {
+        delegators = _exitedDelegators[validator].values();
+        unbonding = new UnbondingEntry[][](delegators.length);
+        for (uint256 i; i < delegators.length; i++)
+            unbonding[i] = _delegatorUnbonding[delegators[i]][validator];
+    }
+
+    /** @notice view-method to get validator's scheduled commission change, which hasn't taken effect yet
+     * @param validator address
+     * @return commission new commission percent (0 - no scheduled change)
+     * @return effectiveAt timestamp since the new commission is used by distributeRewards
+     */
+    function getPendingCommissionChange(
+        address validator
+    ) external view returns (uint256 commission, uint256 effectiveAt) {
+        CommissionChange memory change = _commissionChanges[validator];
+        if (change.effectiveAt > testTime)
+            (commission, effectiveAt) = (change.commission, change.effectiveAt);
     }
 
     /** @notice view-method to approximately calculate total distributed rewards for validators
@@ -1187,69 +2957,64 @@ contract CRATStakeManagerTest is
 
     // internal methods
 
-    function _delegatorEarnedPerValidator(
-        address delegator,
-        address validator
-    ) internal view returns (uint256 fixedReward, uint256 variableReward) {
-        DelegatorPerValidatorInfo memory info = _delegatorInfo[delegator]
-            .delegatorPerValidator[validator];
+    function _validatorsAmounts(
+        address[] memory validators
+    ) internal view returns (uint256[3][] memory amounts) {
+        amounts = new uint256[3][](validators.length);
 
-        fixedReward = info.fixedReward.fixedReward;
-        variableReward = info.variableReward.variableReward;
-        if (info.amount > 0) {
-            fixedReward +=
-                (info.amount *
-                    (_rightBoarderDPV(delegator, validator) -
-                        info.fixedReward.lastUpdate) *
-                    info.fixedReward.apr) /
-                (YEAR_DURATION * PRECISION);
-            variableReward +=
-                ((_validatorInfo[validator].delegatorsAcc -
-                    info.storedValidatorAcc) * info.amount) /
-                _ACCURACY;
+        for (uint256 i; i < validators.length; i++) {
+            amounts[i][0] = _validatorInfo[validators[i]].amount;
+            amounts[i][1] = _validatorInfo[validators[i]].delegatedAmount;
+            amounts[i][2] = _validatorInfo[validators[i]]
+                .stoppedDelegatedAmount;
         }
     }
 
-    function _updateValidatorReward(address validator) internal {
-        _updateFixedValidatorsReward();
-
-        // calculate potential penatly
-        if (_validatorInfo[validator].penalty.lastSlash > 0) {
-            _validatorInfo[validator]
-                .penalty
-                .potentialPenalty += _fixedRewardToAdd(validator);
+    function _validatorInfoView(
+        address validator,
+        address[] memory delegators
+    ) internal view returns (ValidatorInfoView memory info) {
+        info.amount = _validatorInfo[validator].amount;
+        info.commission = _currentCommission(validator);
+        info.lastClaim = _validatorInfo[validator].lastClaim;
+        info.calledForWithdraw = _validatorInfo[validator].calledForWithdraw;
+        info.vestingEnd = _validatorInfo[validator].vestingEnd;
+        info.fixedReward = _validatorInfo[validator].fixedReward;
+        info.variableReward = _validatorInfo[validator].variableReward;
+        info.penalty = _validatorInfo[validator].penalty;
+        info.delegatedAmount = _validatorInfo[validator].delegatedAmount;
+        info.stoppedDelegatedAmount = _validatorInfo[validator]
+            .stoppedDelegatedAmount;
+        info.delegatorsAcc = _validatorInfo[validator].delegatorsAcc;
+        info.delegators = delegators;
+        info.withdrawAvailable = (info.calledForWithdraw > 0)
+            ? info.calledForWithdraw +
+                settings.validatorsSettings.withdrawCooldown
+            : 0;
+        info.claimAvailable =
+            info.lastClaim +
+            settings.validatorsSettings.claimCooldown;
+        info.unbonding = _validatorUnbonding[validator];
+    }
+
+    function _delegatorsInfo(
+        address validator,
+        address[] memory delegators
+    ) internal view returns (DelegatorPerValidatorInfo[] memory infos) {
+        uint256 len = delegators.length;
+        infos = new DelegatorPerValidatorInfo[](len);
+        for (uint256 i; i < len; i++) {
+            infos[i] = _delegatorInfo[delegators[i]].delegatorPerValidator[
+                validator
+            ];
         }
-
-        // store fixed reward
-        (_validatorInfo[validator].fixedReward.fixedReward, ) = validatorEarned(
-            validator
-        );
-        _validatorInfo[validator].fixedReward.lastUpdate = _rightBoarderV(
-            validator
-        );
-        _validatorInfo[validator].fixedReward.apr = settings
-            .validatorsSettings
-            .apr; // change each _update call (to keep it actual)
     }
 
-    function _updateDelegatorRewardPerValidator(
-        address delegator,
-        address validator
-    ) internal {
-        _updateFixedDelegatorsReward();
-
-        DelegatorPerValidatorInfo storage info = _delegatorInfo[delegator]
-            .delegatorPerValidator[validator];
-
-        // store fixed & variable rewards
-        (
-            info.fixedReward.fixedReward,
-            info.variableReward.variableReward
-        ) = _delegatorEarnedPerValidator(delegator, validator);
-
-        info.fixedReward.lastUpdate = _rightBoarderDPV(delegator, validator);
-        info.fixedReward.apr = settings.delegatorsSettings.apr; // change each _update call (to keep it actual)
-        info.storedValidatorAcc = _validatorInfo[validator].delegatorsAcc;
+    function _initializeV2() internal {
+        commissionChangeDelay = 7 days;
+        maxCommissionChange = 5_00;
+        limits = LimitSettings(5_00, 30_00, 4800);
+        doubleSign = DoubleSignSettings(5_00, 10_00);
     }
 
     function _depositAsValidator(
@@ -1257,6 +3022,7 @@ contract CRATStakeManagerTest is
         uint256 amount,
         uint256 commission
     ) internal {
+        if (tombstoned[validator]) revert Tombstoned(validator);
         if (_validatorInfo[validator].calledForWithdraw > 0)
             revert InStoplistStatus(validator, true);
 
@@ -1264,8 +3030,10 @@ contract CRATStakeManagerTest is
         _updateValidatorReward(validator);
 
         if (!_validators.contains(validator)) {
-            if (commission > 30_00 || commission < 5_00)
-                revert WrongValue(commission);
+            if (
+                commission > limits.maxCommission ||
+                commission < limits.minCommission
+            ) revert WrongValue(commission);
 
             _validatorInfo[validator].commission = commission; // do not allow change commission value once validator has been registered
             _validatorInfo[validator].lastClaim = testTime; // to keep unboarding period
@@ -1281,41 +3049,6 @@ contract CRATStakeManagerTest is
         );
     }
 
-    function _depositAsDelegator(
-        address delegator,
-        uint256 amount,
-        address validator
-    ) internal {
-        if (
-            _delegatorInfo[delegator]
-                .delegatorPerValidator[validator]
-                .calledForWithdraw > 0
-        ) revert InStoplistStatus(delegator, true);
-
-        if (!_validators.contains(validator)) revert ValidatorsOnly(validator); // necessary to choose only active validator
-
-        if (!_delegatorInfo[delegator].validators.contains(validator)) {
-            if (_validatorInfo[validator].delegators.length() == 4800)
-                revert DelegatorsLimit();
-            _delegatorInfo[delegator].validators.add(validator);
-            _validatorInfo[validator].delegators.add(delegator);
-            _delegatorInfo[delegator]
-                .delegatorPerValidator[validator]
-                .lastClaim = testTime; // to keep unboarding period
-        }
-
-        // update delegator rewards before amount will be changed
-        _updateDelegatorRewardPerValidator(delegator, validator);
-
-        _delegatorInfo[delegator]
-            .delegatorPerValidator[validator]
-            .amount += amount;
-        _validatorInfo[validator].delegatedAmount += amount;
-        totalDelegatorsPool += amount;
-
-        emit DelegatorDeposited(delegator, validator, amount);
-    }
-
     function _claimAsValidator(
         address validator
     ) internal returns (uint256 toClaim) {
@@ -1393,53 +3126,31 @@ contract CRATStakeManagerTest is
         emit DelegatorClaimed(delegator, validator, toClaim);
     }
 
-    function _validatorCallForWithdraw(address sender) internal {
-        _updateValidatorReward(sender);
-
-        (uint256 amount, uint256 delegatedAmount) = (
-            _validatorInfo[sender].amount,
-            _validatorInfo[sender].delegatedAmount
-        );
-
-        _validatorInfo[sender].calledForWithdraw = testTime;
-        _validators.remove(sender);
-        _stopListValidators.add(sender);
-
-        totalValidatorsPool -= amount;
-        totalDelegatorsPool -= delegatedAmount;
-        stoppedValidatorsPool += amount;
-        stoppedDelegatorsPool += delegatedAmount;
-
-        _validatorInfo[sender].stoppedDelegatedAmount += delegatedAmount;
-        delete _validatorInfo[sender].delegatedAmount;
-
-        emit ValidatorCalledForWithdraw(sender);
-    }
+    function _withdrawAsValidator(address validator) internal {
+        _checkValidatorWithdraw(validator);
+        _withdrawValidatorDelegators(validator, type(uint256).max);
 
-    function _delegatorCallForWithdraw(
-        address sender,
-        address validator
-    ) internal {
-        _updateDelegatorRewardPerValidator(sender, validator);
+        uint256 validatorsAmount = _validatorInfo[validator].amount;
 
-        _delegatorInfo[sender]
-            .delegatorPerValidator[validator]
-            .calledForWithdraw = testTime;
+        uint256 amount = _claimAsValidator(validator) + validatorsAmount;
+        uint256 fixedRewardToStore = _validatorInfo[validator]
+            .fixedReward
+            .fixedReward;
+        stoppedValidatorsPool -= validatorsAmount;
+        stoppedDelegatorsPool -= _validatorInfo[validator]
+            .stoppedDelegatedAmount; // rounding leftovers of slashing
+        _stopListValidators.remove(validator);
 
-        if (_validatorInfo[validator].calledForWithdraw == 0) {
-            uint256 amount = _delegatorInfo[sender]
-                .delegatorPerValidator[validator]
-                .amount;
-            totalDelegatorsPool -= amount;
-            stoppedDelegatorsPool += amount;
-            _validatorInfo[validator].delegatedAmount -= amount;
-            _validatorInfo[validator].stoppedDelegatedAmount += amount;
-        }
+        delete _validatorInfo[validator];
+        delete _commissionChanges[validator];
+        delete jailedUntil[validator];
+        _validatorInfo[validator].fixedReward.fixedReward = fixedRewardToStore;
+        _safeTransferETH(validator, amount, true);
 
-        emit DelegatorCalledForWithdraw(sender, validator);
+        emit ValidatorWithdrawed(validator);
     }
 
-    function _withdrawAsValidator(address validator) internal {
+    function _checkValidatorWithdraw(address validator) internal view {
         if (
             _validatorInfo[validator].calledForWithdraw +
                 settings.validatorsSettings.withdrawCooldown >
@@ -1455,57 +3166,56 @@ contract CRATStakeManagerTest is
                         settings.validatorsSettings.withdrawCooldown
                     : _validatorInfo[validator].vestingEnd
             );
+        if (jailedUntil[validator] > testTime)
+            revert Jailed(validator, jailedUntil[validator]);
         if (_validatorInfo[validator].calledForWithdraw == 0)
             revert InStoplistStatus(validator, false);
+    }
 
-        address[] memory delegators = _validatorInfo[validator]
-            .delegators
-            .values();
+    /// @dev settles delegators from the end of the set, so the set itself keeps the progress between transactions
+    function _withdrawValidatorDelegators(
+        address validator,
+        uint256 limit
+    ) internal returns (uint256 count) {
+        EnumerableSet.AddressSet storage delegators = _validatorInfo[validator]
+            .delegators;
+        uint256 len = delegators.length();
+        if (limit > len) limit = len;
+
+        address delegator;
         uint256 amount;
+        uint256 deposit;
         uint256 fixedRewardToStore;
-        for (uint256 i; i < delegators.length; i++) {
-            amount = _claimAsDelegatorPerValidator(
-                delegators[i],
-                validator,
-                false
-            );
-            amount += _delegatorInfo[delegators[i]]
+        for (; count < limit; count++) {
+            delegator = delegators.at(len - count - 1);
+            _checkNotLiable(delegator, validator);
+            amount = _claimAsDelegatorPerValidator(delegator, validator, false);
+            deposit = _delegatorInfo[delegator]
                 .delegatorPerValidator[validator]
                 .amount;
-            _delegatorInfo[delegators[i]].validators.remove(validator);
-            _validatorInfo[validator].delegators.remove(delegators[i]);
-            fixedRewardToStore = _delegatorInfo[delegators[i]]
+            amount += _releaseDeposit(delegator, validator, deposit);
+
+            // slashing fees are rounded for the validator and for each delegator separately
+            deposit = Math.min(
+                deposit,
+                _validatorInfo[validator].stoppedDelegatedAmount
+            );
+            stoppedDelegatorsPool -= deposit;
+            _validatorInfo[validator].stoppedDelegatedAmount -= deposit;
+            _leaveValidator(delegator, validator);
+            fixedRewardToStore = _delegatorInfo[delegator]
                 .delegatorPerValidator[validator]
                 .fixedReward
                 .fixedReward;
-            delete _delegatorInfo[delegators[i]].delegatorPerValidator[
-                validator
-            ];
-            _delegatorInfo[delegators[i]]
+            delete _delegatorInfo[delegator].delegatorPerValidator[validator];
+            _delegatorInfo[delegator]
                 .delegatorPerValidator[validator]
                 .fixedReward
                 .fixedReward = fixedRewardToStore;
-            delete fixedRewardToStore;
-            _safeTransferETH(delegators[i], amount, true);
+            _safeTransferETH(delegator, amount, true);
 
-            emit DelegatorWithdrawed(delegators[i], validator);
+            emit DelegatorWithdrawed(delegator, validator);
         }
-
-        uint256 validatorsAmount = _validatorInfo[validator].amount;
-
-        amount = _claimAsValidator(validator);
-        fixedRewardToStore = _validatorInfo[validator].fixedReward.fixedReward;
-        amount += validatorsAmount;
-        stoppedValidatorsPool -= validatorsAmount;
-        stoppedDelegatorsPool -= _validatorInfo[validator]
-            .stoppedDelegatedAmount;
-        _stopListValidators.remove(validator);
-
-        delete _validatorInfo[validator];
-        _validatorInfo[validator].fixedReward.fixedReward = fixedRewardToStore;
-        _safeTransferETH(validator, amount, true);
-
-        emit ValidatorWithdrawed(validator);
     }
 
     function _withdrawAsDelegator(
@@ -1517,8 +3227,13 @@ contract CRATStakeManagerTest is
             validator
         );
         if (calledForWithdraw == 0) revert InStoplistStatus(delegator, false);
+        _checkNotLiable(delegator, validator);
 
+        // delegators leave a jailed validator without waiting for the cooldowns
+        bool immediate = jailedUntil[validator] > 0 &&
+            delegator == _msgSender();
         if (
+            !immediate &&
             calledForWithdraw + settings.delegatorsSettings.withdrawCooldown >
             testTime
         )
@@ -1530,17 +3245,16 @@ contract CRATStakeManagerTest is
         uint256 amount = _claimAsDelegatorPerValidator(
             delegator,
             validator,
-            true
+            !immediate
         );
         uint256 delegatorsAmount = _delegatorInfo[delegator]
             .delegatorPerValidator[validator]
             .amount;
-        amount += delegatorsAmount;
+        amount += _releaseDeposit(delegator, validator, delegatorsAmount);
 
         stoppedDelegatorsPool -= delegatorsAmount;
         _validatorInfo[validator].stoppedDelegatedAmount -= delegatorsAmount;
-        _validatorInfo[validator].delegators.remove(delegator);
-        _delegatorInfo[delegator].validators.remove(validator);
+        _leaveValidator(delegator, validator);
 
         uint256 fixedRewardToStore = _delegatorInfo[delegator]
             .delegatorPerValidator[validator]
@@ -1557,108 +3271,80 @@ contract CRATStakeManagerTest is
         _safeTransferETH(delegator, amount, true);
     }
 
-    function _updateFixedValidatorsReward() internal {
-        if (_totalValidatorsRewards.fixedLastUpdate < testTime) {
-            _totalValidatorsRewards.fixedReward = _fixedValidatorsReward();
-            _totalValidatorsRewards.fixedLastUpdate = testTime;
-        }
-        _updateFixedDelegatorsReward();
-    }
-
-    function _updateFixedDelegatorsReward() internal {
-        if (_totalDelegatorsRewards.fixedLastUpdate < testTime) {
-            _totalDelegatorsRewards.fixedReward = _fixedDelegatorsReward();
-            _totalDelegatorsRewards.fixedLastUpdate = testTime;
-        }
-    }
-
-    function _safeTransferETH(
-        address _to,
-        uint256 _value,
-        bool withTry
-    ) internal {
-        if (withTry) {
-            (bool success, ) = _to.call{value: _value}(new bytes(0));
-            if (!success) {
-                unusualDepositor[_to] += _value;
-                emit TransferToDepositorFailed(_to, _value);
-            }
-        } else {
-            (bool success, ) = _to.call{value: _value}(new bytes(0));
-            if (!success) revert NativeTransferFailed();
+    function _withdrawUnbonded(
+        UnbondingEntry[] storage entries
+    ) internal returns (uint256 amount) {
+        uint256 len = entries.length;
+        if (len == 0) revert WrongValue(0);
+
+        uint256 nextAvailable = type(uint256).max;
+        for (uint256 i = len; i > 0; i--) {
+            if (entries[i - 1].availableAt <= testTime) {
+                amount += entries[i - 1].amount;
+                entries[i - 1] = entries[entries.length - 1];
+                entries.pop();
+            } else if (entries[i - 1].availableAt < nextAvailable)
+                nextAvailable = entries[i - 1].availableAt;
         }
-    }
-
-    // internal view methods
 
-    function _rightBoarderV(address account) internal view returns (uint256) {
-        return
-            _validatorInfo[account].calledForWithdraw > 0
-                ? _validatorInfo[account].calledForWithdraw
-                : testTime;
+        if (amount == 0) revert Cooldown(false, nextAvailable);
     }
 
-    function _rightBoarderDPV(
+    /// @dev redelegated stake stays till the stored end of its liability for the previous validator's slashes
+    /// (later changes of the withdraw cooldown don't move it)
+    function _checkNotLiable(
         address delegator,
         address validator
-    ) internal view returns (uint256) {
-        uint256 calledForWithdraw = _getDelegatorCallForWithdraw(
-            delegator,
-            validator
-        );
-        if (calledForWithdraw > 0) return calledForWithdraw;
-        else return testTime;
-    }
-
-    function _fixedValidatorsReward() internal view returns (uint256) {
-        return
-            _totalValidatorsRewards.fixedReward +
-            ((testTime - _totalValidatorsRewards.fixedLastUpdate) *
-                totalValidatorsPool *
-                settings.validatorsSettings.apr) /
-            (PRECISION * YEAR_DURATION);
-    }
-
-    function _fixedDelegatorsReward() internal view returns (uint256) {
-        return
-            _totalDelegatorsRewards.fixedReward +
-            ((testTime - _totalDelegatorsRewards.fixedLastUpdate) *
-                totalDelegatorsPool *
-                settings.delegatorsSettings.apr) /
-            (PRECISION * YEAR_DURATION);
-    }
-
-    function _fixedRewardToAdd(
-        address validator
-    ) internal view returns (uint256) {
-        return
-            ((_rightBoarderV(validator) -
-                _validatorInfo[validator].fixedReward.lastUpdate) *
-                _validatorInfo[validator].amount *
-                _validatorInfo[validator].fixedReward.apr) /
-            (YEAR_DURATION * PRECISION);
+    ) internal view {
+        uint256 until = redelegatedUntil[delegator][validator];
+        if (until > testTime) revert Cooldown(false, until);
     }
 
-    function _getDelegatorCallForWithdraw(
+    /// @dev deposit locked by swap contract waits for the vesting end as an unbonding entry
+    /// @return deposit part to pay at once
+    function _releaseDeposit(
         address delegator,
-        address validator
-    ) internal view returns (uint256) {
-        (uint256 validatorCall, uint256 delegatorCall) = (
-            _validatorInfo[validator].calledForWithdraw,
-            _delegatorInfo[delegator]
-                .delegatorPerValidator[validator]
-                .calledForWithdraw
+        address validator,
+        uint256 deposit
+    ) internal returns (uint256) {
+        uint256 vestingEnd = delegatorVestingEnd[delegator][validator];
+        if (vestingEnd == 0) return deposit;
+        delete delegatorVestingEnd[delegator][validator];
+        if (vestingEnd <= testTime || deposit == 0) return deposit;
+
+        unbondingDelegatorsPool += deposit;
+        // the position is closed anyway, so the entries limit doesn't apply
+        _addUnbonding(
+            _delegatorUnbonding[delegator][validator],
+            deposit,
+            vestingEnd,
+            false
         );
-        if (delegatorCall > 0 && validatorCall > 0) {
-            return Math.min(delegatorCall, validatorCall);
-        } else if (delegatorCall > 0) {
-            return delegatorCall;
-        } else if (validatorCall > 0) {
-            return validatorCall;
-        } else return 0;
-    }
 
-    function _cooldownCheck(uint256 _value) private pure {
-        if (_value > 365 days) revert WrongValue(_value);
+        emit DelegatorUnbonded(delegator, validator, deposit, vestingEnd);
+        return 0;
+    }
+
+    /// @dev execute the current call with the code of {CRATStakeManagerTestExtension} in the context of this contract
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    function _delegate() private {
+        address extension = _extension;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(
+                gas(),
+                extension,
+                ptr,
+                calldatasize(),
+                0,
+                0
+            )
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
+        }
     }
 }
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IDelegatorsFillerTarget {
+    function depositAsDelegator(address validator) external payable;
+}
+
+contract FillerDelegator {
+    constructor(address staking, address validator) payable {
+        IDelegatorsFillerTarget(staking).depositAsDelegator{value: msg.value}(
+            validator
+        );
+    }
+
+    receive() external payable {}
+}
+
+contract DelegatorsFiller {
+    function fill(
+        address staking,
+        address validator,
+        uint256 count
+    ) public payable {
+        uint256 amount = msg.value / count;
+        for (uint256 i; i < count; i++) {
+            new FillerDelegator{value: amount}(staking, validator);
+        }
+    }
+}
@@ -4,6 +4,9 @@ require("hardhat-gas-reporter");
 require("hardhat-contract-sizer");
 require("dotenv").config();
 
+require("./tasks/stakingSettings");
+require("./tasks/stakingReconcile");
+
 const {PRIVATE_KEY/* , TEST_API_KEY, MAIN_API_KEY, ETHERSCAN_KEY, INFURA */} = process.env;
 
 
@@ -22,7 +25,27 @@ module.exports = {
       }
     ],
     overrides: {
-      "contracts/CRATStakeManager.sol": {
+      "contracts/CratStakeManager.sol": {
+        version: "0.8.24",
+        settings: {
+          viaIR: true,
+          optimizer: {
+            enabled: true,
+            runs: 1,
+          },
+        }
+      },
+      "contracts/CratStakeManagerBase.sol": {
+        version: "0.8.24",
+        settings: {
+          viaIR: true,
+          optimizer: {
+            enabled: true,
+            runs: 1,
+          },
+        }
+      },
+      "contracts/CratStakeManagerExtension.sol": {
         version: "0.8.24",
         settings: {
           viaIR: true,
@@ -32,7 +55,7 @@ module.exports = {
           },
         }
       },
-      "contracts/mock/CRATStakeManagetTest.sol": {
+      "contracts/mock/CratStakeManagetTest.sol": {
         version: "0.8.24",
         settings: {
           viaIR: true,
@@ -45,6 +68,16 @@ module.exports = {
           },
         }
       },
+      "contracts/mock/CratStakeManagerUpgradeMock.sol": {
+        version: "0.8.24",
+        settings: {
+          viaIR: true,
+          optimizer: {
+            enabled: true,
+            runs: 1,
+          },
+        }
+      },
     }
   },
   networks: {
@@ -86,7 +119,7 @@ module.exports = {
   },
 
   contractSizer: {
-    only: [':CRATStakeManager$', ':CRATStakeManagerTest$']
+    only: [':CRATStakeManager$', ':CRATStakeManagerExtension$', ':CRATStakeManagerTest$', ':CRATStakeManagerTestExtension$']
   },
 
   etherscan: {
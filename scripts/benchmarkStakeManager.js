@@ -0,0 +1,232 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {takeSnapshot, time} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {StakeManagerClient} = require("../sdk");
+
+const {BENCH_VALIDATORS, BENCH_DELEGATORS, BENCH_GAS_LIMIT, BENCH_OUT, BENCH_BASELINE, BENCH_CONTRACT} = process.env;
+
+const CALLS = ["slash", "reviveAsValidator", "withdrawAsValidator", "withdrawForDelegators"];
+const FILL_BATCH = 50; // delegators created by one DelegatorsFiller transaction
+const CSV_COLUMNS = ["validators", "delegators", "call", "gasUsed", "exceedsLimit", "error"];
+
+/**
+ * Gas benchmark of the stake manager calls looping over validators and delegators: every configuration
+ * (number of validators x number of delegators of each validator) is built from the same deployment snapshot
+ * @param {object} options contract - stake manager contract name (CRATStakeManager by default)
+ */
+async function createBenchmark(options = {}) {
+  const {ethers, upgrades} = hre;
+  const [owner, distributor, slashReceiver, ...accounts] = await ethers.getSigners();
+
+  const CRATStakeManager = await ethers.getContractFactory(options.contract || "CRATStakeManager");
+  const stakeManager = await upgrades.deployProxy(CRATStakeManager, [distributor.address, slashReceiver.address]);
+  const client = new StakeManagerClient(stakeManager);
+  const filler = await ethers.deployContract("DelegatorsFiller");
+  await stakeManager.setValidatorsMinimum(ethers.parseEther("100"));
+  await stakeManager.setDelegatorsMinimum(ethers.parseEther("0.01"));
+  await stakeManager.setValidatorsAmountToSlash(ethers.parseEther("5"));
+  await owner.sendTransaction({to: stakeManager.target, value: ethers.parseEther("100")}); // fixed rewards pool
+  const snapshot = await takeSnapshot();
+
+  const gasOf = async (send) => {
+    try {
+      return {gasUsed: Number((await (await send()).wait()).gasUsed)};
+    } catch (error) {
+      // calls over the node's transaction gas cap fail on estimation
+      return {gasUsed: null, error: (error.shortMessage || error.message).split("\n")[0]};
+    }
+  };
+
+  /**
+   * @returns {object[]} {validators, delegators, call, gasUsed, error} per call of CALLS (gasUsed - null, if the call failed);
+   * slash is called for all validators, the rest - for the first one
+   */
+  async function measure(validatorsCount, delegatorsCount) {
+    await snapshot.restore();
+    const validators = accounts.slice(0, validatorsCount);
+    if (validators.length < validatorsCount) throw new Error(`Not enough signers for ${validatorsCount} validators`);
+
+    for (const validator of validators) {
+      await stakeManager.connect(validator).depositAsValidator(1000, {value: ethers.parseEther("1000")});
+      for (let filled = 0; filled < delegatorsCount; filled += FILL_BATCH) {
+        const count = Math.min(FILL_BATCH, delegatorsCount - filled);
+        await filler.fill(stakeManager, validator, count, {value: ethers.parseEther("0.01") * BigInt(count)});
+      }
+    }
+    // rewards to be claimed inside the loops
+    const amounts = validators.map(() => ethers.parseEther("1"));
+    await stakeManager.connect(distributor).distributeRewards(validators, amounts, {value: ethers.parseEther("1") * BigInt(validatorsCount)});
+    await time.increase(86400 * 30);
+
+    const [validator] = validators;
+    const gas = {};
+    const deposited = await takeSnapshot();
+    gas.slash = await gasOf(() => stakeManager.connect(distributor).slash(validators));
+
+    await deposited.restore();
+    await stakeManager.connect(validator).validatorCallForWithdraw();
+    const stopped = await takeSnapshot();
+    gas.reviveAsValidator = await gasOf(() => stakeManager.connect(validator).reviveAsValidator());
+
+    // past the withdraw and claim cooldowns
+    await stopped.restore();
+    await time.increase(86400 * 30);
+    const cooledDown = await takeSnapshot();
+    gas.withdrawAsValidator = await gasOf(() => stakeManager.connect(validator).withdrawAsValidator());
+
+    await cooledDown.restore();
+    const delegators = [];
+    for await (const delegator of client.delegators(validator)) delegators.push(delegator);
+    gas.withdrawForDelegators = await gasOf(() => stakeManager.withdrawForDelegators(validator, delegators));
+
+    return CALLS.map((call) => ({validators: validatorsCount, delegators: delegatorsCount, call, ...gas[call]}));
+  }
+
+  return {stakeManager, measure};
+}
+
+/**
+ * Mark results which don't fit into the block (failed calls are marked too)
+ * @param {object[]} results benchmark results
+ * @param {number} gasLimit block gas limit
+ */
+function flagResults(results, gasLimit) {
+  return results.map((r) => ({...r, exceedsLimit: r.gasUsed === null || r.gasUsed > gasLimit}));
+}
+
+/**
+ * Sweep all combinations of validators and delegators counts
+ * @param {object} options validators, delegators - arrays of counts, gasLimit - block gas limit (of the latest block by default),
+ * contract - stake manager contract name, log - progress callback
+ * @returns {object} {contract, gasLimit, results}
+ */
+async function benchmark(options = {}) {
+  const contract = options.contract || "CRATStakeManager";
+  const gasLimit = options.gasLimit || Number((await hre.ethers.provider.getBlock("latest")).gasLimit);
+  const bench = await createBenchmark({contract});
+  let results = [];
+  for (const validators of options.validators || [1]) {
+    for (const delegators of options.delegators || [1]) {
+      const measured = flagResults(await bench.measure(validators, delegators), gasLimit);
+      if (options.log) options.log(measured);
+      results = results.concat(measured);
+    }
+  }
+  return {contract, gasLimit, results};
+}
+
+/**
+ * Gas difference of the same configurations in two benchmark runs
+ * @param {object[]} baseline results before the change
+ * @param {object[]} current results after the change
+ * @returns {object[]} {validators, delegators, call, before, after, diff, percent} for configurations present in both runs
+ */
+function compareResults(baseline, current) {
+  const key = (r) => `${r.validators}/${r.delegators}/${r.call}`;
+  const before = new Map(baseline.map((r) => [key(r), r.gasUsed]));
+  return current.filter((r) => before.has(key(r))).map((r) => {
+    const was = before.get(key(r));
+    const diff = was === null || r.gasUsed === null ? null : r.gasUsed - was;
+    return {
+      validators: r.validators,
+      delegators: r.delegators,
+      call: r.call,
+      before: was,
+      after: r.gasUsed,
+      diff,
+      percent: diff === null ? null : Number(((diff * 100) / was).toFixed(2)),
+    };
+  });
+}
+
+function toCSV(results) {
+  const cell = (value) => (value === undefined || value === null ? "" : /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+  return [CSV_COLUMNS.join(","), ...results.map((r) => CSV_COLUMNS.map((c) => cell(r[c])).join(","))].join("\n") + "\n";
+}
+
+function fromCSV(text) {
+  const [header, ...lines] = text.trim().split("\n");
+  const columns = header.split(",");
+  return lines.map((line) => {
+    const cells = [...line.matchAll(/("(?:[^"]|"")*"|[^,]*)(,|$)/g)].map(([, cell]) =>
+      cell.startsWith("\"") ? cell.slice(1, -1).replace(/""/g, "\"") : cell
+    );
+    const row = Object.fromEntries(columns.map((c, i) => [c, cells[i]]));
+    return {
+      validators: Number(row.validators),
+      delegators: Number(row.delegators),
+      call: row.call,
+      gasUsed: row.gasUsed === "" ? null : Number(row.gasUsed),
+      exceedsLimit: row.exceedsLimit === "true",
+      ...(row.error ? {error: row.error} : {}),
+    };
+  });
+}
+
+/**
+ * Save results as CSV (`.csv` extension) or JSON (anything else)
+ * @param {string} file output path
+ * @param {object} report benchmark result
+ */
+function writeResults(file, report) {
+  const data = path.extname(file) === ".csv" ? toCSV(report.results) : JSON.stringify(report, null, 2) + "\n";
+  fs.writeFileSync(file, data);
+}
+
+/**
+ * @param {string} file results saved by `writeResults`
+ * @returns {object[]} benchmark results
+ */
+function readResults(file) {
+  const text = fs.readFileSync(file, "utf8");
+  return path.extname(file) === ".csv" ? fromCSV(text) : JSON.parse(text).results;
+}
+
+const counts = (value, defaults) => (value ? value.split(",").map(Number) : defaults);
+
+async function main() {
+  const out = BENCH_OUT || "gas-benchmark.json";
+  const report = await benchmark({
+    contract: BENCH_CONTRACT,
+    validators: counts(BENCH_VALIDATORS, [1, 5]),
+    delegators: counts(BENCH_DELEGATORS, [1, 10, 100, 500]),
+    gasLimit: BENCH_GAS_LIMIT && Number(BENCH_GAS_LIMIT),
+    log: (measured) => {
+      const {validators, delegators} = measured[0];
+      const gas = measured.map((r) => `${r.call} ${r.gasUsed === null ? "failed" : r.gasUsed}${r.exceedsLimit ? " (!)" : ""}`);
+      console.log(`${validators} validators x ${delegators} delegators: ${gas.join(", ")}`);
+    },
+  });
+  writeResults(out, report);
+  console.log(`Results saved in ${out}`);
+
+  const exceeding = report.results.filter((r) => r.exceedsLimit);
+  if (exceeding.length > 0) {
+    console.log(`${exceeding.length} calls don't fit into the block gas limit ${report.gasLimit}:`);
+    console.table(exceeding);
+  }
+  if (BENCH_BASELINE) {
+    console.log(`Compared with ${BENCH_BASELINE}:`);
+    console.table(compareResults(readResults(BENCH_BASELINE), report.results));
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  CALLS,
+  createBenchmark,
+  benchmark,
+  flagResults,
+  compareResults,
+  toCSV,
+  fromCSV,
+  writeResults,
+  readResults,
+};
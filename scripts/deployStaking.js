@@ -1,31 +1,70 @@
-const {ethers} = require("hardhat");
+const hre = require("hardhat");
+const {openManifest, pin, deployStep} = require("./utils/manifest");
+const {getContractLayout, matchesDeployedCode} = require("./utils/storageLayout");
 
-const {DISTRIBUTOR, RECEIVER, OWNER} = process.env;
+const {DISTRIBUTOR, RECEIVER, OWNER, STAKE_MANAGER_CONTRACT} = process.env;
 
-async function main() {
-  const CratStakeManager = await ethers.getContractFactory("CRATStakeManagerTest");
+const STAKE_MANAGER_CONTRACTS = ["CRATStakeManager", "CRATStakeManagerTest"];
+const GAS_LIMIT = 12000000;
 
-  // const AdminComp = require("@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts-v5/proxy/transparent/ProxyAdmin.sol/ProxyAdmin.json");
-  const TUPComp = require("@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts-v5/proxy/transparent/TransparentUpgradeableProxy.sol/TransparentUpgradeableProxy.json");
+/**
+ * Deploy stake manager implementation and TransparentUpgradeableProxy (with its ProxyAdmin);
+ * every finished step is recorded in `deployments/<network>.json` and skipped on the next run
+ * @param {object} options contract - CRATStakeManager or CRATStakeManagerTest, distributor, receiver, owner - ProxyAdmin owner,
+ * dir - manifests directory, confirmations - blocks to wait for each transaction
+ */
+async function deployStaking(options = {}) {
+  const {ethers, upgrades} = hre;
+  const ctx = await openManifest(hre, options.dir);
+  ctx.provider = ethers.provider;
+  ctx.confirmations = options.confirmations;
+
+  const section = ctx.manifest.stakeManager = ctx.manifest.stakeManager || {};
+  const contract = pin(section, "contract", options.contract);
+  if (!STAKE_MANAGER_CONTRACTS.includes(contract))
+    throw new Error(`Unknown stake manager contract ${contract}, choose one of ${STAKE_MANAGER_CONTRACTS.join(", ")}`);
+  const initArgs = pin(section, "initArgs", options.distributor === undefined && options.receiver === undefined
+    ? undefined
+    : {distributor: options.distributor, receiver: options.receiver});
+  const owner = pin(section, "proxyAdminOwner", options.owner);
+  ctx.save();
 
-  // const ProxyAdmin = await ethers.getContractFactory(AdminComp.abi, AdminComp.bytecode);
+  const CratStakeManager = await ethers.getContractFactory(contract);
+  const TUPComp = require("@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts-v5/proxy/transparent/TransparentUpgradeableProxy.sol/TransparentUpgradeableProxy.json");
   const TUP = await ethers.getContractFactory(TUPComp.abi, TUPComp.bytecode);
+  const [deployer] = await ethers.getSigners();
+
+  const impl = await deployStep(ctx, section, "implementation", async () =>
+    deployer.sendTransaction(await CratStakeManager.getDeployTransaction({gasLimit: GAS_LIMIT}))
+  );
 
-  // const proxyAdmin = await ProxyAdmin.deploy(DISTRIBUTOR, {gasLimit: 8000000});
-  // console.log("Proxy admin deployed ", proxyAdmin.target);
-  // const proxyAdmin = ProxyAdmin.attach("0x845e4145F7de2822d16FE233Ecd0181c61f1d65F");
+  // reference for the storage layout check of future upgrades
+  if (!impl.storageLayout && await matchesDeployedCode(hre, contract, impl.address)) {
+    impl.storageLayout = await getContractLayout(hre, contract);
+    ctx.save();
+  }
 
-  const impl = await CratStakeManager.deploy({gasLimit: 8000000});
-  console.log("Implementation deployed ", impl.target);
-  // const impl = CratStakeManager.attach("0x6e5a0b0B0DAF1EDc652c7eE80EE349F72C02Cb96");
+  const calldata = CratStakeManager.interface.encodeFunctionData("initialize", [initArgs.distributor, initArgs.receiver]);
+  const proxy = await deployStep(ctx, section, "proxy", async () =>
+    deployer.sendTransaction(await TUP.getDeployTransaction(impl.address, owner, calldata, {gasLimit: GAS_LIMIT}))
+  );
 
-  await new Promise(x => setTimeout(x, 30000));
+  if (!section.proxyAdmin) {
+    section.proxyAdmin = {address: await upgrades.erc1967.getAdminAddress(proxy.address)};
+    ctx.save();
+  }
+  console.log("Staking proxy: ", proxy.address, ", ProxyAdmin: ", section.proxyAdmin.address);
 
-  const calldata = CratStakeManager.interface.encodeFunctionData("initialize", [DISTRIBUTOR, RECEIVER]);
-  const proxyStaking = await TUP.deploy(impl.target, OWNER, calldata, {gasLimit: 8000000});
-  console.log("Staking proxy deployed ", proxyStaking.target);
-  // const proxyStaking = CratStakeManager.attach("0xFA79Ad6F5128c236c3894523260d48D693b0f155");
-  // await proxyStaking.grantRole("0x0000000000000000000000000000000000000000000000000000000000000000", "0x73026Bfc0235875F6C1fD057E4674aC5F1409dE9");
+  return ctx.manifest;
+}
+
+async function main() {
+  await deployStaking({
+    contract: STAKE_MANAGER_CONTRACT || undefined,
+    distributor: DISTRIBUTOR || undefined,
+    receiver: RECEIVER || undefined,
+    owner: OWNER || undefined,
+  });
 }
 
 // async function verify(contract, constructorArguments) {
@@ -35,7 +74,11 @@ async function main() {
 //   })
 // }
 
-main().catch((error) => {
-  console.error(error);
-  process.exitCode = 1;
-});
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {deployStaking, STAKE_MANAGER_CONTRACTS};
@@ -1,10 +1,86 @@
-const {ethers} = require("hardhat");
+const hre = require("hardhat");
+const {openManifest, pin, deployStep} = require("./utils/manifest");
+const {readSchedule, verifySchedule, distributionArgs} = require("./utils/vestingSchedule");
 
-const {OWNER} = process.env;
+const {OWNER, VESTING_CONTRACT, VESTING_SCHEDULE} = process.env;
+
+const VESTING_CONTRACTS = ["CRATVesting", "CRATVestingTest"];
+const GAS_LIMIT = 8000000;
+
+/**
+ * Deploy vesting contract and start the distribution by the schedule file (verified before the deployment);
+ * the result is recorded in `deployments/<network>.json` and skipped on the next run. If the deployer isn't
+ * the initializer, `startDistribution` calldata is recorded for the initializer instead
+ * @param {object} options contract - CRATVesting or CRATVestingTest, admin, initializer, schedule - JSON/CSV schedule
+ * (`config/vestingSchedule.json` by default), addresses - allocator name => address (overrides the schedule file),
+ * dir - manifests directory, confirmations - blocks to wait for the transaction
+ */
+async function deployVesting(options = {}) {
+  const {ethers} = hre;
+  const ctx = await openManifest(hre, options.dir);
+  ctx.provider = ethers.provider;
+  ctx.confirmations = options.confirmations;
+
+  const section = ctx.manifest.vesting = ctx.manifest.vesting || {};
+  const contract = pin(section, "contract", options.contract);
+  if (!VESTING_CONTRACTS.includes(contract))
+    throw new Error(`Unknown vesting contract ${contract}, choose one of ${VESTING_CONTRACTS.join(", ")}`);
+  const args = pin(section, "args", options.admin === undefined && options.initializer === undefined
+    ? undefined
+    : {admin: options.admin, initializer: options.initializer});
+  const Vesting = await ethers.getContractFactory(contract);
+  if (!section.distribution) {
+    const schedule = readSchedule(options.schedule, options.addresses);
+    const value = verifySchedule(schedule);
+    section.distribution = {
+      value,
+      data: Vesting.interface.encodeFunctionData("startDistribution", distributionArgs(schedule)),
+    };
+    console.log(`Schedule of ${schedule.allocators.length} allocators verified, total ${ethers.formatEther(value)}, ${schedule.linear ? "linear" : "stepwise"} release`);
+  }
+  ctx.save();
+
+  const [deployer] = await ethers.getSigners();
+
+  const vesting = await deployStep(ctx, section, "deployment", async () =>
+    deployer.sendTransaction(await Vesting.getDeployTransaction(args.admin, args.initializer, {gasLimit: GAS_LIMIT}))
+  );
+  console.log("Vesting deployed: ", vesting.address);
+
+  const distribution = section.distribution;
+  distribution.to = vesting.address;
+  ctx.save();
+  const sent = distribution.txHash && !distribution.blockNumber ? await ethers.provider.getTransaction(distribution.txHash) : null;
+  if (sent) {
+    console.log(`distribution: waiting for pending transaction ${distribution.txHash}`);
+    distribution.blockNumber = (await sent.wait(ctx.confirmations)).blockNumber;
+    ctx.save();
+  }
+  if ((await Vesting.attach(vesting.address).connect(ethers.provider).initializer()) === ethers.ZeroAddress) {
+    console.log("distribution: already started");
+  } else if (deployer.address === ethers.getAddress(args.initializer)) {
+    const tx = await deployer.sendTransaction({to: distribution.to, data: distribution.data, value: distribution.value, gasLimit: GAS_LIMIT});
+    distribution.txHash = tx.hash;
+    ctx.save();
+    const receipt = await tx.wait(ctx.confirmations);
+    distribution.blockNumber = receipt.blockNumber;
+    ctx.save();
+    console.log(`distribution: started in ${tx.hash}`);
+  } else {
+    console.log(`Send from the initializer to ${distribution.to} with value ${distribution.value}:`);
+    console.log(distribution.data);
+  }
+
+  return ctx.manifest;
+}
 
 async function main() {
-  const vesting = await ethers.deployContract("CRATVestingTest", [OWNER, OWNER], {gasLimit: 8000000})
-  console.log("Vesting deployed: ", vesting.target);
+  await deployVesting({
+    contract: VESTING_CONTRACT || undefined,
+    admin: OWNER || undefined,
+    initializer: OWNER || undefined,
+    schedule: VESTING_SCHEDULE || undefined,
+  });
 }
 
 // async function verify(contract, constructorArguments) {
@@ -14,7 +90,11 @@ async function main() {
 //   })
 // }
 
-main().catch((error) => {
-  console.error(error);
-  process.exitCode = 1;
-});
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {deployVesting, VESTING_CONTRACTS};
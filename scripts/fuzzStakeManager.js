@@ -0,0 +1,312 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const {takeSnapshot, time} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {random} = require("./utils/random");
+
+const {FUZZ_SEED, FUZZ_RUNS, FUZZ_STEPS, FUZZ_REPLAY} = process.env;
+
+const VALIDATORS = 3;
+const DELEGATORS = 5;
+
+/**
+ * Random action list; actions are plain JSON (accounts are indexes, amounts are coins as decimal strings down to
+ * wei, so percentage slashes round) so a failing list can be saved, replayed and shrunk
+ * @param {number} seed PRNG seed
+ * @param {number} steps number of actions
+ */
+function generateActions(seed, steps) {
+  const rnd = random(seed);
+  const v = () => rnd.int(0, VALIDATORS - 1);
+  const d = () => rnd.int(0, DELEGATORS - 1);
+  const some = (count, fn) => [...new Set(Array.from({length: rnd.int(1, count)}, fn))];
+  const generators = {
+    depositAsValidator: () => ({validator: v(), amount: rnd.coins(50, 300), commission: rnd.int(5_00, 30_00)}),
+    depositAsDelegator: () => ({delegator: d(), validator: v(), amount: rnd.coins(5, 60)}),
+    restakeAsValidator: () => ({validator: v()}),
+    restakeAsDelegator: () => ({delegator: d(), validator: v()}),
+    claimAsValidator: () => ({validator: v()}),
+    claimAsDelegatorPerValidator: () => ({delegator: d(), validator: v()}),
+    validatorCallForWithdraw: () => ({validator: v()}),
+    delegatorCallForWithdraw: () => ({delegator: d(), validator: v()}),
+    reviveAsValidator: () => ({validator: v(), amount: rnd.coins(0, 100)}),
+    reviveAsDelegator: () => ({delegator: d(), validator: v(), amount: rnd.coins(0, 20)}),
+    validatorUnbond: () => ({validator: v(), amount: rnd.coins(1, 100)}),
+    delegatorUnbond: () => ({delegator: d(), validator: v(), amount: rnd.coins(1, 30)}),
+    redelegate: () => ({delegator: d(), validator: v(), toValidator: v(), amount: rnd.coins(1, 40)}),
+    scheduleCommissionChange: () => ({validator: v(), commission: rnd.int(5_00, 30_00)}),
+    withdrawUnbondedAsValidator: () => ({validator: v()}),
+    withdrawUnbondedAsDelegator: () => ({delegator: d(), validator: v()}),
+    withdrawAsValidator: () => ({validator: v()}),
+    withdrawValidatorDelegators: () => ({validator: v(), limit: rnd.int(1, 3)}),
+    withdrawAsDelegator: () => ({delegator: d(), validator: v()}),
+    withdrawForDelegators: () => ({validator: v(), delegators: some(DELEGATORS, d)}),
+    slash: () => ({validators: some(VALIDATORS, v)}),
+    distributeRewards: () => {
+      const validators = some(VALIDATORS, v);
+      return {validators, amounts: validators.map(() => rnd.coins(0, 10))};
+    },
+    fund: () => ({amount: rnd.coins(0, 5)}),
+    timeJump: () => ({seconds: rnd.int(1, 86400 * 10)}),
+  };
+  // deposits and time jumps keep the state populated and move it through cooldowns
+  const weighted = [...Object.keys(generators), "depositAsValidator", "depositAsDelegator", "depositAsDelegator", "distributeRewards", "timeJump", "timeJump", "timeJump"];
+
+  return Array.from({length: steps}, () => {
+    const action = rnd.pick(weighted);
+    return {action, ...generators[action]()};
+  });
+}
+
+/**
+ * Accounting invariants of the stake manager, each returns an error message or null
+ */
+const INVARIANTS = {
+  // validators pools equal the sum of active/stopped validators' deposits
+  validatorsPools: (s) => {
+    const active = s.active.reduce((sum, v) => sum + v.amount, 0n);
+    const stopped = s.stopped.reduce((sum, v) => sum + v.amount, 0n);
+    if (s.totalValidatorsPool !== active || s.stoppedValidatorsPool !== stopped)
+      return `pools ${s.totalValidatorsPool}/${s.stoppedValidatorsPool}, validators' deposits ${active}/${stopped}`;
+    return null;
+  },
+  // delegators pools equal the sum of validators' delegated amounts (slashes take the same rounded fee from both)
+  delegatorsPools: (s) => {
+    const all = [...s.active, ...s.stopped];
+    const delegated = all.reduce((sum, v) => sum + v.delegatedAmount, 0n);
+    const stopped = all.reduce((sum, v) => sum + v.stoppedDelegatedAmount, 0n);
+    if (s.totalDelegatorsPool !== delegated || s.stoppedDelegatorsPool !== stopped)
+      return `pools ${s.totalDelegatorsPool}/${s.stoppedDelegatorsPool}, delegated ${delegated}/${stopped}`;
+    return null;
+  },
+  // delegated + stopped delegated amount of every validator equals the sum of its delegators' deposits, but for
+  // the rounding of percentage slashes: each delegator's fee is rounded down, the validator's amounts lose the fee
+  // of their sum, so the deposits may exceed them by less than 1 wei per delegator for each slash
+  delegatedAmounts: (s) => {
+    for (const v of [...s.active, ...s.stopped]) {
+      const sum = v.delegators.reduce((acc, d) => acc + d.amount, 0n);
+      const rounding = sum - v.delegatedAmount - v.stoppedDelegatedAmount;
+      if (rounding < 0n || rounding > v.slashes * BigInt(DELEGATORS))
+        return `${v.address}: delegated ${v.delegatedAmount} + stopped ${v.stoppedDelegatedAmount}, delegators' deposits ${sum} after ${v.slashes} slashes`;
+    }
+    return null;
+  },
+  // contract balance covers everything it owes
+  solvency: (s) => {
+    const owed = s.totalValidatorsPool + s.stoppedValidatorsPool + s.totalDelegatorsPool + s.stoppedDelegatorsPool +
+      s.unbondingValidatorsPool + s.unbondingDelegatorsPool + s.variableRewards + s.forFixedReward + s.unusualDepositors;
+    if (s.balance < owed) return `balance ${s.balance} < owed ${owed}`;
+    return null;
+  },
+};
+
+/**
+ * Fuzzing harness: deploys the stake manager once and replays action lists from the same snapshot
+ * @param {object} options invariants - invariants to check (INVARIANTS by default)
+ */
+async function createFuzzer(options = {}) {
+  const {ethers, upgrades} = hre;
+  const invariants = options.invariants || INVARIANTS;
+  const [owner, distributor, slashReceiver, ...accounts] = await ethers.getSigners();
+  const validators = accounts.slice(0, VALIDATORS);
+  const delegators = accounts.slice(VALIDATORS, VALIDATORS + DELEGATORS);
+
+  const CRATStakeManager = await ethers.getContractFactory("CRATStakeManager");
+  const stakeManager = await upgrades.deployProxy(CRATStakeManager, [distributor.address, slashReceiver.address]);
+  await stakeManager.setValidatorsMinimum(ethers.parseEther("100"));
+  await stakeManager.setDelegatorsMinimum(ethers.parseEther("10"));
+  await stakeManager.setValidatorsAmountToSlash(ethers.parseEther("5.5"));
+  // not a divisor of the amounts: delegators' fees are rounded
+  await stakeManager.setDelegatorsPercToSlash(3_33);
+  await stakeManager.setValidatorsClaimCooldown(86400 * 2);
+  await stakeManager.setDelegatorsClaimCooldown(86400 * 3);
+  const snapshot = await takeSnapshot();
+
+  const coins = (amount) => ethers.parseEther(String(amount));
+  const send = {
+    depositAsValidator: (a) => stakeManager.connect(validators[a.validator]).depositAsValidator(a.commission, {value: coins(a.amount)}),
+    depositAsDelegator: (a) => stakeManager.connect(delegators[a.delegator]).depositAsDelegator(validators[a.validator], {value: coins(a.amount)}),
+    restakeAsValidator: (a) => stakeManager.connect(validators[a.validator]).restakeAsValidator(),
+    restakeAsDelegator: (a) => stakeManager.connect(delegators[a.delegator]).restakeAsDelegator(validators[a.validator]),
+    claimAsValidator: (a) => stakeManager.connect(validators[a.validator]).claimAsValidator(),
+    claimAsDelegatorPerValidator: (a) => stakeManager.connect(delegators[a.delegator]).claimAsDelegatorPerValidator(validators[a.validator]),
+    validatorCallForWithdraw: (a) => stakeManager.connect(validators[a.validator]).validatorCallForWithdraw(),
+    delegatorCallForWithdraw: (a) => stakeManager.connect(delegators[a.delegator]).delegatorCallForWithdraw(validators[a.validator]),
+    reviveAsValidator: (a) => stakeManager.connect(validators[a.validator]).reviveAsValidator({value: coins(a.amount)}),
+    reviveAsDelegator: (a) => stakeManager.connect(delegators[a.delegator]).reviveAsDelegator(validators[a.validator], {value: coins(a.amount)}),
+    validatorUnbond: (a) => stakeManager.connect(validators[a.validator]).validatorUnbond(coins(a.amount)),
+    delegatorUnbond: (a) => stakeManager.connect(delegators[a.delegator]).delegatorUnbond(validators[a.validator], coins(a.amount)),
+    redelegate: (a) => stakeManager.connect(delegators[a.delegator]).redelegate(validators[a.validator], validators[a.toValidator], coins(a.amount)),
+    scheduleCommissionChange: (a) => stakeManager.connect(validators[a.validator]).scheduleCommissionChange(a.commission),
+    withdrawUnbondedAsValidator: (a) => stakeManager.connect(validators[a.validator]).withdrawUnbondedAsValidator(),
+    withdrawUnbondedAsDelegator: (a) => stakeManager.connect(delegators[a.delegator]).withdrawUnbondedAsDelegator(validators[a.validator]),
+    withdrawAsValidator: (a) => stakeManager.connect(validators[a.validator]).withdrawAsValidator(),
+    withdrawValidatorDelegators: (a) => stakeManager.connect(owner).withdrawValidatorDelegators(validators[a.validator], a.limit),
+    withdrawAsDelegator: (a) => stakeManager.connect(delegators[a.delegator]).withdrawAsDelegator(validators[a.validator]),
+    withdrawForDelegators: (a) => stakeManager.connect(owner).withdrawForDelegators(validators[a.validator], a.delegators.map((i) => delegators[i])),
+    slash: (a) => stakeManager.connect(distributor).slash(a.validators.map((i) => validators[i])),
+    distributeRewards: (a) => {
+      const amounts = a.amounts.map(coins);
+      const value = amounts.reduce((sum, x) => sum + x, 0n);
+      return stakeManager.connect(distributor).distributeRewards(a.validators.map((i) => validators[i]), amounts, {value});
+    },
+    fund: (a) => owner.sendTransaction({to: stakeManager.target, value: coins(a.amount)}),
+    timeJump: async (a) => {
+      await time.increase(a.seconds);
+      return null;
+    },
+  };
+
+  async function readState() {
+    const list = async ([addresses, amounts]) => Promise.all(addresses.map(async (address, i) => {
+      const [delegatorAddresses, infos] = await stakeManager.getDelegatorsInfoPerValidator(address);
+      const delegatorsVariable = await Promise.all(delegatorAddresses.map(async (d) => (await stakeManager.delegatorEarnedPerValidator(d, address))[1]));
+      return {
+        address,
+        amount: amounts[i][0],
+        delegatedAmount: amounts[i][1],
+        stoppedDelegatedAmount: amounts[i][2],
+        delegators: infos.map((info) => ({amount: info.amount})),
+        slashes: BigInt((await stakeManager.getSlashHistory(address)).length),
+        variableRewards: (await stakeManager.validatorEarned(address))[1] + delegatorsVariable.reduce((sum, x) => sum + x, 0n),
+      };
+    }));
+    const state = {
+      active: await list(await stakeManager.getActiveValidators()),
+      stopped: await list(await stakeManager.getStoppedValidators()),
+      totalValidatorsPool: await stakeManager.totalValidatorsPool(),
+      stoppedValidatorsPool: await stakeManager.stoppedValidatorsPool(),
+      totalDelegatorsPool: await stakeManager.totalDelegatorsPool(),
+      stoppedDelegatorsPool: await stakeManager.stoppedDelegatorsPool(),
+      unbondingValidatorsPool: await stakeManager.unbondingValidatorsPool(),
+      unbondingDelegatorsPool: await stakeManager.unbondingDelegatorsPool(),
+      forFixedReward: await stakeManager.forFixedReward(),
+      balance: await ethers.provider.getBalance(stakeManager),
+      unusualDepositors: 0n,
+    };
+    state.variableRewards = [...state.active, ...state.stopped].reduce((sum, v) => sum + v.variableRewards, 0n);
+    for (const account of [...validators, ...delegators]) state.unusualDepositors += await stakeManager.unusualDepositor(account);
+    return state;
+  }
+
+  /**
+   * Replay actions from the clean deployment checking invariants after every accepted action
+   * @returns {object} {failure: {step, action, invariant, message} | null, accepted} (accepted - number of not reverted actions)
+   */
+  async function run(actions) {
+    await snapshot.restore();
+    let accepted = 0;
+    for (let step = 0; step < actions.length; step++) {
+      const action = actions[step];
+      try {
+        const tx = await send[action.action](action);
+        if (tx) await tx.wait();
+      } catch (error) {
+        if (!/revert/i.test(error.message)) throw error;
+        continue;
+      }
+      accepted++;
+      const state = await readState();
+      for (const [invariant, check] of Object.entries(invariants)) {
+        const message = check(state);
+        if (message) return {failure: {step, action, invariant, message}, accepted};
+      }
+    }
+    return {failure: null, accepted};
+  }
+
+  /**
+   * Minimize a failing action list: drop chunks of actions (halving the chunk size down to single actions) and
+   * shorten time jumps while the same invariant keeps failing
+   * @returns {object} {actions, failure} minimal failing list and its failure
+   */
+  async function shrink(actions, failure) {
+    const fails = async (candidate) => {
+      const result = await run(candidate);
+      return result.failure && result.failure.invariant === failure.invariant ? result.failure : null;
+    };
+    // actions after the failing step don't matter
+    let current = actions.slice(0, failure.step + 1);
+    let currentFailure = failure;
+
+    for (let chunk = Math.ceil(current.length / 2); chunk >= 1; chunk = chunk === 1 ? 0 : Math.ceil(chunk / 2)) {
+      for (let start = 0; start < current.length;) {
+        const candidate = [...current.slice(0, start), ...current.slice(start + chunk)];
+        const result = candidate.length > 0 ? await fails(candidate) : null;
+        if (result) {
+          current = candidate.slice(0, result.step + 1);
+          currentFailure = result;
+        } else start += chunk;
+      }
+    }
+    for (let i = 0; i < current.length; i++) {
+      if (current[i].action !== "timeJump") continue;
+      for (const seconds of [1, 86400, Math.ceil(current[i].seconds / 2)]) {
+        if (seconds >= current[i].seconds) continue;
+        const candidate = current.map((a, j) => (j === i ? {...a, seconds} : a));
+        const result = await fails(candidate);
+        if (result) {
+          current = candidate.slice(0, result.step + 1);
+          currentFailure = result;
+          break;
+        }
+      }
+    }
+    return {actions: current, failure: currentFailure};
+  }
+
+  return {stakeManager, validators, delegators, run, shrink};
+}
+
+/**
+ * Run `runs` random seeds starting from `seed`; the first failing seed is shrunk
+ * @returns {object|null} {seed, actions, failure} of the shrunk failing case, null - all seeds passed
+ */
+async function fuzz(options = {}) {
+  const fuzzer = await createFuzzer(options);
+  const {seed = 1, runs = 10, steps = 100} = options;
+  for (let i = 0; i < runs; i++) {
+    const actions = generateActions(seed + i, steps);
+    const {failure} = await fuzzer.run(actions);
+    if (failure) return {seed: seed + i, ...(await fuzzer.shrink(actions, failure))};
+  }
+  return null;
+}
+
+async function main() {
+  if (FUZZ_REPLAY) {
+    const fuzzer = await createFuzzer();
+    const actions = JSON.parse(fs.readFileSync(FUZZ_REPLAY));
+    const {failure, accepted} = await fuzzer.run(actions);
+    console.log(failure ? `Failed: ${JSON.stringify(failure)}` : `Passed (${accepted} of ${actions.length} actions accepted)`);
+    if (failure) process.exitCode = 1;
+    return;
+  }
+
+  const seed = Number(FUZZ_SEED || Date.now() % 2 ** 31);
+  const runs = Number(FUZZ_RUNS || 10);
+  console.log(`Fuzzing seeds ${seed}..${seed + runs - 1}`);
+  const result = await fuzz({seed, runs, steps: Number(FUZZ_STEPS || 100)});
+  if (!result) {
+    console.log("All invariants hold");
+    return;
+  }
+  const file = `fuzz-failure-${result.seed}.json`;
+  fs.writeFileSync(file, JSON.stringify(result.actions, null, 2));
+  console.log(`Seed ${result.seed} breaks ${result.failure.invariant}: ${result.failure.message}`);
+  console.log(`Shrunk to ${result.actions.length} actions in ${file}, replay with FUZZ_REPLAY=${file}`);
+  process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  INVARIANTS,
+  generateActions,
+  createFuzzer,
+  fuzz,
+};
@@ -0,0 +1,142 @@
+const hre = require("hardhat");
+const {openManifest, deployStep} = require("./utils/manifest");
+const {getContractLayout, matchesDeployedCode, compareLayouts} = require("./utils/storageLayout");
+
+const {STAKE_MANAGER_CONTRACT, STAKE_MANAGER_REFERENCE, UPGRADE_CALLDATA} = process.env;
+
+const GAS_LIMIT = 12000000;
+
+const ProxyAdminComp = require("@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts-v5/proxy/transparent/ProxyAdmin.sol/ProxyAdmin.json");
+
+// move executed upgrade from `pendingUpgrade` to `implementation`
+function promote(section) {
+  const {contract, implementation} = section.pendingUpgrade;
+  section.previousImplementations = section.previousImplementations || [];
+  const {storageLayout, ...previous} = section.implementation;
+  section.previousImplementations.push({contract: section.contract, ...previous});
+  section.contract = contract;
+  section.implementation = implementation;
+  delete section.pendingUpgrade;
+}
+
+// proxies deployed before the V2 settings were added get their defaults atomically with the upgrade
+async function defaultCall(proxy) {
+  const {ethers} = hre;
+  const CRATStakeManager = await ethers.getContractFactory("CRATStakeManager");
+  try {
+    const limits = await CRATStakeManager.attach(proxy).connect(ethers.provider).limits();
+    if (limits.delegatorsPerValidator > 0n) return "0x";
+  } catch (error) {
+    // the deployed implementation has no limits yet
+  }
+  return CRATStakeManager.interface.encodeFunctionData("initializeV2");
+}
+
+async function referenceLayout(section, reference) {
+  if (section.implementation.storageLayout) return section.implementation.storageLayout;
+  if (!reference)
+    throw new Error("No storage layout of the deployed implementation in the manifest, set STAKE_MANAGER_REFERENCE to the contract it was built from");
+  if (!(await matchesDeployedCode(hre, reference, section.implementation.address)))
+    throw new Error(`${reference} doesn't match the code deployed at ${section.implementation.address}`);
+  return getContractLayout(hre, reference);
+}
+
+/**
+ * Prepare stake manager upgrade: check the storage layout of the new implementation against the deployed one,
+ * deploy it and build ProxyAdmin `upgradeAndCall` calldata (for the ProxyAdmin owner, e.g. multisig);
+ * the next run after the upgrade has been executed moves it into the manifest `implementation`
+ * @param {object} options contract - new implementation contract name, reference - contract name the deployed implementation
+ * was built from (only if the manifest has no layout for it), call - calldata to execute after the upgrade
+ * (by default `initializeV2()` if the proxy has no V2 settings yet),
+ * execute - send `upgradeAndCall` from the first signer, dir - manifests directory, confirmations - blocks to wait
+ * @returns {object} stakeManager manifest section
+ */
+async function upgradeStaking(options = {}) {
+  const {ethers, upgrades} = hre;
+  const ctx = await openManifest(hre, options.dir);
+  ctx.provider = ethers.provider;
+  ctx.confirmations = options.confirmations;
+
+  const section = ctx.manifest.stakeManager;
+  if (!section || !section.proxy || !section.proxy.address)
+    throw new Error(`No stake manager proxy in ${ctx.file}, deploy it first`);
+  const proxy = section.proxy.address;
+
+  let current = await upgrades.erc1967.getImplementationAddress(proxy);
+  if (section.pendingUpgrade && section.pendingUpgrade.implementation &&
+    section.pendingUpgrade.implementation.address === current) {
+    promote(section);
+    ctx.save();
+    console.log(`Upgrade to ${section.contract} (${current}) has been executed`);
+  }
+  if (current !== section.implementation.address)
+    throw new Error(`Proxy implementation ${current} differs from the manifest ${section.implementation.address}`);
+
+  const contract = options.contract || section.contract;
+
+  const original = await referenceLayout(section, options.reference);
+  const updated = await getContractLayout(hre, contract);
+  const {ok, explanation} = compareLayouts(original, updated);
+  if (!ok) throw new Error(`${contract} storage layout is incompatible with the deployed implementation:\n${explanation}`);
+
+  if (await matchesDeployedCode(hre, contract, current)) {
+    console.log(`${contract} is already deployed at ${current}, nothing to upgrade`);
+    return section;
+  }
+
+  // drop a prepared upgrade if the sources have been changed since then
+  if (section.pendingUpgrade && (section.pendingUpgrade.contract !== contract ||
+    (section.pendingUpgrade.implementation && section.pendingUpgrade.implementation.address &&
+      !(await matchesDeployedCode(hre, contract, section.pendingUpgrade.implementation.address)))))
+    delete section.pendingUpgrade;
+  const pending = section.pendingUpgrade = section.pendingUpgrade || {contract};
+  ctx.save();
+
+  const Factory = await ethers.getContractFactory(contract);
+  const [deployer] = await ethers.getSigners();
+  const impl = await deployStep(ctx, pending, "implementation", async () =>
+    deployer.sendTransaction(await Factory.getDeployTransaction({gasLimit: GAS_LIMIT}))
+  );
+  impl.storageLayout = updated;
+
+  const ProxyAdmin = new ethers.Interface(ProxyAdminComp.abi);
+  const call = options.call || (await defaultCall(proxy));
+  pending.upgradeAndCall = {
+    to: section.proxyAdmin.address,
+    data: ProxyAdmin.encodeFunctionData("upgradeAndCall", [proxy, impl.address, call]),
+  };
+  ctx.save();
+
+  console.log(`New implementation: ${impl.address}`);
+  console.log(`Send from the ProxyAdmin owner to ${pending.upgradeAndCall.to}:`);
+  console.log(pending.upgradeAndCall.data);
+
+  if (options.execute) {
+    const tx = await deployer.sendTransaction(pending.upgradeAndCall);
+    await tx.wait(options.confirmations);
+    current = await upgrades.erc1967.getImplementationAddress(proxy);
+    if (current !== impl.address) throw new Error(`Upgrade transaction ${tx.hash} didn't change the implementation`);
+    promote(section);
+    ctx.save();
+    console.log(`Upgraded in ${tx.hash}`);
+  }
+
+  return section;
+}
+
+async function main() {
+  await upgradeStaking({
+    contract: STAKE_MANAGER_CONTRACT || undefined,
+    reference: STAKE_MANAGER_REFERENCE || undefined,
+    call: UPGRADE_CALLDATA || undefined,
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {upgradeStaking};
@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_DIR = path.join(__dirname, "..", "..", "deployments");
+
+function manifestPath(networkName, dir = MANIFEST_DIR) {
+  return path.join(dir, `${networkName}.json`);
+}
+
+/**
+ * Read per-network deployment manifest
+ * @param {string} networkName hardhat network name
+ * @param {string} dir directory with manifests (`deployments/` by default)
+ * @returns {object} manifest (empty object if nothing has been deployed yet)
+ */
+function readManifest(networkName, dir = MANIFEST_DIR) {
+  const file = manifestPath(networkName, dir);
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeManifest(networkName, manifest, dir = MANIFEST_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    manifestPath(networkName, dir),
+    JSON.stringify(manifest, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2) + "\n"
+  );
+}
+
+/**
+ * Open manifest of the current network; every `save` call rewrites the file,
+ * so an interrupted deployment can be resumed from the last recorded step
+ * @param {object} hre hardhat runtime environment
+ * @param {string} dir directory with manifests
+ */
+async function openManifest(hre, dir = MANIFEST_DIR) {
+  const networkName = hre.network.name;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = readManifest(networkName, dir);
+
+  if (manifest.chainId !== undefined && BigInt(manifest.chainId) !== chainId)
+    throw new Error(`Manifest ${manifestPath(networkName, dir)} belongs to chain ${manifest.chainId}, connected to ${chainId}`);
+  manifest.network = networkName;
+  manifest.chainId = chainId;
+
+  return {
+    manifest,
+    file: manifestPath(networkName, dir),
+    save: () => writeManifest(networkName, manifest, dir),
+  };
+}
+
+/**
+ * Fix a value in the manifest on the first run and make sure later runs use the same one
+ * @param {object} section manifest section
+ * @param {string} key field name
+ * @param {*} value value requested by the current run (undefined - take the stored one)
+ */
+function pin(section, key, value) {
+  if (section[key] === undefined) {
+    if (value === undefined) throw new Error(`${key} is not set`);
+    section[key] = value;
+  } else if (value !== undefined && JSON.stringify(section[key]) !== JSON.stringify(value)) {
+    throw new Error(`${key} differs from the manifest: ${JSON.stringify(section[key])} != ${JSON.stringify(value)}`);
+  }
+  return section[key];
+}
+
+/**
+ * Deploy a contract as a resumable step:
+ * - skipped if the recorded address already has code;
+ * - if only the transaction hash was recorded, waits for its receipt instead of sending again;
+ * - otherwise sends the deploy transaction and records hash, address and block number
+ * @param {object} ctx {manifest, save} from `openManifest`, `provider` and `confirmations`
+ * @param {object} section manifest section to store the step in
+ * @param {string} step step name inside the section
+ * @param {function} send async function that sends the deploy transaction
+ * @returns {object} step record {address, txHash, blockNumber}
+ */
+async function deployStep(ctx, section, step, send) {
+  const { provider, save, confirmations = 1 } = ctx;
+  let record = section[step];
+
+  if (record && record.address && (await provider.getCode(record.address)) !== "0x") {
+    console.log(`${step}: already deployed at ${record.address}`);
+    return record;
+  }
+
+  const pending = record && record.txHash ? await provider.getTransaction(record.txHash) : null;
+  if (pending) {
+    console.log(`${step}: waiting for pending transaction ${record.txHash}`);
+    const receipt = await pending.wait(confirmations);
+    if (receipt && receipt.status === 1 && receipt.contractAddress) {
+      Object.assign(record, { address: receipt.contractAddress, blockNumber: receipt.blockNumber });
+      save();
+      return record;
+    }
+  }
+
+  const tx = await send();
+  record = section[step] = { txHash: tx.hash };
+  save();
+  console.log(`${step}: sent ${tx.hash}`);
+
+  const receipt = await tx.wait(confirmations);
+  Object.assign(record, { address: receipt.contractAddress, blockNumber: receipt.blockNumber });
+  save();
+  console.log(`${step}: deployed at ${record.address}`);
+
+  return record;
+}
+
+module.exports = {
+  MANIFEST_DIR,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  openManifest,
+  pin,
+  deployStep,
+};
@@ -0,0 +1,30 @@
+/**
+ * Seeded PRNG (mulberry32): the same seed always produces the same sequence
+ * @param {number} seed 32-bit integer seed
+ * @returns {object} int(min, max), pick(arr), chance(p), ether(min, max), coins(min, max) helpers
+ */
+function random(seed) {
+  let a = seed | 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  return {
+    next,
+    int,
+    pick: (arr) => arr[Math.floor(next() * arr.length)],
+    chance: (p) => next() < p,
+    // whole number of coins as wei
+    ether: (min, max) => BigInt(int(min, max)) * 10n ** 18n,
+    // coins with all 18 decimals random as a decimal string (from `min` to `max` excluded), keeps wei-level rounding in play
+    coins: (min, max) => {
+      const decimals = () => String(int(0, 999_999_999)).padStart(9, "0");
+      return `${int(min, max - 1)}.${decimals()}${decimals()}`;
+    },
+  };
+}
+
+module.exports = {random};
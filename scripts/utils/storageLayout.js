@@ -0,0 +1,65 @@
+const {
+  getStorageLayout,
+  getStorageUpgradeReport,
+  getUnlinkedBytecode,
+  getVersion,
+  withValidationDefaults,
+} = require("@openzeppelin/upgrades-core");
+const {readValidations} = require("@openzeppelin/hardhat-upgrades/dist/utils/validations");
+
+const VALIDATION_OPTIONS = {kind: "transparent"};
+
+/**
+ * Storage layout of a compiled contract as the OpenZeppelin upgrades plugin sees it
+ * (also checks that the contract itself is upgrade safe)
+ * @param {object} hre hardhat runtime environment
+ * @param {string} contractName contract name
+ * @param {object} [options] extra validation options, e.g. `unsafeAllow`
+ * @returns {object} plain JSON storage layout
+ */
+async function getContractLayout(hre, contractName, options = {}) {
+  const factory = await hre.ethers.getContractFactory(contractName);
+  await hre.upgrades.validateImplementation(factory, {...VALIDATION_OPTIONS, ...options});
+
+  const validations = await readValidations(hre);
+  const version = getVersion(getUnlinkedBytecode(validations, factory.bytecode), factory.bytecode);
+  return JSON.parse(JSON.stringify(getStorageLayout(validations, version)));
+}
+
+/**
+ * Is the code at `address` produced by the current sources of `contractName`
+ * @param {object} hre hardhat runtime environment
+ * @param {string} contractName contract name
+ * @param {string} address deployed implementation address
+ */
+async function matchesDeployedCode(hre, contractName, address) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  let code = (await hre.ethers.provider.getCode(address)).toLowerCase();
+
+  // immutables are filled in by the constructor, the artifact keeps zeros in their place
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const {immutableReferences = {}} = buildInfo.output.contracts[artifact.sourceName][artifact.contractName].evm.deployedBytecode;
+  for (const {start, length} of Object.values(immutableReferences).flat()) {
+    const from = 2 + start * 2;
+    code = code.slice(0, from) + "0".repeat(length * 2) + code.slice(from + length * 2);
+  }
+
+  return code === artifact.deployedBytecode.toLowerCase();
+}
+
+/**
+ * Compare two storage layouts
+ * @param {object} original layout of the deployed implementation
+ * @param {object} updated layout of the new implementation
+ * @returns {object} {ok, explanation}
+ */
+function compareLayouts(original, updated) {
+  const report = getStorageUpgradeReport(original, updated, withValidationDefaults(VALIDATION_OPTIONS));
+  return {ok: report.ok, explanation: report.ok ? "" : report.explain()};
+}
+
+module.exports = {
+  getContractLayout,
+  matchesDeployedCode,
+  compareLayouts,
+};
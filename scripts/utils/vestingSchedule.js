@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const {formatEther, getAddress, parseEther} = require("ethers");
+
+const DEFAULT_SCHEDULE = path.join(__dirname, "..", "..", "config", "vestingSchedule.json");
+const CSV_COLUMNS = ["name", "address", "start", "amount"]; // and optional periodEnd
+
+const toUnixTime = (value) => {
+  const ms = /^\d+$/.test(String(value)) ? Number(value) * 1000 : Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Wrong time ${value}`);
+  return BigInt(ms / 1000);
+};
+
+/**
+ * Schedule from the plain config object
+ * @param {object} config {total, linear, cliff, allocators: [{name, address, tranches: [{start, periodEnd, amount}]}]};
+ * start, periodEnd - ISO date or unix time in seconds: start of the tranche's period and the time it's fully unlocked
+ * (stepwise release - at once; start by default),
+ * cliff - in seconds, amounts - in CRAT
+ * @param {object} addresses name => address, overrides addresses of the config
+ * @returns {object} {total, linear, cliff, allocators: [{name, address, tranches: [{periodStart, amount, periodEnd}]}]}
+ * (bigint times and wei amounts)
+ */
+function parseSchedule(config, addresses = {}) {
+  return {
+    total: config.total === undefined ? undefined : parseEther(String(config.total)),
+    linear: Boolean(config.linear),
+    cliff: BigInt(config.cliff || 0),
+    allocators: config.allocators.map((a) => {
+      const address = addresses[a.name] || a.address;
+      if (!address) throw new Error(`No address of ${a.name}`);
+      return {
+        name: a.name,
+        address: getAddress(address),
+        tranches: a.tranches.map((t) => ({
+          periodStart: toUnixTime(t.start),
+          amount: parseEther(String(t.amount)),
+          periodEnd: toUnixTime(t.periodEnd || t.start),
+        })),
+      };
+    }),
+  };
+}
+
+/**
+ * CSV schedule: one row per tranche, rows of the same allocator are grouped by name in the order of appearance;
+ * the total isn't declared, the release is stepwise (at `periodEnd`, if the column is given, otherwise at `start`)
+ */
+function fromCSV(text) {
+  const [header, ...lines] = text.trim().split(/\r?\n/);
+  const columns = header.split(",").map((c) => c.trim());
+  const missing = CSV_COLUMNS.filter((c) => !columns.includes(c));
+  if (missing.length > 0) throw new Error(`No ${missing.join(", ")} columns in the schedule`);
+
+  const allocators = new Map();
+  for (const line of lines) {
+    const row = Object.fromEntries(line.split(",").map((cell, i) => [columns[i], cell.trim()]));
+    if (!allocators.has(row.name)) allocators.set(row.name, {name: row.name, address: row.address, tranches: []});
+    allocators.get(row.name).tranches.push({start: row.start, periodEnd: row.periodEnd || undefined, amount: row.amount});
+  }
+  return {allocators: [...allocators.values()]};
+}
+
+/**
+ * Read schedule from JSON (`.csv` extension - CSV) file
+ * @param {string} file schedule path (`config/vestingSchedule.json` by default)
+ * @param {object} addresses name => address, overrides addresses of the file
+ */
+function readSchedule(file = DEFAULT_SCHEDULE, addresses = {}) {
+  const text = fs.readFileSync(file, "utf8");
+  return parseSchedule(path.extname(file) === ".csv" ? fromCSV(text) : JSON.parse(text), addresses);
+}
+
+/**
+ * Check the schedule as CRATVesting.startDistribution does and its sum against the declared total
+ * @returns {bigint} sum of all tranches (value to fund the distribution with)
+ */
+function verifySchedule(schedule) {
+  if (schedule.allocators.length === 0) throw new Error("Empty schedule");
+  const seen = new Set();
+  let sum = 0n;
+  for (const {name, address, tranches} of schedule.allocators) {
+    if (seen.has(address)) throw new Error(`${name}: address ${address} is used twice`);
+    seen.add(address);
+    if (tranches.length === 0) throw new Error(`${name}: no tranches`);
+    tranches.forEach((t, i) => {
+      if (t.amount <= 0n) throw new Error(`${name}: zero amount of tranche ${i}`);
+      if (i > 0 && t.periodStart <= tranches[i - 1].periodStart) throw new Error(`${name}: tranches aren't sorted by period start`);
+      if (t.periodEnd < t.periodStart || (schedule.linear && (t.periodEnd === t.periodStart || t.periodEnd < t.periodStart + schedule.cliff)))
+        throw new Error(`${name}: period of tranche ${i} ends before its start or cliff`);
+      sum += t.amount;
+    });
+  }
+  if (schedule.total !== undefined && sum !== schedule.total)
+    throw new Error(`Sum of the schedule ${formatEther(sum)} differs from the total ${formatEther(schedule.total)}`);
+  return sum;
+}
+
+/**
+ * @returns {Array} [allocators, shedules, linear, cliff] arguments of CRATVesting.startDistribution
+ */
+function distributionArgs(schedule) {
+  return [
+    schedule.allocators.map((a) => a.address),
+    schedule.allocators.map((a) => a.tranches.map((t) => ({periodStart: t.periodStart, amount: t.amount, periodEnd: t.periodEnd}))),
+    Boolean(schedule.linear),
+    schedule.cliff || 0n,
+  ];
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  parseSchedule,
+  fromCSV,
+  readSchedule,
+  verifySchedule,
+  distributionArgs,
+};
@@ -0,0 +1,64 @@
+/**
+ * Double signing evidence for CRATStakeManager: block headers signed by validator's signing key
+ * (`submitDoubleSignEvidence`) and the proof of the key possession (`registerSigningKey`)
+ */
+
+const { AbiCoder, getBytes, keccak256, resolveAddress, verifyMessage } = require("ethers");
+
+const coder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Digest signed by validator's key for a block header (signed as an Ethereum message)
+ * @param {bigint|number} chainId chain id of the stake manager network
+ * @param {bigint|number} height block height
+ * @param {string} headerHash hash of the header
+ */
+function headerDigest(chainId, height, headerHash) {
+  return keccak256(coder.encode(["uint256", "uint256", "bytes32"], [chainId, height, headerHash]));
+}
+
+/**
+ * @param {object} key ethers signer of the validator's signing key
+ * @returns {object} {height, headerHash, signature} - `SignedHeader` argument of `submitDoubleSignEvidence`
+ */
+async function signHeader(key, chainId, height, headerHash) {
+  const signature = await key.signMessage(getBytes(headerDigest(chainId, height, headerHash)));
+  return { height: BigInt(height), headerHash, signature };
+}
+
+/**
+ * Digest signed by the signing key to prove its possession on registration
+ * @param {bigint|number} chainId chain id of the stake manager network
+ * @param {string|object} stakeManager stake manager proxy (address or addressable)
+ * @param {string|object} validator validator registering the key (address or addressable)
+ */
+async function signingKeyDigest(chainId, stakeManager, validator) {
+  const [stakeManagerAddress, validatorAddress] = await Promise.all([resolveAddress(stakeManager), resolveAddress(validator)]);
+  return keccak256(coder.encode(["uint256", "address", "address"], [chainId, stakeManagerAddress, validatorAddress]));
+}
+
+/**
+ * @param {object} key ethers signer of the signing key
+ * @returns {string} signature for `registerSigningKey(key, signature)`
+ */
+async function signSigningKey(key, chainId, stakeManager, validator) {
+  return key.signMessage(getBytes(await signingKeyDigest(chainId, stakeManager, validator)));
+}
+
+/**
+ * Whether two signed headers are a double signing evidence against the same key
+ * (same height, different hashes, both signatures of `key`)
+ */
+function isDoubleSign(chainId, first, second, key) {
+  if (BigInt(first.height) !== BigInt(second.height) || first.headerHash === second.headerHash) return false;
+  const signer = (header) => verifyMessage(getBytes(headerDigest(chainId, header.height, header.headerHash)), header.signature);
+  return [signer(first), signer(second)].every((s) => s.toLowerCase() === key.toLowerCase());
+}
+
+module.exports = {
+  headerDigest,
+  signHeader,
+  signingKeyDigest,
+  signSigningKey,
+  isDoubleSign,
+};
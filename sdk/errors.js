@@ -0,0 +1,193 @@
+/**
+ * Decoder of CRATStakeManager/CRATVesting reverts: custom errors, `require` reasons and panics
+ * are turned into human readable messages
+ */
+
+const { Interface, MaxUint256, ZeroHash, id, isHexString } = require("ethers");
+
+const ERRORS = new Interface([
+  // CRATStakeManager
+  "error ZeroAddress()",
+  "error DelegatorsLimit()",
+  "error RedelegationsLimit()",
+  "error UnbondingLimit()",
+  "error NativeTransferFailed()",
+  "error WrongValidatorsLength()",
+  "error WrongValue(uint256 value)",
+  "error ValidatorsOnly(address account)",
+  "error DelegatorsOnly(address account)",
+  "error Cooldown(bool forClaim, uint256 upperBond)",
+  "error InStoplistStatus(address account, bool stoplisted)",
+  "error InPause(uint8 subsystem, uint256 until)",
+  "error PauseTooLong(uint256 until)",
+  "error Jailed(address validator, uint256 until)",
+  "error Tombstoned(address validator)",
+  "error InvalidSignature(address signer)",
+  "error InvalidEvidence()",
+  "error SelfReport(address validator)",
+  // OpenZeppelin
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error ReentrancyGuardReentrantCall()",
+  "error InvalidInitialization()",
+  "error NotInitializing()",
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+]);
+
+const ROLES = {
+  [ZeroHash]: "DEFAULT_ADMIN_ROLE",
+  [id("DISTRIBUTOR_ROLE")]: "DISTRIBUTOR_ROLE",
+  [id("SWAP_ROLE")]: "SWAP_ROLE",
+  [id("GUARDIAN_ROLE")]: "GUARDIAN_ROLE",
+};
+
+// CRATVesting `require` reasons
+const REASONS = {
+  "CRATVesting: 0x00": "zero address is not allowed",
+  "CRATVesting: wrong sender": "only the initializer is able to start the distribution (it can be started once)",
+  "CRATVesting: wrong vesting supply": "msg.value must be equal to the sum of all tranches",
+  "CRATVesting: wrong length": "allocators and shedules must be non-empty arrays of the same length",
+  "CRATVesting: wrong shedule": "every allocator needs tranches with non-zero amounts sorted by period start and periods ending not before it (linear release - longer than the cliff)",
+  "CRATVesting: wrong amount": "amount is zero or exceeds the unlocked amount (staking - the unstaked part of the tranche)",
+  "CRATVesting: nothing to claim": "nothing has been unlocked yet",
+  "CRATVesting: native transfer failed": "native coin transfer to the receiver failed",
+  "CRATVesting: not allocator": "only an allocation address is able to set a claim delegate or receiver or stake its tranches",
+  "CRATVesting: not beneficiary": "only the allocator or its claim delegate is able to claim its coins",
+  "CRATVesting: wrong receiver": "claim delegate is able to send the coins only to the allocator or its claim receiver",
+  "CRATVesting: not admin or allocator": "only the admin or the allocator is able to propose or cancel its beneficiary change",
+  "CRATVesting: has shedule": "the new beneficiary already has a vesting shedule",
+  "CRATVesting: no change": "no beneficiary change approved by both the admin and the allocator for the sender",
+  "CRATVesting: timelock": "beneficiary change delay hasn't passed yet",
+  "CRATVesting: has stake": "the allocator must withdraw its stake manager position and wait for its staked tranches release before its beneficiary change",
+  "CRATVesting: no stake manager": "the admin hasn't set the stake manager yet",
+  "CRATVesting: wrong tranche": "no tranche with this index in the allocator's shedule",
+  "CRATVesting: tranche unlocked": "only locked tranches can be staked, unlocked ones are claimed",
+};
+
+// CRATStakeManager `Subsystem` enum
+const SUBSYSTEMS = ["deposits", "claims", "withdrawals", "distribution", "slashing"];
+
+const PANICS = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x32: "array index out of bounds",
+};
+
+/**
+ * Format timestamp as `2026-11-02 14:00 UTC`
+ * @param {bigint|number} timestamp unix timestamp in seconds
+ */
+function formatTimestamp(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString().slice(0, 16).replace("T", " ") + " UTC";
+}
+
+// "you are" if the account is the sender (options.from), "<account> is" otherwise
+function subject(account, options) {
+  const from = options.from && (options.from.address || options.from);
+  return from && String(from).toLowerCase() === account.toLowerCase() ? "you are" : `${account} is`;
+}
+
+const MESSAGES = {
+  ZeroAddress: () => "zero address is not allowed",
+  DelegatorsLimit: () => "the validator has reached the maximum number of delegators",
+  RedelegationsLimit: () => "too many of the delegator's redelegations from the validator are still liable for its slashes, try later",
+  UnbondingLimit: () => "too many unbonding entries, withdraw the available ones or wait for them",
+  NativeTransferFailed: () => "native coin transfer to the receiver failed",
+  WrongValidatorsLength: () => "wrong number of validators: empty list, lengths mismatch or more than allowed",
+  WrongValue: ({ value }) =>
+    `value ${value} is not accepted (below the minimum, wrong msg.value, nothing to claim or out of the allowed range)`,
+  ValidatorsOnly: ({ account }, options) =>
+    `${subject(account, options)} not an active validator or already registered as a delegator`,
+  DelegatorsOnly: ({ account }, options) =>
+    `${subject(account, options)} not a delegator of the validator or already registered as a validator`,
+  Cooldown: ({ forClaim, upperBond }) => `${forClaim ? "claim" : "withdraw"} cooldown active until ${formatTimestamp(upperBond)}`,
+  InStoplistStatus: ({ account, stoplisted }, options) =>
+    stoplisted
+      ? `${subject(account, options)} already in the stop list (called for withdraw)`
+      : `${subject(account, options)} not in the stop list, call for withdraw first`,
+  InPause: ({ subsystem, until }) =>
+    `${SUBSYSTEMS[Number(subsystem)] || `subsystem ${subsystem}`} paused ${
+      until === MaxUint256 ? "until the admin unpauses it" : `until ${formatTimestamp(until)}`
+    }`,
+  PauseTooLong: ({ until }) =>
+    `withdrawals can't be paused again until ${formatTimestamp(until)} (a pause and the gap after it last MAX_WITHDRAWALS_PAUSE)`,
+  Jailed: ({ validator, until }, options) =>
+    `${subject(validator, options)} jailed until ${formatTimestamp(until)} (the validator returns by unjail after it)`,
+  Tombstoned: ({ validator }, options) => `${subject(validator, options)} tombstoned for double signing`,
+  InvalidSignature: ({ signer }) =>
+    `signing key ${signer} is already registered or the signature isn't made by the key`,
+  InvalidEvidence: () => "headers are not a double signing evidence: different heights, same hash or different signers",
+  SelfReport: ({ validator }, options) => `${subject(validator, options)} the validator the evidence is against, it can't be reported by itself`,
+  AccessControlUnauthorizedAccount: ({ account, neededRole }, options) =>
+    `${subject(account, options)} missing ${ROLES[neededRole] || `role ${neededRole}`}`,
+  ReentrancyGuardReentrantCall: () => "reentrant call",
+  InvalidInitialization: () => "contract is already initialized",
+  NotInitializing: () => "contract is not initializing",
+  ECDSAInvalidSignature: () => "invalid signature",
+  ECDSAInvalidSignatureLength: ({ length }) => `invalid signature length ${length}`,
+  ECDSAInvalidSignatureS: () => "invalid signature (s value)",
+  Error: ({ reason }) => REASONS[reason] || reason,
+  Panic: ({ code }) => `panic 0x${code.toString(16).padStart(2, "0")}${PANICS[Number(code)] ? ` (${PANICS[Number(code)]})` : ""}`,
+};
+
+/**
+ * Find revert data in an error thrown by ethers/hardhat (nested in `error`, `info.error`, `cause` etc.)
+ * @param {object|string} error thrown error or revert data itself
+ * @returns {string|null} hex revert data
+ */
+function getRevertData(error, depth = 0) {
+  if (typeof error === "string") return isHexString(error) && error.length >= 10 ? error : null;
+  if (!error || typeof error !== "object" || depth > 5) return null;
+  for (const nested of [error.data, error.error, error.info && error.info.error, error.cause]) {
+    const data = getRevertData(nested, depth + 1);
+    if (data) return data;
+  }
+  return null;
+}
+
+/**
+ * Decode revert of CRATStakeManager/CRATVesting
+ * @param {object|string} error thrown error or revert data
+ * @param {object} options from - sender of the transaction (messages about it say "you")
+ * @returns {object|null} {name, args, message} (args - named error arguments), null - not a known revert
+ */
+function decodeError(error, options = {}) {
+  const data = getRevertData(error);
+  if (!data) return null;
+  let parsed;
+  try {
+    parsed = ERRORS.parseError(data);
+  } catch (e) {
+    return null;
+  }
+  if (!parsed) return null;
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const name = parsed.name === "Error" ? "reason" : parsed.name === "Panic" ? "code" : input.name;
+    args[name] = parsed.args[i];
+  });
+  return { name: parsed.name, args, message: MESSAGES[parsed.name](args, options) };
+}
+
+/**
+ * Human readable explanation of an error (the original message if the revert is unknown)
+ * @param {object} error thrown error
+ * @param {object} options see `decodeError`
+ */
+function explainError(error, options) {
+  const decoded = decodeError(error, options);
+  if (decoded) return decoded.message;
+  return (error && (error.shortMessage || error.message)) || String(error);
+}
+
+module.exports = {
+  ERRORS,
+  SUBSYSTEMS,
+  formatTimestamp,
+  getRevertData,
+  decodeError,
+  explainError,
+};
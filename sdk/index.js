@@ -0,0 +1,11 @@
+const stakeManager = require("./stakeManager");
+const errors = require("./errors");
+const rewards = require("./rewards");
+const doubleSign = require("./doubleSign");
+
+module.exports = {
+  ...stakeManager,
+  ...errors,
+  ...rewards,
+  ...doubleSign,
+};
@@ -0,0 +1,1079 @@
+/**
+ * Off-chain copy of CRATStakeManager reward accounting: fixed (APR) rewards, variable rewards distributed through
+ * `delegatorsAcc`, pools and stop lists. Every operation mirrors the contract method of the same name and takes the
+ * block timestamp it is executed at; the engine expects operations the contract has accepted (reverts aren't checked).
+ * All amounts and timestamps are bigint
+ */
+
+const { getAddress } = require("ethers");
+
+const PRECISION = 100_00n;
+const YEAR_DURATION = 365n * 86400n;
+const ACCURACY = 10n ** 18n;
+const DAY = 86400n;
+
+// storage slots of the private `_totalValidatorsRewards`/`_totalDelegatorsRewards` structs
+// ({variableReward, fixedLastUpdate, fixedReward}, one slot per field)
+const TOTAL_VALIDATORS_REWARDS_SLOT = 19n;
+const TOTAL_DELEGATORS_REWARDS_SLOT = 22n;
+
+// checksummed address of an address string or a signer/contract with `address`
+function toAddress(account) {
+  return getAddress(typeof account === "string" ? account : account.address);
+}
+
+function fixedReward(r = {}) {
+  return {
+    apr: BigInt(r.apr || 0),
+    lastUpdate: BigInt(r.lastUpdate || 0),
+    fixedReward: BigInt(r.fixedReward || 0),
+    totalClaimed: BigInt(r.totalClaimed || 0),
+  };
+}
+
+function variableReward(r = {}) {
+  return {
+    variableReward: BigInt(r.variableReward || 0),
+    totalClaimed: BigInt(r.totalClaimed || 0),
+  };
+}
+
+function validatorInfo(info = {}) {
+  return {
+    amount: BigInt(info.amount || 0),
+    commission: BigInt(info.commission || 0),
+    lastClaim: BigInt(info.lastClaim || 0),
+    calledForWithdraw: BigInt(info.calledForWithdraw || 0),
+    vestingEnd: BigInt(info.vestingEnd || 0),
+    fixedReward: fixedReward(info.fixedReward),
+    variableReward: variableReward(info.variableReward),
+    penalty: {
+      lastSlash: BigInt((info.penalty && info.penalty.lastSlash) || 0),
+      potentialPenalty: BigInt((info.penalty && info.penalty.potentialPenalty) || 0),
+    },
+    delegatedAmount: BigInt(info.delegatedAmount || 0),
+    stoppedDelegatedAmount: BigInt(info.stoppedDelegatedAmount || 0),
+    delegatorsAcc: BigInt(info.delegatorsAcc || 0),
+    delegators: [...(info.delegators || [])].map((d) => toAddress(d)),
+  };
+}
+
+function delegatorPerValidatorInfo(info = {}) {
+  return {
+    amount: BigInt(info.amount || 0),
+    storedValidatorAcc: BigInt(info.storedValidatorAcc || 0),
+    calledForWithdraw: BigInt(info.calledForWithdraw || 0),
+    lastClaim: BigInt(info.lastClaim || 0),
+    fixedReward: fixedReward(info.fixedReward),
+    variableReward: variableReward(info.variableReward),
+  };
+}
+
+function unbondingEntries(entries = []) {
+  return [...entries].map((e) => ({ amount: BigInt(e.amount), availableAt: BigInt(e.availableAt) }));
+}
+
+function redelegationEntries(entries = []) {
+  return [...entries].map((e) => ({
+    delegator: toAddress(e.delegator),
+    validator: toAddress(e.validator),
+    amount: BigInt(e.amount),
+    liableUntil: BigInt(e.liableUntil),
+  }));
+}
+
+function roleSettings(r) {
+  return {
+    apr: BigInt(r.apr),
+    toSlash: BigInt(r.toSlash),
+    minimumThreshold: BigInt(r.minimumThreshold),
+    claimCooldown: BigInt(r.claimCooldown),
+    withdrawCooldown: BigInt(r.withdrawCooldown),
+  };
+}
+
+// remove from array keeping EnumerableSet order (the last element takes the place of the removed one)
+function removeFromSet(arr, value) {
+  const i = arr.indexOf(value);
+  if (i < 0) return;
+  arr[i] = arr[arr.length - 1];
+  arr.pop();
+}
+
+function addToSet(arr, value) {
+  if (!arr.includes(value)) arr.push(value);
+}
+
+class RewardEngine {
+  /**
+   * @param {object} state {settings, pools (totalValidatorsPool etc.), forFixedReward, totalValidatorsRewards,
+   * totalDelegatorsRewards, activeValidators, stoppedValidators, validators, delegators, validatorUnbonding,
+   * delegatorUnbonding, delegatorVestingEnd, redelegations, commissionChangeDelay, commissionChanges, doubleSign,
+   * jailedUntil, tombstoned} (see `initial`)
+   */
+  constructor(state) {
+    this.settings = {
+      validatorsLimit: BigInt(state.settings.validatorsLimit),
+      validatorsProbationPeriod: BigInt(state.settings.validatorsProbationPeriod),
+      validatorsSettings: roleSettings(state.settings.validatorsSettings),
+      delegatorsSettings: roleSettings(state.settings.delegatorsSettings),
+    };
+    this.totalValidatorsPool = BigInt(state.totalValidatorsPool || 0);
+    this.totalDelegatorsPool = BigInt(state.totalDelegatorsPool || 0);
+    this.stoppedValidatorsPool = BigInt(state.stoppedValidatorsPool || 0);
+    this.stoppedDelegatorsPool = BigInt(state.stoppedDelegatorsPool || 0);
+    this.unbondingValidatorsPool = BigInt(state.unbondingValidatorsPool || 0);
+    this.unbondingDelegatorsPool = BigInt(state.unbondingDelegatorsPool || 0);
+    this.forFixedReward = BigInt(state.forFixedReward || 0);
+    const totals = (t) => ({
+      variableReward: BigInt(t.variableReward || 0),
+      fixedLastUpdate: BigInt(t.fixedLastUpdate || 0),
+      fixedReward: BigInt(t.fixedReward || 0),
+    });
+    this._totalValidatorsRewards = totals(state.totalValidatorsRewards);
+    this._totalDelegatorsRewards = totals(state.totalDelegatorsRewards);
+    this.activeValidators = (state.activeValidators || []).map((v) => toAddress(v));
+    this.stoppedValidators = (state.stoppedValidators || []).map((v) => toAddress(v));
+
+    this.validators = {};
+    for (const [validator, info] of Object.entries(state.validators || {}))
+      this.validators[toAddress(validator)] = validatorInfo(info);
+    // delegator => {validators: address[], perValidator: {validator => info}}
+    this.delegators = {};
+    for (const [delegator, info] of Object.entries(state.delegators || {})) {
+      const entry = this._delegator(delegator);
+      entry.validators = info.validators.map((v) => toAddress(v));
+      for (const [validator, perValidator] of Object.entries(info.perValidator))
+        entry.perValidator[toAddress(validator)] = delegatorPerValidatorInfo(perValidator);
+    }
+    // pending partial withdrawals: validator => entries, delegator => {validator => entries}
+    this.validatorUnbonding = {};
+    for (const [validator, entries] of Object.entries(state.validatorUnbonding || {}))
+      this.validatorUnbonding[toAddress(validator)] = unbondingEntries(entries);
+    this.delegatorUnbonding = {};
+    for (const [delegator, perValidator] of Object.entries(state.delegatorUnbonding || {})) {
+      this.delegatorUnbonding[toAddress(delegator)] = {};
+      for (const [validator, entries] of Object.entries(perValidator))
+        this.delegatorUnbonding[toAddress(delegator)][toAddress(validator)] = unbondingEntries(entries);
+    }
+    // locks of the deposits made by swap contract: delegator => {validator => vesting end}
+    this.delegatorVestingEnd = {};
+    for (const [delegator, perValidator] of Object.entries(state.delegatorVestingEnd || {})) {
+      this.delegatorVestingEnd[toAddress(delegator)] = {};
+      for (const [validator, vestingEnd] of Object.entries(perValidator))
+        this.delegatorVestingEnd[toAddress(delegator)][toAddress(validator)] = BigInt(vestingEnd);
+    }
+    // stake redelegated away from a validator and liable for its slashes: validator => entries
+    this.redelegations = {};
+    for (const [validator, entries] of Object.entries(state.redelegations || {}))
+      this.redelegations[toAddress(validator)] = redelegationEntries(entries);
+    // scheduled commission changes which haven't taken effect yet: validator => {commission, effectiveAt}
+    this.commissionChangeDelay = BigInt(state.commissionChangeDelay || 0);
+    this.commissionChanges = {};
+    for (const [validator, change] of Object.entries(state.commissionChanges || {}))
+      this.commissionChanges[toAddress(validator)] = { commission: BigInt(change.commission), effectiveAt: BigInt(change.effectiveAt) };
+    // jailed validators get no distributed rewards, their delegators withdraw at once: validator => jail end
+    // (tombstoned ones - for double signing, they never return)
+    const doubleSign = state.doubleSign || {};
+    this.doubleSign = { slashPercent: BigInt(doubleSign.slashPercent || 0), reporterShare: BigInt(doubleSign.reporterShare || 0) };
+    this.jailedUntil = {};
+    for (const [validator, until] of Object.entries(state.jailedUntil || {}))
+      this.jailedUntil[toAddress(validator)] = BigInt(until);
+    this.tombstoned = {};
+    for (const validator of state.tombstoned || []) this.tombstoned[toAddress(validator)] = true;
+  }
+
+  /**
+   * State of a just initialized stake manager (default settings of `initialize`)
+   * @param {bigint|number} timestamp initialization block timestamp
+   */
+  static initial(timestamp) {
+    return new RewardEngine({
+      settings: {
+        validatorsLimit: 101,
+        validatorsProbationPeriod: 90n * DAY,
+        validatorsSettings: { apr: 15_00, toSlash: 100n * ACCURACY, minimumThreshold: 100_000n * ACCURACY, claimCooldown: 14n * DAY, withdrawCooldown: 7n * DAY },
+        delegatorsSettings: { apr: 13_00, toSlash: 5_00, minimumThreshold: 1000n * ACCURACY, claimCooldown: 30n * DAY, withdrawCooldown: 5n * DAY },
+      },
+      totalValidatorsRewards: { fixedLastUpdate: timestamp },
+      totalDelegatorsRewards: { fixedLastUpdate: timestamp },
+      commissionChangeDelay: 7n * DAY,
+      doubleSign: { slashPercent: 5_00, reporterShare: 10_00 },
+    });
+  }
+
+  /**
+   * Load the state of a deployed stake manager; withdrawn accounts keep unpaid fixed rewards (if `forFixedReward`
+   * was short) but are not enumerable on chain, pass them in `validators`/`delegators` to load these rewards too
+   * @param {object} contract ethers contract connected to CRATStakeManager proxy
+   * @param {object} options blockTag - block to read the state at, validators/delegators - extra accounts to load
+   */
+  static async fromContract(contract, options = {}) {
+    const blockTag = options.blockTag || "latest";
+    const provider = contract.runner.provider || contract.runner;
+    const overrides = { blockTag };
+    const address = await contract.getAddress();
+    const slot = async (n) => BigInt(await provider.getStorage(address, n, blockTag));
+    const totals = async (base) => ({
+      variableReward: await slot(base),
+      fixedLastUpdate: await slot(base + 1n),
+      fixedReward: await slot(base + 2n),
+    });
+
+    const settings = await contract.settings(overrides);
+    const [activeValidators] = await contract.getActiveValidators(overrides);
+    const [stoppedValidators] = await contract.getStoppedValidators(overrides);
+    const validators = {};
+    const delegators = {};
+    for (const validator of [...activeValidators, ...stoppedValidators]) {
+      validators[validator] = await contract.getValidatorInfo(validator, overrides);
+      const [list, infos] = await contract.getDelegatorsInfoPerValidator(validator, overrides);
+      list.forEach((delegator, i) => {
+        delegators[delegator] = delegators[delegator] || { validators: [], perValidator: {} };
+        delegators[delegator].perValidator[validator] = infos[i];
+      });
+    }
+    for (const validator of (options.validators || []).map(toAddress)) {
+      if (!validators[validator]) validators[validator] = await contract.getValidatorInfo(validator, overrides);
+    }
+    for (const delegator of (options.delegators || []).map(toAddress)) {
+      delegators[delegator] = delegators[delegator] || { validators: [], perValidator: {} };
+      for (const validator of Object.keys(validators)) {
+        if (delegators[delegator].perValidator[validator]) continue;
+        // only fixed reward is left after withdrawal, variable reward too after redelegation of the whole deposit
+        const [fixed, variable] = await contract.delegatorEarnedPerValidator(delegator, validator, overrides);
+        if (fixed + variable > 0n)
+          delegators[delegator].perValidator[validator] = { fixedReward: { fixedReward: fixed }, variableReward: { variableReward: variable } };
+      }
+    }
+    const validatorUnbonding = {};
+    const redelegations = {};
+    const commissionChanges = {};
+    const jailedUntil = {};
+    const tombstoned = [];
+    for (const [validator, info] of Object.entries(validators)) {
+      validatorUnbonding[validator] = info.unbonding;
+      redelegations[validator] = await contract.getRedelegations(validator, overrides);
+      // a change that has taken effect is already in `getValidatorInfo`
+      const [commission, effectiveAt] = await contract.getPendingCommissionChange(validator, overrides);
+      if (effectiveAt > 0n) commissionChanges[validator] = { commission, effectiveAt };
+      const until = await contract.jailedUntil(validator, overrides);
+      if (until > 0n) jailedUntil[validator] = until;
+      if (await contract.tombstoned(validator, overrides)) tombstoned.push(validator);
+    }
+    const delegatorUnbonding = {};
+    const delegatorVestingEnd = {};
+    // delegators, which have left a validator, are still liable for its slashes with their unbonding entries
+    for (const validator of Object.keys(validators)) {
+      const [list, unbonding] = await contract.getExitedDelegators(validator, overrides);
+      list.forEach((delegator, i) => {
+        delegatorUnbonding[delegator] = delegatorUnbonding[delegator] || {};
+        delegatorUnbonding[delegator][validator] = unbonding[i];
+      });
+    }
+    // keep the order of delegators' validators sets
+    for (const delegator of Object.keys(delegators)) {
+      const [list, , , , unbonding] = await contract.getDelegatorInfo(delegator, overrides);
+      delegators[delegator].validators = [...list];
+      delegatorUnbonding[delegator] = delegatorUnbonding[delegator] || {};
+      delegatorVestingEnd[delegator] = {};
+      for (const [i, validator] of list.entries()) {
+        delegatorUnbonding[delegator][validator] = unbonding[i];
+        delegatorVestingEnd[delegator][validator] = await contract.delegatorVestingEnd(delegator, validator, overrides);
+      }
+    }
+
+    return new RewardEngine({
+      settings,
+      totalValidatorsPool: await contract.totalValidatorsPool(overrides),
+      totalDelegatorsPool: await contract.totalDelegatorsPool(overrides),
+      stoppedValidatorsPool: await contract.stoppedValidatorsPool(overrides),
+      stoppedDelegatorsPool: await contract.stoppedDelegatorsPool(overrides),
+      unbondingValidatorsPool: await contract.unbondingValidatorsPool(overrides),
+      unbondingDelegatorsPool: await contract.unbondingDelegatorsPool(overrides),
+      forFixedReward: await contract.forFixedReward(overrides),
+      totalValidatorsRewards: await totals(TOTAL_VALIDATORS_REWARDS_SLOT),
+      totalDelegatorsRewards: await totals(TOTAL_DELEGATORS_REWARDS_SLOT),
+      activeValidators: [...activeValidators],
+      stoppedValidators: [...stoppedValidators],
+      validators,
+      delegators,
+      validatorUnbonding,
+      delegatorUnbonding,
+      delegatorVestingEnd,
+      redelegations,
+      commissionChangeDelay: await contract.commissionChangeDelay(overrides),
+      commissionChanges,
+      doubleSign: await contract.doubleSign(overrides),
+      jailedUntil,
+      tombstoned,
+    });
+  }
+
+  // view methods (`timestamp` - block timestamp to calculate at)
+
+  isValidator(account) {
+    const address = toAddress(account);
+    return this.activeValidators.includes(address) || this.stoppedValidators.includes(address);
+  }
+
+  isDelegator(account) {
+    const entry = this.delegators[toAddress(account)];
+    return !!entry && entry.validators.length > 0;
+  }
+
+  validatorEarned(validator, timestamp) {
+    const info = this._validator(validator);
+    return {
+      fixedReward: info.fixedReward.fixedReward + this._fixedRewardToAdd(validator, timestamp),
+      variableReward: info.variableReward.variableReward,
+    };
+  }
+
+  delegatorEarnedPerValidator(delegator, validator, timestamp) {
+    const info = this._perValidator(delegator, validator);
+    let fixed = info.fixedReward.fixedReward;
+    let variable = info.variableReward.variableReward;
+    if (info.amount > 0n) {
+      fixed += (info.amount * (this._rightBoarderDPV(delegator, validator, timestamp) - info.fixedReward.lastUpdate) * info.fixedReward.apr) /
+        (YEAR_DURATION * PRECISION);
+      variable += ((this._validator(validator).delegatorsAcc - info.storedValidatorAcc) * info.amount) / ACCURACY;
+    }
+    return { fixedReward: fixed, variableReward: variable };
+  }
+
+  totalValidatorsRewards(timestamp) {
+    return { fixedReward: this._fixedValidatorsReward(timestamp), variableReward: this._totalValidatorsRewards.variableReward };
+  }
+
+  totalDelegatorsRewards(timestamp) {
+    return { fixedReward: this._fixedDelegatorsReward(timestamp), variableReward: this._totalDelegatorsRewards.variableReward };
+  }
+
+  // admin methods
+
+  setValidatorsAPR(value, timestamp) {
+    this._updateFixedValidatorsReward(timestamp);
+    this.settings.validatorsSettings.apr = BigInt(value);
+  }
+
+  setDelegatorsAPR(value, timestamp) {
+    this._updateFixedDelegatorsReward(timestamp);
+    this.settings.delegatorsSettings.apr = BigInt(value);
+  }
+
+  /** @param {string} field `validatorsSettings.minimumThreshold` etc. (setters that don't touch rewards) */
+  setSetting(field, value) {
+    const [group, key] = field.split(".");
+    if (key) this.settings[group][key] = BigInt(value);
+    else this.settings[group] = BigInt(value);
+  }
+
+  setCommissionChangeDelay(value) {
+    this.commissionChangeDelay = BigInt(value);
+  }
+
+  setDoubleSignSlashPercent(value) {
+    this.doubleSign.slashPercent = BigInt(value);
+  }
+
+  setDoubleSignReporterShare(value) {
+    this.doubleSign.reporterShare = BigInt(value);
+  }
+
+  jail(v, duration, timestamp) {
+    const validator = toAddress(v);
+    if (this._validator(validator).calledForWithdraw === 0n) this._validatorCallForWithdraw(validator, timestamp);
+    this.jailedUntil[validator] = BigInt(timestamp) + BigInt(duration);
+  }
+
+  withdrawExcessFixedReward(amount) {
+    this.forFixedReward -= BigInt(amount);
+  }
+
+  /** plain transfer to the contract (`receive`) */
+  fund(amount) {
+    this.forFixedReward += BigInt(amount);
+  }
+
+  // distributor methods
+
+  /**
+   * @returns {bigint} total reward taken from msg.value (the rest is sent back)
+   */
+  distributeRewards(validators, amounts, timestamp) {
+    let totalValidatorsReward = 0n;
+    let totalDelegatorsReward = 0n;
+    validators.forEach((v, i) => {
+      const amount = BigInt(amounts[i]);
+      if (!this.isValidator(v) || this.jailedUntil[toAddress(v)] || amount === 0n) return;
+      this._applyCommissionChange(v, timestamp);
+      const info = this._validator(v);
+      let forDelegators = 0n;
+      const delegated = info.delegatedAmount + info.stoppedDelegatedAmount;
+      if (delegated > 0n) {
+        forDelegators = (amount * (PRECISION - info.commission)) / PRECISION;
+        info.delegatorsAcc += (forDelegators * ACCURACY) / delegated;
+        totalDelegatorsReward += forDelegators;
+      }
+      info.variableReward.variableReward += amount - forDelegators;
+      totalValidatorsReward += amount - forDelegators;
+    });
+    this._totalValidatorsRewards.variableReward += totalValidatorsReward;
+    this._totalDelegatorsRewards.variableReward += totalDelegatorsReward;
+    return totalValidatorsReward + totalDelegatorsReward;
+  }
+
+  /**
+   * @returns {bigint} total slashed amount sent to the slash receiver
+   */
+  slash(validators, timestamp) {
+    let total = 0n;
+    for (const v of validators) {
+      if (!this.isValidator(v)) continue;
+      const validator = toAddress(v);
+      const info = this._validator(validator);
+      this._updateValidatorReward(validator, timestamp);
+
+      let fee = this.settings.validatorsSettings.toSlash;
+      if (info.penalty.lastSlash + this.settings.validatorsProbationPeriod > timestamp) fee += info.penalty.potentialPenalty;
+      const stake = info.amount + this._pendingUnbonding(this._validatorUnbonding(validator), timestamp);
+      if (stake <= fee) fee = stake;
+      total += this._slashValidator(validator, fee, this.settings.delegatorsSettings.toSlash, timestamp).total;
+    }
+    return total;
+  }
+
+  // swap contract methods
+
+  depositForValidator(validator, amount, commission, vestingEnd, timestamp) {
+    this._validator(validator).vestingEnd = BigInt(vestingEnd);
+    this._depositAsValidator(validator, BigInt(amount), BigInt(commission), timestamp);
+  }
+
+  depositForDelegator(delegator, validator, amount, vestingEnd, timestamp) {
+    this._depositAsDelegator(delegator, BigInt(amount), validator, timestamp);
+    const locks = this._delegatorVestingEnd(delegator);
+    const v = toAddress(validator);
+    if (!locks[v] || locks[v] < BigInt(vestingEnd)) locks[v] = BigInt(vestingEnd);
+  }
+
+  // public methods
+
+  depositAsValidator(validator, amount, commission, timestamp) {
+    this._depositAsValidator(validator, BigInt(amount), BigInt(commission), timestamp);
+  }
+
+  depositAsDelegator(delegator, validator, amount, timestamp) {
+    this._depositAsDelegator(delegator, BigInt(amount), validator, timestamp);
+  }
+
+  /** @returns {bigint} claimed amount */
+  claimAsValidator(validator, timestamp) {
+    return this._claimAsValidator(validator, timestamp);
+  }
+
+  /** @returns {bigint} claimed amount */
+  claimAsDelegatorPerValidator(delegator, validator, timestamp) {
+    return this._claimAsDelegatorPerValidator(delegator, validator, timestamp, true);
+  }
+
+  restakeAsValidator(validator, timestamp) {
+    const reward = this._claimAsValidator(validator, timestamp);
+    this._depositAsValidator(validator, reward, 0n, timestamp);
+  }
+
+  restakeAsDelegator(delegator, validator, timestamp) {
+    const reward = this._claimAsDelegatorPerValidator(delegator, validator, timestamp, true);
+    this._depositAsDelegator(delegator, reward, validator, timestamp);
+  }
+
+  validatorCallForWithdraw(validator, timestamp) {
+    this._validatorCallForWithdraw(validator, timestamp);
+  }
+
+  delegatorCallForWithdraw(delegator, validator, timestamp) {
+    this._delegatorCallForWithdraw(delegator, validator, timestamp);
+  }
+
+  /**
+   * Double signing evidence against the validator (the validator the headers' signing key is registered for)
+   * @returns {object} {total, reward} - slashed amount and the reporter's part of it
+   */
+  submitDoubleSignEvidence(v, timestamp) {
+    const validator = toAddress(v);
+    this.tombstoned[validator] = true;
+    if (this._validator(validator).calledForWithdraw === 0n) this._validatorCallForWithdraw(validator, timestamp);
+    if (!this.jailedUntil[validator]) this.jailedUntil[validator] = BigInt(timestamp);
+
+    this._updateValidatorReward(validator, timestamp);
+    const perc = this.doubleSign.slashPercent;
+    const stake = this._validator(validator).amount + this._pendingUnbonding(this._validatorUnbonding(validator), timestamp);
+    const { total, amount } = this._slashValidator(validator, (stake * perc) / PRECISION, perc, timestamp);
+    return { total, reward: (amount * this.doubleSign.reporterShare) / PRECISION };
+  }
+
+  unjail(v, value, timestamp) {
+    delete this.jailedUntil[toAddress(v)];
+    this.reviveAsValidator(v, value, timestamp);
+  }
+
+  validatorUnbond(v, amount, timestamp) {
+    const validator = toAddress(v);
+    this._updateValidatorReward(validator, timestamp);
+    const info = this._validator(validator);
+    info.amount -= BigInt(amount);
+    this.totalValidatorsPool -= BigInt(amount);
+    this.unbondingValidatorsPool += BigInt(amount);
+    const availableAt = BigInt(timestamp) + this.settings.validatorsSettings.withdrawCooldown;
+    this._addUnbonding(this._validatorUnbonding(validator), BigInt(amount), availableAt > info.vestingEnd ? availableAt : info.vestingEnd);
+  }
+
+  delegatorUnbond(d, v, amount, timestamp) {
+    const [delegator, validator] = [toAddress(d), toAddress(v)];
+    this._updateDelegatorRewardPerValidator(delegator, validator, timestamp);
+    this._perValidator(delegator, validator).amount -= BigInt(amount);
+    this._validator(validator).delegatedAmount -= BigInt(amount);
+    this.totalDelegatorsPool -= BigInt(amount);
+    this.unbondingDelegatorsPool += BigInt(amount);
+    const availableAt = BigInt(timestamp) + this.settings.delegatorsSettings.withdrawCooldown;
+    const vestingEnd = this._delegatorVestingEnd(delegator)[validator] || 0n;
+    this._addUnbonding(this._delegatorUnbonding(delegator, validator), BigInt(amount), availableAt > vestingEnd ? availableAt : vestingEnd);
+  }
+
+  redelegate(d, from, to, amount, timestamp) {
+    const [delegator, fromValidator, toValidator] = [toAddress(d), toAddress(from), toAddress(to)];
+    this._updateDelegatorRewardPerValidator(delegator, fromValidator, timestamp);
+    this._perValidator(delegator, fromValidator).amount -= BigInt(amount);
+    this._validator(fromValidator).delegatedAmount -= BigInt(amount);
+    this.totalDelegatorsPool -= BigInt(amount);
+    this._depositAsDelegator(delegator, BigInt(amount), toValidator, timestamp);
+    const locks = this._delegatorVestingEnd(delegator);
+    if (locks[fromValidator] && !(locks[toValidator] >= locks[fromValidator])) locks[toValidator] = locks[fromValidator];
+    const perValidator = this._perValidator(delegator, fromValidator);
+    if (perValidator.amount === 0n) {
+      // the empty position leaves the validator, earned rewards stay claimable
+      const entry = this._delegator(delegator);
+      removeFromSet(this._validator(fromValidator).delegators, delegator);
+      removeFromSet(entry.validators, fromValidator);
+      delete locks[fromValidator];
+      entry.perValidator[fromValidator] = delegatorPerValidatorInfo({
+        fixedReward: { fixedReward: perValidator.fixedReward.fixedReward },
+        variableReward: { variableReward: perValidator.variableReward.variableReward },
+      });
+    }
+    const entries = this._redelegations(fromValidator);
+    const liableUntil = BigInt(timestamp) + this.settings.delegatorsSettings.withdrawCooldown;
+    let target = null; // the delegator's live entry to the same validator, topped up instead of a new one
+    for (let i = entries.length; i > 0; i--) {
+      if (entries[i - 1].liableUntil <= BigInt(timestamp)) {
+        entries[i - 1] = entries[entries.length - 1];
+        entries.pop();
+      } else if (entries[i - 1].delegator === delegator && entries[i - 1].validator === toValidator) target = entries[i - 1];
+    }
+    if (target) {
+      target.amount += BigInt(amount);
+      if (liableUntil > target.liableUntil) target.liableUntil = liableUntil;
+    } else entries.push({ delegator, validator: toValidator, amount: BigInt(amount), liableUntil });
+  }
+
+  scheduleCommissionChange(v, commission, timestamp) {
+    const validator = toAddress(v);
+    this._applyCommissionChange(validator, timestamp);
+    this.commissionChanges[validator] = { commission: BigInt(commission), effectiveAt: BigInt(timestamp) + this.commissionChangeDelay };
+  }
+
+  applyCommissionChange(validator, timestamp) {
+    this._applyCommissionChange(validator, timestamp);
+  }
+
+  /** @returns {bigint} paid amount */
+  withdrawUnbondedAsValidator(validator, timestamp) {
+    const amount = this._withdrawUnbonded(this._validatorUnbonding(validator), timestamp);
+    this.unbondingValidatorsPool -= amount;
+    return amount;
+  }
+
+  /** @returns {bigint} paid amount */
+  withdrawUnbondedAsDelegator(delegator, validator, timestamp) {
+    const amount = this._withdrawUnbonded(this._delegatorUnbonding(delegator, validator), timestamp);
+    this.unbondingDelegatorsPool -= amount;
+    return amount;
+  }
+
+  /** @returns {object} paid amounts: {validator, delegators: {delegator => amount}} */
+  withdrawAsValidator(v, timestamp) {
+    const validator = toAddress(v);
+    const info = this._validator(validator);
+    const paid = { validator: 0n, delegators: this._withdrawValidatorDelegators(validator, info.delegators.length, timestamp) };
+
+    const validatorsAmount = info.amount;
+    paid.validator = this._claimAsValidator(validator, timestamp) + validatorsAmount;
+    this.stoppedValidatorsPool -= validatorsAmount;
+    this.stoppedDelegatorsPool -= info.stoppedDelegatedAmount;
+    removeFromSet(this.stoppedValidators, validator);
+    this.validators[validator] = validatorInfo({ fixedReward: { fixedReward: info.fixedReward.fixedReward } });
+    delete this.commissionChanges[validator];
+    delete this.jailedUntil[validator];
+    return paid;
+  }
+
+  /** @returns {object} paid amounts: {delegator => amount} */
+  withdrawValidatorDelegators(v, limit, timestamp) {
+    const validator = toAddress(v);
+    return this._withdrawValidatorDelegators(validator, Math.min(Number(limit), this._validator(validator).delegators.length), timestamp);
+  }
+
+  /** @returns {bigint} paid amount (the delegator of a jailed validator leaves at once, without the cooldowns) */
+  withdrawAsDelegator(d, v, timestamp) {
+    const [delegator, validator] = [toAddress(d), toAddress(v)];
+    const immediate = !!this.jailedUntil[validator];
+    let amount = this._claimAsDelegatorPerValidator(delegator, validator, timestamp, !immediate);
+    const entry = this._delegator(delegator);
+    const perValidator = entry.perValidator[validator];
+    amount += this._releaseDeposit(delegator, validator, perValidator.amount, timestamp);
+
+    this.stoppedDelegatorsPool -= perValidator.amount;
+    const info = this._validator(validator);
+    info.stoppedDelegatedAmount -= perValidator.amount;
+    removeFromSet(info.delegators, delegator);
+    removeFromSet(entry.validators, validator);
+    entry.perValidator[validator] = delegatorPerValidatorInfo({ fixedReward: { fixedReward: perValidator.fixedReward.fixedReward } });
+    return amount;
+  }
+
+  reviveAsValidator(v, value, timestamp) {
+    const validator = toAddress(v);
+    const info = this._validator(validator);
+    info.fixedReward.lastUpdate = BigInt(timestamp);
+    info.fixedReward.apr = this.settings.validatorsSettings.apr;
+
+    this.stoppedValidatorsPool -= info.amount;
+    info.amount += BigInt(value);
+    this.totalValidatorsPool += info.amount;
+    removeFromSet(this.stoppedValidators, validator);
+    addToSet(this.activeValidators, validator);
+
+    let totalMigratedAmount = 0n;
+    for (const delegator of [...info.delegators]) {
+      this._updateDelegatorRewardPerValidator(delegator, validator, timestamp);
+      const perValidator = this._perValidator(delegator, validator);
+      if (perValidator.calledForWithdraw === 0n) {
+        perValidator.fixedReward.lastUpdate = BigInt(timestamp);
+        totalMigratedAmount += perValidator.amount;
+      } else {
+        perValidator.fixedReward.lastUpdate = perValidator.calledForWithdraw;
+      }
+    }
+
+    info.calledForWithdraw = 0n;
+    this.stoppedDelegatorsPool -= totalMigratedAmount;
+    info.stoppedDelegatedAmount -= totalMigratedAmount;
+    this.totalDelegatorsPool += totalMigratedAmount;
+    info.delegatedAmount += totalMigratedAmount;
+  }
+
+  reviveAsDelegator(delegator, validator, value, timestamp) {
+    const perValidator = this._perValidator(delegator, validator);
+    const info = this._validator(validator);
+    this.stoppedDelegatorsPool -= perValidator.amount;
+    info.stoppedDelegatedAmount -= perValidator.amount;
+    perValidator.amount += BigInt(value);
+    info.delegatedAmount += perValidator.amount;
+    this.totalDelegatorsPool += perValidator.amount;
+    perValidator.fixedReward.lastUpdate = BigInt(timestamp);
+    perValidator.fixedReward.apr = this.settings.delegatorsSettings.apr;
+    perValidator.calledForWithdraw = 0n;
+  }
+
+  // internal methods
+
+  _validator(validator) {
+    const address = toAddress(validator);
+    return (this.validators[address] = this.validators[address] || validatorInfo());
+  }
+
+  _delegator(delegator) {
+    const address = toAddress(delegator);
+    return (this.delegators[address] = this.delegators[address] || { validators: [], perValidator: {} });
+  }
+
+  _perValidator(delegator, validator) {
+    const entry = this._delegator(delegator);
+    const address = toAddress(validator);
+    return (entry.perValidator[address] = entry.perValidator[address] || delegatorPerValidatorInfo());
+  }
+
+  _validatorUnbonding(validator) {
+    const address = toAddress(validator);
+    return (this.validatorUnbonding[address] = this.validatorUnbonding[address] || []);
+  }
+
+  _delegatorUnbonding(delegator, validator) {
+    const [d, v] = [toAddress(delegator), toAddress(validator)];
+    this.delegatorUnbonding[d] = this.delegatorUnbonding[d] || {};
+    return (this.delegatorUnbonding[d][v] = this.delegatorUnbonding[d][v] || []);
+  }
+
+  _delegatorVestingEnd(delegator) {
+    const address = toAddress(delegator);
+    return (this.delegatorVestingEnd[address] = this.delegatorVestingEnd[address] || {});
+  }
+
+  // same maturity as the last entry - added to it (slash rounds per entry)
+  _addUnbonding(entries, amount, availableAt) {
+    const last = entries[entries.length - 1];
+    if (last && last.availableAt === availableAt) last.amount += amount;
+    else entries.push({ amount, availableAt });
+  }
+
+  // deposit locked by swap contract waits for the vesting end as an unbonding entry, returns the part paid at once
+  _releaseDeposit(delegator, validator, deposit, timestamp) {
+    const locks = this._delegatorVestingEnd(delegator);
+    const vestingEnd = locks[validator] || 0n;
+    delete locks[validator];
+    if (vestingEnd <= BigInt(timestamp) || deposit === 0n) return deposit;
+    this.unbondingDelegatorsPool += deposit;
+    this._addUnbonding(this._delegatorUnbonding(delegator, validator), deposit, vestingEnd);
+    return 0n;
+  }
+
+  _redelegations(validator) {
+    const address = toAddress(validator);
+    return (this.redelegations[address] = this.redelegations[address] || []);
+  }
+
+  _applyCommissionChange(v, timestamp) {
+    const validator = toAddress(v);
+    const change = this.commissionChanges[validator];
+    if (!change || change.effectiveAt > BigInt(timestamp)) return;
+    this._validator(validator).commission = change.commission;
+    delete this.commissionChanges[validator];
+  }
+
+  // from the end of the delegators set, like the contract does
+  _withdrawValidatorDelegators(validator, count, timestamp) {
+    const info = this._validator(validator);
+    const paid = {};
+    for (let i = 0; i < count; i++) {
+      const delegator = info.delegators[info.delegators.length - 1];
+      let amount = this._claimAsDelegatorPerValidator(delegator, validator, timestamp, false);
+      const entry = this._delegator(delegator);
+      const perValidator = entry.perValidator[validator];
+      amount += this._releaseDeposit(delegator, validator, perValidator.amount, timestamp);
+      const deposit = perValidator.amount < info.stoppedDelegatedAmount ? perValidator.amount : info.stoppedDelegatedAmount;
+      this.stoppedDelegatorsPool -= deposit;
+      info.stoppedDelegatedAmount -= deposit;
+      removeFromSet(entry.validators, validator);
+      removeFromSet(info.delegators, delegator);
+      entry.perValidator[validator] = delegatorPerValidatorInfo({ fixedReward: { fixedReward: perValidator.fixedReward.fixedReward } });
+      paid[delegator] = amount;
+    }
+    return paid;
+  }
+
+  // slash the validator's deposit with its pending unbonding entries by `fee`, its delegators by `delegatorsPerc`
+  // returns {total, amount} - slashed sum and the validator's own part of it
+  _slashValidator(validator, fee, delegatorsPerc, timestamp) {
+    const info = this._validator(validator);
+    let total = 0n;
+    let amount = fee;
+
+    // unbonding stake is still liable for the validator's slashes
+    const unbondingEntries = this._validatorUnbonding(validator);
+    const unbonding = this._pendingUnbonding(unbondingEntries, timestamp);
+    if (unbonding > 0n) {
+      const slashed = this._slashUnbonding(unbondingEntries, fee, info.amount + unbonding, timestamp);
+      this.unbondingValidatorsPool -= slashed;
+      fee = fee - slashed < info.amount ? fee - slashed : info.amount;
+      amount = fee + slashed;
+    }
+
+    info.amount -= fee;
+    info.penalty.potentialPenalty = 0n;
+    info.penalty.lastSlash = timestamp;
+    total += amount;
+    const delegators = [...info.delegators];
+    const slashStopped = () => {
+      const stoppedFee = (delegatorsPerc * info.stoppedDelegatedAmount) / PRECISION;
+      info.stoppedDelegatedAmount -= stoppedFee;
+      this.stoppedDelegatorsPool -= stoppedFee;
+      total += stoppedFee;
+    };
+    if (info.calledForWithdraw > 0n) {
+      this.stoppedValidatorsPool -= fee;
+      slashStopped();
+    } else {
+      this.totalValidatorsPool -= fee;
+      if (info.amount < this.settings.validatorsSettings.minimumThreshold) {
+        this._validatorCallForWithdraw(validator, timestamp);
+        slashStopped();
+      } else {
+        const activeFee = (delegatorsPerc * info.delegatedAmount) / PRECISION;
+        info.delegatedAmount -= activeFee;
+        this.totalDelegatorsPool -= activeFee;
+        total += activeFee;
+        slashStopped();
+      }
+    }
+    total += this._slashRedelegations(validator, delegatorsPerc, timestamp);
+
+    for (const delegator of delegators) {
+      this._updateDelegatorRewardPerValidator(delegator, validator, timestamp);
+      const perValidator = this._perValidator(delegator, validator);
+      perValidator.amount -= (perValidator.amount * delegatorsPerc) / PRECISION;
+      const slashed = this._slashUnbonding(this._delegatorUnbonding(delegator, validator), delegatorsPerc, PRECISION, timestamp);
+      this.unbondingDelegatorsPool -= slashed;
+      total += slashed;
+      if (perValidator.amount < this.settings.delegatorsSettings.minimumThreshold && perValidator.calledForWithdraw === 0n)
+        this._delegatorCallForWithdraw(delegator, validator, timestamp);
+    }
+    // as well as the entries of delegators, which have left the validator
+    for (const [delegator, perValidator] of Object.entries(this.delegatorUnbonding)) {
+      if (!perValidator[validator] || delegators.includes(delegator)) continue;
+      const slashed = this._slashUnbonding(perValidator[validator], delegatorsPerc, PRECISION, timestamp);
+      this.unbondingDelegatorsPool -= slashed;
+      total += slashed;
+    }
+    return { total, amount };
+  }
+
+  // slash stake redelegated away from the validator, drop expired entries (same order as in the contract)
+  _slashRedelegations(validator, delegatorsPerc, timestamp) {
+    const entries = this._redelegations(validator);
+    let total = 0n;
+    for (let i = entries.length; i > 0; i--) {
+      const entry = entries[i - 1];
+      if (entry.liableUntil <= BigInt(timestamp)) {
+        entries[i - 1] = entries[entries.length - 1];
+        entries.pop();
+        continue;
+      }
+      this._updateDelegatorRewardPerValidator(entry.delegator, entry.validator, timestamp);
+      const perValidator = this._perValidator(entry.delegator, entry.validator);
+      let fee = (entry.amount * delegatorsPerc) / PRECISION;
+      if (fee > perValidator.amount) fee = perValidator.amount;
+      entry.amount -= fee;
+      perValidator.amount -= fee;
+      if (this._getDelegatorCallForWithdraw(entry.delegator, entry.validator) > 0n) {
+        this._validator(entry.validator).stoppedDelegatedAmount -= fee;
+        this.stoppedDelegatorsPool -= fee;
+      } else {
+        this._validator(entry.validator).delegatedAmount -= fee;
+        this.totalDelegatorsPool -= fee;
+      }
+      total += fee;
+      if (perValidator.amount < this.settings.delegatorsSettings.minimumThreshold && perValidator.calledForWithdraw === 0n)
+        this._delegatorCallForWithdraw(entry.delegator, entry.validator, timestamp);
+    }
+    return total;
+  }
+
+  // pay matured entries, the last entry takes the place of a paid one (same order as in the contract)
+  _pendingUnbonding(entries, timestamp) {
+    return entries.reduce((sum, entry) => (entry.availableAt > BigInt(timestamp) ? sum + entry.amount : sum), 0n);
+  }
+
+  // takes numerator / denominator of each entry still in cooldown
+  _slashUnbonding(entries, numerator, denominator, timestamp) {
+    let total = 0n;
+    for (const entry of entries) {
+      if (entry.availableAt <= BigInt(timestamp)) continue;
+      const fee = (entry.amount * numerator) / denominator;
+      entry.amount -= fee;
+      total += fee;
+    }
+    return total;
+  }
+
+  _withdrawUnbonded(entries, timestamp) {
+    let amount = 0n;
+    for (let i = entries.length; i > 0; i--) {
+      if (entries[i - 1].availableAt <= BigInt(timestamp)) {
+        amount += entries[i - 1].amount;
+        entries[i - 1] = entries[entries.length - 1];
+        entries.pop();
+      }
+    }
+    return amount;
+  }
+
+  _updateValidatorReward(validator, timestamp) {
+    this._updateFixedValidatorsReward(timestamp);
+    const info = this._validator(validator);
+    if (info.penalty.lastSlash > 0n) info.penalty.potentialPenalty += this._fixedRewardToAdd(validator, timestamp);
+    info.fixedReward.fixedReward = this.validatorEarned(validator, timestamp).fixedReward;
+    info.fixedReward.lastUpdate = this._rightBoarderV(validator, timestamp);
+    info.fixedReward.apr = this.settings.validatorsSettings.apr;
+  }
+
+  _updateDelegatorRewardPerValidator(delegator, validator, timestamp) {
+    this._updateFixedDelegatorsReward(timestamp);
+    const info = this._perValidator(delegator, validator);
+    const earned = this.delegatorEarnedPerValidator(delegator, validator, timestamp);
+    info.fixedReward.fixedReward = earned.fixedReward;
+    info.variableReward.variableReward = earned.variableReward;
+    info.fixedReward.lastUpdate = this._rightBoarderDPV(delegator, validator, timestamp);
+    info.fixedReward.apr = this.settings.delegatorsSettings.apr;
+    info.storedValidatorAcc = this._validator(validator).delegatorsAcc;
+  }
+
+  _depositAsValidator(v, amount, commission, timestamp) {
+    const validator = toAddress(v);
+    this._updateValidatorReward(validator, timestamp);
+    const info = this._validator(validator);
+    if (!this.activeValidators.includes(validator)) {
+      info.commission = commission;
+      info.lastClaim = BigInt(timestamp);
+      this.activeValidators.push(validator);
+    }
+    info.amount += amount;
+    this.totalValidatorsPool += amount;
+  }
+
+  _depositAsDelegator(d, amount, v, timestamp) {
+    const [delegator, validator] = [toAddress(d), toAddress(v)];
+    const entry = this._delegator(delegator);
+    if (!entry.validators.includes(validator)) {
+      entry.validators.push(validator);
+      this._validator(validator).delegators.push(delegator);
+      this._perValidator(delegator, validator).lastClaim = BigInt(timestamp);
+    }
+    this._updateDelegatorRewardPerValidator(delegator, validator, timestamp);
+    this._perValidator(delegator, validator).amount += amount;
+    this._validator(validator).delegatedAmount += amount;
+    this.totalDelegatorsPool += amount;
+  }
+
+  _claimAsValidator(validator, timestamp) {
+    this._updateValidatorReward(validator, timestamp);
+    const info = this._validator(validator);
+    let toClaim = info.fixedReward.fixedReward;
+    if (this.forFixedReward >= toClaim) {
+      this.forFixedReward -= toClaim;
+      info.fixedReward.totalClaimed += toClaim;
+      info.fixedReward.fixedReward = 0n;
+    } else toClaim = 0n;
+
+    toClaim += info.variableReward.variableReward;
+    info.variableReward.totalClaimed += info.variableReward.variableReward;
+    info.variableReward.variableReward = 0n;
+
+    if (toClaim > 0n && info.lastClaim > 0n) info.lastClaim = BigInt(timestamp);
+    return toClaim;
+  }
+
+  _claimAsDelegatorPerValidator(delegator, validator, timestamp, checkCooldown) {
+    this._updateDelegatorRewardPerValidator(delegator, validator, timestamp);
+    const info = this._perValidator(delegator, validator);
+    let toClaim = info.fixedReward.fixedReward;
+    if (this.forFixedReward >= toClaim) {
+      this.forFixedReward -= toClaim;
+      info.fixedReward.totalClaimed += toClaim;
+      info.fixedReward.fixedReward = 0n;
+    } else toClaim = 0n;
+
+    const varRew = info.variableReward.variableReward;
+    toClaim += varRew;
+    info.variableReward.totalClaimed += varRew;
+    info.variableReward.variableReward = 0n;
+
+    if (toClaim > 0n && checkCooldown && info.lastClaim > 0n) info.lastClaim = BigInt(timestamp);
+    return toClaim;
+  }
+
+  _validatorCallForWithdraw(v, timestamp) {
+    const validator = toAddress(v);
+    this._updateValidatorReward(validator, timestamp);
+    const info = this._validator(validator);
+    const { amount, delegatedAmount } = info;
+
+    info.calledForWithdraw = BigInt(timestamp);
+    removeFromSet(this.activeValidators, validator);
+    addToSet(this.stoppedValidators, validator);
+
+    this.totalValidatorsPool -= amount;
+    this.totalDelegatorsPool -= delegatedAmount;
+    this.stoppedValidatorsPool += amount;
+    this.stoppedDelegatorsPool += delegatedAmount;
+
+    info.stoppedDelegatedAmount += delegatedAmount;
+    info.delegatedAmount = 0n;
+  }
+
+  _delegatorCallForWithdraw(delegator, validator, timestamp) {
+    this._updateDelegatorRewardPerValidator(delegator, validator, timestamp);
+    const perValidator = this._perValidator(delegator, validator);
+    perValidator.calledForWithdraw = BigInt(timestamp);
+
+    const info = this._validator(validator);
+    if (info.calledForWithdraw === 0n) {
+      this.totalDelegatorsPool -= perValidator.amount;
+      this.stoppedDelegatorsPool += perValidator.amount;
+      info.delegatedAmount -= perValidator.amount;
+      info.stoppedDelegatedAmount += perValidator.amount;
+    }
+  }
+
+  _updateFixedValidatorsReward(timestamp) {
+    const t = BigInt(timestamp);
+    if (this._totalValidatorsRewards.fixedLastUpdate < t) {
+      this._totalValidatorsRewards.fixedReward = this._fixedValidatorsReward(t);
+      this._totalValidatorsRewards.fixedLastUpdate = t;
+    }
+    this._updateFixedDelegatorsReward(t);
+  }
+
+  _updateFixedDelegatorsReward(timestamp) {
+    const t = BigInt(timestamp);
+    if (this._totalDelegatorsRewards.fixedLastUpdate < t) {
+      this._totalDelegatorsRewards.fixedReward = this._fixedDelegatorsReward(t);
+      this._totalDelegatorsRewards.fixedLastUpdate = t;
+    }
+  }
+
+  // internal view methods
+
+  _rightBoarderV(validator, timestamp) {
+    const info = this._validator(validator);
+    return info.calledForWithdraw > 0n ? info.calledForWithdraw : BigInt(timestamp);
+  }
+
+  _rightBoarderDPV(delegator, validator, timestamp) {
+    const calledForWithdraw = this._getDelegatorCallForWithdraw(delegator, validator);
+    return calledForWithdraw > 0n ? calledForWithdraw : BigInt(timestamp);
+  }
+
+  _fixedValidatorsReward(timestamp) {
+    const totals = this._totalValidatorsRewards;
+    return totals.fixedReward +
+      ((BigInt(timestamp) - totals.fixedLastUpdate) * this.totalValidatorsPool * this.settings.validatorsSettings.apr) /
+      (PRECISION * YEAR_DURATION);
+  }
+
+  _fixedDelegatorsReward(timestamp) {
+    const totals = this._totalDelegatorsRewards;
+    return totals.fixedReward +
+      ((BigInt(timestamp) - totals.fixedLastUpdate) * this.totalDelegatorsPool * this.settings.delegatorsSettings.apr) /
+      (PRECISION * YEAR_DURATION);
+  }
+
+  _fixedRewardToAdd(validator, timestamp) {
+    const info = this._validator(validator);
+    return ((this._rightBoarderV(validator, timestamp) - info.fixedReward.lastUpdate) * info.amount * info.fixedReward.apr) /
+      (YEAR_DURATION * PRECISION);
+  }
+
+  _getDelegatorCallForWithdraw(delegator, validator) {
+    const validatorCall = this._validator(validator).calledForWithdraw;
+    const delegatorCall = this._perValidator(delegator, validator).calledForWithdraw;
+    if (delegatorCall > 0n && validatorCall > 0n) return delegatorCall < validatorCall ? delegatorCall : validatorCall;
+    return delegatorCall > 0n ? delegatorCall : validatorCall;
+  }
+}
+
+module.exports = {
+  RewardEngine,
+  TOTAL_VALIDATORS_REWARDS_SLOT,
+  TOTAL_DELEGATORS_REWARDS_SLOT,
+};
@@ -0,0 +1,504 @@
+/**
+ * Client for CRATStakeManager: wraps an ethers contract and returns view results as plain objects
+ * (bigint - coin amounts, number - percents (PRECISION = 100_00) and durations in seconds,
+ * Date - timestamps (null if the timestamp is not set))
+ */
+
+const { ZeroAddress, resolveAddress } = require("ethers");
+
+const PRECISION = 100_00;
+const YEAR_DURATION = 365 * 86400;
+const PAGE_SIZE = 200;
+
+function toDate(timestamp) {
+  const value = Number(timestamp);
+  return value > 0 ? new Date(value * 1000) : null;
+}
+
+function toTimestamp(date) {
+  return date ? Math.floor(date.getTime() / 1000) : 0;
+}
+
+function laterDate(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+function decodeRoleSettings(r) {
+  return {
+    apr: Number(r.apr),
+    toSlash: r.toSlash,
+    minimumThreshold: r.minimumThreshold,
+    claimCooldown: Number(r.claimCooldown),
+    withdrawCooldown: Number(r.withdrawCooldown),
+  };
+}
+
+function decodeSettings(settings) {
+  return {
+    validatorsLimit: Number(settings.validatorsLimit),
+    validatorsProbationPeriod: Number(settings.validatorsProbationPeriod),
+    slashReceiver: settings.slashReceiver,
+    validatorsSettings: decodeRoleSettings(settings.validatorsSettings),
+    delegatorsSettings: decodeRoleSettings(settings.delegatorsSettings),
+  };
+}
+
+/**
+ * Decode `DoubleSignSettings` tuple returned by `doubleSign` (slashed percent and reporter's share of it)
+ */
+function decodeDoubleSignSettings(settings) {
+  return {
+    slashPercent: Number(settings.slashPercent),
+    reporterShare: Number(settings.reporterShare),
+  };
+}
+
+/**
+ * Decode `LimitSettings` tuple returned by `limits` (commission bounds and delegators limit per validator)
+ */
+function decodeLimits(limits) {
+  return {
+    minCommission: Number(limits.minCommission),
+    maxCommission: Number(limits.maxCommission),
+    delegatorsPerValidator: Number(limits.delegatorsPerValidator),
+  };
+}
+
+function decodeFixedReward(r) {
+  return {
+    apr: Number(r.apr),
+    lastUpdate: toDate(r.lastUpdate),
+    fixedReward: r.fixedReward,
+    totalClaimed: r.totalClaimed,
+  };
+}
+
+function decodeVariableReward(r) {
+  return {
+    variableReward: r.variableReward,
+    totalClaimed: r.totalClaimed,
+  };
+}
+
+/**
+ * Decode `UnbondingEntry` tuples (pending partial withdrawals)
+ */
+function decodeUnbondingEntries(entries) {
+  return [...entries].map((e) => ({ amount: e.amount, availableAt: toDate(e.availableAt) }));
+}
+
+/**
+ * Decode `ValidatorInfoView` tuple returned by `getValidatorInfo`
+ */
+function decodeValidatorInfo(info) {
+  return {
+    amount: info.amount,
+    commission: Number(info.commission),
+    lastClaim: toDate(info.lastClaim),
+    calledForWithdraw: toDate(info.calledForWithdraw),
+    vestingEnd: toDate(info.vestingEnd),
+    fixedReward: decodeFixedReward(info.fixedReward),
+    variableReward: decodeVariableReward(info.variableReward),
+    penalty: {
+      lastSlash: toDate(info.penalty.lastSlash),
+      potentialPenalty: info.penalty.potentialPenalty,
+    },
+    delegatedAmount: info.delegatedAmount,
+    stoppedDelegatedAmount: info.stoppedDelegatedAmount,
+    delegatorsAcc: info.delegatorsAcc,
+    delegators: [...info.delegators],
+    withdrawAvailable: toDate(info.withdrawAvailable),
+    claimAvailable: toDate(info.claimAvailable),
+    unbonding: decodeUnbondingEntries(info.unbonding),
+  };
+}
+
+/**
+ * Decode `DelegatorPerValidatorInfo` tuple
+ */
+function decodeDelegatorPerValidatorInfo(info) {
+  return {
+    amount: info.amount,
+    storedValidatorAcc: info.storedValidatorAcc,
+    calledForWithdraw: toDate(info.calledForWithdraw),
+    lastClaim: toDate(info.lastClaim),
+    fixedReward: decodeFixedReward(info.fixedReward),
+    variableReward: decodeVariableReward(info.variableReward),
+  };
+}
+
+/**
+ * Decode `getActiveValidators`/`getStoppedValidators` result (`address[]` and `uint256[3][]`)
+ */
+function decodeValidatorsList([validators, amounts]) {
+  return validators.map((validator, i) => ({
+    validator,
+    amount: amounts[i][0],
+    delegatedAmount: amounts[i][1],
+    stoppedDelegatedAmount: amounts[i][2],
+  }));
+}
+
+/**
+ * Decode `SlashRecord` tuple
+ */
+function decodeSlashRecord(record) {
+  return {
+    timestamp: toDate(record.timestamp),
+    amount: record.amount,
+    penalty: record.penalty,
+    delegatorsAmount: record.delegatorsAmount,
+    calledForWithdraw: record.calledForWithdraw,
+  };
+}
+
+/**
+ * Decode `RedelegationEntry` tuple (stake moved away from a validator, liable for its slashes till `liableUntil`)
+ */
+function decodeRedelegationEntry(entry) {
+  return {
+    delegator: entry.delegator,
+    validator: entry.validator,
+    amount: entry.amount,
+    liableUntil: toDate(entry.liableUntil),
+  };
+}
+
+/**
+ * Timestamp since validator is able to withdraw (null - validator hasn't called for withdraw)
+ * @param {object} validatorInfo decoded validator info
+ * @param {object} settings decoded settings
+ * @param {Date|null} jailedUntil end of validator's jail (null - not jailed)
+ */
+function validatorWithdrawAvailableAt(validatorInfo, settings, jailedUntil = null) {
+  if (!validatorInfo.calledForWithdraw) return null;
+  const cooldownEnd = toDate(toTimestamp(validatorInfo.calledForWithdraw) + settings.validatorsSettings.withdrawCooldown);
+  return laterDate(laterDate(cooldownEnd, validatorInfo.vestingEnd), jailedUntil);
+}
+
+/**
+ * Timestamp since validator is able to claim
+ */
+function validatorClaimAvailableAt(validatorInfo, settings) {
+  return toDate(toTimestamp(validatorInfo.lastClaim) + settings.validatorsSettings.claimCooldown);
+}
+
+/**
+ * Timestamp since delegator is able to withdraw from validator (null - neither delegator nor validator have called for withdraw);
+ * the earliest call for withdraw of the delegator and its validator starts the cooldown
+ * @param {object} delegatorInfo decoded delegator per validator info
+ * @param {object} validatorInfo decoded validator info
+ * @param {object} settings decoded settings
+ * @param {boolean} jailed whether the validator is jailed (delegator withdraws without the cooldown then)
+ */
+function delegatorWithdrawAvailableAt(delegatorInfo, validatorInfo, settings, jailed = false) {
+  const calls = [delegatorInfo.calledForWithdraw, validatorInfo.calledForWithdraw].filter(Boolean);
+  if (calls.length === 0) return null;
+  const call = Math.min(...calls.map(toTimestamp));
+  return toDate(jailed ? call : call + settings.delegatorsSettings.withdrawCooldown);
+}
+
+/**
+ * Timestamp since delegator is able to claim from validator
+ */
+function delegatorClaimAvailableAt(delegatorInfo, settings) {
+  return toDate(toTimestamp(delegatorInfo.lastClaim) + settings.delegatorsSettings.claimCooldown);
+}
+
+/**
+ * Iterate over a list read from the contract page by page
+ * (the list may change between the pages, entries are not guaranteed to be unique then)
+ * @param {function} fetchPage async (offset, limit) => entries of the page
+ * @param {number} pageSize number of entries read by one call
+ */
+async function* paginate(fetchPage, pageSize = PAGE_SIZE) {
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await fetchPage(offset, pageSize);
+    yield* page;
+    if (page.length < pageSize) return;
+  }
+}
+
+class StakeManagerClient {
+  /**
+   * @param {object} contract ethers contract connected to CRATStakeManager proxy
+   */
+  constructor(contract) {
+    this.contract = contract;
+  }
+
+  get address() {
+    return this.contract.target;
+  }
+
+  async settings() {
+    return decodeSettings(await this.contract.settings());
+  }
+
+  async limits() {
+    return decodeLimits(await this.contract.limits());
+  }
+
+  async doubleSign() {
+    return decodeDoubleSignSettings(await this.contract.doubleSign());
+  }
+
+  async pools() {
+    const c = this.contract;
+    const [
+      totalValidatorsPool,
+      totalDelegatorsPool,
+      stoppedValidatorsPool,
+      stoppedDelegatorsPool,
+      unbondingValidatorsPool,
+      unbondingDelegatorsPool,
+      forFixedReward,
+    ] = await Promise.all([
+      c.totalValidatorsPool(),
+      c.totalDelegatorsPool(),
+      c.stoppedValidatorsPool(),
+      c.stoppedDelegatorsPool(),
+      c.unbondingValidatorsPool(),
+      c.unbondingDelegatorsPool(),
+      c.forFixedReward(),
+    ]);
+    return {
+      totalValidatorsPool,
+      totalDelegatorsPool,
+      stoppedValidatorsPool,
+      stoppedDelegatorsPool,
+      unbondingValidatorsPool,
+      unbondingDelegatorsPool,
+      forFixedReward,
+    };
+  }
+
+  isValidator(account) {
+    return this.contract.isValidator(account);
+  }
+
+  isDelegator(account) {
+    return this.contract.isDelegator(account);
+  }
+
+  async getActiveValidators() {
+    return decodeValidatorsList(await this.contract.getActiveValidators());
+  }
+
+  async getStoppedValidators() {
+    return decodeValidatorsList(await this.contract.getStoppedValidators());
+  }
+
+  async getValidatorInfo(validator) {
+    return decodeValidatorInfo(await this.contract.getValidatorInfo(validator));
+  }
+
+  /**
+   * Same as {getValidatorInfo}, but reads the delegators list page by page
+   * (for validators with too many delegators to be returned by one call)
+   */
+  async getValidatorInfoPaged(validator, pageSize = PAGE_SIZE) {
+    const info = decodeValidatorInfo(await this.contract.getValidatorInfoPage(validator, 0, 0));
+    info.delegators = [];
+    for await (const delegator of this.delegators(validator, pageSize)) info.delegators.push(delegator);
+    return info;
+  }
+
+  async getActiveValidatorsCount() {
+    return Number(await this.contract.getActiveValidatorsCount());
+  }
+
+  async getStoppedValidatorsCount() {
+    return Number(await this.contract.getStoppedValidatorsCount());
+  }
+
+  async getDelegatorsCount(validator) {
+    return Number(await this.contract.getDelegatorsCount(validator));
+  }
+
+  /**
+   * Async iterator over the active validators (entries of {getActiveValidators})
+   */
+  activeValidators(pageSize = PAGE_SIZE) {
+    return paginate(async (offset, limit) => decodeValidatorsList(await this.contract.getActiveValidatorsPage(offset, limit)), pageSize);
+  }
+
+  /**
+   * Async iterator over the stop-listed validators (entries of {getStoppedValidators})
+   */
+  stoppedValidators(pageSize = PAGE_SIZE) {
+    return paginate(async (offset, limit) => decodeValidatorsList(await this.contract.getStoppedValidatorsPage(offset, limit)), pageSize);
+  }
+
+  /**
+   * Async iterator over the delegators addresses of the validator
+   */
+  delegators(validator, pageSize = PAGE_SIZE) {
+    return paginate(async (offset, limit) => (await this.contract.getValidatorInfoPage(validator, offset, limit)).delegators, pageSize);
+  }
+
+  /**
+   * Async iterator over the delegators of the validator (entries of {getDelegatorsInfoPerValidator})
+   */
+  delegatorsInfoPerValidator(validator, pageSize = PAGE_SIZE) {
+    return paginate(async (offset, limit) => {
+      const [delegators, infos] = await this.contract.getDelegatorsInfoPerValidatorPage(validator, offset, limit);
+      return delegators.map((delegator, i) => ({
+        delegator,
+        ...decodeDelegatorPerValidatorInfo(infos[i]),
+      }));
+    }, pageSize);
+  }
+
+  /**
+   * @returns {object[]} one entry per validator the delegator has deposited for
+   */
+  async getDelegatorInfo(delegator) {
+    const [validators, infos, withdrawAvailable, claimAvailable, unbonding] = await this.contract.getDelegatorInfo(delegator);
+    return validators.map((validator, i) => ({
+      validator,
+      ...decodeDelegatorPerValidatorInfo(infos[i]),
+      withdrawAvailable: toDate(withdrawAvailable[i]),
+      claimAvailable: toDate(claimAvailable[i]),
+      unbonding: decodeUnbondingEntries(unbonding[i]),
+    }));
+  }
+
+  /**
+   * @returns {object[]} one entry per delegator of the validator
+   */
+  async getDelegatorsInfoPerValidator(validator) {
+    const [delegators, infos] = await this.contract.getDelegatorsInfoPerValidator(validator);
+    return delegators.map((delegator, i) => ({
+      delegator,
+      ...decodeDelegatorPerValidatorInfo(infos[i]),
+    }));
+  }
+
+  /**
+   * @returns {object[]} one entry per slash of the validator, oldest first
+   */
+  async getSlashHistory(validator) {
+    return (await this.contract.getSlashHistory(validator)).map(decodeSlashRecord);
+  }
+
+  /**
+   * @returns {object[]} stake redelegated away from the validator (expired entries stay until the next slash)
+   */
+  async getRedelegations(validator) {
+    return (await this.contract.getRedelegations(validator)).map(decodeRedelegationEntry);
+  }
+
+  /**
+   * @returns {object[]} delegators, which have left the validator with unbonding entries there (still slashed with it)
+   */
+  async getExitedDelegators(validator) {
+    const [delegators, unbonding] = await this.contract.getExitedDelegators(validator);
+    return delegators.map((delegator, i) => ({ delegator, unbonding: decodeUnbondingEntries(unbonding[i]) }));
+  }
+
+  /**
+   * @returns {Date|null} end of the slashing liability of the stake redelegated to the validator (null - none)
+   */
+  async redelegatedUntil(delegator, validator) {
+    return toDate(await this.contract.redelegatedUntil(delegator, validator));
+  }
+
+  /**
+   * @returns {object|null} scheduled commission change which hasn't taken effect yet: {commission, effectiveAt: Date}
+   */
+  async getPendingCommissionChange(validator) {
+    const [commission, effectiveAt] = await this.contract.getPendingCommissionChange(validator);
+    return effectiveAt > 0n ? { commission: Number(commission), effectiveAt: toDate(effectiveAt) } : null;
+  }
+
+  /**
+   * @returns {Date|null} end of validator's jail (null - not jailed); the validator stays jailed after it until unjail
+   */
+  async jailedUntil(validator) {
+    return toDate(await this.contract.jailedUntil(validator));
+  }
+
+  /**
+   * @returns {string|null} current block signing key of the validator (null - not registered)
+   */
+  async signingKey(validator) {
+    const key = await this.contract.signingKeys(validator);
+    return key === ZeroAddress ? null : key;
+  }
+
+  isTombstoned(validator) {
+    return this.contract.tombstoned(validator);
+  }
+
+  async validatorEarned(validator) {
+    const [fixedReward, variableReward] = await this.contract.validatorEarned(validator);
+    return { fixedReward, variableReward };
+  }
+
+  async delegatorEarnedPerValidator(delegator, validator) {
+    const [fixedReward, variableReward] = await this.contract.delegatorEarnedPerValidator(delegator, validator);
+    return { fixedReward, variableReward };
+  }
+
+  /**
+   * Withdraw and claim availability for validator (withdraw takes vesting end and jail into account)
+   * @returns {object} {withdrawAvailable: Date|null, claimAvailable: Date}
+   */
+  async validatorAvailability(validator) {
+    const [info, settings, jailedUntil] = await Promise.all([
+      this.getValidatorInfo(validator),
+      this.settings(),
+      this.jailedUntil(validator),
+    ]);
+    return {
+      withdrawAvailable: validatorWithdrawAvailableAt(info, settings, jailedUntil),
+      claimAvailable: validatorClaimAvailableAt(info, settings),
+    };
+  }
+
+  /**
+   * Withdraw and claim availability for delegator per validator (delegators of a jailed validator withdraw at once)
+   * @returns {object} {withdrawAvailable: Date|null, claimAvailable: Date|null} (null claimAvailable - no deposit for this validator)
+   */
+  async delegatorAvailability(delegator, validator) {
+    const [infos, validatorInfo, settings, jailedUntil] = await Promise.all([
+      this.getDelegatorInfo(delegator),
+      this.getValidatorInfo(validator),
+      this.settings(),
+      this.jailedUntil(validator),
+    ]);
+    const address = await resolveAddress(validator);
+    const info = infos.find((i) => i.validator.toLowerCase() === address.toLowerCase());
+    if (!info) return { withdrawAvailable: null, claimAvailable: null };
+    return {
+      withdrawAvailable: delegatorWithdrawAvailableAt(info, validatorInfo, settings, jailedUntil !== null),
+      claimAvailable: delegatorClaimAvailableAt(info, settings),
+    };
+  }
+}
+
+module.exports = {
+  PRECISION,
+  PAGE_SIZE,
+  YEAR_DURATION,
+  StakeManagerClient,
+  toDate,
+  toTimestamp,
+  paginate,
+  decodeSettings,
+  decodeLimits,
+  decodeDoubleSignSettings,
+  decodeValidatorInfo,
+  decodeDelegatorPerValidatorInfo,
+  decodeValidatorsList,
+  decodeSlashRecord,
+  decodeUnbondingEntries,
+  decodeRedelegationEntry,
+  validatorWithdrawAvailableAt,
+  validatorClaimAvailableAt,
+  delegatorWithdrawAvailableAt,
+  delegatorClaimAvailableAt,
+};
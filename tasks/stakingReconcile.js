@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { formatEther, getAddress } = require("ethers");
+const { loadStakeManager } = require("./stakingSettings");
+const { PAGE_SIZE, paginate, decodeValidatorsList } = require("../sdk/stakeManager");
+
+const YEAR_DURATION = 365n * 86400n;
+const PRECISION = 100_00n;
+const DAY = 86400n;
+
+const sum = (list, key) => list.reduce((acc, item) => acc + item[key], 0n);
+
+/**
+ * Walk every active and stopped validator and their delegators at one block and reconcile what the
+ * stake manager owes with what it holds
+ * @param {object} stakeManager ethers contract connected to the proxy
+ * @param {object} options blockTag - block to read at (latest by default);
+ * accounts - extra addresses to check (withdrawn accounts can keep fixed rewards the contract could not pay);
+ * pageSize - entries read by one call of the paginated views (`PAGE_SIZE` of the SDK by default)
+ * @returns {object} report with bigint amounts (see `reportToJSON` and `reportToMarkdown`)
+ */
+async function collectReport(stakeManager, options = {}) {
+  const provider = stakeManager.runner.provider;
+  const block = await provider.getBlock(options.blockTag === undefined ? "latest" : options.blockTag);
+  const at = { blockTag: block.number };
+  const pageSize = options.pageSize || PAGE_SIZE;
+
+  const settings = await stakeManager.settings(at);
+  const { delegatorsPerValidator } = await stakeManager.limits(at);
+  const pools = {
+    totalValidatorsPool: await stakeManager.totalValidatorsPool(at),
+    stoppedValidatorsPool: await stakeManager.stoppedValidatorsPool(at),
+    totalDelegatorsPool: await stakeManager.totalDelegatorsPool(at),
+    stoppedDelegatorsPool: await stakeManager.stoppedDelegatorsPool(at),
+    unbondingValidatorsPool: await stakeManager.unbondingValidatorsPool(at),
+    unbondingDelegatorsPool: await stakeManager.unbondingDelegatorsPool(at),
+  };
+  const forFixedReward = await stakeManager.forFixedReward(at);
+  const balance = await provider.getBalance(stakeManager.target, block.number);
+
+  // lists are read page by page (all pages at the same block), so big sets don't hit the node's call gas limit
+  const readValidators = async (status, fetchPage) => {
+    const validators = [];
+    for await (const entry of paginate(async (offset, limit) => decodeValidatorsList(await fetchPage(offset, limit, at)), pageSize)) {
+      const [fixedReward, variableReward] = await stakeManager.validatorEarned(entry.validator, at);
+      const delegators = [];
+      const delegatorsPages = paginate(async (offset, limit) => {
+        const [addresses, infos] = await stakeManager.getDelegatorsInfoPerValidatorPage(entry.validator, offset, limit, at);
+        return addresses.map((address, i) => ({ address, amount: infos[i].amount }));
+      }, pageSize);
+      for await (const { address, amount } of delegatorsPages) {
+        const earned = await stakeManager.delegatorEarnedPerValidator(address, entry.validator, at);
+        delegators.push({
+          address,
+          amount,
+          fixedReward: earned[0],
+          variableReward: earned[1],
+        });
+      }
+      // percentage slashes round down the fee of every delegator, but not of the validator's delegated amounts,
+      // so the delegators' deposits may exceed them by less than 1 wei per delegator for each slash
+      const slashes = BigInt((await stakeManager.getSlashHistory(entry.validator, at)).length);
+      validators.push({
+        address: entry.validator,
+        status,
+        amount: entry.amount,
+        delegatedAmount: entry.delegatedAmount,
+        stoppedDelegatedAmount: entry.stoppedDelegatedAmount,
+        fixedReward,
+        variableReward,
+        delegators,
+        rounding: sum(delegators, "amount") - entry.delegatedAmount - entry.stoppedDelegatedAmount,
+        maxRounding: slashes * delegatorsPerValidator,
+      });
+    }
+    return validators;
+  };
+
+  const validators = [
+    ...(await readValidators("active", stakeManager.getActiveValidatorsPage)),
+    ...(await readValidators("stopped", stakeManager.getStoppedValidatorsPage)),
+  ];
+  const delegations = validators.flatMap((v) => v.delegators.map((d) => ({ ...d, validator: v.address })));
+
+  // leftovers of withdrawn accounts: validator rewards and delegator rewards for every known validator
+  const known = new Set(validators.map((v) => v.address));
+  const pairs = new Set(delegations.map((d) => `${d.address}:${d.validator}`));
+  const extra = [...new Set((options.accounts || []).map((a) => getAddress(a)))];
+  const leftovers = [];
+  for (const account of extra) {
+    if (!known.has(account)) {
+      const [fixedReward, variableReward] = await stakeManager.validatorEarned(account, at);
+      if (fixedReward + variableReward > 0n) leftovers.push({ address: account, validator: null, fixedReward, variableReward });
+    }
+    for (const validator of [...known, ...extra.filter((a) => !known.has(a))]) {
+      if (validator === account || pairs.has(`${account}:${validator}`)) continue;
+      const [fixedReward, variableReward] = await stakeManager.delegatorEarnedPerValidator(account, validator, at);
+      if (fixedReward + variableReward > 0n) leftovers.push({ address: account, validator, fixedReward, variableReward });
+    }
+  }
+
+  const unusualDepositors = [];
+  for (const account of new Set([...known, ...delegations.map((d) => d.address), ...extra])) {
+    const amount = await stakeManager.unusualDepositor(account, at);
+    if (amount > 0n) unusualDepositors.push({ address: account, amount });
+  }
+
+  const principal = {
+    validators: sum(validators, "amount"),
+    delegators: sum(delegations, "amount"),
+    pools: pools.totalValidatorsPool + pools.stoppedValidatorsPool + pools.totalDelegatorsPool + pools.stoppedDelegatorsPool,
+    // partial withdrawals waiting for their cooldown (of withdrawn accounts too)
+    unbonding: pools.unbondingValidatorsPool + pools.unbondingDelegatorsPool,
+    // delegators' deposits over the delegated amounts left by slashing (not held by the contract)
+    rounding: sum(validators, "rounding"),
+  };
+  const rewards = {
+    variable: sum(validators, "variableReward") + sum(delegations, "variableReward") + sum(leftovers, "variableReward"),
+    fixedAccrued: sum(validators, "fixedReward") + sum(delegations, "fixedReward") + sum(leftovers, "fixedReward"),
+  };
+  const unusual = sum(unusualDepositors, "amount");
+
+  const problems = [];
+  const active = validators.filter((v) => v.status === "active");
+  const stopped = validators.filter((v) => v.status === "stopped");
+  if (sum(active, "amount") !== pools.totalValidatorsPool || sum(stopped, "amount") !== pools.stoppedValidatorsPool)
+    problems.push(`validators pools ${pools.totalValidatorsPool}/${pools.stoppedValidatorsPool} differ from deposits ${sum(active, "amount")}/${sum(stopped, "amount")}`);
+  if (sum(validators, "delegatedAmount") !== pools.totalDelegatorsPool || sum(validators, "stoppedDelegatedAmount") !== pools.stoppedDelegatorsPool)
+    problems.push(`delegators pools ${pools.totalDelegatorsPool}/${pools.stoppedDelegatorsPool} differ from delegated amounts ${sum(validators, "delegatedAmount")}/${sum(validators, "stoppedDelegatedAmount")}`);
+  for (const v of validators.filter((v) => v.rounding < 0n || v.rounding > v.maxRounding))
+    problems.push(`delegators' deposits of ${v.address} differ from its delegated amounts by ${v.rounding} (slashing rounds to ${v.maxRounding} at most)`);
+  if (principal.validators + principal.delegators - principal.rounding !== principal.pools)
+    problems.push(`principal ${principal.validators + principal.delegators} less slashing rounding ${principal.rounding} differs from pools ${principal.pools}`);
+
+  // the native balance holds principal, unbonding entries, variable rewards, stuck transfers and the fixed reward reserve
+  const surplus = balance - principal.pools - principal.unbonding - rewards.variable - unusual - forFixedReward;
+  if (surplus < 0n) problems.push(`balance ${balance} is short of ${-surplus} to cover deposits, rewards and the fixed reward reserve`);
+  const fixedRewardBuffer = forFixedReward - rewards.fixedAccrued;
+  if (fixedRewardBuffer < 0n) problems.push(`forFixedReward ${forFixedReward} does not cover accrued fixed rewards ${rewards.fixedAccrued}`);
+
+  // accrual of the active pools at the current APRs
+  const yearly = pools.totalValidatorsPool * settings.validatorsSettings.apr + pools.totalDelegatorsPool * settings.delegatorsSettings.apr;
+  const dailyAccrual = (yearly * DAY) / (PRECISION * YEAR_DURATION);
+  let runwaySeconds = null;
+  if (fixedRewardBuffer <= 0n) runwaySeconds = 0n;
+  else if (yearly > 0n) runwaySeconds = (fixedRewardBuffer * PRECISION * YEAR_DURATION) / yearly;
+
+  return {
+    stakeManager: stakeManager.target,
+    blockNumber: block.number,
+    timestamp: BigInt(block.timestamp),
+    validators,
+    leftovers,
+    unusualDepositors,
+    pools,
+    principal,
+    rewards,
+    unusualDepositorsTotal: unusual,
+    forFixedReward,
+    balance,
+    surplus,
+    fixedRewardBuffer,
+    runway: {
+      validatorsAPR: settings.validatorsSettings.apr,
+      delegatorsAPR: settings.delegatorsSettings.apr,
+      dailyAccrual,
+      // null - nothing accrues, the reserve lasts forever
+      days: runwaySeconds === null ? null : Number((runwaySeconds * 100n) / DAY) / 100,
+      exhaustedAt: runwaySeconds === null ? null : BigInt(block.timestamp) + runwaySeconds,
+    },
+    problems,
+  };
+}
+
+function reportToJSON(report) {
+  return JSON.stringify(report, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+function reportToMarkdown(report) {
+  const coins = (amount) => `${formatEther(amount)} CRAT`;
+  const date = (timestamp) => new Date(Number(timestamp) * 1000).toISOString().replace(".000Z", "Z");
+  const row = (cells) => `| ${cells.join(" | ")} |`;
+  const lines = [
+    `# Stake manager reconciliation`,
+    "",
+    `Contract \`${report.stakeManager}\` at block ${report.blockNumber} (${date(report.timestamp)})`,
+    "",
+    `**Status:** ${report.problems.length === 0 ? "OK" : "ATTENTION"}`,
+    ...report.problems.map((p) => `- ${p}`),
+    "",
+    "## Balance",
+    "",
+    row(["Item", "Amount"]),
+    row(["---", "---:"]),
+    row(["Validators principal (active / stopped)", `${coins(report.pools.totalValidatorsPool)} / ${coins(report.pools.stoppedValidatorsPool)}`]),
+    row(["Delegators principal (active / stopped)", `${coins(report.pools.totalDelegatorsPool)} / ${coins(report.pools.stoppedDelegatorsPool)}`]),
+    row(["Unbonding (validators / delegators)", `${coins(report.pools.unbondingValidatorsPool)} / ${coins(report.pools.unbondingDelegatorsPool)}`]),
+    row(["Delegators' deposits over pools (slashing rounding)", `${report.principal.rounding} wei`]),
+    row(["Unclaimed variable rewards", coins(report.rewards.variable)]),
+    row(["Unusual depositors", coins(report.unusualDepositorsTotal)]),
+    row(["Fixed reward reserve (`forFixedReward`)", coins(report.forFixedReward)]),
+    row(["Native balance", coins(report.balance)]),
+    row(["Surplus", coins(report.surplus)]),
+    "",
+    "## Fixed rewards",
+    "",
+    row(["Item", "Value"]),
+    row(["---", "---:"]),
+    row(["Accrued, not paid", coins(report.rewards.fixedAccrued)]),
+    row(["Reserve left after accrued", coins(report.fixedRewardBuffer)]),
+    row(["APR validators / delegators", `${Number(report.runway.validatorsAPR) / 100}% / ${Number(report.runway.delegatorsAPR) / 100}%`]),
+    row(["Daily accrual", coins(report.runway.dailyAccrual)]),
+    row(["Runway", report.runway.days === null ? "unlimited" : `${report.runway.days} days (${date(report.runway.exhaustedAt)})`]),
+    "",
+    "## Validators",
+    "",
+    row(["Validator", "Status", "Deposit", "Delegated (active / stopped)", "Delegators", "Fixed reward (validator + delegators)", "Variable reward (validator + delegators)"]),
+    row(["---", "---", "---:", "---:", "---:", "---:", "---:"]),
+    ...report.validators.map((v) => row([
+      `\`${v.address}\``,
+      v.status,
+      coins(v.amount),
+      `${coins(v.delegatedAmount)} / ${coins(v.stoppedDelegatedAmount)}`,
+      v.delegators.length,
+      `${coins(v.fixedReward)} + ${coins(sum(v.delegators, "fixedReward"))}`,
+      `${coins(v.variableReward)} + ${coins(sum(v.delegators, "variableReward"))}`,
+    ])),
+  ];
+  if (report.leftovers.length > 0) {
+    lines.push("", "## Withdrawn accounts", "", row(["Account", "Validator", "Fixed reward", "Variable reward"]), row(["---", "---", "---:", "---:"]));
+    for (const l of report.leftovers) lines.push(row([`\`${l.address}\``, l.validator ? `\`${l.validator}\`` : "-", coins(l.fixedReward), coins(l.variableReward)]));
+  }
+  if (report.unusualDepositors.length > 0) {
+    lines.push("", "## Unusual depositors", "", row(["Account", "Amount"]), row(["---", "---:"]));
+    for (const u of report.unusualDepositors) lines.push(row([`\`${u.address}\``, coins(u.amount)]));
+  }
+  return lines.join("\n") + "\n";
+}
+
+task("staking:reconcile", "Reconcile CRATStakeManager deposits and rewards with its balance and the fixed reward reserve")
+  .addOptionalParam("address", "Stake manager proxy address (taken from the deployment manifest by default)")
+  .addOptionalParam("format", "Report format: json or markdown", "markdown")
+  .addOptionalParam("out", "Write the report to this file instead of printing it")
+  .addOptionalParam("accounts", "Comma separated withdrawn accounts to check for unpaid rewards", "")
+  .addOptionalParam("block", "Block number to reconcile at (latest by default)", undefined, types.int)
+  .setAction(async ({ address, format, out, accounts, block }, hre) => {
+    if (!["json", "markdown"].includes(format)) throw new Error(`Unknown format ${format}, use json or markdown`);
+    const stakeManager = await loadStakeManager(hre, address);
+    const report = await collectReport(stakeManager, {
+      blockTag: block,
+      accounts: accounts.split(",").map((a) => a.trim()).filter((a) => a.length > 0),
+    });
+    const text = format === "json" ? reportToJSON(report) : reportToMarkdown(report);
+    if (out) {
+      fs.writeFileSync(path.resolve(out), text);
+      console.log(`Report written to ${out}`);
+    } else {
+      console.log(text);
+    }
+    return report;
+  });
+
+module.exports = {
+  collectReport,
+  reportToJSON,
+  reportToMarkdown,
+};
@@ -0,0 +1,252 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { readManifest } = require("../scripts/utils/manifest");
+const { explainError } = require("../sdk/errors");
+
+const YEAR_DURATION = 365n * 86400n;
+const PRECISION = 100_00n;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// every tunable field of `GeneralSettings` (and the settings stored apart from it) and the admin setter that
+// changes it; the order here is the order transactions are sent in
+const SETTERS = [
+  { field: "validatorsLimit", setter: "setValidatorsLimit" },
+  { field: "validatorsProbationPeriod", setter: "setValidatorsProbationPeriod" },
+  { field: "slashReceiver", setter: "setSlashReceiver", address: true },
+  { field: "validatorsSettings.apr", setter: "setValidatorsAPR" },
+  { field: "validatorsSettings.toSlash", setter: "setValidatorsAmountToSlash" },
+  { field: "validatorsSettings.minimumThreshold", setter: "setValidatorsMinimum" },
+  { field: "validatorsSettings.claimCooldown", setter: "setValidatorsClaimCooldown", cooldown: true },
+  { field: "validatorsSettings.withdrawCooldown", setter: "setValidatorsWithdrawCooldown", cooldown: true },
+  { field: "delegatorsSettings.apr", setter: "setDelegatorsAPR" },
+  { field: "delegatorsSettings.toSlash", setter: "setDelegatorsPercToSlash", percent: true },
+  { field: "delegatorsSettings.minimumThreshold", setter: "setDelegatorsMinimum" },
+  { field: "delegatorsSettings.claimCooldown", setter: "setDelegatorsClaimCooldown", cooldown: true },
+  { field: "delegatorsSettings.withdrawCooldown", setter: "setDelegatorsWithdrawCooldown", cooldown: true },
+  { field: "commissionChangeDelay", setter: "setCommissionChangeDelay", cooldown: true },
+  { field: "maxCommissionChange", setter: "setMaxCommissionChange", percent: true },
+  { field: "limits.minCommission", setter: "setValidatorsMinCommission", percent: true },
+  { field: "limits.maxCommission", setter: "setValidatorsMaxCommission", percent: true },
+  { field: "limits.delegatorsPerValidator", setter: "setDelegatorsPerValidatorLimit" },
+  { field: "doubleSign.slashPercent", setter: "setDoubleSignSlashPercent", percent: true },
+  { field: "doubleSign.reporterShare", setter: "setDoubleSignReporterShare", percent: true },
+];
+
+function getField(obj, field) {
+  return field.split(".").reduce((acc, key) => (acc === undefined || acc === null ? undefined : acc[key]), obj);
+}
+
+// dotted paths of every value in the (nested) settings object
+function leafFields(obj, prefix = "") {
+  return Object.entries(obj).flatMap(([key, value]) =>
+    value !== null && typeof value === "object" && !Array.isArray(value) ? leafFields(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  );
+}
+
+function normalize(entry, value) {
+  if (entry.address) return String(value).toLowerCase();
+  return BigInt(value);
+}
+
+/**
+ * Convert the `settings()` result of CRATStakeManager into a plain object
+ * @param {object} settings ethers Result of `stakeManager.settings()`
+ * @param {object} extra settings stored apart from `GeneralSettings`: commissionChangeDelay, maxCommissionChange,
+ * limits (ethers Result of `stakeManager.limits()`), doubleSign (ethers Result of `stakeManager.doubleSign()`),
+ * missing ones are left out
+ * @returns {object} settings with the same shape as the desired-settings JSON
+ */
+function settingsToObject(settings, extra = {}) {
+  const role = (r) => ({
+    apr: r.apr,
+    toSlash: r.toSlash,
+    minimumThreshold: r.minimumThreshold,
+    claimCooldown: r.claimCooldown,
+    withdrawCooldown: r.withdrawCooldown,
+  });
+  return {
+    validatorsLimit: settings.validatorsLimit,
+    validatorsProbationPeriod: settings.validatorsProbationPeriod,
+    slashReceiver: settings.slashReceiver,
+    validatorsSettings: role(settings.validatorsSettings),
+    delegatorsSettings: role(settings.delegatorsSettings),
+    commissionChangeDelay: extra.commissionChangeDelay,
+    maxCommissionChange: extra.maxCommissionChange,
+    limits: extra.limits && {
+      minCommission: extra.limits.minCommission,
+      maxCommission: extra.limits.maxCommission,
+      delegatorsPerValidator: extra.limits.delegatorsPerValidator,
+    },
+    doubleSign: extra.doubleSign && {
+      slashPercent: extra.doubleSign.slashPercent,
+      reporterShare: extra.doubleSign.reporterShare,
+    },
+  };
+}
+
+/**
+ * Read every tunable setting of the stake manager
+ * @param {object} stakeManager ethers contract connected to CRATStakeManager proxy
+ * @returns {object} result of `settingsToObject`
+ */
+async function readSettings(stakeManager) {
+  const [settings, commissionChangeDelay, maxCommissionChange, limits, doubleSign] = await Promise.all([
+    stakeManager.settings(),
+    stakeManager.commissionChangeDelay(),
+    stakeManager.maxCommissionChange(),
+    stakeManager.limits(),
+    stakeManager.doubleSign(),
+  ]);
+  return settingsToObject(settings, { commissionChangeDelay, maxCommissionChange, limits, doubleSign });
+}
+
+/**
+ * Field-by-field comparison of the current and desired settings
+ * @param {object} current settings from `settingsToObject`
+ * @param {object} desired (possibly partial) desired settings
+ * @returns {object[]} entries with field, setter, current, desired and changed flag
+ * @throws if `desired` has fields without a setter (a misspelled field would be silently left unchanged)
+ */
+function diffSettings(current, desired) {
+  const unknown = leafFields(desired).filter((field) => !SETTERS.some((e) => e.field === field));
+  if (unknown.length > 0) throw new Error(`Unknown settings: ${unknown.join(", ")}`);
+  const diff = [];
+  for (const entry of SETTERS) {
+    const wanted = getField(desired, entry.field);
+    if (wanted === undefined) continue;
+    const now = getField(current, entry.field);
+    diff.push({
+      field: entry.field,
+      setter: entry.setter,
+      current: now,
+      desired: entry.address ? wanted : BigInt(wanted),
+      changed: normalize(entry, now) !== normalize(entry, wanted),
+    });
+  }
+  // a raised minimum commission above the current maximum can only be set after the maximum
+  const min = diff.findIndex((c) => c.field === "limits.minCommission");
+  const max = diff.findIndex((c) => c.field === "limits.maxCommission");
+  if (min >= 0 && max > min && diff[min].desired > BigInt(diff[max].current)) diff.splice(min, 0, ...diff.splice(max, 1));
+  return diff;
+}
+
+/**
+ * Reproduce the on-chain checks of the setters so nothing is broadcasted that would revert
+ * @param {object[]} diff result of `diffSettings`
+ * @param {object} context current on-chain state: `activeValidators` - number of active validators,
+ * `current` - settings from `settingsToObject` (bounds left out of the diff are checked against them)
+ * @returns {string[]} human readable list of problems (empty if all changes are valid)
+ */
+function validateDiff(diff, { activeValidators, current = {} }) {
+  const errors = [];
+  for (const change of diff.filter((c) => c.changed)) {
+    const entry = SETTERS.find((e) => e.field === change.field);
+    if (entry.address) {
+      if (!/^0x[0-9a-fA-F]{40}$/.test(change.desired)) errors.push(`${change.field}: not an address`);
+      else if (change.desired === ZERO_ADDRESS) errors.push(`${change.field}: zero address`);
+      continue;
+    }
+    if (change.desired < 0n) errors.push(`${change.field}: negative value`);
+    if (entry.cooldown && change.desired > YEAR_DURATION)
+      errors.push(`${change.field}: ${change.desired} is longer than 365 days`);
+    if (entry.percent && change.desired > PRECISION)
+      errors.push(`${change.field}: ${change.desired} is larger than ${PRECISION} (100%)`);
+    if (change.field === "validatorsLimit" && change.desired < BigInt(activeValidators))
+      errors.push(`${change.field}: ${change.desired} is lower than the number of active validators (${activeValidators})`);
+    if (change.field === "limits.delegatorsPerValidator" && change.desired === 0n)
+      errors.push(`${change.field}: zero limit`);
+  }
+  // bounds after all changes (the order of the setters is taken care of in `diffSettings`)
+  const bound = (field) => {
+    const entry = diff.find((c) => c.field === field);
+    if (entry) return entry.changed ? entry.desired : BigInt(entry.current);
+    const value = getField(current, field);
+    return value === undefined ? undefined : BigInt(value);
+  };
+  const [minCommission, maxCommission] = [bound("limits.minCommission"), bound("limits.maxCommission")];
+  if (minCommission !== undefined && maxCommission !== undefined && minCommission > maxCommission)
+    errors.push(`limits.minCommission: ${minCommission} is larger than limits.maxCommission (${maxCommission})`);
+  return errors;
+}
+
+function printDiff(diff) {
+  for (const change of diff) {
+    const mark = change.changed ? "*" : " ";
+    console.log(`${mark} ${change.field.padEnd(36)} ${String(change.current).padEnd(44)} -> ${change.desired}`);
+  }
+  const changed = diff.filter((c) => c.changed).length;
+  console.log(`${changed} of ${diff.length} field(s) to change`);
+}
+
+async function loadStakeManager(hre, address) {
+  if (!address) {
+    const manifest = readManifest(hre.network.name);
+    address = manifest.stakeManager && manifest.stakeManager.proxy && manifest.stakeManager.proxy.address;
+    if (!address) throw new Error(`No --address given and no stake manager proxy in the ${hre.network.name} manifest`);
+  }
+  return hre.ethers.getContractAt("CRATStakeManager", address);
+}
+
+task("staking:settings:show", "Print the current CRATStakeManager settings")
+  .addOptionalParam("address", "Stake manager proxy address (taken from the deployment manifest by default)")
+  .setAction(async ({ address }, hre) => {
+    const stakeManager = await loadStakeManager(hre, address);
+    const current = await readSettings(stakeManager);
+    console.log(JSON.stringify(current, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2));
+    return current;
+  });
+
+task("staking:settings:sync", "Compare CRATStakeManager settings with a JSON file and send the setters that differ")
+  .addOptionalParam("address", "Stake manager proxy address (taken from the deployment manifest by default)")
+  .addParam("file", "Path to the desired settings JSON file")
+  .addFlag("apply", "Send the setter transactions (dry-run otherwise)")
+  .addOptionalParam("confirmations", "Confirmations to wait for each transaction", 1, types.int)
+  .setAction(async ({ address, file, apply, confirmations }, hre) => {
+    const stakeManager = await loadStakeManager(hre, address);
+    const desired = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+    const current = await readSettings(stakeManager);
+    const diff = diffSettings(current, desired);
+
+    printDiff(diff);
+
+    const activeValidators = Number(await stakeManager.getActiveValidatorsCount());
+    const errors = validateDiff(diff, { activeValidators, current });
+    if (errors.length > 0) {
+      throw new Error(`Refusing to apply settings:\n  ${errors.join("\n  ")}`);
+    }
+
+    const changes = diff.filter((c) => c.changed);
+    if (!apply || changes.length === 0) {
+      if (changes.length > 0) console.log("Dry run: pass --apply to send the transactions");
+      return { diff, transactions: [] };
+    }
+
+    const [signer] = await hre.ethers.getSigners();
+    if (!(await stakeManager.hasRole(await stakeManager.DEFAULT_ADMIN_ROLE(), signer.address))) {
+      throw new Error(`${signer.address} has no DEFAULT_ADMIN_ROLE on ${stakeManager.target}`);
+    }
+
+    const transactions = [];
+    for (const change of changes) {
+      let tx;
+      try {
+        tx = await stakeManager.connect(signer)[change.setter](change.desired);
+      } catch (error) {
+        throw new Error(`${change.setter}(${change.desired}) failed: ${explainError(error, { from: signer })}`, { cause: error });
+      }
+      console.log(`${change.setter}(${change.desired}): ${tx.hash}`);
+      await tx.wait(confirmations);
+      transactions.push(tx.hash);
+    }
+    return { diff, transactions };
+  });
+
+module.exports = {
+  SETTERS,
+  settingsToObject,
+  readSettings,
+  diffSettings,
+  validateDiff,
+  loadStakeManager,
+};
@@ -0,0 +1,154 @@
+const { expect, assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require("hardhat");
+const { readManifest, writeManifest } = require("../scripts/utils/manifest");
+const { deployStaking } = require("../scripts/deployStaking");
+const { deployVesting } = require("../scripts/deployVesting");
+const { DEFAULT_SCHEDULE } = require("../scripts/utils/vestingSchedule");
+
+describe("Deployment manifest", function () {
+  let dir;
+  let log;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "crat-deployments-"));
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Deploys staking once and skips finished steps on the next run", async ()=> {
+    const [owner, distributor, receiver] = await ethers.getSigners();
+    const options = { dir, contract: "CRATStakeManager", distributor: distributor.address, receiver: receiver.address, owner: owner.address };
+
+    const manifest = await deployStaking(options);
+    const section = manifest.stakeManager;
+    assert.equal(section.contract, "CRATStakeManager");
+    assert.deepEqual(section.initArgs, { distributor: distributor.address, receiver: receiver.address });
+    assert.equal(section.proxyAdmin.address, await upgrades.erc1967.getAdminAddress(section.proxy.address));
+    assert.equal(await upgrades.erc1967.getImplementationAddress(section.proxy.address), section.implementation.address);
+    assert.isAbove(section.proxy.blockNumber, section.implementation.blockNumber - 1);
+
+    const stakeManager = await ethers.getContractAt("CRATStakeManager", section.proxy.address);
+    assert.equal((await stakeManager.settings()).slashReceiver, receiver.address);
+    assert.equal(await stakeManager.hasRole(await stakeManager.DISTRIBUTOR_ROLE(), distributor), true);
+
+    const stored = readManifest("hardhat", dir);
+    assert.equal(stored.stakeManager.proxy.address, section.proxy.address);
+    assert.equal(stored.chainId, "31337");
+
+    // second run sends nothing and doesn't need env values anymore
+    const nonce = await ethers.provider.getTransactionCount(owner);
+    const again = await deployStaking({ dir });
+    assert.equal(await ethers.provider.getTransactionCount(owner), nonce);
+    assert.equal(again.stakeManager.proxy.address, section.proxy.address);
+  });
+
+  it("Resumes half-finished deployment", async ()=> {
+    const [owner, distributor, receiver] = await ethers.getSigners();
+
+    // implementation sent, but the script died before the receipt
+    const CRATStakeManager = await ethers.getContractFactory("CRATStakeManagerTest");
+    const tx = await owner.sendTransaction(await CRATStakeManager.getDeployTransaction());
+    writeManifest("hardhat", {
+      stakeManager: {
+        contract: "CRATStakeManagerTest",
+        initArgs: { distributor: distributor.address, receiver: receiver.address },
+        proxyAdminOwner: owner.address,
+        implementation: { txHash: tx.hash },
+      },
+    }, dir);
+
+    const nonce = await ethers.provider.getTransactionCount(owner);
+    const manifest = await deployStaking({ dir });
+    // only proxy deployment has been sent
+    assert.equal(await ethers.provider.getTransactionCount(owner), nonce + 1);
+    assert.equal(manifest.stakeManager.implementation.address, (await tx.wait()).contractAddress);
+    assert.equal(await upgrades.erc1967.getImplementationAddress(manifest.stakeManager.proxy.address), manifest.stakeManager.implementation.address);
+
+    const stakeManager = await ethers.getContractAt("CRATStakeManagerTest", manifest.stakeManager.proxy.address);
+    assert.isAbove(await stakeManager.testTime(), 0);
+
+    // recorded address without code (chain has been reset) is deployed again
+    manifest.stakeManager.proxy.address = ethers.Wallet.createRandom().address;
+    writeManifest("hardhat", manifest, dir);
+    const redeployed = await deployStaking({ dir });
+    assert.notEqual(redeployed.stakeManager.proxy.address, manifest.stakeManager.proxy.address);
+    assert.notEqual(await ethers.provider.getCode(redeployed.stakeManager.proxy.address), "0x");
+  });
+
+  it("Requires explicit and consistent contract choice", async ()=> {
+    const [owner, distributor, receiver] = await ethers.getSigners();
+
+    await expect(deployStaking({ dir, distributor: distributor.address, receiver: receiver.address, owner: owner.address })).to.be.rejectedWith("contract is not set");
+    await expect(deployStaking({ dir, contract: "CRATStakeManagerMock", distributor: distributor.address, receiver: receiver.address, owner: owner.address })).to.be.rejectedWith("Unknown stake manager contract");
+
+    await deployStaking({ dir, contract: "CRATStakeManager", distributor: distributor.address, receiver: receiver.address, owner: owner.address });
+    await expect(deployStaking({ dir, contract: "CRATStakeManagerTest" })).to.be.rejectedWith("contract differs from the manifest");
+    await expect(deployStaking({ dir, contract: "CRATStakeManager", distributor: owner.address, receiver: receiver.address })).to.be.rejectedWith("initArgs differs from the manifest");
+  });
+
+  it("Deploys vesting into the same manifest", async ()=> {
+    const [owner, distributor, receiver, ...accounts] = await ethers.getSigners();
+    const { allocators } = JSON.parse(fs.readFileSync(DEFAULT_SCHEDULE, "utf8"));
+    const addresses = Object.fromEntries(allocators.map((a, i) => [a.name, accounts[i].address]));
+    const supply = ethers.parseEther("300000000") - 3n;
+    await ethers.provider.send("hardhat_setBalance", [owner.address, ethers.toQuantity(supply + ethers.parseEther("1000"))]);
+
+    await deployStaking({ dir, contract: "CRATStakeManager", distributor: distributor.address, receiver: receiver.address, owner: owner.address });
+    const manifest = await deployVesting({ dir, contract: "CRATVesting", admin: owner.address, initializer: owner.address, addresses });
+
+    assert.equal(manifest.vesting.contract, "CRATVesting");
+    assert.isDefined(manifest.stakeManager.proxy.address);
+    assert.equal(manifest.vesting.distribution.value, supply);
+    assert.isDefined(manifest.vesting.distribution.blockNumber);
+    const vesting = await ethers.getContractAt("CRATVesting", manifest.vesting.deployment.address);
+    assert.equal(await vesting.initializer(), ethers.ZeroAddress);
+    assert.equal(await vesting.totalSupply(), supply);
+    assert.deepEqual(await vesting.getAllocationAddresses(), accounts.slice(0, allocators.length).map((a) => a.address));
+
+    const nonce = await ethers.provider.getTransactionCount(owner);
+    await deployVesting({ dir });
+    assert.equal(await ethers.provider.getTransactionCount(owner), nonce);
+  });
+
+  it("Verifies vesting schedule before deploying and leaves the distribution to the initializer", async ()=> {
+    const [owner, initializer, first, second] = await ethers.getSigners();
+    const csv = path.join(dir, "schedule.csv");
+    fs.writeFileSync(csv, [
+      "name,address,start,periodEnd,amount",
+      `first,${first.address},2030-01-01T00:00:00Z,,10`,
+      `second,${second.address},2030-01-01T00:00:00Z,,5`,
+      `first,${first.address},2032-01-01T00:00:00Z,2033-01-01T00:00:00Z,2.5`,
+    ].join("\n") + "\n");
+    const broken = path.join(dir, "broken.csv");
+    fs.writeFileSync(broken, fs.readFileSync(csv, "utf8").replace("2032-01-01", "2028-01-01"));
+
+    const nonce = await ethers.provider.getTransactionCount(owner);
+    await expect(deployVesting({ dir, contract: "CRATVesting", admin: owner.address, initializer: initializer.address, schedule: broken }))
+      .to.be.rejectedWith("first: tranches aren't sorted by period start");
+    assert.equal(await ethers.provider.getTransactionCount(owner), nonce);
+
+    const manifest = await deployVesting({ dir, contract: "CRATVesting", admin: owner.address, initializer: initializer.address, schedule: csv });
+    const { distribution } = manifest.vesting;
+    assert.equal(distribution.value, ethers.parseEther("17.5"));
+    assert.isUndefined(distribution.txHash);
+    const vesting = await ethers.getContractAt("CRATVesting", distribution.to);
+    assert.equal(await vesting.initializer(), initializer.address);
+
+    await initializer.sendTransaction({ to: distribution.to, data: distribution.data, value: distribution.value });
+    assert.deepEqual(await vesting.getAllocationAddresses(), [first.address, second.address]);
+    const info = await vesting.getAddressInfo(first);
+    assert.deepEqual(info.shedule.map((t) => t.amount), [ethers.parseEther("10"), ethers.parseEther("2.5")]);
+    assert.equal(info.shedule[1].periodStart, Date.UTC(2032, 0, 1) / 1000);
+    assert.equal(info.shedule[1].periodEnd, Date.UTC(2033, 0, 1) / 1000);
+    // stepwise tranche without periodEnd unlocks at its start
+    assert.equal(info.shedule[0].periodEnd, Date.UTC(2030, 0, 1) / 1000);
+  });
+});
@@ -0,0 +1,157 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect, assert } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { decodeError, explainError, formatTimestamp } = require("../sdk");
+
+describe("Errors decoder", function () {
+  async function deployFixture() {
+    const [owner, distributor, slashReceiver, validator1, delegator1, stranger] = await ethers.getSigners();
+
+    const CRATStakeManager = await ethers.getContractFactory("CRATStakeManager");
+    const stakeManager = await upgrades.deployProxy(CRATStakeManager, [distributor.address, slashReceiver.address]);
+    await stakeManager.setValidatorsMinimum(ethers.parseEther('100'));
+    await stakeManager.setDelegatorsMinimum(ethers.parseEther('10'));
+
+    const vesting = await ethers.deployContract("CRATVesting", [owner, owner]);
+
+    return { owner, distributor, validator1, delegator1, stranger, stakeManager, vesting };
+  }
+
+  // revert error of the call
+  async function reverted(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    assert.fail("call hasn't reverted");
+  }
+
+  it("Decodes stake manager custom errors", async ()=> {
+    const { stakeManager, distributor, validator1, delegator1, stranger } = await loadFixture(deployFixture);
+
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    const registered = await time.latest();
+    await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+
+    let error = await reverted(stakeManager.connect(stranger).depositAsDelegator(validator1, {value: ethers.parseEther('1')}));
+    assert.deepEqual(decodeError(error), {
+      name: "WrongValue",
+      args: { value: ethers.parseEther('1') },
+      message: `value ${ethers.parseEther('1')} is not accepted (below the minimum, wrong msg.value, nothing to claim or out of the allowed range)`,
+    });
+
+    await stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('1')], {value: ethers.parseEther('1')});
+    await time.increase(86400);
+    error = await reverted(stakeManager.connect(validator1).claimAsValidator());
+    const claimAvailable = registered + 86400 * 14;
+    assert.deepEqual(decodeError(error).args, { forClaim: true, upperBond: BigInt(claimAvailable) });
+    assert.equal(explainError(error), `claim cooldown active until ${formatTimestamp(claimAvailable)}`);
+
+    error = await reverted(stakeManager.connect(delegator1).depositAsValidator(1000, {value: ethers.parseEther('100')}));
+    assert.equal(explainError(error), `${delegator1.address} is not an active validator or already registered as a delegator`);
+    assert.equal(explainError(error, { from: delegator1 }), "you are not an active validator or already registered as a delegator");
+
+    error = await reverted(stakeManager.connect(validator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')}));
+    assert.equal(decodeError(error).name, "DelegatorsOnly");
+
+    error = await reverted(stakeManager.connect(delegator1).withdrawAsDelegator(validator1));
+    assert.equal(explainError(error, { from: validator1 }), `${delegator1.address} is not in the stop list, call for withdraw first`);
+    await stakeManager.connect(validator1).validatorCallForWithdraw();
+    error = await reverted(stakeManager.connect(validator1).validatorCallForWithdraw());
+    assert.equal(explainError(error, { from: validator1.address }), "you are already in the stop list (called for withdraw)");
+
+    error = await reverted(stakeManager.connect(stranger).setValidatorsLimit(1));
+    assert.equal(explainError(error, { from: stranger }), "you are missing DEFAULT_ADMIN_ROLE");
+    error = await reverted(stakeManager.connect(stranger).distributeRewards([validator1], [1], {value: 1}));
+    assert.equal(explainError(error), `${stranger.address} is missing DISTRIBUTOR_ROLE`);
+
+    error = await reverted(stakeManager.connect(distributor).distributeRewards([], []));
+    assert.equal(explainError(error), "wrong number of validators: empty list, lengths mismatch or more than allowed");
+    error = await reverted(stakeManager.setSlashReceiver(ethers.ZeroAddress));
+    assert.equal(explainError(error), "zero address is not allowed");
+
+    // errors of static calls are decoded the same way
+    error = await reverted(stakeManager.connect(stranger).claimAsValidator.staticCall());
+    assert.deepEqual(decodeError(error).args, { account: stranger.address });
+  });
+
+  it("Decodes pause errors", async ()=> {
+    const { owner, distributor, validator1, stranger, stakeManager } = await loadFixture(deployFixture);
+
+    await stakeManager.grantRole(await stakeManager.GUARDIAN_ROLE(), owner);
+    let error = await reverted(stakeManager.connect(stranger).pause(0));
+    assert.equal(explainError(error, { from: stranger }), "you are missing GUARDIAN_ROLE");
+
+    await stakeManager.pause(3);
+    error = await reverted(stakeManager.connect(distributor).distributeRewards([validator1], [1], {value: 1}));
+    assert.deepEqual(decodeError(error), {
+      name: "InPause",
+      args: { subsystem: 3n, until: ethers.MaxUint256 },
+      message: "distribution paused until the admin unpauses it",
+    });
+
+    await stakeManager.pause(2);
+    const until = await stakeManager.pausedUntil(2);
+    error = await reverted(stakeManager.connect(validator1).withdrawAsValidator());
+    assert.equal(explainError(error), `withdrawals paused until ${formatTimestamp(until)}`);
+
+    // not a withdraw cooldown: the guardian pauses withdrawals again too early
+    error = await reverted(stakeManager.pause(2));
+    assert.deepEqual(decodeError(error), {
+      name: "PauseTooLong",
+      args: { until: until + 86400n * 7n },
+      message: `withdrawals can't be paused again until ${formatTimestamp(until + 86400n * 7n)} (a pause and the gap after it last MAX_WITHDRAWALS_PAUSE)`,
+    });
+  });
+
+  it("Decodes jail errors", async ()=> {
+    const { validator1, stakeManager } = await loadFixture(deployFixture);
+
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.jail(validator1, 86400, "downtime");
+    const jailedUntil = await stakeManager.jailedUntil(validator1);
+    const error = await reverted(stakeManager.connect(validator1).unjail());
+    assert.deepEqual(decodeError(error).args, { validator: validator1.address, until: jailedUntil });
+    assert.equal(
+      explainError(error, { from: validator1 }),
+      `you are jailed until ${formatTimestamp(jailedUntil)} (the validator returns by unjail after it)`
+    );
+  });
+
+  it("Decodes vesting require reasons", async ()=> {
+    const { owner, vesting, stranger } = await loadFixture(deployFixture);
+
+    let error = await reverted(vesting.claim(owner, 1));
+    assert.deepEqual(decodeError(error), {
+      name: "Error",
+      args: { reason: "CRATVesting: wrong amount" },
+      message: "amount is zero or exceeds the unlocked amount (staking - the unstaked part of the tranche)",
+    });
+    error = await reverted(vesting.stakeAsValidator(0, 1, 1000));
+    assert.equal(explainError(error), "the admin hasn't set the stake manager yet");
+    error = await reverted(vesting.claimAll(owner));
+    assert.equal(explainError(error), "nothing has been unlocked yet");
+    error = await reverted(vesting.connect(stranger).startDistribution([ethers.ZeroAddress], [[]], false, 0));
+    assert.equal(explainError(error), "only the initializer is able to start the distribution (it can be started once)");
+    error = await reverted(vesting.startDistribution([stranger.address], [[{ periodStart: 1, amount: 1, periodEnd: 2 }]], false, 0));
+    assert.equal(explainError(error), "msg.value must be equal to the sum of all tranches");
+    error = await reverted(vesting.connect(stranger).claim(owner, 1));
+    assert.equal(explainError(error, { from: stranger }), "you are missing DEFAULT_ADMIN_ROLE");
+  });
+
+  it("Falls back to the original message for unknown errors", async ()=> {
+    assert.isNull(decodeError(new Error("network error")));
+    assert.equal(explainError(new Error("network error")), "network error");
+    assert.isNull(decodeError("0x12345678"));
+    // unknown custom error
+    assert.isNull(decodeError({ data: ethers.id("Unknown()").slice(0, 10) }));
+
+    const panic = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [0x11]);
+    assert.equal(explainError({ data: "0x4e487b71" + panic.slice(2) }), "panic 0x11 (arithmetic overflow or underflow)");
+    expect(explainError({ info: { error: { data: "0x08c379a0" + ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["custom reason"]).slice(2) } } })).to.equal("custom reason");
+  });
+});
@@ -0,0 +1,45 @@
+const { assert } = require("chai");
+const { CALLS, benchmark, flagResults, compareResults, toCSV, fromCSV } = require("../scripts/benchmarkStakeManager");
+
+describe("CRATStakeManager gas benchmark", function () {
+  it("Sweeps validators and delegators counts", async ()=> {
+    const { contract, gasLimit, results } = await benchmark({ validators: [1, 2], delegators: [1, 3], gasLimit: 30_000_000 });
+    assert.equal(contract, "CRATStakeManager");
+    assert.equal(gasLimit, 30_000_000);
+    assert.equal(results.length, 2 * 2 * CALLS.length);
+
+    const gas = (validators, delegators, call) => results.find((r) => r.validators === validators && r.delegators === delegators && r.call === call).gasUsed;
+    for (const r of results) {
+      assert.isAbove(r.gasUsed, 0);
+      assert.isFalse(r.exceedsLimit);
+    }
+    for (const call of CALLS) assert.isAbove(gas(1, 3, call), gas(1, 1, call), call);
+    // slash loops over all validators, the rest - over the first one
+    assert.isAbove(gas(2, 3, "slash"), gas(1, 3, "slash"));
+
+    const limit = gas(1, 3, "withdrawAsValidator");
+    const flagged = flagResults(results, limit);
+    assert.deepEqual(flagged.map((r) => r.exceedsLimit), results.map((r) => r.gasUsed > limit));
+    assert.isTrue(flagResults([{ validators: 1, delegators: 1, call: "slash", gasUsed: null }], limit)[0].exceedsLimit);
+  });
+
+  it("Saves and compares results", async ()=> {
+    const before = [
+      { validators: 1, delegators: 10, call: "slash", gasUsed: 1000, exceedsLimit: false },
+      { validators: 1, delegators: 10, call: "withdrawAsValidator", gasUsed: 2000, exceedsLimit: false },
+      { validators: 1, delegators: 100, call: "slash", gasUsed: 20000, exceedsLimit: true },
+    ];
+    const after = [
+      { validators: 1, delegators: 10, call: "slash", gasUsed: 900, exceedsLimit: false },
+      { validators: 1, delegators: 10, call: "withdrawAsValidator", gasUsed: null, exceedsLimit: true, error: "Transaction reverted: \"out\" of gas, twice" },
+      { validators: 5, delegators: 10, call: "slash", gasUsed: 5000, exceedsLimit: false },
+    ];
+    assert.deepEqual(fromCSV(toCSV(before)), before);
+    assert.deepEqual(fromCSV(toCSV(after)), after);
+
+    assert.deepEqual(compareResults(before, after), [
+      { validators: 1, delegators: 10, call: "slash", before: 1000, after: 900, diff: -100, percent: -10 },
+      { validators: 1, delegators: 10, call: "withdrawAsValidator", before: 2000, after: null, diff: null, percent: null },
+    ]);
+  });
+});
@@ -0,0 +1,180 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { collectReport, reportToMarkdown } = require("../tasks/stakingReconcile");
+
+describe("staking:reconcile task", function () {
+  async function deployFixture() {
+    const [owner, distributor, slashReceiver, validator1, validator2, validator3, delegator1, delegator2] = await ethers.getSigners();
+
+    const CRATStakeManager = await ethers.getContractFactory("CRATStakeManager");
+    const stakeManager = await upgrades.deployProxy(CRATStakeManager, [distributor.address, slashReceiver.address]);
+
+    await stakeManager.setValidatorsMinimum(ethers.parseEther('100'));
+    await stakeManager.setDelegatorsMinimum(ethers.parseEther('10'));
+
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(validator2).depositAsValidator(2000, {value: ethers.parseEther('200')});
+    await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('30')});
+    await stakeManager.connect(delegator2).depositAsDelegator(validator2, {value: ethers.parseEther('40')});
+    await stakeManager.connect(validator2).validatorCallForWithdraw();
+
+    return { owner, distributor, validator1, validator2, validator3, delegator1, delegator2, stakeManager };
+  }
+
+  const silent = async (fn) => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = log;
+    }
+  };
+
+  it("Reconciles deposits, rewards and balance of a funded contract", async ()=> {
+    const { owner, distributor, validator1, stakeManager } = await loadFixture(deployFixture);
+
+    await owner.sendTransaction({to: stakeManager, value: ethers.parseEther('50')});
+    const fundedAt = await ethers.provider.getBlockNumber();
+    await stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('3')], {value: ethers.parseEther('3')});
+    await time.increase(86400 * 30);
+
+    const report = await collectReport(stakeManager);
+
+    assert.deepEqual(report.problems, []);
+    assert.equal(report.validators.length, 2);
+    assert.deepEqual(report.validators.map((v) => v.status), ["active", "stopped"]);
+    assert.equal(report.principal.validators, ethers.parseEther('300'));
+    assert.equal(report.principal.delegators, ethers.parseEther('70'));
+    assert.equal(report.principal.pools, ethers.parseEther('370'));
+    assert.equal(report.forFixedReward, ethers.parseEther('50'));
+    assert.equal(report.balance, ethers.parseEther('423'));
+    // accumulator rounding leaves dust on the contract
+    assert.isTrue(report.rewards.variable <= ethers.parseEther('3'));
+    assert.isTrue(report.surplus >= 0n && report.surplus < 1000n);
+    assert.equal(report.surplus, report.balance - ethers.parseEther('420') - report.rewards.variable);
+
+    const [fixedV1] = await stakeManager.validatorEarned(validator1);
+    assert.isTrue(report.rewards.fixedAccrued >= fixedV1);
+    assert.equal(report.fixedRewardBuffer, report.forFixedReward - report.rewards.fixedAccrued);
+
+    // 100 at 15% and 30 at 13% accrue per year, stopped pools do not
+    const yearly = ethers.parseEther('100') * 1500n + ethers.parseEther('30') * 1300n;
+    assert.equal(report.runway.dailyAccrual, yearly * 86400n / (10000n * 365n * 86400n));
+    const seconds = report.fixedRewardBuffer * 10000n * 365n * 86400n / yearly;
+    assert.equal(report.runway.days, Number(seconds * 100n / 86400n) / 100);
+    assert.equal(report.runway.exhaustedAt, report.timestamp + seconds);
+
+    // report of an older block
+    const before = await collectReport(stakeManager, { blockTag: fundedAt });
+    assert.equal(before.balance, ethers.parseEther('420'));
+    assert.equal(before.rewards.variable, 0n);
+  });
+
+  it("Reads validators and delegators page by page", async ()=> {
+    const { distributor, validator1, validator3, delegator2, stakeManager } = await loadFixture(deployFixture);
+
+    await stakeManager.connect(validator3).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(delegator2).depositAsDelegator(validator1, {value: ethers.parseEther('20')});
+    await stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('3')], {value: ethers.parseEther('3')});
+    const blockTag = await ethers.provider.getBlockNumber();
+
+    const report = await collectReport(stakeManager, { blockTag, pageSize: 1 });
+    assert.deepEqual(report, await collectReport(stakeManager, { blockTag }));
+    assert.deepEqual(report.validators.map((v) => v.delegators.length), [2, 0, 1]);
+  });
+
+  it("Reports an underfunded fixed reward reserve and withdrawn accounts' leftovers", async ()=> {
+    const { owner, validator3, stakeManager } = await loadFixture(deployFixture);
+
+    await stakeManager.connect(validator3).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await time.increase(86400 * 10);
+    await stakeManager.connect(validator3).validatorCallForWithdraw();
+    await time.increase(86400 * 7);
+    // nothing to pay fixed rewards from: they stay on the contract after withdraw
+    await stakeManager.connect(validator3).withdrawAsValidator();
+    await owner.sendTransaction({to: stakeManager, value: 1000n});
+
+    let report = await collectReport(stakeManager);
+    assert.equal(report.leftovers.length, 0);
+    assert.equal(report.runway.days, 0);
+    assert.equal(report.runway.exhaustedAt, report.timestamp);
+    assert.equal(report.problems.length, 1);
+    assert.include(report.problems[0], "does not cover accrued fixed rewards");
+
+    report = await collectReport(stakeManager, { accounts: [validator3.address.toLowerCase()] });
+    const [fixedReward] = await stakeManager.validatorEarned(validator3);
+    assert.isTrue(fixedReward > 0n);
+    assert.deepEqual(report.leftovers, [{ address: validator3.address, validator: null, fixedReward, variableReward: 0n }]);
+    assert.include(reportToMarkdown(report), "## Withdrawn accounts");
+  });
+
+  it("Accepts the rounding left by percentage slashes", async ()=> {
+    const { owner, distributor, validator1, validator3, delegator2, stakeManager } = await loadFixture(deployFixture);
+
+    await owner.sendTransaction({to: stakeManager, value: ethers.parseEther('10')});
+    await stakeManager.setDelegatorsPercToSlash(333);
+    await stakeManager.connect(delegator2).depositAsDelegator(validator1, {value: ethers.parseEther('10') + 29n});
+    await stakeManager.connect(validator3).depositAsDelegator(validator1, {value: ethers.parseEther('12.5') + 29n});
+    await stakeManager.connect(distributor).slash([validator1]);
+    await stakeManager.connect(distributor).slash([validator1]);
+
+    const report = await collectReport(stakeManager);
+    assert.deepEqual(report.problems, []);
+    const v1 = report.validators.find((v) => v.address === validator1.address);
+    // each delegator's fee is rounded down, the validator's delegated amount loses the fee of their sum
+    assert.isTrue(v1.rounding > 0n && v1.rounding <= 3n);
+    assert.equal(v1.maxRounding, 2n * (await stakeManager.limits()).delegatorsPerValidator);
+    assert.equal(report.principal.rounding, v1.rounding);
+    assert.equal(report.principal.validators + report.principal.delegators - v1.rounding, report.principal.pools);
+    assert.include(reportToMarkdown(report), `| Delegators' deposits over pools (slashing rounding) | ${v1.rounding} wei |`);
+  });
+
+  it("Nothing accrues without active deposits", async ()=> {
+    const { owner, validator1, delegator1, stakeManager } = await loadFixture(deployFixture);
+
+    await stakeManager.connect(validator1).validatorCallForWithdraw();
+    await owner.sendTransaction({to: stakeManager, value: ethers.parseEther('1')});
+
+    const report = await collectReport(stakeManager);
+    assert.deepEqual(report.validators.map((v) => v.status), ["stopped", "stopped"]);
+    assert.equal(report.pools.totalValidatorsPool, 0n);
+    assert.equal(report.pools.totalDelegatorsPool, 0n);
+    assert.equal(report.pools.stoppedDelegatorsPool, ethers.parseEther('70'));
+    assert.equal(report.runway.dailyAccrual, 0n);
+    assert.isNull(report.runway.days);
+    assert.isNull(report.runway.exhaustedAt);
+    assert.include(reportToMarkdown(report), "| Runway | unlimited |");
+    assert.equal(report.validators.find((v) => v.address === validator1.address).delegators[0].address, delegator1.address);
+  });
+
+  it("Writes JSON and Markdown reports", async ()=> {
+    const { owner, stakeManager } = await loadFixture(deployFixture);
+
+    await owner.sendTransaction({to: stakeManager, value: ethers.parseEther('10')});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "crat-reconcile-"));
+    const jsonFile = path.join(dir, "report.json");
+    const markdownFile = path.join(dir, "report.md");
+
+    try {
+      const report = await silent(() => hre.run("staking:reconcile", { address: stakeManager.target, format: "json", out: jsonFile }));
+      const json = JSON.parse(fs.readFileSync(jsonFile, "utf8"));
+      assert.equal(json.stakeManager, stakeManager.target);
+      assert.equal(json.principal.pools, report.principal.pools.toString());
+      assert.equal(json.validators.length, 2);
+
+      await silent(() => hre.run("staking:reconcile", { address: stakeManager.target, out: markdownFile }));
+      const markdown = fs.readFileSync(markdownFile, "utf8");
+      assert.include(markdown, "# Stake manager reconciliation");
+      assert.include(markdown, "**Status:** OK");
+      assert.include(markdown, `\`${report.validators[1].address}\` | stopped | 200.0 CRAT`);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
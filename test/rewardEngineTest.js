@@ -0,0 +1,318 @@
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { assert } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { RewardEngine, TOTAL_VALIDATORS_REWARDS_SLOT, TOTAL_DELEGATORS_REWARDS_SLOT, signHeader, signSigningKey } = require("../sdk");
+const { getContractLayout } = require("../scripts/utils/storageLayout");
+const { random } = require("../scripts/utils/random");
+
+const SEEDS = [1, 2, 3, 4];
+const STEPS = 60;
+
+describe("Reward engine", function () {
+  async function deploy() {
+    const [owner, distributor, slashReceiver, ...accounts] = await ethers.getSigners();
+
+    const CRATStakeManager = await ethers.getContractFactory("CRATStakeManager");
+    const stakeManager = await upgrades.deployProxy(CRATStakeManager, [distributor.address, slashReceiver.address]);
+
+    await stakeManager.setValidatorsMinimum(ethers.parseEther('100'));
+    await stakeManager.setDelegatorsMinimum(ethers.parseEther('10'));
+    await stakeManager.setValidatorsClaimCooldown(86400 * 2);
+    await stakeManager.setDelegatorsClaimCooldown(86400 * 3);
+    await stakeManager.setValidatorsProbationPeriod(86400 * 10);
+    await stakeManager.setValidatorsAmountToSlash(ethers.parseEther('5'));
+    await stakeManager.setCommissionChangeDelay(86400 * 2);
+    await stakeManager.setMaxCommissionChange(25_00);
+    await stakeManager.grantRole(await stakeManager.SWAP_ROLE(), owner.address);
+
+    return { owner, distributor, validators: accounts.slice(0, 4), delegators: accounts.slice(4, 12), stakeManager };
+  }
+
+  async function latestBlock() {
+    const block = await ethers.provider.getBlock("latest");
+    return { blockTag: block.number, timestamp: BigInt(block.timestamp) };
+  }
+
+  // compare every reward related view of the contract with the engine at the given block
+  async function compare(engine, stakeManager, validators, delegators, { blockTag, timestamp }, label) {
+    const overrides = { blockTag };
+    const pair = (r) => [r[0], r[1]];
+    const expected = {
+      pools: [engine.totalValidatorsPool, engine.totalDelegatorsPool, engine.stoppedValidatorsPool, engine.stoppedDelegatorsPool, engine.unbondingValidatorsPool, engine.unbondingDelegatorsPool, engine.forFixedReward],
+      totals: [Object.values(engine.totalValidatorsRewards(timestamp)), Object.values(engine.totalDelegatorsRewards(timestamp))],
+      validators: validators.map((v) => {
+        const info = engine.validators[v.address];
+        const earned = engine.validatorEarned(v, timestamp);
+        return [earned.fixedReward, earned.variableReward, info ? info.amount : 0n, info ? info.delegatorsAcc : 0n, engine.isValidator(v), engine.jailedUntil[v.address] || 0n];
+      }),
+      delegators: delegators.map((d) => validators.map((v) => {
+        const earned = engine.delegatorEarnedPerValidator(d, v, timestamp);
+        return [earned.fixedReward, earned.variableReward, engine._perValidator(d, v).amount, engine._delegatorVestingEnd(d)[v.address] || 0n];
+      })),
+    };
+    const actual = {
+      pools: await Promise.all(["totalValidatorsPool", "totalDelegatorsPool", "stoppedValidatorsPool", "stoppedDelegatorsPool", "unbondingValidatorsPool", "unbondingDelegatorsPool", "forFixedReward"].map((m) => stakeManager[m](overrides))),
+      totals: [pair(await stakeManager.totalValidatorsRewards(overrides)), pair(await stakeManager.totalDelegatorsRewards(overrides))],
+      validators: await Promise.all(validators.map(async (v) => {
+        const [fixedReward, variableReward] = await stakeManager.validatorEarned(v, overrides);
+        const info = await stakeManager.getValidatorInfo(v, overrides);
+        return [fixedReward, variableReward, info.amount, info.delegatorsAcc, await stakeManager.isValidator(v, overrides), await stakeManager.jailedUntil(v, overrides)];
+      })),
+      delegators: await Promise.all(delegators.map((d) => Promise.all(validators.map(async (v) => {
+        const [fixedReward, variableReward] = await stakeManager.delegatorEarnedPerValidator(d, v, overrides);
+        const info = (await stakeManager.getDelegatorsInfoPerValidator(v, overrides)).delegatorPerValidatorArr;
+        const index = (await stakeManager.getValidatorInfo(v, overrides)).delegators.indexOf(d.address);
+        return [fixedReward, variableReward, index < 0 ? 0n : info[index].amount, await stakeManager.delegatorVestingEnd(d, v, overrides)];
+      })))),
+    };
+    assert.deepEqual(actual, expected, label);
+  }
+
+  async function runScenario(seed) {
+    const { owner, distributor, validators, delegators, stakeManager } = await deploy();
+    const rnd = random(seed);
+    const engine = await RewardEngine.fromContract(stakeManager);
+    const { chainId } = await ethers.provider.getNetwork();
+    // block signing key of every validator, registered before its first double signing
+    const signingKeys = validators.map((_, i) => new ethers.Wallet(ethers.id(`signing key ${seed} ${i}`)));
+
+    const signerOf = (address) => [...validators, ...delegators].find((s) => s.address === address);
+    // mostly accounts the engine knows to be in the right state, sometimes any account to hit rejected paths too
+    const pickValidator = (list) => (list.length > 0 && rnd.chance(0.8) ? signerOf(rnd.pick(list)) : rnd.pick(validators));
+    const pickPosition = () => {
+      const positions = Object.entries(engine.delegators).flatMap(([d, entry]) => entry.validators.map((v) => [d, v]));
+      return positions.length > 0 && rnd.chance(0.8) ? rnd.pick(positions).map(signerOf) : [rnd.pick(delegators), rnd.pick(validators)];
+    };
+
+    // operation => [contract call, engine call with the block timestamp]
+    const operations = {
+      fund: () => {
+        const amount = rnd.ether(0, 5);
+        return [() => owner.sendTransaction({ to: stakeManager.target, value: amount }), () => engine.fund(amount)];
+      },
+      depositAsValidator: () => {
+        const v = rnd.pick(validators);
+        const amount = rnd.ether(50, 300);
+        const commission = rnd.int(5_00, 30_00);
+        return [() => stakeManager.connect(v).depositAsValidator(commission, { value: amount }), (t) => engine.depositAsValidator(v, amount, commission, t)];
+      },
+      depositAsDelegator: () => {
+        const [d, v] = [rnd.pick(delegators), pickValidator(engine.activeValidators)];
+        const amount = rnd.ether(5, 60);
+        return [() => stakeManager.connect(d).depositAsDelegator(v, { value: amount }), (t) => engine.depositAsDelegator(d, v, amount, t)];
+      },
+      depositForDelegator: () => {
+        const [d, v] = [rnd.pick(delegators), pickValidator(engine.activeValidators)];
+        const amount = rnd.ether(5, 60);
+        const lock = rnd.int(1, 86400 * 20);
+        let vestingEnd;
+        return [
+          async () => {
+            vestingEnd = (await time.latest()) + lock;
+            return stakeManager.depositForDelegator(d, v, vestingEnd, { value: amount });
+          },
+          (t) => engine.depositForDelegator(d, v, amount, vestingEnd, t),
+        ];
+      },
+      distributeRewards: () => {
+        const list = validators.filter(() => rnd.chance(0.6));
+        const amounts = list.map(() => rnd.ether(0, 10) + BigInt(rnd.int(0, 1e6)));
+        const value = amounts.reduce((a, b) => a + b, 0n) + 1n;
+        return [() => stakeManager.connect(distributor).distributeRewards(list, amounts, { value }), (t) => engine.distributeRewards(list, amounts, t)];
+      },
+      slash: () => {
+        const list = validators.filter(() => rnd.chance(0.3));
+        return [() => stakeManager.connect(distributor).slash(list), (t) => engine.slash(list, t)];
+      },
+      setValidatorsAPR: () => {
+        const apr = rnd.int(5_00, 30_00);
+        return [() => stakeManager.setValidatorsAPR(apr), (t) => engine.setValidatorsAPR(apr, t)];
+      },
+      setDelegatorsAPR: () => {
+        const apr = rnd.int(5_00, 30_00);
+        return [() => stakeManager.setDelegatorsAPR(apr), (t) => engine.setDelegatorsAPR(apr, t)];
+      },
+      claimAsValidator: () => {
+        const v = pickValidator(engine.activeValidators);
+        return [() => stakeManager.connect(v).claimAsValidator(), (t) => engine.claimAsValidator(v, t)];
+      },
+      claimAsDelegatorPerValidator: () => {
+        const [d, v] = pickPosition();
+        return [() => stakeManager.connect(d).claimAsDelegatorPerValidator(v), (t) => engine.claimAsDelegatorPerValidator(d, v, t)];
+      },
+      restakeAsValidator: () => {
+        const v = pickValidator(engine.activeValidators);
+        return [() => stakeManager.connect(v).restakeAsValidator(), (t) => engine.restakeAsValidator(v, t)];
+      },
+      restakeAsDelegator: () => {
+        const [d, v] = pickPosition();
+        return [() => stakeManager.connect(d).restakeAsDelegator(v), (t) => engine.restakeAsDelegator(d, v, t)];
+      },
+      validatorCallForWithdraw: () => {
+        const v = pickValidator(engine.activeValidators);
+        return [() => stakeManager.connect(v).validatorCallForWithdraw(), (t) => engine.validatorCallForWithdraw(v, t)];
+      },
+      delegatorCallForWithdraw: () => {
+        const [d, v] = pickPosition();
+        return [() => stakeManager.connect(d).delegatorCallForWithdraw(v), (t) => engine.delegatorCallForWithdraw(d, v, t)];
+      },
+      validatorUnbond: () => {
+        const v = pickValidator(engine.activeValidators);
+        const amount = rnd.ether(1, 100);
+        return [() => stakeManager.connect(v).validatorUnbond(amount), (t) => engine.validatorUnbond(v, amount, t)];
+      },
+      delegatorUnbond: () => {
+        const [d, v] = pickPosition();
+        const amount = rnd.ether(1, 30);
+        return [() => stakeManager.connect(d).delegatorUnbond(v, amount), (t) => engine.delegatorUnbond(d, v, amount, t)];
+      },
+      redelegate: () => {
+        const [d, v] = pickPosition();
+        const to = pickValidator(engine.activeValidators);
+        const amount = rnd.chance(0.2) ? engine._perValidator(d, v).amount : rnd.ether(1, 40);
+        return [() => stakeManager.connect(d).redelegate(v, to, amount), (t) => engine.redelegate(d, v, to, amount, t)];
+      },
+      scheduleCommissionChange: () => {
+        const v = pickValidator(engine.activeValidators);
+        const commission = rnd.int(5_00, 30_00);
+        return [() => stakeManager.connect(v).scheduleCommissionChange(commission), (t) => engine.scheduleCommissionChange(v, commission, t)];
+      },
+      applyCommissionChange: () => {
+        const v = pickValidator(engine.activeValidators);
+        return [() => stakeManager.connect(v).applyCommissionChange(), (t) => engine.applyCommissionChange(v, t)];
+      },
+      withdrawUnbondedAsValidator: () => {
+        const v = rnd.pick(validators);
+        return [() => stakeManager.connect(v).withdrawUnbondedAsValidator(), (t) => engine.withdrawUnbondedAsValidator(v, t)];
+      },
+      withdrawUnbondedAsDelegator: () => {
+        const [d, v] = pickPosition();
+        return [() => stakeManager.connect(d).withdrawUnbondedAsDelegator(v), (t) => engine.withdrawUnbondedAsDelegator(d, v, t)];
+      },
+      withdrawAsValidator: () => {
+        const v = pickValidator(engine.stoppedValidators);
+        return [() => stakeManager.connect(v).withdrawAsValidator(), (t) => engine.withdrawAsValidator(v, t)];
+      },
+      withdrawValidatorDelegators: () => {
+        const v = pickValidator(engine.stoppedValidators);
+        const limit = rnd.int(1, 3);
+        return [() => stakeManager.withdrawValidatorDelegators(v, limit), (t) => engine.withdrawValidatorDelegators(v, limit, t)];
+      },
+      withdrawAsDelegator: () => {
+        const [d, v] = pickPosition();
+        return [() => stakeManager.connect(d).withdrawAsDelegator(v), (t) => engine.withdrawAsDelegator(d, v, t)];
+      },
+      reviveAsValidator: () => {
+        const v = pickValidator(engine.stoppedValidators);
+        const value = rnd.ether(0, 100);
+        return [() => stakeManager.connect(v).reviveAsValidator({ value }), (t) => engine.reviveAsValidator(v, value, t)];
+      },
+      jail: () => {
+        const v = pickValidator(engine.activeValidators);
+        const duration = rnd.int(1, 86400 * 2);
+        return [() => stakeManager.jail(v, duration, "downtime"), (t) => engine.jail(v, duration, t)];
+      },
+      unjail: () => {
+        const v = pickValidator(Object.keys(engine.jailedUntil).filter((v) => !engine.tombstoned[v]));
+        const value = rnd.ether(0, 100);
+        return [() => stakeManager.connect(v).unjail({ value }), (t) => engine.unjail(v, value, t)];
+      },
+      submitDoubleSignEvidence: () => {
+        const v = pickValidator(engine.activeValidators);
+        const key = signingKeys[validators.indexOf(v)];
+        const reporter = rnd.pick(delegators);
+        const height = rnd.int(1, 1e6);
+        return [
+          async () => {
+            if ((await stakeManager.signingKeys(v)) !== key.address)
+              await (await stakeManager.connect(v).registerSigningKey(key, await signSigningKey(key, chainId, stakeManager, v))).wait();
+            const first = await signHeader(key, chainId, height, ethers.id("block A"));
+            const second = await signHeader(key, chainId, height, ethers.id("block B"));
+            return stakeManager.connect(reporter).submitDoubleSignEvidence(first, second);
+          },
+          (t) => engine.submitDoubleSignEvidence(v, t),
+        ];
+      },
+      reviveAsDelegator: () => {
+        const [d, v] = pickPosition();
+        const value = rnd.ether(0, 20);
+        return [() => stakeManager.connect(d).reviveAsDelegator(v, { value }), (t) => engine.reviveAsDelegator(d, v, value, t)];
+      },
+    };
+    const names = Object.keys(operations);
+    const weighted = [...names, "depositAsDelegator", "distributeRewards", "distributeRewards", "jail", "unjail"];
+
+    let applied = 0;
+    for (let step = 0; step < STEPS; step++) {
+      // deposits at the beginning to get a populated state
+      const name = step < 12 ? ["depositAsValidator", "depositAsDelegator"][step % 2] : rnd.pick(weighted);
+      const [send, apply] = operations[name]();
+      let receipt;
+      try {
+        receipt = await (await send()).wait();
+      } catch (e) {
+        continue; // rejected by the contract: the engine doesn't apply it either
+      }
+      const block = await ethers.provider.getBlock(receipt.blockNumber);
+      apply(BigInt(block.timestamp));
+      applied++;
+      await compare(engine, stakeManager, validators, delegators, { blockTag: receipt.blockNumber, timestamp: BigInt(block.timestamp) }, `seed ${seed}, step ${step} (${name})`);
+
+      if (rnd.chance(0.5)) {
+        // predict views in the future without touching the chain
+        const { timestamp } = await latestBlock();
+        const future = timestamp + BigInt(rnd.int(1, 86400 * 8));
+        await time.increaseTo(future);
+        await compare(engine, stakeManager, validators, delegators, await latestBlock(), `seed ${seed}, step ${step}: prediction at ${future}`);
+      }
+    }
+    return { applied, engine, stakeManager, validators, delegators };
+  }
+
+  it("Storage slots of the private totals match the contract layout", async ()=> {
+    const layout = await getContractLayout(require("hardhat"), "CRATStakeManager");
+    const slotOf = (label) => BigInt(layout.storage.find((s) => s.label === label).slot);
+    assert.equal(slotOf("_totalValidatorsRewards"), TOTAL_VALIDATORS_REWARDS_SLOT);
+    assert.equal(slotOf("_totalDelegatorsRewards"), TOTAL_DELEGATORS_REWARDS_SLOT);
+  });
+
+  it("Initial state matches a fresh deployment", async ()=> {
+    const [owner, distributor] = await ethers.getSigners();
+    const CRATStakeManager = await ethers.getContractFactory("CRATStakeManager");
+    const stakeManager = await upgrades.deployProxy(CRATStakeManager, [distributor.address, owner.address]);
+    const { timestamp } = await latestBlock();
+
+    const engine = RewardEngine.initial(timestamp);
+    assert.deepEqual(engine, await RewardEngine.fromContract(stakeManager));
+    assert.deepEqual(engine.totalValidatorsRewards(timestamp + 86400n * 30n), { fixedReward: 0n, variableReward: 0n });
+  });
+
+  for (const seed of SEEDS) {
+    it(`Matches the contract to the wei in random scenario (seed ${seed})`, async ()=> {
+      const { applied, engine, stakeManager, validators, delegators } = await runScenario(seed);
+      assert.isAbove(applied, STEPS / 3);
+
+      // state loaded from the chain predicts the same as the replayed one
+      const loaded = await RewardEngine.fromContract(stakeManager, { validators, delegators });
+      const { timestamp } = await latestBlock();
+      const future = timestamp + 86400n * 100n;
+      for (const v of validators) {
+        assert.deepEqual(loaded.validatorEarned(v, future), engine.validatorEarned(v, future));
+        for (const d of delegators)
+          assert.deepEqual(loaded.delegatorEarnedPerValidator(d, v, future), engine.delegatorEarnedPerValidator(d, v, future));
+      }
+      assert.deepEqual(loaded.totalValidatorsRewards(future), engine.totalValidatorsRewards(future));
+      assert.deepEqual(loaded.totalDelegatorsRewards(future), engine.totalDelegatorsRewards(future));
+      assert.equal(loaded.unbondingValidatorsPool, engine.unbondingValidatorsPool);
+      assert.equal(loaded.unbondingDelegatorsPool, engine.unbondingDelegatorsPool);
+      for (const v of validators) {
+        assert.deepEqual(loaded._validatorUnbonding(v), engine._validatorUnbonding(v));
+        assert.deepEqual(loaded._redelegations(v), engine._redelegations(v));
+        // changes which haven't taken effect are loaded as pending
+        loaded._applyCommissionChange(v, future);
+        engine._applyCommissionChange(v, future);
+        assert.equal(loaded._validator(v).commission, engine._validator(v).commission);
+      }
+    });
+  }
+});
@@ -0,0 +1,280 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { assert } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { StakeManagerClient, toDate, signHeader, signSigningKey, isDoubleSign } = require("../sdk");
+
+describe("StakeManagerClient", function () {
+  async function deployFixture() {
+    const [owner, distributor, slashReceiver, validator1, delegator1, validator2, delegator2, swap] = await ethers.getSigners();
+
+    const CRATStakeManager = await ethers.getContractFactory("CRATStakeManager");
+    const stakeManager = await upgrades.deployProxy(CRATStakeManager, [distributor.address, slashReceiver.address]);
+
+    await stakeManager.setValidatorsMinimum(ethers.parseEther('100'));
+    await stakeManager.setDelegatorsMinimum(ethers.parseEther('10'));
+    await stakeManager.grantRole(await stakeManager.SWAP_ROLE(), swap);
+
+    const client = new StakeManagerClient(stakeManager);
+
+    return { owner, distributor, slashReceiver, validator1, delegator1, validator2, delegator2, swap, stakeManager, client };
+  }
+
+  it("Decodes settings and validators lists", async ()=> {
+    const { client, stakeManager, slashReceiver, validator1, validator2, delegator1 } = await loadFixture(deployFixture);
+
+    const settings = await client.settings();
+    assert.equal(settings.validatorsLimit, 101);
+    assert.equal(settings.slashReceiver, slashReceiver.address);
+    assert.deepEqual(settings.validatorsSettings, {
+      apr: 1500,
+      toSlash: ethers.parseEther('100'),
+      minimumThreshold: ethers.parseEther('100'),
+      claimCooldown: 86400 * 14,
+      withdrawCooldown: 86400 * 7,
+    });
+    assert.equal(settings.delegatorsSettings.toSlash, 500n);
+    assert.deepEqual(await client.limits(), { minCommission: 500, maxCommission: 3000, delegatorsPerValidator: 4800 });
+
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(validator2).depositAsValidator(2000, {value: ethers.parseEther('200')});
+    await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+    await stakeManager.connect(validator2).validatorCallForWithdraw();
+
+    assert.deepEqual(await client.getActiveValidators(), [
+      { validator: validator1.address, amount: ethers.parseEther('100'), delegatedAmount: ethers.parseEther('10'), stoppedDelegatedAmount: 0n },
+    ]);
+    assert.deepEqual(await client.getStoppedValidators(), [
+      { validator: validator2.address, amount: ethers.parseEther('200'), delegatedAmount: 0n, stoppedDelegatedAmount: 0n },
+    ]);
+    assert.deepEqual(await client.pools(), {
+      totalValidatorsPool: ethers.parseEther('100'),
+      totalDelegatorsPool: ethers.parseEther('10'),
+      stoppedValidatorsPool: ethers.parseEther('200'),
+      stoppedDelegatorsPool: 0n,
+      unbondingValidatorsPool: 0n,
+      unbondingDelegatorsPool: 0n,
+      forFixedReward: 0n,
+    });
+  });
+
+  it("Decodes validator and delegator infos", async ()=> {
+    const { client, stakeManager, distributor, validator1, delegator1, delegator2 } = await loadFixture(deployFixture);
+
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    const registered = await time.latest();
+    await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+    const delegated = await time.latest();
+    await stakeManager.connect(delegator2).depositAsDelegator(validator1, {value: ethers.parseEther('30')});
+    await stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('4')], {value: ethers.parseEther('4')});
+
+    const info = await client.getValidatorInfo(validator1);
+    const raw = await stakeManager.getValidatorInfo(validator1);
+    assert.equal(info.amount, ethers.parseEther('100'));
+    assert.equal(typeof info.amount, "bigint");
+    assert.equal(info.commission, 1000);
+    assert.deepEqual(info.lastClaim, new Date(registered * 1000));
+    assert.isNull(info.calledForWithdraw);
+    assert.isNull(info.vestingEnd);
+    assert.isNull(info.withdrawAvailable);
+    assert.deepEqual(info.claimAvailable, new Date((registered + 86400 * 14) * 1000));
+    assert.equal(info.fixedReward.apr, 1500);
+    assert.equal(info.variableReward.variableReward, ethers.parseEther('0.4'));
+    assert.equal(info.delegatedAmount, ethers.parseEther('40'));
+    assert.equal(info.delegatorsAcc, raw.delegatorsAcc);
+    assert.deepEqual(info.delegators, [delegator1.address, delegator2.address]);
+    assert.isNull(info.penalty.lastSlash);
+
+    const delegatorInfo = await client.getDelegatorInfo(delegator1);
+    assert.equal(delegatorInfo.length, 1);
+    assert.equal(delegatorInfo[0].validator, validator1.address);
+    assert.equal(delegatorInfo[0].amount, ethers.parseEther('10'));
+    assert.deepEqual(delegatorInfo[0].lastClaim, new Date(delegated * 1000));
+    assert.deepEqual(delegatorInfo[0].claimAvailable, new Date((delegated + 86400 * 30) * 1000));
+    assert.isNull(delegatorInfo[0].withdrawAvailable);
+
+    const perValidator = await client.getDelegatorsInfoPerValidator(validator1);
+    assert.deepEqual(perValidator.map((d) => [d.delegator, d.amount]), [[delegator1.address, ethers.parseEther('10')], [delegator2.address, ethers.parseEther('30')]]);
+
+    const earned = await client.delegatorEarnedPerValidator(delegator2, validator1);
+    const [fixedReward, variableReward] = await stakeManager.delegatorEarnedPerValidator(delegator2, validator1);
+    assert.deepEqual(earned, { fixedReward, variableReward });
+    assert.equal(variableReward, ethers.parseEther('2.7'));
+  });
+
+  it("Calculates withdraw and claim availability from cooldown settings", async ()=> {
+    const { client, stakeManager, swap, validator1, validator2, delegator1, delegator2 } = await loadFixture(deployFixture);
+
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+    await stakeManager.connect(delegator2).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+    const vestingEnd = await time.latest() + 86400 * 100;
+    await stakeManager.connect(swap).depositForValidator(validator2, 1000, vestingEnd, {value: ethers.parseEther('100')});
+
+    assert.deepEqual(await client.delegatorAvailability(validator1, validator1), { withdrawAvailable: null, claimAvailable: null });
+
+    await stakeManager.connect(delegator1).delegatorCallForWithdraw(validator1);
+    const delegatorCall = await time.latest();
+    let availability = await client.delegatorAvailability(delegator1, validator1);
+    assert.deepEqual(availability.withdrawAvailable, toDate(delegatorCall + 86400 * 5));
+    assert.deepEqual(availability.withdrawAvailable, (await client.getDelegatorInfo(delegator1))[0].withdrawAvailable);
+
+    await time.increase(86400);
+    await stakeManager.connect(validator1).validatorCallForWithdraw();
+    const validatorCall = await time.latest();
+    // earlier call of delegator is kept
+    assert.deepEqual((await client.delegatorAvailability(delegator1, validator1)).withdrawAvailable, toDate(delegatorCall + 86400 * 5));
+    // validator's call stops its delegators
+    assert.deepEqual((await client.delegatorAvailability(delegator2, validator1)).withdrawAvailable, toDate(validatorCall + 86400 * 5));
+    availability = await client.validatorAvailability(validator1);
+    assert.deepEqual(availability.withdrawAvailable, toDate(validatorCall + 86400 * 7));
+
+    // vesting end is later than withdraw cooldown
+    await stakeManager.connect(validator2).validatorCallForWithdraw();
+    availability = await client.validatorAvailability(validator2);
+    assert.deepEqual(availability.withdrawAvailable, toDate(vestingEnd));
+    assert.deepEqual((await client.getValidatorInfo(validator2)).vestingEnd, toDate(vestingEnd));
+
+    // jailed validator waits for the jail end, its delegators withdraw at once
+    assert.isNull(await client.jailedUntil(validator1));
+    await stakeManager.jail(validator1, 86400 * 30, "downtime");
+    const jailedUntil = toDate(await time.latest() + 86400 * 30);
+    assert.deepEqual(await client.jailedUntil(validator1), jailedUntil);
+    assert.deepEqual((await client.validatorAvailability(validator1)).withdrawAvailable, jailedUntil);
+    assert.deepEqual((await client.delegatorAvailability(delegator2, validator1)).withdrawAvailable, toDate(validatorCall));
+  });
+
+  it("Decodes slash history", async ()=> {
+    const { client, stakeManager, distributor, validator1, delegator1 } = await loadFixture(deployFixture);
+
+    await stakeManager.setValidatorsAmountToSlash(ethers.parseEther('10'));
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('20')});
+    assert.deepEqual(await client.getSlashHistory(validator1), []);
+
+    await stakeManager.connect(distributor).slash([validator1]);
+    assert.deepEqual(await client.getSlashHistory(validator1), [{
+      timestamp: toDate(await time.latest()),
+      amount: ethers.parseEther('10'),
+      penalty: 0n,
+      delegatorsAmount: ethers.parseEther('1'),
+      calledForWithdraw: true,
+    }]);
+  });
+
+  it("Decodes redelegations", async ()=> {
+    const { client, stakeManager, validator1, validator2, delegator1 } = await loadFixture(deployFixture);
+
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('20')});
+    assert.deepEqual(await client.getRedelegations(validator1), []);
+    assert.isNull(await client.redelegatedUntil(delegator1, validator2));
+
+    await stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('20'));
+    const liableUntil = toDate(await time.latest() + 86400 * 5);
+    assert.deepEqual(await client.getRedelegations(validator1), [{
+      delegator: delegator1.address,
+      validator: validator2.address,
+      amount: ethers.parseEther('20'),
+      liableUntil,
+    }]);
+    assert.deepEqual(await client.redelegatedUntil(delegator1, validator2), liableUntil);
+  });
+
+  it("Decodes exited delegators", async ()=> {
+    const { client, stakeManager, validator1, validator2, delegator1 } = await loadFixture(deployFixture);
+
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('30')});
+    assert.deepEqual(await client.getExitedDelegators(validator1), []);
+
+    await stakeManager.connect(delegator1).delegatorUnbond(validator1, ethers.parseEther('10'));
+    const availableAt = toDate(await time.latest() + 86400 * 5);
+    await stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('20'));
+    assert.deepEqual(await client.getExitedDelegators(validator1), [{
+      delegator: delegator1.address,
+      unbonding: [{ amount: ethers.parseEther('10'), availableAt }],
+    }]);
+  });
+
+  it("Decodes pending commission change", async ()=> {
+    const { client, stakeManager, validator1 } = await loadFixture(deployFixture);
+
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    assert.isNull(await client.getPendingCommissionChange(validator1));
+
+    await stakeManager.connect(validator1).scheduleCommissionChange(1500);
+    const effectiveAt = toDate(await time.latest() + 86400 * 7);
+    assert.deepEqual(await client.getPendingCommissionChange(validator1), {commission: 1500, effectiveAt});
+    assert.equal((await client.getValidatorInfo(validator1)).commission, 1000);
+
+    await time.increase(86400 * 7);
+    assert.isNull(await client.getPendingCommissionChange(validator1));
+    assert.equal((await client.getValidatorInfo(validator1)).commission, 1500);
+  });
+
+  it("Builds double signing evidence", async ()=> {
+    const { client, stakeManager, validator1 } = await loadFixture(deployFixture);
+    const { chainId } = await ethers.provider.getNetwork();
+    const key = ethers.Wallet.createRandom();
+
+    assert.deepEqual(await client.doubleSign(), { slashPercent: 500, reporterShare: 1000 });
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    assert.isNull(await client.signingKey(validator1));
+    await stakeManager.connect(validator1).registerSigningKey(key, await signSigningKey(key, chainId, stakeManager, validator1));
+    assert.equal(await client.signingKey(validator1), key.address);
+
+    const first = await signHeader(key, chainId, 7, ethers.id("block A"));
+    const second = await signHeader(key, chainId, 7, ethers.id("block B"));
+    assert.isTrue(isDoubleSign(chainId, first, second, key.address));
+    assert.isFalse(isDoubleSign(chainId, first, first, key.address));
+    assert.isFalse(isDoubleSign(chainId, first, await signHeader(key, chainId, 8, ethers.id("block B")), key.address));
+    assert.isFalse(isDoubleSign(chainId, first, await signHeader(ethers.Wallet.createRandom(), chainId, 7, ethers.id("block B")), key.address));
+
+    assert.isFalse(await client.isTombstoned(validator1));
+    await stakeManager.submitDoubleSignEvidence(first, second);
+    assert.isTrue(await client.isTombstoned(validator1));
+  });
+
+  it("Iterates over validators and delegators page by page", async ()=> {
+    const { client, stakeManager, owner, validator1, validator2, delegator1, delegator2, swap } = await loadFixture(deployFixture);
+
+    const DelegatorsFiller = await ethers.getContractFactory("DelegatorsFiller");
+    const filler = await DelegatorsFiller.deploy();
+
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(owner).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+    await stakeManager.connect(delegator2).depositAsDelegator(validator1, {value: ethers.parseEther('20')});
+    await filler.fill(stakeManager, validator1, 3, {value: ethers.parseEther('30')});
+    await stakeManager.connect(owner).validatorCallForWithdraw();
+
+    const collect = async (iterator) => {
+      const entries = [];
+      for await (const entry of iterator) entries.push(entry);
+      return entries;
+    };
+
+    assert.equal(await client.getActiveValidatorsCount(), 2);
+    assert.equal(await client.getStoppedValidatorsCount(), 1);
+    assert.equal(await client.getDelegatorsCount(validator1), 5);
+    assert.deepEqual(await collect(client.activeValidators(1)), await client.getActiveValidators());
+    assert.deepEqual(await collect(client.activeValidators(2)), await client.getActiveValidators());
+    assert.deepEqual(await collect(client.stoppedValidators()), await client.getStoppedValidators());
+
+    const delegators = await collect(client.delegatorsInfoPerValidator(validator1, 2));
+    assert.deepEqual(delegators, await client.getDelegatorsInfoPerValidator(validator1));
+    assert.deepEqual(delegators.slice(0, 2).map((d) => [d.delegator, d.amount]), [
+      [delegator1.address, ethers.parseEther('10')],
+      [delegator2.address, ethers.parseEther('20')],
+    ]);
+    assert.deepEqual(await collect(client.delegators(validator1, 4)), delegators.map((d) => d.delegator));
+    assert.deepEqual(await client.getValidatorInfoPaged(validator1, 2), await client.getValidatorInfo(validator1));
+    assert.deepEqual(await collect(client.delegators(swap)), []);
+  });
+});
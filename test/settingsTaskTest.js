@@ -0,0 +1,159 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect, assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { diffSettings, settingsToObject, readSettings, validateDiff } = require("../tasks/stakingSettings");
+
+describe("staking:settings tasks", function () {
+  async function deployFixture() {
+    const [owner, distributor, slashReceiver, validator1, newReceiver, stranger] = await ethers.getSigners();
+
+    const CRATStakeManager = await ethers.getContractFactory("CRATStakeManager");
+    const stakeManager = await upgrades.deployProxy(CRATStakeManager, [distributor.address, slashReceiver.address]);
+
+    await stakeManager.setValidatorsMinimum(ethers.parseEther('100'));
+
+    return { owner, distributor, slashReceiver, validator1, newReceiver, stranger, stakeManager };
+  }
+
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "crat-settings-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeSettings(settings) {
+    const file = path.join(dir, `settings-${Date.now()}-${Math.random()}.json`);
+    fs.writeFileSync(file, JSON.stringify(settings));
+    return file;
+  }
+
+  const silent = async (fn) => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = log;
+    }
+  };
+
+  it("Diff only marks changed fields", async ()=> {
+    const { stakeManager } = await loadFixture(deployFixture);
+
+    const current = settingsToObject(await stakeManager.settings());
+    const diff = diffSettings(current, {
+      validatorsLimit: 101,
+      validatorsSettings: { apr: 1600, claimCooldown: 86400 * 14 },
+      delegatorsSettings: { toSlash: "500" },
+    });
+
+    assert.equal(diff.length, 4);
+    assert.deepEqual(diff.filter((c) => c.changed).map((c) => c.setter), ["setValidatorsAPR"]);
+    assert.equal(diff.find((c) => c.changed).current, 1500n);
+    assert.equal(diff.find((c) => c.changed).desired, 1600n);
+
+    // a misspelled field would be left unchanged without a word
+    assert.throws(() => diffSettings(current, { validatorLimit: 101 }), "Unknown settings: validatorLimit");
+    assert.throws(() => diffSettings(current, { validatorsSettings: { apr: 1600, minimum: 1 } }), "Unknown settings: validatorsSettings.minimum");
+  });
+
+  it("Dry run sends nothing, apply sends the minimal set of setters", async ()=> {
+    const { stakeManager, newReceiver } = await loadFixture(deployFixture);
+
+    const file = writeSettings({
+      slashReceiver: newReceiver.address,
+      validatorsProbationPeriod: 86400 * 30,
+      validatorsSettings: { apr: 1500, claimCooldown: 86400 * 7 },
+      delegatorsSettings: { toSlash: 1000 },
+    });
+
+    let result = await silent(() => hre.run("staking:settings:sync", { address: stakeManager.target, file }));
+    assert.equal(result.transactions.length, 0);
+    assert.equal((await stakeManager.settings()).validatorsSettings.claimCooldown, 86400 * 14);
+
+    result = await silent(() => hre.run("staking:settings:sync", { address: stakeManager.target, file, apply: true }));
+    assert.equal(result.transactions.length, 4);
+
+    const settings = await stakeManager.settings();
+    assert.equal(settings.slashReceiver, newReceiver.address);
+    assert.equal(settings.validatorsProbationPeriod, 86400 * 30);
+    assert.equal(settings.validatorsSettings.apr, 1500);
+    assert.equal(settings.validatorsSettings.claimCooldown, 86400 * 7);
+    assert.equal(settings.delegatorsSettings.toSlash, 1000);
+
+    // nothing left to change
+    result = await silent(() => hre.run("staking:settings:sync", { address: stakeManager.target, file, apply: true }));
+    assert.equal(result.transactions.length, 0);
+    assert.equal(result.diff.filter((c) => c.changed).length, 0);
+  });
+
+  it("Refuses values the contract would revert on", async ()=> {
+    const { stakeManager, validator1 } = await loadFixture(deployFixture);
+
+    await stakeManager.connect(validator1).depositAsValidator(500, {value: ethers.parseEther('100')});
+
+    const current = settingsToObject(await stakeManager.settings());
+    const errors = validateDiff(diffSettings(current, {
+      validatorsLimit: 0,
+      slashReceiver: "0x0000000000000000000000000000000000000000",
+      validatorsSettings: { withdrawCooldown: 86400 * 366 },
+      delegatorsSettings: { toSlash: 10001, claimCooldown: 86400 * 365 },
+    }), { activeValidators: 1 });
+    assert.equal(errors.length, 4);
+
+    const file = writeSettings({ validatorsLimit: 0, validatorsSettings: { apr: 1 } });
+    await expect(silent(() => hre.run("staking:settings:sync", { address: stakeManager.target, file, apply: true }))).to.be.rejectedWith("Refusing to apply settings");
+    assert.equal((await stakeManager.settings()).validatorsSettings.apr, 1500);
+  });
+
+  it("Syncs settings stored apart from GeneralSettings", async ()=> {
+    const { stakeManager } = await loadFixture(deployFixture);
+
+    const current = await readSettings(stakeManager);
+    assert.deepEqual(current.limits, { minCommission: 500n, maxCommission: 3000n, delegatorsPerValidator: 4800n });
+    assert.equal(current.commissionChangeDelay, 86400n * 7n);
+    assert.deepEqual(current.doubleSign, { slashPercent: 500n, reporterShare: 1000n });
+
+    // raised minimum goes after the maximum
+    const desired = {
+      maxCommissionChange: 1000,
+      limits: { minCommission: 3500, maxCommission: 4000, delegatorsPerValidator: 100 },
+      doubleSign: { slashPercent: 1000, reporterShare: 1000 },
+    };
+    assert.deepEqual(diffSettings(current, desired).filter((c) => c.changed).map((c) => c.setter), ["setMaxCommissionChange", "setValidatorsMaxCommission", "setValidatorsMinCommission", "setDelegatorsPerValidatorLimit", "setDoubleSignSlashPercent"]);
+    const errors = validateDiff(diffSettings(current, { limits: { minCommission: 2000, maxCommission: 1000, delegatorsPerValidator: 0 }, doubleSign: { reporterShare: 10001 } }), { activeValidators: 0 });
+    assert.equal(errors.length, 3);
+    // the bound left out of the file is the on-chain one
+    assert.deepEqual(validateDiff(diffSettings(current, { limits: { minCommission: 4000 } }), { activeValidators: 0, current }), [
+      "limits.minCommission: 4000 is larger than limits.maxCommission (3000)",
+    ]);
+    await expect(silent(() => hre.run("staking:settings:sync", { address: stakeManager.target, file: writeSettings({ limits: { minCommission: 4000 } }), apply: true }))).to.be.rejectedWith("limits.minCommission: 4000 is larger than limits.maxCommission (3000)");
+
+    const result = await silent(() => hre.run("staking:settings:sync", { address: stakeManager.target, file: writeSettings(desired), apply: true }));
+    assert.equal(result.transactions.length, 5);
+    assert.deepEqual([...await stakeManager.limits()], [3500n, 4000n, 100n]);
+    assert.deepEqual([...await stakeManager.doubleSign()], [1000n, 1000n]);
+    assert.equal(await stakeManager.maxCommissionChange(), 1000);
+  });
+
+  it("Refuses to apply without admin role", async ()=> {
+    const { stakeManager, stranger } = await loadFixture(deployFixture);
+
+    // tasks send from the first signer
+    const [owner] = await ethers.getSigners();
+    const admin = await stakeManager.DEFAULT_ADMIN_ROLE();
+    await stakeManager.grantRole(admin, stranger);
+    await stakeManager.renounceRole(admin, owner);
+
+    const file = writeSettings({ validatorsSettings: { apr: 1600 } });
+    await expect(silent(() => hre.run("staking:settings:sync", { address: stakeManager.target, file, apply: true }))).to.be.rejectedWith("has no DEFAULT_ADMIN_ROLE");
+  });
+});
@@ -0,0 +1,72 @@
+const { assert } = require("chai");
+const { ethers } = require("hardhat");
+const { INVARIANTS, generateActions, createFuzzer, fuzz } = require("../scripts/fuzzStakeManager");
+
+const RUNS = 3;
+const STEPS = 60;
+
+describe("CRATStakeManager invariants fuzzing", function () {
+  it("Invariants hold for random action sequences", async ()=> {
+    const result = await fuzz({ seed: 1, runs: RUNS, steps: STEPS });
+    assert.isNull(result, result && `seed ${result.seed} breaks ${result.failure.invariant}: ${result.failure.message}\n${JSON.stringify(result.actions)}`);
+  });
+
+  it("Action lists are reproducible from the seed", async ()=> {
+    assert.deepEqual(generateActions(7, 50), generateActions(7, 50));
+    assert.notDeepEqual(generateActions(7, 50), generateActions(8, 50));
+    // plain JSON to be saved and replayed
+    assert.deepEqual(JSON.parse(JSON.stringify(generateActions(7, 50))), generateActions(7, 50));
+
+    const fuzzer = await createFuzzer();
+    const actions = generateActions(7, 30);
+    const first = await fuzzer.run(actions);
+    const second = await fuzzer.run(actions);
+    assert.deepEqual(first, second);
+    assert.isAbove(first.accepted, 0);
+  });
+
+  it("Allows delegated amounts to differ from deposits by the rounding of slashes only", async ()=> {
+    const validator = (delegatedAmount, slashes) => ({
+      address: "v",
+      delegatedAmount,
+      stoppedDelegatedAmount: 3n,
+      delegators: [{ amount: 5n }, { amount: 8n }],
+      slashes,
+    });
+    assert.isNull(INVARIANTS.delegatedAmounts({ active: [validator(10n, 0n)], stopped: [] }));
+    assert.isNotNull(INVARIANTS.delegatedAmounts({ active: [validator(9n, 0n)], stopped: [] }));
+    // each slash rounds every delegator's fee down by less than 1 wei
+    assert.isNull(INVARIANTS.delegatedAmounts({ active: [], stopped: [validator(9n, 1n)] }));
+    assert.isNotNull(INVARIANTS.delegatedAmounts({ active: [], stopped: [validator(11n, 1n)] }));
+    // the fuzzed amounts go down to wei
+    const amounts = generateActions(7, 50).filter((a) => a.amount !== undefined).map((a) => ethers.parseEther(a.amount));
+    assert.isTrue(amounts.some((amount) => amount % 10n ** 9n > 0n));
+  });
+
+  it("Shrinks a failing sequence to the actions that matter", async ()=> {
+    // deliberately broken invariant: fixed reward pool never exceeds 6 coins
+    const invariants = {
+      ...INVARIANTS,
+      fixedRewardCap: (s) => (s.forFixedReward > ethers.parseEther("6") ? `forFixedReward ${s.forFixedReward}` : null),
+    };
+    const fuzzer = await createFuzzer({ invariants });
+    const actions = [
+      { action: "depositAsValidator", validator: 0, amount: 100, commission: 1000 },
+      { action: "fund", amount: 4 },
+      { action: "timeJump", seconds: 86400 * 5 },
+      { action: "depositAsDelegator", delegator: 0, validator: 0, amount: 20 },
+      { action: "distributeRewards", validators: [0], amounts: [3] },
+      { action: "fund", amount: 4 },
+      { action: "claimAsValidator", validator: 0 },
+      { action: "fund", amount: 1 },
+    ];
+    const { failure } = await fuzzer.run(actions);
+    assert.equal(failure.invariant, "fixedRewardCap");
+    assert.equal(failure.step, 5);
+
+    const shrunk = await fuzzer.shrink(actions, failure);
+    assert.deepEqual(shrunk.actions, [{ action: "fund", amount: 4 }, { action: "fund", amount: 4 }]);
+    assert.equal(shrunk.failure.invariant, "fixedRewardCap");
+    assert.deepEqual((await fuzzer.run(shrunk.actions)).failure, shrunk.failure);
+  });
+});
@@ -1,10 +1,13 @@
 const {
   time,
   loadFixture,
+  setBalance,
+  takeSnapshot,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect, assert } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { validator, eth } = require("web3");
+const { signHeader, signSigningKey } = require("../sdk");
 
 const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
 
@@ -348,6 +351,36 @@ describe("CRATStakeManager", function () {
           await expect(stakeManager.connect(delegator2_1).restakeAsDelegator(validator1)).to.be.revertedWithCustomError(stakeManager, "Cooldown");
       })
 
+      it("Distribution rounds & events", async ()=> {
+          const { stakeManager, validator1, validator2, delegator1, distributor } = await loadFixture(deployFixture);
+
+          await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+          await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+          await stakeManager.connect(validator2).depositAsValidator(500, {value: ethers.parseEther('100')});
+          assert.equal(await stakeManager.rewardsRound(), 0);
+
+          let tx = stakeManager.connect(distributor).distributeRewards(
+            [validator1, validator2, delegator1, validator2],
+            [ethers.parseEther('4'), ethers.parseEther('2'), ethers.parseEther('1'), 0],
+            {value: ethers.parseEther('8')}
+          );
+          await expect(tx).to.changeEtherBalances([stakeManager, distributor], [ethers.parseEther('6'), -ethers.parseEther('6')]);
+          await expect(tx).to.emit(stakeManager, "ValidatorRewarded").withArgs(validator1.address, ethers.parseEther('0.4'), ethers.parseEther('3.6'));
+          await expect(tx).to.emit(stakeManager, "ValidatorRewarded").withArgs(validator2.address, ethers.parseEther('2'), 0);
+          // not a validator & zero amount
+          await expect(tx).to.emit(stakeManager, "RewardSkipped").withArgs(delegator1.address, ethers.parseEther('1'));
+          await expect(tx).to.emit(stakeManager, "RewardSkipped").withArgs(validator2.address, 0);
+          await expect(tx).to.emit(stakeManager, "RewardsDistributed").withArgs(1, ethers.parseEther('2.4'), ethers.parseEther('3.6'), 2, ethers.parseEther('2'));
+          assert.equal(await stakeManager.rewardsRound(), 1);
+
+          // reverted rounds do not count
+          await expect(stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('1')])).to.be.revertedWithCustomError(stakeManager, "WrongValue");
+          tx = stakeManager.connect(distributor).distributeRewards([validator2], [ethers.parseEther('1')], {value: ethers.parseEther('1')});
+          await expect(tx).to.emit(stakeManager, "RewardsDistributed").withArgs(2, ethers.parseEther('1'), 0, 0, 0);
+          await expect(tx).not.to.emit(stakeManager, "RewardSkipped");
+          assert.equal(await stakeManager.rewardsRound(), 2);
+      })
+
       it("Call for withdraw & withdraw cases", async ()=> {
           const { stakeManager, validator1, validator2, delegator1, delegator2_1, delegator2_2, distributor, owner } = await loadFixture(deployFixture);
 
@@ -647,6 +680,944 @@ describe("CRATStakeManager", function () {
           assert.equal(stoppedValidatorsPool.validators[0], validator1.address);
       })
 
+      it("Partial withdrawals (unbonding entries)", async ()=> {
+        const { stakeManager, validator1, delegator1, delegator2_1, distributor, swap } = await loadFixture(deployFixture);
+
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('300')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('50')});
+
+        await expect(stakeManager.connect(delegator1).validatorUnbond(ethers.parseEther('1'))).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(delegator1.address);
+        await expect(stakeManager.connect(validator1).validatorUnbond(0)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(0);
+        // the rest can't be lower than minimum threshold
+        await expect(stakeManager.connect(validator1).validatorUnbond(ethers.parseEther('201'))).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(ethers.parseEther('201'));
+
+        await expect(stakeManager.connect(validator1).validatorUnbond(ethers.parseEther('100'))).to.emit(stakeManager, "ValidatorUnbonded");
+        const v1Unbond = await time.latest();
+        assert.equal(await stakeManager.totalValidatorsPool(), ethers.parseEther('200'));
+        assert.equal(await stakeManager.unbondingValidatorsPool(), ethers.parseEther('100'));
+        let validatorInfo = await stakeManager.getValidatorInfo(validator1);
+        assert.equal(validatorInfo.amount, ethers.parseEther('200'));
+        assert.deepEqual(validatorInfo.unbonding.map((e) => [e.amount, e.availableAt]), [[ethers.parseEther('100'), BigInt(v1Unbond + 86400 * 7)]]);
+
+        // the rest keeps earning fixed reward
+        await time.increase(86400);
+        assert.equal((await stakeManager.validatorEarned(validator1))[0], validatorInfo.fixedReward.fixedReward + BigInt(await time.latest() - v1Unbond) * ethers.parseEther('200') * BigInt(15) / BigInt(100 * 86400 * 365));
+
+        await expect(stakeManager.connect(delegator2_1).delegatorUnbond(validator1, ethers.parseEther('1'))).to.be.revertedWithCustomError(stakeManager, "DelegatorsOnly").withArgs(delegator2_1.address);
+        await expect(stakeManager.connect(delegator1).delegatorUnbond(validator1, ethers.parseEther('41'))).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(ethers.parseEther('41'));
+        await expect(stakeManager.connect(delegator1).delegatorUnbond(validator1, ethers.parseEther('20'))).to.emit(stakeManager, "DelegatorUnbonded");
+        const d1Unbond = await time.latest();
+        assert.equal(await stakeManager.totalDelegatorsPool(), ethers.parseEther('30'));
+        assert.equal(await stakeManager.unbondingDelegatorsPool(), ethers.parseEther('20'));
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).delegatedAmount, ethers.parseEther('30'));
+        let delegatorInfo = await stakeManager.getDelegatorInfo(delegator1);
+        assert.equal(delegatorInfo.delegatorPerValidatorArr[0].amount, ethers.parseEther('30'));
+        assert.deepEqual(delegatorInfo.unbonding[0].map((e) => [e.amount, e.availableAt]), [[ethers.parseEther('20'), BigInt(d1Unbond + 86400 * 5)]]);
+
+        // the rest keeps earning variable reward
+        await stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('10')], {value: ethers.parseEther('10')});
+        assert.equal((await stakeManager.delegatorEarnedPerValidator(delegator1, validator1))[1], ethers.parseEther('9'));
+
+        await expect(stakeManager.connect(delegator1).withdrawUnbondedAsDelegator(validator1)).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, d1Unbond + 86400 * 5);
+        await time.increase(86400 * 5);
+        let tx = stakeManager.connect(delegator1).withdrawUnbondedAsDelegator(validator1);
+        await expect(tx).to.changeEtherBalances([stakeManager, delegator1], [-ethers.parseEther('20'), ethers.parseEther('20')]);
+        await expect(tx).to.emit(stakeManager, "DelegatorUnbondedWithdrawed").withArgs(delegator1.address, validator1.address, ethers.parseEther('20'));
+        assert.equal(await stakeManager.unbondingDelegatorsPool(), 0);
+        assert.equal((await stakeManager.getDelegatorInfo(delegator1)).unbonding[0].length, 0);
+        await expect(stakeManager.connect(delegator1).withdrawUnbondedAsDelegator(validator1)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(0);
+
+        // only entries with passed cooldown are withdrawn
+        await stakeManager.connect(validator1).validatorUnbond(ethers.parseEther('50'));
+        const v1SecondUnbond = await time.latest();
+        await time.increase(86400);
+        tx = stakeManager.connect(validator1).withdrawUnbondedAsValidator();
+        await expect(tx).to.changeEtherBalances([stakeManager, validator1], [-ethers.parseEther('100'), ethers.parseEther('100')]);
+        await expect(tx).to.emit(stakeManager, "ValidatorUnbondedWithdrawed").withArgs(validator1.address, ethers.parseEther('100'));
+        validatorInfo = await stakeManager.getValidatorInfo(validator1);
+        assert.deepEqual(validatorInfo.unbonding.map((e) => [e.amount, e.availableAt]), [[ethers.parseEther('50'), BigInt(v1SecondUnbond + 86400 * 7)]]);
+        assert.equal(await stakeManager.unbondingValidatorsPool(), ethers.parseEther('50'));
+
+        // stop-listed positions withdraw everything
+        await stakeManager.connect(validator1).validatorCallForWithdraw();
+        await expect(stakeManager.connect(validator1).validatorUnbond(ethers.parseEther('1'))).to.be.revertedWithCustomError(stakeManager, "InStoplistStatus").withArgs(validator1.address, true);
+        await expect(stakeManager.connect(delegator1).delegatorUnbond(validator1, ethers.parseEther('1'))).to.be.revertedWithCustomError(stakeManager, "InStoplistStatus").withArgs(delegator1.address, true);
+        assert.equal(await stakeManager.stoppedValidatorsPool(), ethers.parseEther('150'));
+        assert.equal(await stakeManager.stoppedDelegatorsPool(), ethers.parseEther('30'));
+
+        // entries outlive the withdrawn position
+        await time.increase(86400 * 7);
+        await stakeManager.connect(validator1).withdrawAsValidator();
+        await expect(stakeManager.connect(validator1).withdrawUnbondedAsValidator()).to.changeEtherBalances([stakeManager, validator1], [-ethers.parseEther('50'), ethers.parseEther('50')]);
+        assert.equal(await stakeManager.unbondingValidatorsPool(), 0);
+        assert.equal(await stakeManager.stoppedValidatorsPool(), 0);
+        assert.equal(await stakeManager.stoppedDelegatorsPool(), 0);
+
+        // vested deposit stays locked till the vesting end
+        await stakeManager.grantRole(await stakeManager.SWAP_ROLE(), swap);
+        const vestingEnd = await time.latest() + 86400 * 30;
+        await stakeManager.connect(swap).depositForValidator(delegator2_1, 1000, vestingEnd, {value: ethers.parseEther('200')});
+        await stakeManager.connect(delegator2_1).validatorUnbond(ethers.parseEther('50'));
+        assert.equal((await stakeManager.getValidatorInfo(delegator2_1)).unbonding[0].availableAt, vestingEnd);
+      })
+
+      it("Slashing reaches unbonding entries", async ()=> {
+        const { stakeManager, validator1, delegator1, distributor, slashReceiver } = await loadFixture(deployFixture);
+
+        await stakeManager.setValidatorsAmountToSlash(ethers.parseEther('10'));
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('400')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('50')});
+        await stakeManager.connect(validator1).validatorUnbond(ethers.parseEther('200'));
+        await stakeManager.connect(delegator1).delegatorUnbond(validator1, ethers.parseEther('20'));
+
+        // validator's fee is shared by the deposit and the entries in proportion, delegators lose 5% of both
+        const totalSlashed = ethers.parseEther('10') + ethers.parseEther('1.5') + ethers.parseEther('1');
+        const tx = stakeManager.connect(distributor).slash([validator1]);
+        await expect(tx).to.changeEtherBalances([stakeManager, slashReceiver], [-totalSlashed, totalSlashed]);
+        await expect(tx).to.emit(stakeManager, "ValidatorSlashed").withArgs(validator1.address, ethers.parseEther('10'), 0, ethers.parseEther('2.5'), false);
+        await expect(tx).to.emit(stakeManager, "DelegatorSlashed").withArgs(delegator1.address, validator1.address, ethers.parseEther('2.5'), false);
+
+        const validatorInfo = await stakeManager.getValidatorInfo(validator1);
+        assert.equal(validatorInfo.amount, ethers.parseEther('195'));
+        assert.equal(validatorInfo.unbonding[0].amount, ethers.parseEther('195'));
+        assert.equal(await stakeManager.totalValidatorsPool(), ethers.parseEther('195'));
+        assert.equal(await stakeManager.unbondingValidatorsPool(), ethers.parseEther('195'));
+        const delegatorInfo = await stakeManager.getDelegatorInfo(delegator1);
+        assert.equal(delegatorInfo.delegatorPerValidatorArr[0].amount, ethers.parseEther('28.5'));
+        assert.equal(delegatorInfo.unbonding[0][0].amount, ethers.parseEther('19'));
+        assert.equal(await stakeManager.totalDelegatorsPool(), ethers.parseEther('28.5'));
+        assert.equal(await stakeManager.unbondingDelegatorsPool(), ethers.parseEther('19'));
+
+        // entries past the cooldown are not liable any more
+        await time.increase(86400 * 7);
+        await stakeManager.connect(distributor).slash([validator1]);
+        assert.equal(await stakeManager.unbondingValidatorsPool(), ethers.parseEther('195'));
+        assert.equal(await stakeManager.unbondingDelegatorsPool(), ethers.parseEther('19'));
+        await expect(stakeManager.connect(validator1).withdrawUnbondedAsValidator()).to.changeEtherBalances([stakeManager, validator1], [-ethers.parseEther('195'), ethers.parseEther('195')]);
+        await expect(stakeManager.connect(delegator1).withdrawUnbondedAsDelegator(validator1)).to.changeEtherBalances([stakeManager, delegator1], [-ethers.parseEther('19'), ethers.parseEther('19')]);
+      })
+
+      it("Unbonding entries limit", async ()=> {
+        const { stakeManager, validator1, delegator1, delegator2_1, distributor, swap } = await loadFixture(deployFixture);
+
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('300')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('30')});
+
+        // dust isn't accepted: at least 10% of the role's minimum threshold
+        assert.equal(await stakeManager.MIN_UNBONDING_PART(), 10_00);
+        await expect(stakeManager.connect(validator1).validatorUnbond(ethers.parseEther('10') - 1n)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(ethers.parseEther('10') - 1n);
+        await expect(stakeManager.connect(delegator1).delegatorUnbond(validator1, 1)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(1);
+
+        // every position gets up to MAX_UNBONDING_ENTRIES entries, whatever their amounts are
+        const limit = await stakeManager.MAX_UNBONDING_ENTRIES();
+        assert.equal(limit, 10);
+        const delegators = [delegator1];
+        for (let i = 1; i < 20; i++) {
+          const delegator = ethers.Wallet.createRandom().connect(ethers.provider);
+          await setBalance(delegator.address, ethers.parseEther('100'));
+          await stakeManager.connect(delegator).depositAsDelegator(validator1, {value: ethers.parseEther('30')});
+          delegators.push(delegator);
+        }
+        const noEntries = await takeSnapshot();
+        let tx = await stakeManager.connect(distributor).slash([validator1]);
+        const slashGas = (await tx.wait()).gasUsed;
+        await noEntries.restore();
+
+        for (let i = 0; i < limit; i++) {
+          await stakeManager.connect(validator1).validatorUnbond(ethers.parseEther('10'));
+          for (const delegator of delegators) await stakeManager.connect(delegator).delegatorUnbond(validator1, ethers.parseEther('1'));
+        }
+        await expect(stakeManager.connect(validator1).validatorUnbond(ethers.parseEther('10'))).to.be.revertedWithCustomError(stakeManager, "UnbondingLimit");
+        await expect(stakeManager.connect(delegator1).delegatorUnbond(validator1, ethers.parseEther('1'))).to.be.revertedWithCustomError(stakeManager, "UnbondingLimit");
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).unbonding.length, 10);
+        assert.equal((await stakeManager.getDelegatorInfo(delegator1)).unbonding[0].length, 10);
+
+        // slash walks a bounded list: each entry adds less than 10k gas
+        tx = await stakeManager.connect(distributor).slash([validator1]);
+        const entries = BigInt(delegators.length + 1) * limit;
+        assert.isBelow(Number(((await tx.wait()).gasUsed - slashGas) / entries), 10_000);
+
+        // withdrawn entries free the room
+        await time.increase(86400 * 7);
+        await stakeManager.connect(validator1).withdrawUnbondedAsValidator();
+        await stakeManager.connect(validator1).validatorUnbond(ethers.parseEther('10'));
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).unbonding.length, 1);
+
+        // entries maturing at the same time are merged (vested deposits wait for the same vesting end)
+        await stakeManager.grantRole(await stakeManager.SWAP_ROLE(), swap);
+        const vestingEnd = await time.latest() + 86400 * 30;
+        await stakeManager.connect(swap).depositForValidator(delegator2_1, 1000, vestingEnd, {value: ethers.parseEther('300')});
+        for (let i = 0; i <= limit; i++) await stakeManager.connect(delegator2_1).validatorUnbond(ethers.parseEther('10'));
+        assert.deepEqual((await stakeManager.getValidatorInfo(delegator2_1)).unbonding.map((e) => [e.amount, e.availableAt]), [[ethers.parseEther('110'), BigInt(vestingEnd)]]);
+      })
+
+      it("Redelegation", async ()=> {
+        const { stakeManager, owner, validator1, validator2, delegator1, delegator2_1, distributor, slashReceiver } = await loadFixture(deployFixture);
+
+        await stakeManager.setValidatorsAmountToSlash(ethers.parseEther('10'));
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('300')});
+        await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('200')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('50')});
+
+        await expect(stakeManager.connect(delegator2_1).redelegate(validator1, validator2, ethers.parseEther('20'))).to.be.revertedWithCustomError(stakeManager, "DelegatorsOnly").withArgs(delegator2_1.address);
+        await expect(stakeManager.connect(delegator1).redelegate(validator1, validator1, ethers.parseEther('20'))).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(validator1.address);
+        await expect(stakeManager.connect(delegator1).redelegate(validator1, owner, ethers.parseEther('20'))).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(owner.address);
+        await expect(stakeManager.connect(delegator1).redelegate(validator1, validator2, 0)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(0);
+        await expect(stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('60'))).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(ethers.parseEther('60'));
+        // the rest and the new deposit can't be lower than minimum threshold
+        await expect(stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('45'))).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(ethers.parseEther('45'));
+        await expect(stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('5'))).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(ethers.parseEther('5'));
+
+        await stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('10')], {value: ethers.parseEther('10')});
+
+        let tx = stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('30'));
+        await expect(tx).to.changeEtherBalances([stakeManager, delegator1], [0, 0]);
+        const liableUntil = BigInt(await time.latest() + 86400 * 5);
+        await expect(tx).to.emit(stakeManager, "DelegatorRedelegated").withArgs(delegator1.address, validator1.address, validator2.address, ethers.parseEther('30'), liableUntil);
+        await expect(tx).to.emit(stakeManager, "DelegatorDeposited").withArgs(delegator1.address, validator2.address, ethers.parseEther('30'));
+
+        // rewards are settled, pools keep the stake
+        assert.equal((await stakeManager.delegatorEarnedPerValidator(delegator1, validator1))[1], ethers.parseEther('9'));
+        assert.equal(await stakeManager.totalDelegatorsPool(), ethers.parseEther('50'));
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).delegatedAmount, ethers.parseEther('20'));
+        assert.equal((await stakeManager.getValidatorInfo(validator2)).delegatedAmount, ethers.parseEther('30'));
+        let delegatorInfo = await stakeManager.getDelegatorInfo(delegator1);
+        assert.deepEqual(delegatorInfo.validatorsArr, [validator1.address, validator2.address]);
+        assert.deepEqual(delegatorInfo.delegatorPerValidatorArr.map((i) => i.amount), [ethers.parseEther('20'), ethers.parseEther('30')]);
+        assert.deepEqual((await stakeManager.getRedelegations(validator1)).map((e) => [...e]), [[delegator1.address, validator2.address, ethers.parseEther('30'), liableUntil]]);
+        assert.equal(await stakeManager.redelegatedUntil(delegator1, validator2), liableUntil);
+
+        // redelegated stake can't leave before the liability window ends
+        await expect(stakeManager.connect(delegator1).redelegate(validator2, validator1, ethers.parseEther('30'))).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, liableUntil);
+        await expect(stakeManager.connect(delegator1).delegatorUnbond(validator2, ethers.parseEther('10'))).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, liableUntil);
+
+        // slash of the previous validator reaches the redelegated stake
+        const totalSlashed = ethers.parseEther('10') + ethers.parseEther('1') + ethers.parseEther('1.5');
+        tx = stakeManager.connect(distributor).slash([validator1]);
+        await expect(tx).to.changeEtherBalances([stakeManager, slashReceiver], [-totalSlashed, totalSlashed]);
+        await expect(tx).to.emit(stakeManager, "DelegatorSlashed").withArgs(delegator1.address, validator2.address, ethers.parseEther('1.5'), false);
+        await expect(tx).to.emit(stakeManager, "DelegatorSlashed").withArgs(delegator1.address, validator1.address, ethers.parseEther('1'), false);
+        assert.equal((await stakeManager.getSlashHistory(validator1))[0].delegatorsAmount, ethers.parseEther('2.5'));
+        assert.equal(await stakeManager.totalDelegatorsPool(), ethers.parseEther('47.5'));
+        assert.equal((await stakeManager.getValidatorInfo(validator2)).delegatedAmount, ethers.parseEther('28.5'));
+        delegatorInfo = await stakeManager.getDelegatorInfo(delegator1);
+        assert.deepEqual(delegatorInfo.delegatorPerValidatorArr.map((i) => i.amount), [ethers.parseEther('19'), ethers.parseEther('28.5')]);
+        assert.equal((await stakeManager.getRedelegations(validator1))[0].amount, ethers.parseEther('28.5'));
+
+        // whole position moves back after the window, the empty one is removed
+        await time.increase(86400 * 5);
+        await stakeManager.connect(delegator1).redelegate(validator2, validator1, ethers.parseEther('28.5'));
+        delegatorInfo = await stakeManager.getDelegatorInfo(delegator1);
+        assert.deepEqual(delegatorInfo.validatorsArr, [validator1.address]);
+        assert.deepEqual(delegatorInfo.delegatorPerValidatorArr.map((i) => i.amount), [ethers.parseEther('47.5')]);
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).delegatedAmount, ethers.parseEther('47.5'));
+        assert.equal((await stakeManager.getRedelegations(validator2)).length, 1);
+
+        // expired entries are dropped by the next slash
+        await stakeManager.connect(distributor).slash([validator1]);
+        assert.equal((await stakeManager.getSlashHistory(validator1))[1].delegatorsAmount, ethers.parseEther('2.375'));
+        assert.equal((await stakeManager.getRedelegations(validator1)).length, 0);
+        assert.equal((await stakeManager.getValidatorInfo(validator2)).delegatedAmount, 0);
+      })
+
+      it("Redelegation liability keeps the end stored at the redelegation", async ()=> {
+        const { stakeManager, validator1, validator2, delegator1, distributor } = await loadFixture(deployFixture);
+
+        await stakeManager.setValidatorsAmountToSlash(ethers.parseEther('10'));
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('300')});
+        await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('200')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('50')});
+        await stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('30'));
+        const liableUntil = BigInt(await time.latest() + 86400 * 5);
+
+        // a shorter cooldown doesn't let the redelegated stake leave earlier
+        await stakeManager.setDelegatorsWithdrawCooldown(86400);
+        await stakeManager.connect(delegator1).delegatorCallForWithdraw(validator2);
+        await time.increase(86400);
+        await expect(stakeManager.connect(delegator1).withdrawAsDelegator(validator2)).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, liableUntil);
+        await expect(stakeManager.withdrawForDelegators(validator2, [delegator1])).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, liableUntil);
+        // neither does the immediate exit from a jailed validator or the validator's own exit
+        await stakeManager.setValidatorsWithdrawCooldown(86400);
+        await stakeManager.jail(validator2, 86400, "downtime");
+        await expect(stakeManager.connect(delegator1).withdrawAsDelegator(validator2)).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, liableUntil);
+        await time.increase(86400);
+        await expect(stakeManager.withdrawValidatorDelegators(validator2, 10)).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, liableUntil);
+
+        // the stake is still slashed for the previous validator
+        await expect(stakeManager.connect(distributor).slash([validator1])).to.emit(stakeManager, "DelegatorSlashed").withArgs(delegator1.address, validator2.address, ethers.parseEther('1.5'), false);
+
+        // a longer cooldown doesn't extend the liability
+        await stakeManager.setDelegatorsWithdrawCooldown(86400 * 30);
+        await time.increaseTo(liableUntil);
+        await stakeManager.connect(distributor).slash([validator1]);
+        assert.equal((await stakeManager.getRedelegations(validator1)).length, 0);
+        assert.equal((await stakeManager.getDelegatorInfo(delegator1)).delegatorPerValidatorArr[1].amount, ethers.parseEther('28.5'));
+        await expect(stakeManager.connect(delegator1).withdrawAsDelegator(validator2)).to.changeEtherBalance(delegator1, ethers.parseEther('28.5'));
+      })
+
+      it("Redelegation entries limit", async ()=> {
+        const { stakeManager, validator1, validator2, delegator1, delegator2_1, distributor } = await loadFixture(deployFixture);
+
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('300')});
+        await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('200')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('1100')});
+        await stakeManager.connect(delegator2_1).depositAsDelegator(validator1, {value: ethers.parseEther('100')});
+
+        const limit = await stakeManager.MAX_REDELEGATIONS();
+        assert.equal(limit, 10);
+        const destinations = [validator2];
+        for (let i = 0; i < limit; i++) {
+          const validator = ethers.Wallet.createRandom().connect(ethers.provider);
+          await setBalance(validator.address, ethers.parseEther('1000'));
+          await stakeManager.connect(validator).depositAsValidator(1000, {value: ethers.parseEther('200')});
+          destinations.push(validator);
+        }
+
+        // each entry moves at least delegators' minimum threshold
+        await stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('10'));
+        await expect(stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('1'))).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(ethers.parseEther('1'));
+
+        // the same destination tops up the delegator's entry, liable till the later end
+        await stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('10'));
+        let entries = await stakeManager.getRedelegations(validator1);
+        assert.deepEqual(entries.map((e) => [e.delegator, e.validator, e.amount, e.liableUntil]), [[delegator1.address, validator2.address, ethers.parseEther('20'), BigInt(await time.latest() + 86400 * 5)]]);
+
+        for (const to of destinations.slice(1, Number(limit))) await stakeManager.connect(delegator1).redelegate(validator1, to, ethers.parseEther('10'));
+        assert.equal((await stakeManager.getRedelegations(validator1)).length, 10);
+        await expect(stakeManager.connect(delegator1).redelegate(validator1, destinations[limit], ethers.parseEther('10'))).to.be.revertedWithCustomError(stakeManager, "RedelegationsLimit");
+
+        // the limit is per delegator, others still redelegate from the validator
+        await stakeManager.connect(delegator2_1).redelegate(validator1, destinations[limit], ethers.parseEther('10'));
+        entries = await stakeManager.getRedelegations(validator1);
+        assert.equal(entries.length, 11);
+        assert.equal(entries.filter((e) => e.delegator == delegator2_1.address).length, 1);
+
+        // slash walks a bounded list
+        const tx = await stakeManager.connect(distributor).slash([validator1]);
+        assert.isBelow(Number((await tx.wait()).gasUsed), 15_000_000);
+
+        // expired entries free the room
+        await time.increase(86400 * 5);
+        await stakeManager.connect(delegator1).redelegate(validator1, destinations[limit], ethers.parseEther('10'));
+        assert.equal((await stakeManager.getRedelegations(validator1)).length, 1);
+      })
+
+      it("Redelegation of the whole deposit frees the place in the validator", async ()=> {
+        const { stakeManager, owner, validator1, validator2, delegator1, delegator2_1, distributor } = await loadFixture(deployFixture);
+
+        await owner.sendTransaction({to: stakeManager, value: ethers.parseEther('10')});
+        await stakeManager.setDelegatorsPerValidatorLimit(1);
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('300')});
+        await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('200')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('50')});
+        await expect(stakeManager.connect(delegator2_1).depositAsDelegator(validator1, {value: ethers.parseEther('50')})).to.be.revertedWithCustomError(stakeManager, "DelegatorsLimit");
+
+        await stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('10')], {value: ethers.parseEther('10')});
+        await time.increase(86400);
+        await stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('50'));
+
+        // the empty position is gone from both sets
+        assert.deepEqual((await stakeManager.getValidatorInfo(validator1)).delegators, []);
+        assert.deepEqual((await stakeManager.getDelegatorInfo(delegator1)).validatorsArr, [validator2.address]);
+        assert.deepEqual([...await stakeManager.getDelegatorsInfoPerValidatorPage(validator1, 0, 10)].map((a) => a.length), [0, 0]);
+        assert.equal(await stakeManager.isDelegator(delegator1), true);
+        await expect(stakeManager.connect(delegator1).delegatorCallForWithdraw(validator1)).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(validator1.address);
+
+        // rewards earned there stay claimable
+        const [fixedReward, variableReward] = await stakeManager.delegatorEarnedPerValidator(delegator1, validator1);
+        assert.equal(variableReward, ethers.parseEther('9'));
+        assert.isAbove(fixedReward, 0n);
+        await expect(stakeManager.connect(delegator1).claimAsDelegatorPerValidator(validator1)).to.changeEtherBalance(delegator1, fixedReward + variableReward);
+        await expect(stakeManager.connect(delegator1).claimAsDelegatorPerValidator(validator1)).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(validator1.address);
+
+        // a new delegator takes the freed place, slash doesn't walk the old position
+        await stakeManager.connect(delegator2_1).depositAsDelegator(validator1, {value: ethers.parseEther('50')});
+        assert.deepEqual((await stakeManager.getValidatorInfo(validator1)).delegators, [delegator2_1.address]);
+        const tx = stakeManager.connect(distributor).slash([validator1]);
+        await expect(tx).to.emit(stakeManager, "DelegatorSlashed").withArgs(delegator2_1.address, validator1.address, ethers.parseEther('2.5'), false);
+        await expect(tx).to.emit(stakeManager, "DelegatorSlashed").withArgs(delegator1.address, validator2.address, ethers.parseEther('2.5'), false);
+        assert.equal((await stakeManager.getSlashHistory(validator1))[0].delegatorsAmount, ethers.parseEther('5'));
+      })
+
+      it("Unbonding entries of a removed position stay slashable", async ()=> {
+        const { stakeManager, validator1, validator2, delegator1, delegator2_1, distributor, swap } = await loadFixture(deployFixture);
+
+        await stakeManager.setDelegatorsPerValidatorLimit(1);
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('300')});
+        await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('200')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('50')});
+        await stakeManager.connect(delegator1).delegatorUnbond(validator1, ethers.parseEther('20'));
+        const availableAt = BigInt(await time.latest() + 86400 * 5);
+        await stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('30'));
+
+        // the position is gone, but the entry still holds the place
+        assert.deepEqual((await stakeManager.getValidatorInfo(validator1)).delegators, []);
+        let [exited, unbonding] = await stakeManager.getExitedDelegators(validator1);
+        assert.deepEqual(exited, [delegator1.address]);
+        assert.deepEqual(unbonding.map((entries) => entries.map((e) => [e.amount, e.availableAt])), [[[ethers.parseEther('20'), availableAt]]]);
+        await expect(stakeManager.connect(delegator2_1).depositAsDelegator(validator1, {value: ethers.parseEther('50')})).to.be.revertedWithCustomError(stakeManager, "DelegatorsLimit");
+
+        let tx = stakeManager.connect(distributor).slash([validator1]);
+        await expect(tx).to.emit(stakeManager, "DelegatorSlashed").withArgs(delegator1.address, validator1.address, ethers.parseEther('1'), false);
+        await expect(tx).to.emit(stakeManager, "DelegatorSlashed").withArgs(delegator1.address, validator2.address, ethers.parseEther('1.5'), false);
+        assert.equal((await stakeManager.getSlashHistory(validator1))[0].delegatorsAmount, ethers.parseEther('2.5'));
+        assert.equal(await stakeManager.unbondingDelegatorsPool(), ethers.parseEther('19'));
+
+        // the withdrawal of the entry frees the place
+        await time.increase(86400 * 5);
+        await expect(stakeManager.connect(delegator1).withdrawUnbondedAsDelegator(validator1)).to.changeEtherBalance(delegator1, ethers.parseEther('19'));
+        assert.deepEqual((await stakeManager.getExitedDelegators(validator1))[0], []);
+
+        // so does the withdrawal of a vested deposit, its entry is slashed till the vesting end
+        await stakeManager.grantRole(await stakeManager.SWAP_ROLE(), swap);
+        const vestingEnd = await time.latest() + 86400 * 30;
+        await stakeManager.connect(swap).depositForDelegator(delegator2_1, validator1, vestingEnd, {value: ethers.parseEther('50')});
+        await stakeManager.connect(delegator2_1).delegatorCallForWithdraw(validator1);
+        await time.increase(86400 * 5);
+        await stakeManager.connect(delegator2_1).withdrawAsDelegator(validator1);
+        assert.deepEqual((await stakeManager.getValidatorInfo(validator1)).delegators, []);
+        assert.deepEqual((await stakeManager.getExitedDelegators(validator1))[0], [delegator2_1.address]);
+        tx = stakeManager.connect(distributor).slash([validator1]);
+        await expect(tx).to.emit(stakeManager, "DelegatorSlashed").withArgs(delegator2_1.address, validator1.address, ethers.parseEther('2.5'), false);
+
+        // matured entries aren't liable any more, the next slash drops the delegator
+        await time.increaseTo(vestingEnd);
+        tx = stakeManager.connect(distributor).slash([validator1]);
+        await expect(tx).not.to.emit(stakeManager, "DelegatorSlashed");
+        assert.deepEqual((await stakeManager.getExitedDelegators(validator1))[0], []);
+        await expect(stakeManager.connect(delegator2_1).withdrawUnbondedAsDelegator(validator1)).to.changeEtherBalance(delegator2_1, ethers.parseEther('47.5'));
+      })
+
+      it("Commission changes", async ()=> {
+        const { stakeManager, owner, validator1, validator2, delegator1, distributor } = await loadFixture(deployFixture);
+
+        assert.equal(await stakeManager.commissionChangeDelay(), 86400 * 7);
+        assert.equal(await stakeManager.maxCommissionChange(), 500);
+        await expect(stakeManager.connect(distributor).setCommissionChangeDelay(0)).to.be.revertedWithCustomError(stakeManager, "AccessControlUnauthorizedAccount");
+        await expect(stakeManager.connect(distributor).setMaxCommissionChange(0)).to.be.revertedWithCustomError(stakeManager, "AccessControlUnauthorizedAccount");
+        await expect(stakeManager.setCommissionChangeDelay(86400 * 366)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(86400 * 366);
+        await expect(stakeManager.setMaxCommissionChange(10001)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(10001);
+        await expect(stakeManager.setCommissionChangeDelay(86400 * 3)).to.emit(stakeManager, "CommissionChangeDelayChanged").withArgs(86400 * 3);
+        await expect(stakeManager.setMaxCommissionChange(1000)).to.emit(stakeManager, "MaxCommissionChangeChanged").withArgs(1000);
+
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+        await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('100')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('20')});
+
+        await expect(stakeManager.connect(owner).scheduleCommissionChange(1500)).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(owner.address);
+        await expect(stakeManager.connect(owner).applyCommissionChange()).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(owner.address);
+        await expect(stakeManager.connect(validator1).applyCommissionChange()).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(0);
+        // bounds, the same value and the maximum change
+        await expect(stakeManager.connect(validator1).scheduleCommissionChange(400)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(400);
+        await expect(stakeManager.connect(validator1).scheduleCommissionChange(1000)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(1000);
+        await expect(stakeManager.connect(validator1).scheduleCommissionChange(2001)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(2001);
+
+        await stakeManager.connect(validator1).scheduleCommissionChange(1800);
+        // the new schedule replaces the previous one and restarts the notice period
+        await time.increase(86400);
+        let tx = stakeManager.connect(validator1).scheduleCommissionChange(2000);
+        let effectiveAt = BigInt(await time.latest() + 1 + 86400 * 3);
+        await expect(tx).to.emit(stakeManager, "CommissionChangeScheduled").withArgs(validator1.address, 2000, effectiveAt);
+        assert.deepEqual([...await stakeManager.getPendingCommissionChange(validator1)], [2000n, effectiveAt]);
+        assert.deepEqual([...await stakeManager.getPendingCommissionChange(validator2)], [0n, 0n]);
+        await expect(stakeManager.connect(validator1).applyCommissionChange()).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, effectiveAt);
+
+        // the old commission is in force during the notice period
+        tx = stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('10')], {value: ethers.parseEther('10')});
+        await expect(tx).to.emit(stakeManager, "ValidatorRewarded").withArgs(validator1.address, ethers.parseEther('1'), ethers.parseEther('9'));
+        await expect(tx).not.to.emit(stakeManager, "CommissionChanged");
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).commission, 1000);
+
+        // distribution applies the change once it has taken effect
+        await time.increaseTo(effectiveAt);
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).commission, 2000);
+        assert.deepEqual([...await stakeManager.getPendingCommissionChange(validator1)], [0n, 0n]);
+        tx = stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('10')], {value: ethers.parseEther('10')});
+        await expect(tx).to.emit(stakeManager, "CommissionChanged").withArgs(validator1.address, 1000, 2000);
+        await expect(tx).to.emit(stakeManager, "ValidatorRewarded").withArgs(validator1.address, ethers.parseEther('2'), ethers.parseEther('8'));
+        assert.equal((await stakeManager.delegatorEarnedPerValidator(delegator1, validator1))[1], ethers.parseEther('17'));
+        await expect(stakeManager.connect(validator1).applyCommissionChange()).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(0);
+
+        // the validator applies the change by itself, the next one is limited again
+        await expect(stakeManager.connect(validator1).scheduleCommissionChange(3001)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(3001);
+        await stakeManager.connect(validator1).scheduleCommissionChange(3000);
+        await time.increase(86400 * 3);
+        await expect(stakeManager.connect(validator1).applyCommissionChange()).to.emit(stakeManager, "CommissionChanged").withArgs(validator1.address, 2000, 3000);
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).commission, 3000);
+
+        // stoplisted validator can't schedule, the change is dropped with the withdrawal
+        await stakeManager.connect(validator2).scheduleCommissionChange(500);
+        await stakeManager.connect(validator2).validatorCallForWithdraw();
+        await expect(stakeManager.connect(validator2).scheduleCommissionChange(600)).to.be.revertedWithCustomError(stakeManager, "InStoplistStatus").withArgs(validator2.address, true);
+        await time.increase(86400 * 7);
+        await stakeManager.connect(validator2).withdrawAsValidator();
+        assert.deepEqual([...await stakeManager.getPendingCommissionChange(validator2)], [0n, 0n]);
+        await stakeManager.connect(validator2).depositAsValidator(1200, {value: ethers.parseEther('100')});
+        assert.equal((await stakeManager.getValidatorInfo(validator2)).commission, 1200);
+      })
+
+      it("Commission bounds & delegators limit", async ()=> {
+        const { stakeManager, owner, validator1, validator2, delegator1, delegator2_1, delegator2_2, distributor, swap } = await loadFixture(deployFixture);
+
+        assert.deepEqual([...await stakeManager.limits()], [500n, 3000n, 4800n]);
+        await expect(stakeManager.connect(distributor).setValidatorsMinCommission(0)).to.be.revertedWithCustomError(stakeManager, "AccessControlUnauthorizedAccount");
+        await expect(stakeManager.connect(distributor).setValidatorsMaxCommission(0)).to.be.revertedWithCustomError(stakeManager, "AccessControlUnauthorizedAccount");
+        await expect(stakeManager.connect(distributor).setDelegatorsPerValidatorLimit(0)).to.be.revertedWithCustomError(stakeManager, "AccessControlUnauthorizedAccount");
+        await expect(stakeManager.setValidatorsMinCommission(3001)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(3001);
+        await expect(stakeManager.setValidatorsMaxCommission(499)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(499);
+        await expect(stakeManager.setValidatorsMaxCommission(10001)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(10001);
+        await expect(stakeManager.setDelegatorsPerValidatorLimit(0)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(0);
+
+        await stakeManager.connect(validator1).depositAsValidator(2500, {value: ethers.parseEther('100')});
+
+        // new bounds apply to new validators only
+        await expect(stakeManager.setValidatorsMaxCommission(2000)).to.emit(stakeManager, "ValidatorsMaxCommissionChanged").withArgs(2000);
+        await expect(stakeManager.setValidatorsMinCommission(1000)).to.emit(stakeManager, "ValidatorsMinCommissionChanged").withArgs(1000);
+        assert.deepEqual([...await stakeManager.limits()], [1000n, 2000n, 4800n]);
+        await expect(stakeManager.connect(validator2).depositAsValidator(2001, {value: ethers.parseEther('100')})).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(2001);
+        await expect(stakeManager.connect(validator2).depositAsValidator(999, {value: ethers.parseEther('100')})).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(999);
+        await stakeManager.connect(validator2).depositAsValidator(2000, {value: ethers.parseEther('100')});
+
+        await stakeManager.connect(validator1).depositAsValidator(0, {value: ethers.parseEther('10')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+        await expect(stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('10')], {value: ethers.parseEther('10')})).to.emit(stakeManager, "ValidatorRewarded").withArgs(validator1.address, ethers.parseEther('2.5'), ethers.parseEther('7.5'));
+        // out of bounds commission can only move into them
+        await expect(stakeManager.connect(validator1).scheduleCommissionChange(2100)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(2100);
+        await stakeManager.connect(validator1).scheduleCommissionChange(2000);
+
+        // lowered delegators limit keeps current delegators
+        await stakeManager.connect(delegator2_1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+        await stakeManager.connect(delegator2_2).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+        await stakeManager.connect(swap).depositAsDelegator(validator2, {value: ethers.parseEther('10')});
+        await expect(stakeManager.setDelegatorsPerValidatorLimit(2)).to.emit(stakeManager, "DelegatorsPerValidatorLimitChanged").withArgs(2);
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).delegators.length, 3);
+
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+        await expect(stakeManager.connect(swap).depositAsDelegator(validator1, {value: ethers.parseEther('10')})).to.be.revertedWithCustomError(stakeManager, "DelegatorsLimit");
+        await expect(stakeManager.connect(swap).redelegate(validator2, validator1, ethers.parseEther('10'))).to.be.revertedWithCustomError(stakeManager, "DelegatorsLimit");
+
+        // a free place appears only below the new limit
+        await stakeManager.connect(delegator2_1).delegatorCallForWithdraw(validator1);
+        await time.increase(86400 * 5);
+        await stakeManager.connect(delegator2_1).withdrawAsDelegator(validator1);
+        await expect(stakeManager.connect(swap).depositAsDelegator(validator1, {value: ethers.parseEther('10')})).to.be.revertedWithCustomError(stakeManager, "DelegatorsLimit");
+        await stakeManager.connect(delegator2_2).delegatorCallForWithdraw(validator1);
+        await time.increase(86400 * 5);
+        await stakeManager.connect(delegator2_2).withdrawAsDelegator(validator1);
+        await stakeManager.connect(swap).redelegate(validator2, validator1, ethers.parseEther('10'));
+        assert.deepEqual([...(await stakeManager.getValidatorInfo(validator1)).delegators], [delegator1.address, swap.address]);
+
+        // defaults are only for proxies upgraded from the first release, new deployments can't reset their settings
+        await expect(stakeManager.connect(distributor).initializeV2()).to.be.revertedWithCustomError(stakeManager, "InvalidInitialization");
+        await expect(stakeManager.connect(owner).initializeV2()).to.be.revertedWithCustomError(stakeManager, "InvalidInitialization");
+        assert.equal((await stakeManager.limits()).delegatorsPerValidator, 2);
+      })
+
+      it("Paginated views", async ()=> {
+        const { stakeManager, owner, validator1, validator2, delegator1 } = await loadFixture(deployFixture);
+
+        const DelegatorsFiller = await ethers.getContractFactory("DelegatorsFiller");
+        const filler = await DelegatorsFiller.deploy();
+
+        await stakeManager.connect(validator1).depositAsValidator(2000, {value: ethers.parseEther('100')});
+        await stakeManager.connect(validator2).depositAsValidator(2000, {value: ethers.parseEther('200')});
+        await stakeManager.connect(owner).depositAsValidator(2000, {value: ethers.parseEther('300')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+        await stakeManager.setDelegatorsMinimum(ethers.parseEther('0.01'));
+        for(let i = 0; i < 60; i++) {
+          await filler.fill(stakeManager, validator1, 50, {value: ethers.parseEther('0.5')});
+        }
+
+        assert.equal(await stakeManager.getDelegatorsCount(validator1), 3001n);
+        assert.equal(await stakeManager.getDelegatorsCount(validator2), 0n);
+        // the full delegators info doesn't fit into the call gas limit any more, their addresses still do
+        const callGasLimit = 16_777_216;
+        await expect(stakeManager.getDelegatorsInfoPerValidator(validator1, {gasLimit: callGasLimit})).to.be.reverted;
+        const all = await stakeManager.getValidatorInfo(validator1, {gasLimit: callGasLimit});
+
+        // pages cover the whole list in the same order
+        let delegators = [];
+        let infos = [];
+        for(let offset = 0; offset < 3001; offset += 500) {
+          const page = await stakeManager.getValidatorInfoPage(validator1, offset, 500);
+          const [pageDelegators, pageInfos] = await stakeManager.getDelegatorsInfoPerValidatorPage(validator1, offset, 500, {gasLimit: callGasLimit});
+          assert.deepEqual([...page.delegators], [...pageDelegators]);
+          assert.equal(page.amount, all.amount);
+          assert.equal(page.delegatedAmount, all.delegatedAmount);
+          delegators.push(...pageDelegators);
+          infos.push(...pageInfos);
+        }
+        assert.equal(delegators.length, 3001);
+        assert.deepEqual(delegators, [...all.delegators]);
+        assert.equal(delegators[0], delegator1.address);
+        assert.equal(infos[0].amount, ethers.parseEther('10'));
+        for(const i of [1, 1500, 3000]) {
+          const [, [info]] = await stakeManager.getDelegatorInfo(delegators[i]);
+          assert.equal(String(infos[i]), String(info));
+          assert.equal(info.amount, ethers.parseEther('0.01'));
+        }
+
+        // the last page is cut, out of range pages are empty
+        assert.equal((await stakeManager.getValidatorInfoPage(validator1, 3000, 1000)).delegators.length, 1);
+        assert.equal((await stakeManager.getValidatorInfoPage(validator1, 3001, 1000)).delegators.length, 0);
+        assert.equal((await stakeManager.getValidatorInfoPage(validator1, 0, 0)).delegators.length, 0);
+        assert.equal((await stakeManager.getValidatorInfoPage(validator1, 0, ethers.MaxUint256)).delegators.length, 3001);
+        const [emptyDelegators, emptyInfos] = await stakeManager.getDelegatorsInfoPerValidatorPage(validator2, 0, 10);
+        assert.equal(emptyDelegators.length + emptyInfos.length, 0);
+
+        // validators lists
+        assert.equal(await stakeManager.getActiveValidatorsCount(), 3n);
+        assert.equal(await stakeManager.getStoppedValidatorsCount(), 0n);
+        const [activeValidators, activeAmounts] = await stakeManager.getActiveValidatorsPage(1, 5);
+        assert.deepEqual([...activeValidators], [validator2.address, owner.address]);
+        assert.deepEqual(activeAmounts.map(String), [
+          [ethers.parseEther('200'), 0n, 0n].join(","),
+          [ethers.parseEther('300'), 0n, 0n].join(","),
+        ]);
+        assert.equal((await stakeManager.getActiveValidatorsPage(3, 5)).validators.length, 0);
+
+        await stakeManager.connect(validator2).validatorCallForWithdraw();
+        assert.equal(await stakeManager.getActiveValidatorsCount(), 2n);
+        assert.equal(await stakeManager.getStoppedValidatorsCount(), 1n);
+        const [stoppedValidators, stoppedAmounts] = await stakeManager.getStoppedValidatorsPage(0, 1);
+        assert.deepEqual([...stoppedValidators], [validator2.address]);
+        assert.equal(stoppedAmounts[0][0], ethers.parseEther('200'));
+        assert.equal((await stakeManager.getStoppedValidatorsPage(1, 1)).validators.length, 0);
+        assert.deepEqual([...(await stakeManager.getActiveValidatorsPage(0, 10)).validators], [...(await stakeManager.getActiveValidators()).validators]);
+      })
+
+      it("Validator exit in batches", async ()=> {
+        const { stakeManager, validator1, validator2, delegator1, delegator2_1, delegator2_2, swap } = await loadFixture(deployFixture);
+
+        const filler = await ethers.deployContract("DelegatorsFiller");
+        const maliciousDelegator = await ethers.deployContract("MaliciousDelegator", [stakeManager]);
+
+        await stakeManager.setDelegatorsMinimum(ethers.parseEther('0.01'));
+        await stakeManager.connect(validator1).depositAsValidator(2000, {value: ethers.parseEther('100')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+        await maliciousDelegator.connect(delegator1).deposit(validator1, {value: ethers.parseEther('10')});
+        for(let i = 0; i < 5; i++) {
+          await filler.fill(stakeManager, validator1, 50, {value: ethers.parseEther('0.5')});
+        }
+        assert.equal(await stakeManager.getDelegatorsCount(validator1), 252n);
+
+        await expect(stakeManager.withdrawValidatorDelegators(validator1, 100)).to.be.revertedWithCustomError(stakeManager, "InStoplistStatus").withArgs(validator1.address, false);
+        await stakeManager.connect(validator1).validatorCallForWithdraw();
+        await expect(stakeManager.withdrawValidatorDelegators(validator1, 100)).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, await time.latest() + 86400 * 7);
+        await time.increase(86400 * 7);
+
+        // anyone settles delegators from the end of the list, the validator stays in the stop list
+        await expect(stakeManager.connect(swap).withdrawValidatorDelegators(validator1, 100)).to.emit(stakeManager, "ValidatorDelegatorsWithdrawed").withArgs(validator1.address, 100, 152);
+        assert.equal(await stakeManager.stoppedDelegatorsPool(), ethers.parseEther('21.5'));
+        let info = await stakeManager.getValidatorInfo(validator1);
+        assert.equal(info.stoppedDelegatedAmount, ethers.parseEther('21.5'));
+        assert.equal(info.amount, ethers.parseEther('100'));
+        assert.deepEqual([...info.delegators.slice(0, 2)], [delegator1.address, maliciousDelegator.target]);
+        assert.deepEqual([...(await stakeManager.getStoppedValidators()).validators], [validator1.address]);
+
+        // delegators can still pull their own funds meanwhile
+        await stakeManager.connect(delegator1).withdrawAsDelegator(validator1);
+        assert.equal(await stakeManager.stoppedDelegatorsPool(), ethers.parseEther('11.5'));
+        assert.equal(await stakeManager.isDelegator(delegator1), false);
+
+        await expect(stakeManager.withdrawValidatorDelegators(validator1, 100)).to.emit(stakeManager, "ValidatorDelegatorsWithdrawed").withArgs(validator1.address, 100, 51);
+        assert.equal(await stakeManager.stoppedDelegatorsPool(), ethers.parseEther('10.5'));
+
+        // the validator record is finalized only with the rest of delegators, failed transfers don't block it
+        await expect(stakeManager.connect(validator1).withdrawAsValidator()).to.emit(stakeManager, "ValidatorWithdrawed").withArgs(validator1.address);
+        assert.equal(await stakeManager.unusualDepositor(maliciousDelegator), ethers.parseEther('10'));
+        assert.equal(await stakeManager.stoppedDelegatorsPool(), 0);
+        assert.equal(await stakeManager.getDelegatorsCount(validator1), 0);
+        assert.equal(await stakeManager.isValidator(validator1), false);
+        assert.equal(await stakeManager.stoppedValidatorsPool(), 0);
+        await expect(stakeManager.withdrawValidatorDelegators(validator1, 1)).to.be.revertedWithCustomError(stakeManager, "InStoplistStatus").withArgs(validator1.address, false);
+
+        // revive after a partial exit keeps the rest of delegators
+        await stakeManager.connect(validator2).depositAsValidator(2000, {value: ethers.parseEther('100')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator2, {value: ethers.parseEther('10')});
+        await stakeManager.connect(delegator2_1).depositAsDelegator(validator2, {value: ethers.parseEther('20')});
+        await stakeManager.connect(delegator2_2).depositAsDelegator(validator2, {value: ethers.parseEther('30')});
+        await stakeManager.connect(validator2).validatorCallForWithdraw();
+        await time.increase(86400 * 7);
+        await expect(stakeManager.withdrawValidatorDelegators(validator2, 2)).to.changeEtherBalances([delegator2_1, delegator2_2], [ethers.parseEther('20'), ethers.parseEther('30')]);
+        await stakeManager.connect(validator2).reviveAsValidator();
+        info = await stakeManager.getValidatorInfo(validator2);
+        assert.deepEqual([...info.delegators], [delegator1.address]);
+        assert.equal(info.delegatedAmount, ethers.parseEther('10'));
+        assert.equal(info.stoppedDelegatedAmount, 0);
+        assert.equal(await stakeManager.totalDelegatorsPool(), ethers.parseEther('10'));
+        assert.equal(await stakeManager.stoppedDelegatorsPool(), 0);
+      })
+
+      it("Emergency pause", async ()=> {
+        const { owner, stakeManager, distributor, validator1, validator2, delegator1, delegator2_1, swap } = await loadFixture(deployFixture);
+        const guardian = swap;
+        const [Deposits, Claims, Withdrawals, Distribution, Slashing] = [0, 1, 2, 3, 4];
+        const MAX_UINT = ethers.MaxUint256;
+
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+        await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('100')});
+        await stakeManager.connect(delegator2_1).depositAsDelegator(validator2, {value: ethers.parseEther('10')});
+        await stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('1')], {value: ethers.parseEther('1')});
+
+        await expect(stakeManager.connect(guardian).pause(Deposits)).to.be.revertedWithCustomError(stakeManager, "AccessControlUnauthorizedAccount").withArgs(guardian.address, await stakeManager.GUARDIAN_ROLE());
+        await stakeManager.grantRole(await stakeManager.GUARDIAN_ROLE(), guardian);
+
+        // deposits, claims, distribution and slashing are paused till the admin unpauses them
+        for (const subsystem of [Deposits, Claims, Distribution, Slashing]) {
+          await expect(stakeManager.connect(guardian).pause(subsystem)).to.emit(stakeManager, "SubsystemPaused").withArgs(subsystem, MAX_UINT);
+          assert.equal(await stakeManager.pausedUntil(subsystem), MAX_UINT);
+          await expect(stakeManager.connect(guardian).pause(subsystem)).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(subsystem, MAX_UINT);
+        }
+        await expect(stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')})).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Deposits, MAX_UINT);
+        await expect(stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('10'))).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Deposits, MAX_UINT);
+        await expect(stakeManager.connect(validator1).claimAsValidator()).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Claims, MAX_UINT);
+        await expect(stakeManager.connect(validator1).restakeAsValidator()).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Claims, MAX_UINT);
+        await expect(stakeManager.connect(delegator1).restakeAsDelegator(validator1)).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Claims, MAX_UINT);
+        await expect(stakeManager.connect(distributor).distributeRewards([validator1], [1], {value: 1})).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Distribution, MAX_UINT);
+        await expect(stakeManager.connect(distributor).slash([validator1])).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Slashing, MAX_UINT);
+
+        // views and not paused subsystems keep working
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).amount, ethers.parseEther('100'));
+        assert.equal((await stakeManager.getActiveValidators()).validators.length, 2);
+        assert.isAbove((await stakeManager.delegatorEarnedPerValidator(delegator1, validator1)).fixedReward, 0);
+        await stakeManager.connect(validator2).validatorCallForWithdraw();
+
+        // withdrawals are paused for MAX_WITHDRAWALS_PAUSE at most
+        const MAX_WITHDRAWALS_PAUSE = await stakeManager.MAX_WITHDRAWALS_PAUSE();
+        assert.equal(MAX_WITHDRAWALS_PAUSE, 86400 * 7);
+        await time.increase(86400 * 7);
+        await expect(stakeManager.connect(guardian).pause(Withdrawals)).to.emit(stakeManager, "SubsystemPaused").withArgs(Withdrawals, await time.latest() + 1 + 86400 * 7);
+        let pausedUntil = await stakeManager.pausedUntil(Withdrawals);
+        await expect(stakeManager.connect(validator2).withdrawAsValidator()).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+        await expect(stakeManager.withdrawForValidator(validator2)).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+        await expect(stakeManager.withdrawValidatorDelegators(validator2, 1)).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+        await expect(stakeManager.withdrawForDelegators(validator2, [delegator2_1])).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+        await expect(stakeManager.connect(delegator2_1).withdrawAsDelegator(validator2)).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+        await expect(stakeManager.connect(validator1).withdrawUnbondedAsValidator()).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+        await expect(stakeManager.connect(delegator1).withdrawUnbondedAsDelegator(validator1)).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+        await expect(stakeManager.connect(validator1).validatorUnbond(ethers.parseEther('1'))).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+        await expect(stakeManager.connect(delegator1).delegatorUnbond(validator1, ethers.parseEther('1'))).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+        await expect(stakeManager.connect(delegator1).claimAsUnusualDepositor(delegator1)).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+        // the withdraw cooldown doesn't run during the pause
+        await expect(stakeManager.connect(validator1).validatorCallForWithdraw()).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+        await expect(stakeManager.connect(delegator1).delegatorCallForWithdraw(validator1)).to.be.revertedWithCustomError(stakeManager, "InPause").withArgs(Withdrawals, pausedUntil);
+
+        // the pause can't be extended: the next one is possible MAX_WITHDRAWALS_PAUSE after the end of the previous
+        await expect(stakeManager.connect(guardian).pause(Withdrawals)).to.be.revertedWithCustomError(stakeManager, "PauseTooLong").withArgs(pausedUntil + MAX_WITHDRAWALS_PAUSE);
+        await time.increaseTo(pausedUntil);
+        await expect(stakeManager.connect(validator2).withdrawAsValidator()).to.emit(stakeManager, "ValidatorWithdrawed").withArgs(validator2.address);
+        await time.increaseTo(pausedUntil + MAX_WITHDRAWALS_PAUSE - 2n);
+        await expect(stakeManager.connect(guardian).pause(Withdrawals)).to.be.revertedWithCustomError(stakeManager, "PauseTooLong").withArgs(pausedUntil + MAX_WITHDRAWALS_PAUSE);
+        await stakeManager.connect(guardian).pause(Withdrawals);
+        pausedUntil = await stakeManager.pausedUntil(Withdrawals);
+
+        // only the admin unpauses
+        await expect(stakeManager.connect(guardian).unpause(Withdrawals)).to.be.revertedWithCustomError(stakeManager, "AccessControlUnauthorizedAccount").withArgs(guardian.address, ethers.ZeroHash);
+        await expect(stakeManager.unpause(Withdrawals)).to.emit(stakeManager, "SubsystemUnpaused").withArgs(Withdrawals);
+        const unpaused = await time.latest();
+        assert.equal(await stakeManager.pausedUntil(Withdrawals), unpaused);
+        await expect(stakeManager.unpause(Withdrawals)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(Withdrawals);
+        // the early unpause still counts as the end of the pause
+        await expect(stakeManager.connect(guardian).pause(Withdrawals)).to.be.revertedWithCustomError(stakeManager, "PauseTooLong").withArgs(unpaused + 86400 * 7);
+        for (const subsystem of [Deposits, Claims, Distribution, Slashing]) {
+          await stakeManager.connect(owner).unpause(subsystem);
+          assert.equal(await stakeManager.pausedUntil(subsystem), await time.latest());
+        }
+        await stakeManager.connect(validator1).claimAsValidator();
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+        await stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('1')], {value: ethers.parseEther('1')});
+        await stakeManager.connect(distributor).slash([validator1]);
+      })
+
+      it("Jail & unjail", async ()=> {
+        const { owner, stakeManager, distributor, validator1, validator2, delegator1, delegator2_1, swap } = await loadFixture(deployFixture);
+
+        await owner.sendTransaction({to: stakeManager.target, value: ethers.parseEther('100')});
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+        const delegated = await time.latest();
+        await stakeManager.connect(delegator2_1).depositAsDelegator(validator1, {value: ethers.parseEther('20')});
+        await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('100')});
+        await time.increase(86400 * 10);
+
+        await expect(stakeManager.connect(swap).jail(validator1, 86400 * 30, "downtime")).to.be.revertedWithCustomError(stakeManager, "AccessControlUnauthorizedAccount").withArgs(swap.address, ethers.ZeroHash);
+        await expect(stakeManager.jail(delegator1, 86400 * 30, "downtime")).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(delegator1.address);
+        await expect(stakeManager.jail(validator2, 0, "downtime")).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(0);
+
+        let tx = stakeManager.jail(validator1, 86400 * 30, "downtime");
+        await expect(tx).to.emit(stakeManager, "ValidatorJailed").withArgs(validator1.address, await time.latest() + 1 + 86400 * 30, "downtime");
+        await expect(tx).to.emit(stakeManager, "ValidatorCalledForWithdraw").withArgs(validator1.address);
+        const jailed = await time.latest();
+        const jailedUntil = jailed + 86400 * 30;
+        assert.equal(await stakeManager.jailedUntil(validator1), jailedUntil);
+        await expect(stakeManager.jail(validator1, 86400, "downtime")).to.be.revertedWithCustomError(stakeManager, "Jailed").withArgs(validator1.address, jailedUntil);
+
+        // funds stay, the validator leaves the active list
+        assert.deepEqual([...(await stakeManager.getActiveValidators()).validators], [validator2.address]);
+        assert.deepEqual([...(await stakeManager.getStoppedValidators()).validators], [validator1.address]);
+        assert.equal(await stakeManager.totalValidatorsPool(), ethers.parseEther('100'));
+        assert.equal(await stakeManager.stoppedValidatorsPool(), ethers.parseEther('100'));
+        assert.equal(await stakeManager.stoppedDelegatorsPool(), ethers.parseEther('30'));
+
+        // fixed rewards don't accrue, distributed rewards are skipped
+        const validatorEarned = await stakeManager.validatorEarned(validator1);
+        const delegatorEarned = await stakeManager.delegatorEarnedPerValidator(delegator2_1, validator1);
+        await expect(stakeManager.connect(distributor).distributeRewards([validator1, validator2], [ethers.parseEther('1'), ethers.parseEther('1')], {value: ethers.parseEther('2')})).to.emit(stakeManager, "RewardSkipped").withArgs(validator1.address, ethers.parseEther('1'));
+        await time.increase(86400 * 10);
+        assert.deepEqual(await stakeManager.validatorEarned(validator1), validatorEarned);
+        assert.deepEqual(await stakeManager.delegatorEarnedPerValidator(delegator2_1, validator1), delegatorEarned);
+        await expect(stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')})).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(validator1.address);
+
+        // delegators leave at once by themselves, the validator waits for the jail end
+        await expect(stakeManager.withdrawForDelegators(validator1, [delegator1])).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(true, delegated + 86400 * 30);
+        tx = stakeManager.connect(delegator1).withdrawAsDelegator(validator1);
+        await expect(tx).to.emit(stakeManager, "DelegatorWithdrawed").withArgs(delegator1.address, validator1.address);
+        const delegator1Earned = await stakeManager.delegatorEarnedPerValidator(delegator1, validator1);
+        assert.equal(await stakeManager.isDelegator(delegator1), false);
+        assert.equal(await stakeManager.stoppedDelegatorsPool(), ethers.parseEther('20'));
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).stoppedDelegatedAmount, ethers.parseEther('20'));
+
+        await expect(stakeManager.connect(validator1).withdrawAsValidator()).to.be.revertedWithCustomError(stakeManager, "Jailed").withArgs(validator1.address, jailedUntil);
+        await expect(stakeManager.withdrawValidatorDelegators(validator1, 1)).to.be.revertedWithCustomError(stakeManager, "Jailed").withArgs(validator1.address, jailedUntil);
+        await expect(stakeManager.connect(validator1).reviveAsValidator()).to.be.revertedWithCustomError(stakeManager, "Jailed").withArgs(validator1.address, jailedUntil);
+        await expect(stakeManager.connect(validator1).unjail()).to.be.revertedWithCustomError(stakeManager, "Jailed").withArgs(validator1.address, jailedUntil);
+
+        // unjail returns the validator with the rest of its delegators
+        await time.increaseTo(jailedUntil);
+        await expect(stakeManager.connect(validator2).unjail()).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(validator2.address);
+        tx = stakeManager.connect(validator1).unjail();
+        await expect(tx).to.emit(stakeManager, "ValidatorUnjailed").withArgs(validator1.address);
+        await expect(tx).to.emit(stakeManager, "ValidatorRevived").withArgs(validator1.address);
+        assert.equal(await stakeManager.jailedUntil(validator1), 0);
+        assert.equal((await stakeManager.getActiveValidators()).validators.length, 2);
+        assert.equal(await stakeManager.totalValidatorsPool(), ethers.parseEther('200'));
+        assert.equal(await stakeManager.totalDelegatorsPool(), ethers.parseEther('20'));
+        assert.equal(await stakeManager.stoppedDelegatorsPool(), 0);
+        let info = await stakeManager.getValidatorInfo(validator1);
+        assert.deepEqual([...info.delegators], [delegator2_1.address]);
+        assert.equal(info.delegatedAmount, ethers.parseEther('20'));
+        await time.increase(86400);
+        assert.isAbove((await stakeManager.validatorEarned(validator1)).fixedReward, validatorEarned.fixedReward);
+        assert.isAbove((await stakeManager.delegatorEarnedPerValidator(delegator2_1, validator1)).fixedReward, delegatorEarned.fixedReward);
+        assert.deepEqual(await stakeManager.delegatorEarnedPerValidator(delegator1, validator1), delegator1Earned);
+
+        // a stop-listed validator is jailed too, it can withdraw after the jail ends
+        await stakeManager.connect(validator2).validatorCallForWithdraw();
+        await stakeManager.jail(validator2, 86400 * 30, "double sign");
+        await time.increase(86400 * 7);
+        await expect(stakeManager.connect(validator2).withdrawAsValidator()).to.be.revertedWithCustomError(stakeManager, "Jailed");
+        await time.increase(86400 * 23);
+        await expect(stakeManager.connect(validator2).withdrawAsValidator()).to.changeEtherBalance(validator2, ethers.parseEther('100') + (await stakeManager.validatorEarned(validator2)).fixedReward + ethers.parseEther('1'));
+        assert.equal(await stakeManager.jailedUntil(validator2), 0);
+        assert.equal(await stakeManager.isValidator(validator2), false);
+      })
+
+      it("Double sign evidence", async ()=> {
+        const { owner, stakeManager, distributor, slashReceiver, validator1, validator2, delegator1, delegator2_1, swap } = await loadFixture(deployFixture);
+        const reporter = swap;
+        const { chainId } = await ethers.provider.getNetwork();
+        const key = ethers.Wallet.createRandom();
+        const otherKey = ethers.Wallet.createRandom();
+
+        assert.deepEqual([...(await stakeManager.doubleSign())], [500n, 1000n]);
+        await expect(stakeManager.setDoubleSignSlashPercent(10001)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(10001);
+        await expect(stakeManager.setDoubleSignReporterShare(10001)).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(10001);
+        await expect(stakeManager.connect(reporter).setDoubleSignSlashPercent(1000)).to.be.revertedWithCustomError(stakeManager, "AccessControlUnauthorizedAccount");
+        await expect(stakeManager.setDoubleSignSlashPercent(1000)).to.emit(stakeManager, "DoubleSignSlashPercentChanged").withArgs(1000);
+        await expect(stakeManager.setDoubleSignReporterShare(2000)).to.emit(stakeManager, "DoubleSignReporterShareChanged").withArgs(2000);
+
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('200')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('100')});
+        await stakeManager.connect(delegator2_1).depositAsDelegator(validator1, {value: ethers.parseEther('50')});
+        await stakeManager.connect(validator2).depositAsValidator(1000, {value: ethers.parseEther('100')});
+
+        // the key proves its possession for the validator
+        await expect(stakeManager.connect(delegator1).registerSigningKey(key.address, await signSigningKey(key, chainId, stakeManager, delegator1))).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(delegator1.address);
+        await expect(stakeManager.connect(validator1).registerSigningKey(key.address, await signSigningKey(key, chainId, stakeManager, validator2))).to.be.revertedWithCustomError(stakeManager, "InvalidSignature");
+        await expect(stakeManager.connect(validator1).registerSigningKey(key.address, await signSigningKey(otherKey, chainId, stakeManager, validator1))).to.be.revertedWithCustomError(stakeManager, "InvalidSignature").withArgs(otherKey.address);
+        await expect(stakeManager.connect(validator1).registerSigningKey(key.address, await signSigningKey(key, chainId, stakeManager, validator1))).to.emit(stakeManager, "SigningKeyRegistered").withArgs(validator1.address, key.address);
+        assert.equal(await stakeManager.signingKeys(validator1), key.address);
+        assert.equal(await stakeManager.signingKeyValidator(key.address), validator1.address);
+        await expect(stakeManager.connect(validator2).registerSigningKey(key.address, await signSigningKey(key, chainId, stakeManager, validator2))).to.be.revertedWithCustomError(stakeManager, "InvalidSignature").withArgs(key.address);
+
+        const first = await signHeader(key, chainId, 100, ethers.id("block A"));
+        const second = await signHeader(key, chainId, 100, ethers.id("block B"));
+        await expect(stakeManager.submitDoubleSignEvidence(first, first)).to.be.revertedWithCustomError(stakeManager, "InvalidEvidence");
+        await expect(stakeManager.submitDoubleSignEvidence(first, await signHeader(key, chainId, 101, ethers.id("block B")))).to.be.revertedWithCustomError(stakeManager, "InvalidEvidence");
+        await expect(stakeManager.submitDoubleSignEvidence(first, await signHeader(otherKey, chainId, 100, ethers.id("block B")))).to.be.revertedWithCustomError(stakeManager, "InvalidEvidence");
+        await expect(stakeManager.submitDoubleSignEvidence(await signHeader(otherKey, chainId, 100, ethers.id("block A")), await signHeader(otherKey, chainId, 100, ethers.id("block B")))).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(ethers.ZeroAddress);
+        await expect(stakeManager.submitDoubleSignEvidence(first, {...second, signature: "0x1234"})).to.be.reverted;
+
+        await stakeManager.grantRole(await stakeManager.GUARDIAN_ROLE(), owner);
+        await stakeManager.pause(4);
+        await expect(stakeManager.connect(reporter).submitDoubleSignEvidence(first, second)).to.be.revertedWithCustomError(stakeManager, "InPause");
+        await stakeManager.unpause(4);
+
+        await expect(stakeManager.connect(validator1).submitDoubleSignEvidence(first, second)).to.be.revertedWithCustomError(stakeManager, "SelfReport").withArgs(validator1.address);
+
+        // 10% of 200 + 10% of 150 slashed, 20% of the validator's part goes to the reporter
+        let tx = stakeManager.connect(reporter).submitDoubleSignEvidence(first, second);
+        await expect(tx).to.changeEtherBalances([reporter, slashReceiver], [ethers.parseEther('4'), ethers.parseEther('31')]);
+        const reported = await time.latest();
+        await expect(tx).to.emit(stakeManager, "DoubleSignReported").withArgs(validator1.address, reporter.address, 100, ethers.parseEther('35'), ethers.parseEther('4'));
+        await expect(tx).to.emit(stakeManager, "ValidatorSlashed").withArgs(validator1.address, ethers.parseEther('20'), 0, ethers.parseEther('15'), false);
+        await expect(tx).to.emit(stakeManager, "ValidatorJailed").withArgs(validator1.address, reported, "double sign");
+        await expect(tx).to.emit(stakeManager, "ValidatorCalledForWithdraw").withArgs(validator1.address);
+
+        assert.equal(await stakeManager.tombstoned(validator1), true);
+        assert.equal(await stakeManager.jailedUntil(validator1), reported);
+        assert.deepEqual([...(await stakeManager.getStoppedValidators()).validators], [validator1.address]);
+        assert.equal(await stakeManager.stoppedValidatorsPool(), ethers.parseEther('180'));
+        assert.equal(await stakeManager.stoppedDelegatorsPool(), ethers.parseEther('135'));
+        assert.equal((await stakeManager.getDelegatorInfo(delegator1))[1][0].amount, ethers.parseEther('90'));
+        assert.equal((await stakeManager.getSlashHistory(validator1)).length, 1);
+
+        // the evidence is used once, the validator never returns
+        await expect(stakeManager.connect(reporter).submitDoubleSignEvidence(first, second)).to.be.revertedWithCustomError(stakeManager, "Tombstoned").withArgs(validator1.address);
+        await expect(stakeManager.connect(validator1).unjail()).to.be.revertedWithCustomError(stakeManager, "Tombstoned").withArgs(validator1.address);
+        await expect(stakeManager.connect(validator1).reviveAsValidator({value: ethers.parseEther('20')})).to.be.revertedWithCustomError(stakeManager, "Jailed").withArgs(validator1.address, reported);
+        await expect(stakeManager.connect(validator1).registerSigningKey(otherKey.address, await signSigningKey(otherKey, chainId, stakeManager, validator1))).to.be.revertedWithCustomError(stakeManager, "Tombstoned").withArgs(validator1.address);
+        await expect(stakeManager.connect(distributor).distributeRewards([validator1], [1], {value: 1})).to.emit(stakeManager, "RewardSkipped").withArgs(validator1.address, 1);
+
+        // delegators leave at once, the validator - after the withdraw cooldown
+        await expect(stakeManager.connect(delegator1).withdrawAsDelegator(validator1)).to.changeEtherBalance(delegator1, ethers.parseEther('90'));
+        await expect(stakeManager.connect(validator1).withdrawAsValidator()).to.be.revertedWithCustomError(stakeManager, "Cooldown");
+        await time.increase(86400 * 7);
+        await stakeManager.connect(validator1).withdrawAsValidator();
+        assert.equal(await stakeManager.isValidator(validator1), false);
+        assert.equal(await stakeManager.tombstoned(validator1), true);
+        await expect(stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('200')})).to.be.revertedWithCustomError(stakeManager, "Tombstoned").withArgs(validator1.address);
+        await expect(stakeManager.connect(reporter).submitDoubleSignEvidence(first, second)).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(validator1.address);
+      })
+
+      it("Double sign reporting doesn't pay the validator with its delegators' stake", async ()=> {
+        const { stakeManager, slashReceiver, validator1, delegator1, delegator2_1, swap } = await loadFixture(deployFixture);
+        const { chainId } = await ethers.provider.getNetwork();
+        const key = ethers.Wallet.createRandom();
+        // an address the validator controls
+        const ownReporter = swap;
+
+        // delegated stake is 20 times the validator's deposit
+        await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('1000')});
+        await stakeManager.connect(delegator2_1).depositAsDelegator(validator1, {value: ethers.parseEther('1000')});
+        await stakeManager.connect(validator1).registerSigningKey(key.address, await signSigningKey(key, chainId, stakeManager, validator1));
+
+        const first = await signHeader(key, chainId, 100, ethers.id("block A"));
+        const second = await signHeader(key, chainId, 100, ethers.id("block B"));
+        await expect(stakeManager.connect(validator1).submitDoubleSignEvidence(first, second)).to.be.revertedWithCustomError(stakeManager, "SelfReport").withArgs(validator1.address);
+
+        // 5% of 100 + 5% of 2000 slashed, the reward is 10% of the validator's 5 only
+        const tx = stakeManager.connect(ownReporter).submitDoubleSignEvidence(first, second);
+        await expect(tx).to.changeEtherBalances([ownReporter, slashReceiver], [ethers.parseEther('0.5'), ethers.parseEther('104.5')]);
+        await expect(tx).to.emit(stakeManager, "DoubleSignReported").withArgs(validator1.address, ownReporter.address, 100, ethers.parseEther('105'), ethers.parseEther('0.5'));
+        assert.equal((await stakeManager.getValidatorInfo(validator1)).amount, ethers.parseEther('95'));
+        // reporting itself costs the validator more than it gets back
+        assert.isBelow(ethers.parseEther('0.5'), ethers.parseEther('100') - (await stakeManager.getValidatorInfo(validator1)).amount);
+      })
+
       it("Slashing mechanism", async ()=> {
         const { stakeManager, validator1, validator2, delegator1, delegator2_1, delegator2_2, distributor, owner, slashReceiver } = await loadFixture(deployFixture);
 
@@ -818,6 +1789,74 @@ describe("CRATStakeManager", function () {
         await expect(stakeManager.withdrawForValidator(validator1)).to.changeEtherBalances([stakeManager, validator1, delegator1, owner], [-(ownerReward[0] + ownerReward[1] + ethers.parseEther('27.075')), 0, ethers.parseEther('9.025'), ownerReward[0] + ownerReward[1] + ethers.parseEther('18.05')]);
       })
 
+      it("Slashing events & history", async ()=> {
+        const { stakeManager, validator1, validator2, delegator1, delegator2_1, delegator2_2, distributor, owner } = await loadFixture(deployFixture);
+
+        await stakeManager.setValidatorsAmountToSlash(ethers.parseEther('10'));
+
+        await stakeManager.connect(validator1).depositAsValidator(700, {value: ethers.parseEther('105')}); // to be slashed under the threshold
+        await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')}); // to be slashed under the threshold
+        await stakeManager.connect(owner).depositAsDelegator(validator1, {value: ethers.parseEther('20')}); // to be slashed above the threshold
+
+        await stakeManager.connect(validator2).depositAsValidator(1200, {value: ethers.parseEther('200')}); // stop-listed before slashing
+        await stakeManager.connect(delegator2_1).depositAsDelegator(validator2, {value: ethers.parseEther('20')});
+        await stakeManager.connect(validator2).validatorCallForWithdraw();
+
+        const slashEvents = async (tx) => (await (await tx).wait()).logs
+          .map((log) => stakeManager.interface.parseLog(log))
+          .filter((event) => event && ["ValidatorSlashed", "DelegatorSlashed"].includes(event.name))
+          .map((event) => [event.name, ...event.args]);
+
+        let tx = stakeManager.connect(distributor).slash([validator1, validator2]);
+        await expect(tx).to.emit(stakeManager, "ValidatorCalledForWithdraw").withArgs(validator1.address);
+        const slashTime = await time.latest();
+        assert.deepEqual(await slashEvents(tx), [
+          // active validator under the threshold: moved to the stop list, delegators slashed as stopped ones
+          ["ValidatorSlashed", validator1.address, ethers.parseEther('10'), 0n, ethers.parseEther('1.5'), true],
+          ["DelegatorSlashed", delegator1.address, validator1.address, ethers.parseEther('0.5'), true],
+          ["DelegatorSlashed", owner.address, validator1.address, ethers.parseEther('1'), false],
+          // stop-listed validator
+          ["ValidatorSlashed", validator2.address, ethers.parseEther('10'), 0n, ethers.parseEther('1'), false],
+          ["DelegatorSlashed", delegator2_1.address, validator2.address, ethers.parseEther('1'), false],
+        ]);
+
+        let history = await stakeManager.getSlashHistory(validator1);
+        assert.equal(history.length, 1);
+        assert.equal(history[0].timestamp, slashTime);
+        assert.equal(history[0].amount, ethers.parseEther('10'));
+        assert.equal(history[0].penalty, 0);
+        assert.equal(history[0].delegatorsAmount, ethers.parseEther('1.5'));
+        assert.equal(history[0].calledForWithdraw, true);
+        assert.equal((await stakeManager.getSlashHistory(validator2))[0].calledForWithdraw, false);
+        assert.equal((await stakeManager.getSlashHistory(delegator1)).length, 0);
+
+        // active validator above the threshold slashed twice during the probation period
+        await stakeManager.connect(delegator2_2).depositAsValidator(1000, {value: ethers.parseEther('200')});
+        await stakeManager.connect(delegator1).depositAsDelegator(delegator2_2, {value: ethers.parseEther('40')});
+        tx = stakeManager.connect(distributor).slash([delegator2_2]);
+        assert.deepEqual(await slashEvents(tx), [
+          ["ValidatorSlashed", delegator2_2.address, ethers.parseEther('10'), 0n, ethers.parseEther('2'), false],
+          ["DelegatorSlashed", delegator1.address, delegator2_2.address, ethers.parseEther('2'), false],
+        ]);
+        const firstSlash = await time.latest();
+
+        await time.increase(time.duration.days(10));
+        const secondSlash = await time.latest() + 1;
+        const penalty = BigInt(secondSlash - firstSlash) * BigInt(15) * ethers.parseEther('190') / BigInt(365 * 86400 * 100);
+        tx = stakeManager.connect(distributor).slash([delegator2_2]);
+        assert.deepEqual(await slashEvents(tx), [
+          ["ValidatorSlashed", delegator2_2.address, ethers.parseEther('10') + penalty, penalty, ethers.parseEther('1.9'), false],
+          ["DelegatorSlashed", delegator1.address, delegator2_2.address, ethers.parseEther('1.9'), false],
+        ]);
+
+        history = await stakeManager.getSlashHistory(delegator2_2);
+        assert.equal(history.length, 2);
+        assert.equal(history[1].timestamp, secondSlash);
+        assert.equal(history[1].amount, ethers.parseEther('10') + penalty);
+        assert.equal(history[1].penalty, penalty);
+        assert.equal((await stakeManager.getValidatorInfo(delegator2_2)).amount, ethers.parseEther('180') - penalty);
+      })
+
       it("Revive mechanics", async ()=> {
         const { stakeManager, validator1, delegator1, delegator2_1, distributor } = await loadFixture(deployFixture);
 
@@ -1045,6 +2084,59 @@ describe("CRATStakeManager", function () {
         await expect(stakeManager.connect(validator1).withdrawAsValidator()).to.be.revertedWithCustomError(stakeManager, "Cooldown");
       })
 
+      it("Add depositForDelegator method", async ()=> {
+        const { stakeManager, validator1, validator2, delegator1, swap } = await loadFixture(deployFixture);
+
+        await expect(stakeManager.depositForDelegator(delegator1, validator1, 0)).to.be.revertedWithCustomError(stakeManager, "AccessControlUnauthorizedAccount");
+
+        await stakeManager.grantRole(await stakeManager.SWAP_ROLE(), swap.address);
+        await stakeManager.connect(validator1).depositAsValidator(500, {value: ethers.parseEther('100')});
+        await stakeManager.connect(validator2).depositAsValidator(500, {value: ethers.parseEther('100')});
+
+        let vestingEnd = await time.latest() + 86400*30;
+
+        await expect(stakeManager.connect(swap).depositForDelegator(ZERO_ADDRESS, validator1, vestingEnd)).to.be.revertedWithCustomError(stakeManager, "ZeroAddress");
+        await expect(stakeManager.connect(swap).depositForDelegator(delegator1, validator1, await time.latest())).to.be.revertedWithCustomError(stakeManager, "WrongValue");
+        await expect(stakeManager.connect(swap).depositForDelegator(validator2, validator1, vestingEnd, {value: ethers.parseEther('30')})).to.be.revertedWithCustomError(stakeManager, "DelegatorsOnly").withArgs(validator2.address);
+        await expect(stakeManager.connect(swap).depositForDelegator(delegator1, validator1, vestingEnd, {value: ethers.parseEther('9')})).to.be.revertedWithCustomError(stakeManager, "WrongValue").withArgs(ethers.parseEther('9'));
+        await expect(stakeManager.connect(swap).depositForDelegator(delegator1, swap, vestingEnd, {value: ethers.parseEther('30')})).to.be.revertedWithCustomError(stakeManager, "ValidatorsOnly").withArgs(swap.address);
+
+        await expect(stakeManager.connect(swap).depositForDelegator(delegator1, validator1, vestingEnd, {value: ethers.parseEther('30')})).to.changeEtherBalances([stakeManager, swap, delegator1], [ethers.parseEther('30'), -ethers.parseEther('30'), 0]);
+        assert.equal(await stakeManager.delegatorVestingEnd(delegator1, validator1), vestingEnd);
+        assert.equal((await stakeManager.getDelegatorInfo(delegator1)).delegatorPerValidatorArr[0].amount, ethers.parseEther('30'));
+        // the latest vesting end is kept
+        await stakeManager.connect(swap).depositForDelegator(delegator1, validator1, vestingEnd - 1, {value: ethers.parseEther('1')});
+        assert.equal(await stakeManager.delegatorVestingEnd(delegator1, validator1), vestingEnd);
+
+        // unbonding waits for the vesting end, redelegated stake keeps the lock
+        await stakeManager.connect(delegator1).delegatorUnbond(validator1, ethers.parseEther('6'));
+        assert.equal((await stakeManager.getDelegatorInfo(delegator1)).unbonding[0][0].availableAt, vestingEnd);
+        await stakeManager.connect(delegator1).redelegate(validator1, validator2, ethers.parseEther('10'));
+        assert.equal(await stakeManager.delegatorVestingEnd(delegator1, validator2), vestingEnd);
+
+        // the deposit withdrawn before the vesting end becomes an unbonding entry
+        await stakeManager.connect(delegator1).delegatorCallForWithdraw(validator1);
+        await time.increase(86400*5);
+        let tx = stakeManager.connect(delegator1).withdrawAsDelegator(validator1);
+        await expect(tx).to.emit(stakeManager, "DelegatorUnbonded").withArgs(delegator1.address, validator1.address, ethers.parseEther('15'), vestingEnd);
+        await expect(tx).to.emit(stakeManager, "DelegatorWithdrawed").withArgs(delegator1.address, validator1.address);
+        assert.equal(await stakeManager.delegatorVestingEnd(delegator1, validator1), 0);
+        assert.equal(await stakeManager.unbondingDelegatorsPool(), ethers.parseEther('21'));
+
+        // so does the deposit of validator's delegators
+        await stakeManager.connect(validator2).validatorCallForWithdraw();
+        await time.increase(86400*7);
+        tx = stakeManager.connect(validator2).withdrawAsValidator();
+        await expect(tx).to.emit(stakeManager, "DelegatorUnbonded").withArgs(delegator1.address, validator2.address, ethers.parseEther('10'), vestingEnd);
+        assert.equal(await stakeManager.unbondingDelegatorsPool(), ethers.parseEther('31'));
+
+        await expect(stakeManager.connect(delegator1).withdrawUnbondedAsDelegator(validator1)).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, vestingEnd);
+        await time.increaseTo(vestingEnd);
+        await expect(stakeManager.connect(delegator1).withdrawUnbondedAsDelegator(validator1)).to.changeEtherBalance(delegator1, ethers.parseEther('21'));
+        await expect(stakeManager.connect(delegator1).withdrawUnbondedAsDelegator(validator2)).to.changeEtherBalance(delegator1, ethers.parseEther('10'));
+        assert.equal(await stakeManager.unbondingDelegatorsPool(), 0);
+      })
+
       it("Total rewards calculation check", async ()=> {
         const { stakeManager, validator1, owner, delegator1 , distributor } = await loadFixture(deployFixture);
 
@@ -0,0 +1,174 @@
+const { time, setBalance } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect, assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require("hardhat");
+const { readManifest, writeManifest } = require("../scripts/utils/manifest");
+const { deployStaking } = require("../scripts/deployStaking");
+const { upgradeStaking } = require("../scripts/upgradeStaking");
+const { getContractLayout } = require("../scripts/utils/storageLayout");
+const ProxyAdminComp = require("@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts-v5/proxy/transparent/ProxyAdmin.sol/ProxyAdmin.json");
+
+describe("Stake manager upgrade", function () {
+  let dir;
+  let log;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "crat-upgrade-"));
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function populatedFixture() {
+    const [owner, distributor, receiver, validator1, delegator1, delegator2] = await ethers.getSigners();
+    // other suites share the chain and may have spent the owner's coins
+    await setBalance(owner.address, ethers.parseEther('10000'));
+
+    const manifest = await deployStaking({ dir, contract: "CRATStakeManager", distributor: distributor.address, receiver: receiver.address, owner: owner.address });
+    const stakeManager = await ethers.getContractAt("CRATStakeManager", manifest.stakeManager.proxy.address);
+
+    await stakeManager.setValidatorsMinimum(ethers.parseEther('100'));
+    await stakeManager.setDelegatorsMinimum(ethers.parseEther('10'));
+    await owner.sendTransaction({value: ethers.parseEther('100'), to: stakeManager.target});
+
+    await stakeManager.connect(validator1).depositAsValidator(1000, {value: ethers.parseEther('100')});
+    await stakeManager.connect(delegator1).depositAsDelegator(validator1, {value: ethers.parseEther('10')});
+    await stakeManager.connect(delegator2).depositAsDelegator(validator1, {value: ethers.parseEther('20')});
+    await stakeManager.connect(distributor).distributeRewards([validator1], [ethers.parseEther('3')], {value: ethers.parseEther('3')});
+    await stakeManager.connect(delegator2).delegatorCallForWithdraw(validator1);
+    await time.increase(86400);
+
+    return { owner, distributor, validator1, delegator1, delegator2, stakeManager, manifest };
+  }
+
+  // `stopped` - delegators that have called for withdraw (their rewards don't grow anymore)
+  async function snapshot(stakeManager, validator, delegators, stopped) {
+    const info = await stakeManager.getValidatorInfo(validator);
+    return {
+      validator: [info.amount, info.commission, info.delegatedAmount, info.stoppedDelegatedAmount, info.delegatorsAcc, info.variableReward.variableReward, info.fixedReward.fixedReward, info.fixedReward.lastUpdate],
+      delegators: await Promise.all(delegators.map(async (d) => (await stakeManager.getDelegatorInfo(d)).delegatorPerValidatorArr.map((i) => [i.amount, i.calledForWithdraw, i.storedValidatorAcc, i.fixedReward.fixedReward]))),
+      pools: [await stakeManager.totalValidatorsPool(), await stakeManager.totalDelegatorsPool(), await stakeManager.stoppedValidatorsPool(), await stakeManager.stoppedDelegatorsPool(), await stakeManager.forFixedReward()],
+      earned: (await Promise.all(stopped.map((d) => stakeManager.delegatorEarnedPerValidator(d, validator)))).map((e) => [e[0], e[1]]),
+    };
+  }
+
+  it("Upgrade of a populated proxy preserves validator and delegator balances", async ()=> {
+    const { validator1, delegator1, delegator2, stakeManager, manifest } = await populatedFixture();
+    assert.isDefined(manifest.stakeManager.implementation.storageLayout);
+
+    const before = await snapshot(stakeManager, validator1, [delegator1, delegator2], [delegator2]);
+    const balance = await ethers.provider.getBalance(stakeManager);
+
+    const section = await upgradeStaking({ dir, contract: "CRATStakeManagerUpgradeMock", execute: true });
+
+    const upgraded = await ethers.getContractAt("CRATStakeManagerUpgradeMock", stakeManager.target);
+    assert.equal(await upgrades.erc1967.getImplementationAddress(stakeManager.target), section.implementation.address);
+    assert.equal(section.contract, "CRATStakeManagerUpgradeMock");
+    assert.equal(section.previousImplementations[0].address, manifest.stakeManager.implementation.address);
+    assert.isUndefined(section.pendingUpgrade);
+
+    assert.deepEqual(await snapshot(upgraded, validator1, [delegator1, delegator2], [delegator2]), before);
+    assert.equal(await ethers.provider.getBalance(stakeManager), balance);
+
+    // state stays usable
+    await upgraded.setUpgradeVersion(2);
+    assert.equal(await upgraded.upgradeVersion(), 2);
+    await time.increase(86400 * 30);
+    const [fixedReward, variableReward] = before.earned[0];
+    await expect(upgraded.connect(delegator2).withdrawAsDelegator(validator1)).to.changeEtherBalance(delegator2, ethers.parseEther('20') + fixedReward + variableReward);
+  });
+
+  it("Prepares calldata for the ProxyAdmin owner and picks up the executed upgrade", async ()=> {
+    const { owner, stakeManager } = await populatedFixture();
+
+    const nonce = await ethers.provider.getTransactionCount(owner);
+    const prepared = await upgradeStaking({ dir, contract: "CRATStakeManagerUpgradeMock" });
+    // only the new implementation has been deployed
+    assert.equal(await ethers.provider.getTransactionCount(owner), nonce + 1);
+    const pending = prepared.pendingUpgrade;
+    assert.equal(pending.upgradeAndCall.to, prepared.proxyAdmin.address);
+
+    const ProxyAdmin = new ethers.Interface(ProxyAdminComp.abi);
+    const decoded = ProxyAdmin.decodeFunctionData("upgradeAndCall", pending.upgradeAndCall.data);
+    assert.equal(decoded[0], stakeManager.target);
+    assert.equal(decoded[1], pending.implementation.address);
+    assert.equal(decoded[2], "0x");
+
+    // running again reuses the deployed implementation
+    await upgradeStaking({ dir, contract: "CRATStakeManagerUpgradeMock" });
+    assert.equal(await ethers.provider.getTransactionCount(owner), nonce + 1);
+
+    // multisig executes the calldata
+    await owner.sendTransaction(pending.upgradeAndCall);
+    const section = await upgradeStaking({ dir, contract: "CRATStakeManagerUpgradeMock" });
+    assert.equal(section.implementation.address, pending.implementation.address);
+    assert.isUndefined(section.pendingUpgrade);
+    assert.equal(readManifest("hardhat", dir).stakeManager.contract, "CRATStakeManagerUpgradeMock");
+  });
+
+  it("Sets V2 defaults of a first release proxy within the upgrade", async ()=> {
+    const { distributor, stakeManager } = await populatedFixture();
+
+    // a proxy deployed before the V2 settings were added keeps zeros in their slots
+    const layout = await getContractLayout(require("hardhat"), "CRATStakeManager");
+    const slotOf = (label) => BigInt(layout.storage.find((s) => s.label === label).slot);
+    for (const [label, size] of [["limits", 3n], ["doubleSign", 2n]])
+      for (let i = 0n; i < size; i++)
+        await ethers.provider.send("hardhat_setStorageAt", [stakeManager.target, ethers.toQuantity(slotOf(label) + i), ethers.ZeroHash]);
+    assert.deepEqual([...await stakeManager.limits()], [0n, 0n, 0n]);
+
+    const prepared = await upgradeStaking({ dir, contract: "CRATStakeManagerUpgradeMock" });
+    const ProxyAdmin = new ethers.Interface(ProxyAdminComp.abi);
+    const decoded = ProxyAdmin.decodeFunctionData("upgradeAndCall", prepared.pendingUpgrade.upgradeAndCall.data);
+    assert.equal(decoded[2], stakeManager.interface.encodeFunctionData("initializeV2"));
+
+    await upgradeStaking({ dir, contract: "CRATStakeManagerUpgradeMock", execute: true });
+    assert.deepEqual([...await stakeManager.limits()], [500n, 3000n, 4800n]);
+    assert.deepEqual([...await stakeManager.doubleSign()], [500n, 1000n]);
+    // single-use
+    await expect(stakeManager.connect(distributor).initializeV2()).to.be.revertedWithCustomError(stakeManager, "InvalidInitialization");
+  });
+
+  it("Refuses incompatible storage layout", async ()=> {
+    const { owner, stakeManager, manifest } = await populatedFixture();
+
+    const nonce = await ethers.provider.getTransactionCount(owner);
+    await expect(upgradeStaking({ dir, contract: "CRATStakeManagerBrokenLayoutMock", execute: true })).to.be.rejectedWith(/storage layout is incompatible[\s\S]*_validatorInfo/);
+    assert.equal(await ethers.provider.getTransactionCount(owner), nonce);
+    assert.equal(await upgrades.erc1967.getImplementationAddress(stakeManager.target), manifest.stakeManager.implementation.address);
+  });
+
+  it("Keeps the extension's storage layout equal to the stake manager's", async ()=> {
+    // the extension runs through delegatecall on the proxy storage, so every slot must mean the same in both
+    // (type ids differ only by the AST ids of their compilation)
+    const strip = (layout) => layout.storage.map(({label, slot, offset, type}) => ({label, slot, offset, type: type.replace(/\)\d+/g, ")")}));
+    for (const [managerName, extensionName] of [["CRATStakeManager", "CRATStakeManagerExtension"], ["CRATStakeManagerTest", "CRATStakeManagerTestExtension"]]) {
+      const manager = await getContractLayout(require("hardhat"), managerName);
+      // never initialized on its own, it works on the proxy's initialized storage
+      const extension = await getContractLayout(require("hardhat"), extensionName, {unsafeAllow: ["missing-initializer"]});
+      assert.isNotEmpty(manager.storage);
+      assert.deepEqual(strip(extension), strip(manager), extensionName);
+      assert.deepEqual(extension.namespaces, manager.namespaces, extensionName);
+    }
+  });
+
+  it("Takes the reference layout from a contract matching the deployed code", async ()=> {
+    const { manifest } = await populatedFixture();
+
+    delete manifest.stakeManager.implementation.storageLayout;
+    writeManifest("hardhat", manifest, dir);
+
+    await expect(upgradeStaking({ dir, contract: "CRATStakeManagerUpgradeMock" })).to.be.rejectedWith("set STAKE_MANAGER_REFERENCE");
+    await expect(upgradeStaking({ dir, contract: "CRATStakeManagerUpgradeMock", reference: "CRATStakeManagerTest" })).to.be.rejectedWith("doesn't match the code deployed");
+    await expect(upgradeStaking({ dir, contract: "CRATStakeManagerBrokenLayoutMock", reference: "CRATStakeManager" })).to.be.rejectedWith("storage layout is incompatible");
+
+    const section = await upgradeStaking({ dir, contract: "CRATStakeManagerUpgradeMock", reference: "CRATStakeManager", execute: true });
+    assert.equal(section.contract, "CRATStakeManagerUpgradeMock");
+  });
+});
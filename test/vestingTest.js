@@ -5,8 +5,27 @@ const {
 const { expect, assert } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const Web3 = require("web3");
+const { readSchedule, verifySchedule, distributionArgs } = require("../scripts/utils/vestingSchedule");
 
 const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const NAMES = ["early adoptors", "royalties", "ico", "CTVG", "ieo", "team", "staking rewards", "liquidity", "airdrop", "manual distribution"];
+// percents of 300_000_000 (10 ** 26 - 100%) unlocked on January 1 of 2024, 2026, ..., 2038 - the table hard-coded in CRATVesting before
+const TABLE = [
+    [1_709000000000000000000000n, 0n, 0n, 0n, 0n, 0n, 0n, 0n],
+    [0n, 1_000000000000000000000000n, 3_000000000000000000000000n, 5_119000000000000000000000n, 3_000000000000000000000000n, 6_291000000000000000000000n, 4_590000000000000000000000n, 7_000000000000000000000000n],
+    [6_666666666666666666666666n, 0n, 0n, 0n, 0n, 0n, 0n, 0n],
+    [0n, 200000000000000000000000n, 700000000000000000000000n, 600000000000000000000000n, 2_500000000000000000000000n, 3_900000000000000000000000n, 500000000000000000000000n, 1_600000000000000000000000n],
+    [1_000000000000000000000000n, 0n, 0n, 0n, 0n, 0n, 0n, 0n],
+    [100000000000000000000000n, 500000000000000000000000n, 600000000000000000000000n, 2_800000000000000000000000n, 1_000000000000000000000000n, 2_200000000000000000000000n, 1_300000000000000000000000n, 1_500000000000000000000000n],
+    [274333333333333333333333n, 1_000000000000000000000000n, 2_000000000000000000000000n, 3_000000000000000000000000n, 3_000000000000000000000000n, 3_692300000000000000000000n, 2_000000000000000000000000n, 3_033400000000000000000000n],
+    [0n, 200000000000000000000000n, 400000000000000000000000n, 2_500000000000000000000000n, 1_900000000000000000000000n, 1_500000000000000000000000n, 2_000000000000000000000000n, 1_500000000000000000000000n],
+    [250000000000000000000000n, 0n, 0n, 0n, 0n, 0n, 0n, 0n],
+    [0n, 1_100000000000000000000000n, 1_900000000000000000000000n, 1_781000000000000000000000n, 1_200000000000000000000000n, 1_916700000000000000000000n, 1_410000000000000000000000n, 3_066600000000000000000000n],
+];
+const PERIODS = TABLE[0].map((_, i) => Date.UTC(2024 + 2 * i, 0, 1) / 1000);
+// linear release streams every tranche over the two years that end at its stepwise unlock
+const PERIOD_STARTS = TABLE[0].map((_, i) => Date.UTC(2022 + 2 * i, 0, 1) / 1000);
+const toAmount = (perc) => perc * ethers.parseEther('300000000') / 10n ** 26n;
   
 describe("CRATVesting", function () {
     async function deployFixture() {
@@ -22,6 +41,15 @@ describe("CRATVesting", function () {
         return { owner, earlyAdoptors, royalties, ico, CTVG, ieo, team, liquidity, airdrop, manualDistribution, vesting, stakeManager };
     }
 
+    async function startDistribution(vesting, allocators, release = {}) {
+        const addresses = {};
+        for (let i = 0; i < NAMES.length; i++) addresses[NAMES[i]] = await ethers.resolveAddress(allocators[i]);
+        const schedule = {...readSchedule(undefined, addresses), ...release};
+        const value = verifySchedule(schedule);
+        await vesting.startDistribution(...distributionArgs(schedule), {value});
+        return schedule;
+    }
+
     describe("Deployment", function() {
         it("Initial settings", async ()=> {
             const {owner, vesting} = await loadFixture(deployFixture);
@@ -30,37 +58,21 @@ describe("CRATVesting", function () {
             assert.equal(await vesting.initializer(), owner.address);
             let accounts = await vesting.getAllocationAddresses();
             let info = await vesting.getAddressInfo(owner);
-            assert.equal(accounts.length, 10);
+            assert.equal(accounts.length, 0);
             assert.equal(info.hasShedule, false);
-            assert.equal(info.shedule.length, 8);
+            assert.equal(info.shedule.length, 0);
             assert.equal(info.claimed, 0);
             assert.equal(await vesting.pending(owner), 0);
-            for(let i = 0; i < 10; i++) {
-                assert.equal(accounts[i], ZERO_ADDRESS);
-                if(i < 8) assert.equal(info.shedule[i], 0);
-            }
-
-            assert.equal(await vesting.PRECISION(), ethers.parseEther('100000000'));
-            assert.equal(await vesting.TOTAL_SUPPLY(), ethers.parseEther('300000000'));
+            assert.equal(await vesting.totalSupply(), 0);
         })
     })
 
     describe("Main logic", function() {
         it("Reverts list", async ()=> {
-            const {owner, ico, vesting} = await loadFixture(deployFixture);
-
-            await expect(vesting.connect(ico).startDistribution([
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS
-            ])).to.be.revertedWith("CRATVesting: wrong sender");
+            const {owner, ico, team, vesting} = await loadFixture(deployFixture);
+            const tranche = {periodStart: PERIOD_STARTS[0], amount: 1, periodEnd: PERIODS[0]};
+
+            await expect(vesting.connect(ico).startDistribution([ico], [[tranche]], false, 0)).to.be.revertedWith("CRATVesting: wrong sender");
             await expect(vesting.connect(ico).claim(ZERO_ADDRESS, 0)).to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
             await expect(vesting.connect(ico).claimAll(ZERO_ADDRESS)).to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
 
@@ -68,589 +80,112 @@ describe("CRATVesting", function () {
             await expect(vesting.claim(owner, 1)).to.be.revertedWith("CRATVesting: wrong amount");
             await expect(vesting.claimAll(owner)).to.be.revertedWith("CRATVesting: nothing to claim");
 
-            await expect(vesting.startDistribution([
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS
-            ])).to.be.revertedWith("CRATVesting: wrong vesting supply");
-
-            await expect(vesting.startDistribution([
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS,
-                ZERO_ADDRESS
-            ], {value: ethers.parseEther('300000000')})).to.be.revertedWith("CRATVesting: 0x00");
+            await expect(vesting.startDistribution([], [], false, 0)).to.be.revertedWith("CRATVesting: wrong length");
+            await expect(vesting.startDistribution([ico], [[tranche], [tranche]], false, 0)).to.be.revertedWith("CRATVesting: wrong length");
+            await expect(vesting.startDistribution([ZERO_ADDRESS], [[tranche]], false, 0, {value: 1})).to.be.revertedWith("CRATVesting: 0x00");
+            await expect(vesting.startDistribution([ico, ico], [[tranche], [tranche]], false, 0, {value: 2})).to.be.revertedWith("CRATVesting: has shedule");
+            await expect(vesting.startDistribution([ico], [[]], false, 0)).to.be.revertedWith("CRATVesting: wrong shedule");
+            await expect(vesting.startDistribution([ico], [[{...tranche, amount: 0}]], false, 0)).to.be.revertedWith("CRATVesting: wrong shedule");
+            await expect(vesting.startDistribution([ico], [[tranche, tranche]], false, 0, {value: 2})).to.be.revertedWith("CRATVesting: wrong shedule");
+            await expect(vesting.startDistribution([ico, team], [[tranche], [tranche]], false, 0, {value: 1})).to.be.revertedWith("CRATVesting: wrong vesting supply");
+            await expect(vesting.startDistribution([ico, team], [[tranche], [tranche]], false, 0, {value: 3})).to.be.revertedWith("CRATVesting: wrong vesting supply");
+            // period can't end before its start, linear release needs it longer than the cliff
+            await expect(vesting.startDistribution([ico], [[{...tranche, periodEnd: PERIOD_STARTS[0] - 1}]], false, 0, {value: 1})).to.be.revertedWith("CRATVesting: wrong shedule");
+            await expect(vesting.startDistribution([ico], [[{...tranche, periodEnd: PERIOD_STARTS[0]}]], true, 0, {value: 1})).to.be.revertedWith("CRATVesting: wrong shedule");
+            await expect(vesting.startDistribution([ico], [[tranche]], true, PERIODS[0] - PERIOD_STARTS[0] + 1, {value: 1})).to.be.revertedWith("CRATVesting: wrong shedule");
+        })
+
+        it("Schedule config reproduces the allocation table", async ()=> {
+            const schedule = readSchedule(undefined, Object.fromEntries(NAMES.map((name) => [name, ethers.Wallet.createRandom().address])));
+            assert.deepEqual(schedule.allocators.map((a) => a.name), NAMES);
+
+            let total = 0n;
+            for (let i = 0; i < NAMES.length; i++) {
+                const expected = TABLE[i]
+                    .map((perc, period) => ({periodStart: BigInt(PERIOD_STARTS[period]), amount: toAmount(perc), periodEnd: BigInt(PERIODS[period])}))
+                    .filter((t) => t.amount > 0n);
+                assert.deepEqual(schedule.allocators[i].tranches, expected, NAMES[i]);
+                total += TABLE[i].reduce((sum, perc) => sum + perc, 0n);
+            }
+            // the table sums up to 100% without 3 wei
+            assert.equal(verifySchedule(schedule), toAmount(total));
+            assert.equal(verifySchedule(schedule), ethers.parseEther('300000000') - 3n);
+            assert.equal(schedule.linear, false);
+            assert.equal(schedule.cliff, 0n);
+            assert.throws(() => verifySchedule({...schedule, linear: true, cliff: BigInt(86400 * 732)}), "early adoptors: period of tranche 0 ends before its start or cliff");
+            const reversed = structuredClone(schedule);
+            reversed.allocators[2].tranches[0].periodEnd = reversed.allocators[2].tranches[0].periodStart - 1n;
+            assert.throws(() => verifySchedule(reversed), "ico: period of tranche 0 ends before its start or cliff");
+
+            assert.throws(() => verifySchedule({...schedule, total: ethers.parseEther('300000000')}), "differs from the total");
+            const broken = structuredClone(schedule);
+            broken.allocators[1].tranches.reverse();
+            assert.throws(() => verifySchedule(broken), "royalties: tranches aren't sorted by period start");
+            broken.allocators[1].address = broken.allocators[0].address;
+            assert.throws(() => verifySchedule(broken), "is used twice");
+            assert.throws(() => readSchedule(undefined, {}), "No address of early adoptors");
         })
 
         it("Vesting shedule (claim every period)", async ()=> {
             const {owner, earlyAdoptors, royalties, ico, CTVG, ieo, team, liquidity, airdrop, manualDistribution, vesting, stakeManager} = await loadFixture(deployFixture);
+            const accounts = [earlyAdoptors, royalties, ico, CTVG, ieo, team, stakeManager, liquidity, airdrop, manualDistribution];
 
-            await vesting.connect(owner).startDistribution([
-                earlyAdoptors,
-                royalties,
-                ico,
-                CTVG,
-                ieo,
-                team,
-                stakeManager,
-                liquidity,
-                airdrop,
-                manualDistribution
-            ], {value: ethers.parseEther('300000000')});
+            const schedule = await startDistribution(vesting, accounts);
+            const supply = ethers.parseEther('300000000') - 3n;
 
             assert.equal(await vesting.initializer(), ZERO_ADDRESS);
-            await expect(vesting.connect(owner).startDistribution([
-                earlyAdoptors,
-                royalties,
-                ico,
-                CTVG,
-                ieo,
-                team,
-                stakeManager,
-                liquidity,
-                airdrop,
-                manualDistribution
-            ])).to.be.revertedWith("CRATVesting: wrong sender");
-
-            assert.equal(await ethers.provider.getBalance(vesting), await vesting.TOTAL_SUPPLY());
+            await expect(vesting.startDistribution(...distributionArgs(schedule))).to.be.revertedWith("CRATVesting: wrong sender");
+
+            assert.equal(await ethers.provider.getBalance(vesting), supply);
+            assert.equal(await vesting.totalSupply(), supply);
 
             let allocators = await vesting.getAllocationAddresses();
             assert.equal(allocators.length, 10);
-            assert.equal(allocators[0], earlyAdoptors.address);
-            assert.equal(allocators[1], royalties.address);
-            assert.equal(allocators[2], ico.address);
-            assert.equal(allocators[3], CTVG.address);
-            assert.equal(allocators[4], ieo.address);
-            assert.equal(allocators[5], team.address);
-            assert.equal(allocators[6], stakeManager.target);
-            assert.equal(allocators[7], liquidity.address);
-            assert.equal(allocators[8], airdrop.address);
-            assert.equal(allocators[9], manualDistribution.address);
-
-            let info, expected, real, pending;
-            for(let i = 0; i < 10; i++) {
-                info = await vesting.getAddressInfo(allocators[i]);
+            for (let i = 0; i < 10; i++) {
+                assert.equal(allocators[i], await ethers.resolveAddress(accounts[i]));
+                const info = await vesting.getAddressInfo(allocators[i]);
                 assert.equal(info.claimed, 0);
                 assert.equal(info.hasShedule, true);
-                switch(i) {
-                    case 0:
-                        assert.equal(info.shedule[0], ethers.parseEther('1709000'));
-                        assert.equal(info.shedule[1], 0);
-                        assert.equal(info.shedule[2], 0);
-                        assert.equal(info.shedule[3], 0);
-                        assert.equal(info.shedule[4], 0);
-                        assert.equal(info.shedule[5], 0);
-                        assert.equal(info.shedule[6], 0);
-                        assert.equal(info.shedule[7], 0);
-
-                        pending = await vesting.pending(allocators[i]);
-                        assert.equal(pending, ethers.parseEther('5127000'));
-                        await expect(vesting.claimAll(allocators[i])).to.changeEtherBalances([vesting, allocators[i]], [-pending, pending]);
-                        assert.equal(await vesting.pending(allocators[i]), 0);
-                        assert.equal((await vesting.getAddressInfo(allocators[i])).claimed, pending);
-                        break;
-                    case 1:
-                        assert.equal(info.shedule[0], 0);
-                        assert.equal(info.shedule[1], ethers.parseEther('1000000'));
-                        assert.equal(info.shedule[2], ethers.parseEther('3000000'));
-                        assert.equal(info.shedule[3], ethers.parseEther('5119000'));
-                        assert.equal(info.shedule[4], ethers.parseEther('3000000'));
-                        assert.equal(info.shedule[5], ethers.parseEther('6291000'));
-                        assert.equal(info.shedule[6], ethers.parseEther('4590000'));
-                        assert.equal(info.shedule[7], ethers.parseEther('7000000'));
-                        assert.equal(await vesting.pending(allocators[i]), 0);
-                        await expect(vesting.claimAll(allocators[i])).to.be.revertedWith("CRATVesting: nothing to claim");
-                        break;
-                    case 2:
-                        assert.equal(info.shedule[0], "6666666666666666666666666");
-                        assert.equal(info.shedule[1], 0);
-                        assert.equal(info.shedule[2], 0);
-                        assert.equal(info.shedule[3], 0);
-                        assert.equal(info.shedule[4], 0);
-                        assert.equal(info.shedule[5], 0);
-                        assert.equal(info.shedule[6], 0);
-                        assert.equal(info.shedule[7], 0);
-
-                        pending = await vesting.pending(allocators[i]);
-                        expected = parseFloat(Web3.utils.fromWei((pending).toString(), 'ether')).toFixed(18);
-                        real = parseFloat(Web3.utils.fromWei((ethers.parseEther('20000000')).toString(), 'ether')).toFixed(18);
-                        assert.equal(expected, real);
-
-                        await expect(vesting.claimAll(allocators[i])).to.changeEtherBalances([vesting, allocators[i]], [-pending, pending]);
-                        assert.equal(await vesting.pending(allocators[i]), 0);
-                        assert.equal((await vesting.getAddressInfo(allocators[i])).claimed, pending);
-                        // assert.equal(await vesting.pending(allocators[i]), ethers.parseEther('20000000'));
-                        break;
-                    case 3:
-                        assert.equal(info.shedule[0], 0);
-                        assert.equal(info.shedule[1], ethers.parseEther('200000'));
-                        assert.equal(info.shedule[2], ethers.parseEther('700000'));
-                        assert.equal(info.shedule[3], ethers.parseEther('600000'));
-                        assert.equal(info.shedule[4], ethers.parseEther('2500000'));
-                        assert.equal(info.shedule[5], ethers.parseEther('3900000'));
-                        assert.equal(info.shedule[6], ethers.parseEther('500000'));
-                        assert.equal(info.shedule[7], ethers.parseEther('1600000'));
-                        assert.equal(await vesting.pending(allocators[i]), 0);
-                        await expect(vesting.claimAll(allocators[i])).to.be.revertedWith("CRATVesting: nothing to claim");
-                        break;
-                    case 4:
-                        assert.equal(info.shedule[0], ethers.parseEther('1000000'));
-                        assert.equal(info.shedule[1], 0);
-                        assert.equal(info.shedule[2], 0);
-                        assert.equal(info.shedule[3], 0);
-                        assert.equal(info.shedule[4], 0);
-                        assert.equal(info.shedule[5], 0);
-                        assert.equal(info.shedule[6], 0);
-                        assert.equal(info.shedule[7], 0);
-
-                        pending = await vesting.pending(allocators[i]);
-                        assert.equal(pending, ethers.parseEther('3000000'));
-                        await expect(vesting.claimAll(allocators[i])).to.changeEtherBalances([vesting, allocators[i]], [-pending, pending]);
-                        assert.equal(await vesting.pending(allocators[i]), 0);
-                        assert.equal((await vesting.getAddressInfo(allocators[i])).claimed, pending);
-                        break;
-                    case 5:
-                        assert.equal(info.shedule[0], ethers.parseEther('100000'));
-                        assert.equal(info.shedule[1], ethers.parseEther('500000'));
-                        assert.equal(info.shedule[2], ethers.parseEther('600000'));
-                        assert.equal(info.shedule[3], ethers.parseEther('2800000'));
-                        assert.equal(info.shedule[4], ethers.parseEther('1000000'));
-                        assert.equal(info.shedule[5], ethers.parseEther('2200000'));
-                        assert.equal(info.shedule[6], ethers.parseEther('1300000'));
-                        assert.equal(info.shedule[7], ethers.parseEther('1500000'));
-
-                        pending = await vesting.pending(allocators[i]);
-                        assert.equal(pending, ethers.parseEther('300000'));
-                        await expect(vesting.claimAll(allocators[i])).to.changeEtherBalances([vesting, allocators[i]], [-pending, pending]);
-                        assert.equal(await vesting.pending(allocators[i]), 0);
-                        assert.equal((await vesting.getAddressInfo(allocators[i])).claimed, pending);
-                        break;
-                    case 6:
-                        assert.equal(info.shedule[0], ethers.parseEther('274333.333333333333333333'));
-                        assert.equal(info.shedule[1], ethers.parseEther('1000000'));
-                        assert.equal(info.shedule[2], ethers.parseEther('2000000'));
-                        assert.equal(info.shedule[3], ethers.parseEther('3000000'));
-                        assert.equal(info.shedule[4], ethers.parseEther('3000000'));
-                        assert.equal(info.shedule[5], ethers.parseEther('3692300'));
-                        assert.equal(info.shedule[6], ethers.parseEther('2000000'));
-                        assert.equal(info.shedule[7], ethers.parseEther('3033400'));
-
-                        pending = await vesting.pending(allocators[i]);
-                        expected = parseFloat(Web3.utils.fromWei((pending).toString(), 'ether')).toFixed(18);
-                        real = parseFloat(Web3.utils.fromWei((ethers.parseEther('823000')).toString(), 'ether')).toFixed(18);
-                        assert.equal(expected, real);
-                        // assert.equal(await vesting.pending(allocators[i]), ethers.parseEther('823000'));
-
-                        await expect(vesting.claimAll(allocators[i])).to.changeEtherBalances([vesting, allocators[i]], [-pending, pending]);
-                        assert.equal(await vesting.pending(allocators[i]), 0);
-                        assert.equal((await vesting.getAddressInfo(allocators[i])).claimed, pending);
-                        break;
-                    case 7:
-                        assert.equal(info.shedule[0], 0);
-                        assert.equal(info.shedule[1], ethers.parseEther('200000'));
-                        assert.equal(info.shedule[2], ethers.parseEther('400000'));
-                        assert.equal(info.shedule[3], ethers.parseEther('2500000'));
-                        assert.equal(info.shedule[4], ethers.parseEther('1900000'));
-                        assert.equal(info.shedule[5], ethers.parseEther('1500000'));
-                        assert.equal(info.shedule[6], ethers.parseEther('2000000'));
-                        assert.equal(info.shedule[7], ethers.parseEther('1500000'));
-                        assert.equal(await vesting.pending(allocators[i]), 0);
-                        await expect(vesting.claimAll(allocators[i])).to.be.revertedWith("CRATVesting: nothing to claim");
-                        break;
-                    case 8:
-                        assert.equal(info.shedule[0], ethers.parseEther('250000'));
-                        assert.equal(info.shedule[1], 0);
-                        assert.equal(info.shedule[2], 0);
-                        assert.equal(info.shedule[3], 0);
-                        assert.equal(info.shedule[4], 0);
-                        assert.equal(info.shedule[5], 0);
-                        assert.equal(info.shedule[6], 0);
-                        assert.equal(info.shedule[7], 0);
-
-                        pending = await vesting.pending(allocators[i]);
-                        assert.equal(pending, ethers.parseEther('750000'));
-                        await expect(vesting.claimAll(allocators[i])).to.changeEtherBalances([vesting, allocators[i]], [-pending, pending]);
-                        assert.equal(await vesting.pending(allocators[i]), 0);
-                        assert.equal((await vesting.getAddressInfo(allocators[i])).claimed, pending);
-                        break;
-                    case 9:
-                        assert.equal(info.shedule[0], 0);
-                        assert.equal(info.shedule[1], ethers.parseEther('1100000'));
-                        assert.equal(info.shedule[2], ethers.parseEther('1900000'));
-                        assert.equal(info.shedule[3], ethers.parseEther('1781000'));
-                        assert.equal(info.shedule[4], ethers.parseEther('1200000'));
-                        assert.equal(info.shedule[5], ethers.parseEther('1916700'));
-                        assert.equal(info.shedule[6], ethers.parseEther('1410000'));
-                        assert.equal(info.shedule[7], ethers.parseEther('3066600'));
-                        assert.equal(await vesting.pending(allocators[i]), 0);
-                        await expect(vesting.claimAll(allocators[i])).to.be.revertedWith("CRATVesting: nothing to claim");
-                        break;
-                }
-            }
-
-            // increase to December, 31, 2025 year (not yet pending increased)
-            await time.increaseTo(1767225599);
-            for(let i = 0; i < 10; i++){
-                assert.equal(await vesting.pending(allocators[i]), 0);
+                assert.deepEqual(info.shedule.map(([periodStart, amount, periodEnd]) => ({periodStart, amount, periodEnd})), schedule.allocators[i].tranches);
             }
-            
-            await time.increase(1);
-
-            assert.equal(await vesting.pending(allocators[0]), 0);
-
-            pending = await vesting.pending(allocators[1]);
-            assert.equal(pending, ethers.parseEther('3000000'));
-            await expect(vesting.claimAll(allocators[1])).to.changeEtherBalances([vesting, allocators[1]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[1]), 0);
-
-            assert.equal(await vesting.pending(allocators[2]), 0);
-
-            pending = await vesting.pending(allocators[3]);
-            assert.equal(pending, ethers.parseEther('600000'));
-            await expect(vesting.claimAll(allocators[3])).to.changeEtherBalances([vesting, allocators[3]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[3]), 0);
-
-            assert.equal(await vesting.pending(allocators[4]), 0);
-
-            pending = await vesting.pending(allocators[5]);
-            assert.equal(pending, ethers.parseEther('1500000'));
-            await expect(vesting.claimAll(allocators[5])).to.changeEtherBalances([vesting, allocators[5]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[5]), 0);
-
-            pending = await vesting.pending(allocators[6]);
-            assert.equal(pending, ethers.parseEther('3000000'));
-            await expect(vesting.claimAll(allocators[6])).to.changeEtherBalances([vesting, allocators[6]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[6]), 0);
-
-            pending = await vesting.pending(allocators[7]);
-            assert.equal(pending, ethers.parseEther('600000'));
-            await expect(vesting.claimAll(allocators[7])).to.changeEtherBalances([vesting, allocators[7]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[7]), 0);
-
-            assert.equal(await vesting.pending(allocators[8]), 0);
-
-            pending = await vesting.pending(allocators[9]);
-            assert.equal(pending, ethers.parseEther('3300000'));
-            await expect(vesting.claimAll(allocators[9])).to.changeEtherBalances([vesting, allocators[9]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[9]), 0);
-
-            // increase to December, 31, 2027 year (not yet pending increased)
-            await time.increaseTo(1830297599);
-            for(let i = 0; i < 10; i++){
-                assert.equal(await vesting.pending(allocators[i]), 0);
-            }
-            
-            await time.increase(1);
-
-            assert.equal(await vesting.pending(allocators[0]), 0);
-
-            pending = await vesting.pending(allocators[1]);
-            assert.equal(pending, ethers.parseEther('9000000'));
-            await expect(vesting.claimAll(allocators[1])).to.changeEtherBalances([vesting, allocators[1]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[1]), 0);
-
-            assert.equal(await vesting.pending(allocators[2]), 0);
-
-            pending = await vesting.pending(allocators[3]);
-            assert.equal(pending, ethers.parseEther('2100000'));
-            await expect(vesting.claimAll(allocators[3])).to.changeEtherBalances([vesting, allocators[3]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[3]), 0);
-
-            assert.equal(await vesting.pending(allocators[4]), 0);
-
-            pending = await vesting.pending(allocators[5]);
-            assert.equal(pending, ethers.parseEther('1800000'));
-            await expect(vesting.claimAll(allocators[5])).to.changeEtherBalances([vesting, allocators[5]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[5]), 0);
-
-            pending = await vesting.pending(allocators[6]);
-            assert.equal(pending, ethers.parseEther('6000000'));
-            await expect(vesting.claimAll(allocators[6])).to.changeEtherBalances([vesting, allocators[6]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[6]), 0);
-
-            pending = await vesting.pending(allocators[7]);
-            assert.equal(pending, ethers.parseEther('1200000'));
-            await expect(vesting.claimAll(allocators[7])).to.changeEtherBalances([vesting, allocators[7]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[7]), 0);
-
-            assert.equal(await vesting.pending(allocators[8]), 0);
-
-            pending = await vesting.pending(allocators[9]);
-            assert.equal(pending, ethers.parseEther('5700000'));
-            await expect(vesting.claimAll(allocators[9])).to.changeEtherBalances([vesting, allocators[9]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[9]), 0);
-
-            // increase to December, 31, 2029 year (not yet pending increased)
-            await time.increaseTo(1893455999);
-            for(let i = 0; i < 10; i++){
-                assert.equal(await vesting.pending(allocators[i]), 0);
-            }
-            
-            await time.increase(1);
-
-            assert.equal(await vesting.pending(allocators[0]), 0);
-
-            pending = await vesting.pending(allocators[1]);
-            assert.equal(pending, ethers.parseEther('15357000'));
-            await expect(vesting.claimAll(allocators[1])).to.changeEtherBalances([vesting, allocators[1]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[1]), 0);
-
-            assert.equal(await vesting.pending(allocators[2]), 0);
-
-            pending = await vesting.pending(allocators[3]);
-            assert.equal(pending, ethers.parseEther('1800000'));
-            await expect(vesting.claimAll(allocators[3])).to.changeEtherBalances([vesting, allocators[3]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[3]), 0);
-
-            assert.equal(await vesting.pending(allocators[4]), 0);
-
-            pending = await vesting.pending(allocators[5]);
-            assert.equal(pending, ethers.parseEther('8400000'));
-            await expect(vesting.claimAll(allocators[5])).to.changeEtherBalances([vesting, allocators[5]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[5]), 0);
-
-            pending = await vesting.pending(allocators[6]);
-            assert.equal(pending, ethers.parseEther('9000000'));
-            await expect(vesting.claimAll(allocators[6])).to.changeEtherBalances([vesting, allocators[6]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[6]), 0);
-
-            pending = await vesting.pending(allocators[7]);
-            assert.equal(pending, ethers.parseEther('7500000'));
-            await expect(vesting.claimAll(allocators[7])).to.changeEtherBalances([vesting, allocators[7]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[7]), 0);
-
-            assert.equal(await vesting.pending(allocators[8]), 0);
-
-            pending = await vesting.pending(allocators[9]);
-            assert.equal(pending, ethers.parseEther('5343000'));
-            await expect(vesting.claimAll(allocators[9])).to.changeEtherBalances([vesting, allocators[9]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[9]), 0);
-
-            // increase to December, 31, 2031 year (not yet pending increased)
-            await time.increaseTo(1956527999);
-            for(let i = 0; i < 10; i++){
-                assert.equal(await vesting.pending(allocators[i]), 0);
-            }
-            
-            await time.increase(1);
-
-            assert.equal(await vesting.pending(allocators[0]), 0);
-
-            pending = await vesting.pending(allocators[1]);
-            assert.equal(pending, ethers.parseEther('9000000'));
-            await expect(vesting.claimAll(allocators[1])).to.changeEtherBalances([vesting, allocators[1]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[1]), 0);
-
-            assert.equal(await vesting.pending(allocators[2]), 0);
-
-            pending = await vesting.pending(allocators[3]);
-            assert.equal(pending, ethers.parseEther('7500000'));
-            await expect(vesting.claimAll(allocators[3])).to.changeEtherBalances([vesting, allocators[3]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[3]), 0);
-
-            assert.equal(await vesting.pending(allocators[4]), 0);
-
-            pending = await vesting.pending(allocators[5]);
-            assert.equal(pending, ethers.parseEther('3000000'));
-            await expect(vesting.claimAll(allocators[5])).to.changeEtherBalances([vesting, allocators[5]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[5]), 0);
-
-            pending = await vesting.pending(allocators[6]);
-            assert.equal(pending, ethers.parseEther('9000000'));
-            await expect(vesting.claimAll(allocators[6])).to.changeEtherBalances([vesting, allocators[6]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[6]), 0);
-
-            pending = await vesting.pending(allocators[7]);
-            assert.equal(pending, ethers.parseEther('5700000'));
-            await expect(vesting.claimAll(allocators[7])).to.changeEtherBalances([vesting, allocators[7]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[7]), 0);
-
-            assert.equal(await vesting.pending(allocators[8]), 0);
 
-            pending = await vesting.pending(allocators[9]);
-            assert.equal(pending, ethers.parseEther('3600000'));
-            await expect(vesting.claimAll(allocators[9])).to.changeEtherBalances([vesting, allocators[9]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[9]), 0);
-
-            // increase to December, 31, 2033 year (not yet pending increased)
-            await time.increaseTo(2019686399);
-            for(let i = 0; i < 10; i++){
-                assert.equal(await vesting.pending(allocators[i]), 0);
-            }
-            
-            await time.increase(1);
-
-            assert.equal(await vesting.pending(allocators[0]), 0);
-
-            pending = await vesting.pending(allocators[1]);
-            assert.equal(pending, ethers.parseEther('18873000'));
-            await expect(vesting.claimAll(allocators[1])).to.changeEtherBalances([vesting, allocators[1]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[1]), 0);
-
-            assert.equal(await vesting.pending(allocators[2]), 0);
-
-            pending = await vesting.pending(allocators[3]);
-            assert.equal(pending, ethers.parseEther('11700000'));
-            await expect(vesting.claimAll(allocators[3])).to.changeEtherBalances([vesting, allocators[3]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[3]), 0);
-
-            assert.equal(await vesting.pending(allocators[4]), 0);
-
-            pending = await vesting.pending(allocators[5]);
-            assert.equal(pending, ethers.parseEther('6600000'));
-            await expect(vesting.claimAll(allocators[5])).to.changeEtherBalances([vesting, allocators[5]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[5]), 0);
-
-            pending = await vesting.pending(allocators[6]);
-            assert.equal(pending, ethers.parseEther('11076900'));
-            await expect(vesting.claimAll(allocators[6])).to.changeEtherBalances([vesting, allocators[6]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[6]), 0);
-
-            pending = await vesting.pending(allocators[7]);
-            assert.equal(pending, ethers.parseEther('4500000'));
-            await expect(vesting.claimAll(allocators[7])).to.changeEtherBalances([vesting, allocators[7]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[7]), 0);
-
-            assert.equal(await vesting.pending(allocators[8]), 0);
-
-            pending = await vesting.pending(allocators[9]);
-            assert.equal(pending, ethers.parseEther('5750100'));
-            await expect(vesting.claimAll(allocators[9])).to.changeEtherBalances([vesting, allocators[9]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[9]), 0);
-
-            // increase to December, 31, 2035 year (not yet pending increased)
-            await time.increaseTo(2082758399);
-            for(let i = 0; i < 10; i++){
-                assert.equal(await vesting.pending(allocators[i]), 0);
-            }
-            
-            await time.increase(1);
-
-            assert.equal(await vesting.pending(allocators[0]), 0);
-
-            pending = await vesting.pending(allocators[1]);
-            assert.equal(pending, ethers.parseEther('13770000'));
-            await expect(vesting.claimAll(allocators[1])).to.changeEtherBalances([vesting, allocators[1]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[1]), 0);
-
-            assert.equal(await vesting.pending(allocators[2]), 0);
-
-            pending = await vesting.pending(allocators[3]);
-            assert.equal(pending, ethers.parseEther('1500000'));
-            await expect(vesting.claimAll(allocators[3])).to.changeEtherBalances([vesting, allocators[3]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[3]), 0);
-
-            assert.equal(await vesting.pending(allocators[4]), 0);
-
-            pending = await vesting.pending(allocators[5]);
-            assert.equal(pending, ethers.parseEther('3900000'));
-            await expect(vesting.claimAll(allocators[5])).to.changeEtherBalances([vesting, allocators[5]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[5]), 0);
-
-            pending = await vesting.pending(allocators[6]);
-            assert.equal(pending, ethers.parseEther('6000000'));
-            await expect(vesting.claimAll(allocators[6])).to.changeEtherBalances([vesting, allocators[6]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[6]), 0);
-
-            pending = await vesting.pending(allocators[7]);
-            assert.equal(pending, ethers.parseEther('6000000'));
-            await expect(vesting.claimAll(allocators[7])).to.changeEtherBalances([vesting, allocators[7]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[7]), 0);
-
-            assert.equal(await vesting.pending(allocators[8]), 0);
-
-            pending = await vesting.pending(allocators[9]);
-            assert.equal(pending, ethers.parseEther('4230000'));
-            await expect(vesting.claimAll(allocators[9])).to.changeEtherBalances([vesting, allocators[9]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[9]), 0);
-
-            // increase to December, 31, 2037 year (not yet pending increased)
-            await time.increaseTo(2145916799);
-            for(let i = 0; i < 10; i++){
-                assert.equal(await vesting.pending(allocators[i]), 0);
-            }
-            
-            await time.increase(1);
-
-            assert.equal(await vesting.pending(allocators[0]), 0);
-
-            pending = await vesting.pending(allocators[1]);
-            assert.equal(pending, ethers.parseEther('21000000'));
-            await expect(vesting.claimAll(allocators[1])).to.changeEtherBalances([vesting, allocators[1]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[1]), 0);
-
-            assert.equal(await vesting.pending(allocators[2]), 0);
-
-            pending = await vesting.pending(allocators[3]);
-            assert.equal(pending, ethers.parseEther('4800000'));
-            await expect(vesting.claimAll(allocators[3])).to.changeEtherBalances([vesting, allocators[3]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[3]), 0);
-
-            assert.equal(await vesting.pending(allocators[4]), 0);
-
-            pending = await vesting.pending(allocators[5]);
-            assert.equal(pending, ethers.parseEther('4500000'));
-            await expect(vesting.claimAll(allocators[5])).to.changeEtherBalances([vesting, allocators[5]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[5]), 0);
-
-            pending = await vesting.pending(allocators[6]);
-            assert.equal(pending, ethers.parseEther('9100200'));
-            await expect(vesting.claimAll(allocators[6])).to.changeEtherBalances([vesting, allocators[6]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[6]), 0);
-
-            pending = await vesting.pending(allocators[7]);
-            assert.equal(pending, ethers.parseEther('4500000'));
-            await expect(vesting.claimAll(allocators[7])).to.changeEtherBalances([vesting, allocators[7]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[7]), 0);
-
-            assert.equal(await vesting.pending(allocators[8]), 0);
-
-            pending = await vesting.pending(allocators[9]);
-            assert.equal(pending, ethers.parseEther('9199800'));
-            await expect(vesting.claimAll(allocators[9])).to.changeEtherBalances([vesting, allocators[9]], [-pending, pending]);
-            assert.equal(await vesting.pending(allocators[9]), 0);
-
-            await time.increaseTo(2208988800); // increase to 2040
-            for(let i = 0; i < 10; i++){
-                assert.equal(await vesting.pending(allocators[i]), 0);
+            // tranches of the past periods are unlocked at once
+            let claimed = Array(10).fill(0n);
+            for (let period = 0; period < PERIODS.length; period++) {
+                if (PERIODS[period] > await time.latest()) {
+                    await time.increaseTo(PERIODS[period] - 1);
+                    for (let i = 0; i < 10; i++) assert.equal(await vesting.pending(allocators[i]), 0);
+                    await time.increase(1);
+                } else if (period + 1 < PERIODS.length && PERIODS[period + 1] <= await time.latest()) continue;
+
+                for (let i = 0; i < 10; i++) {
+                    const unlocked = TABLE[i].slice(0, period + 1).reduce((sum, perc) => sum + toAmount(perc), 0n);
+                    const pending = await vesting.pending(allocators[i]);
+                    assert.equal(pending, unlocked - claimed[i], `${NAMES[i]}, ${2024 + 2 * period}`);
+                    if (pending == 0) {
+                        await expect(vesting.claimAll(allocators[i])).to.be.revertedWith("CRATVesting: nothing to claim");
+                        continue;
+                    }
+                    await expect(vesting.claimAll(allocators[i])).to.changeEtherBalances([vesting, allocators[i]], [-pending, pending]);
+                    assert.equal(await vesting.pending(allocators[i]), 0);
+                    claimed[i] += pending;
+                    assert.equal((await vesting.getAddressInfo(allocators[i])).claimed, claimed[i]);
+                }
             }
 
-            await time.increase(time.duration.years(2));
-            for(let i = 0; i < 10; i++){
+            await time.increase(time.duration.years(10));
+            for (let i = 0; i < 10; i++) {
+                assert.equal(claimed[i], TABLE[i].reduce((sum, perc) => sum + toAmount(perc), 0n));
                 assert.equal(await vesting.pending(allocators[i]), 0);
             }
-
-            assert.equal(await ethers.provider.getBalance(vesting), 3);
+            assert.equal(await ethers.provider.getBalance(vesting), 0);
         })
 
         it("Vesting shedule (check different schemes of claim)", async ()=> {
             const {owner, earlyAdoptors, royalties, ico, CTVG, ieo, team, liquidity, airdrop, manualDistribution, vesting, stakeManager} = await loadFixture(deployFixture);
 
-            await vesting.connect(owner).startDistribution([
-                earlyAdoptors,
-                royalties,
-                ico,
-                CTVG,
-                ieo,
-                team,
-                stakeManager,
-                liquidity,
-                airdrop,
-                manualDistribution
-            ], {value: ethers.parseEther('300000000')});
+            await startDistribution(vesting, [earlyAdoptors, royalties, ico, CTVG, ieo, team, stakeManager, liquidity, airdrop, manualDistribution]);
+            const unlockedAt = (row, timestamp) => TABLE[row].reduce((sum, perc, period) => PERIODS[period] <= timestamp ? sum + toAmount(perc) : sum, 0n);
 
             // partially claim
             assert.equal(await vesting.pending(earlyAdoptors), ethers.parseEther('5127000'));
@@ -660,12 +195,336 @@ describe("CRATVesting", function () {
             assert.equal(await vesting.pending(earlyAdoptors), ethers.parseEther('5127000') - ethers.parseEther('1'));
 
             // didn't claim at previous period
+            assert.equal(await vesting.pending(team), unlockedAt(5, await time.latest()));
             await time.increase(time.duration.years(2));
-            assert.equal(await vesting.pending(team), ethers.parseEther('1800000'));
+            assert.equal(await vesting.pending(team), unlockedAt(5, await time.latest()));
 
             assert.equal(await vesting.pending(owner), 0);
         })
 
+        it("Linear release agrees with stepwise release at period ends", async ()=> {
+            const {owner, earlyAdoptors, royalties, ico, CTVG, ieo, team, liquidity, airdrop, manualDistribution, vesting, stakeManager} = await loadFixture(deployFixture);
+            const accounts = [earlyAdoptors, royalties, ico, CTVG, ieo, team, stakeManager, liquidity, airdrop, manualDistribution];
+            await ethers.provider.send("hardhat_setBalance", [owner.address, "0x" + ethers.parseEther("600001000").toString(16)]);
+
+            const stepwise = vesting;
+            const linear = await ethers.deployContract("CRATVesting", [owner, owner]);
+            const schedule = await startDistribution(stepwise, accounts);
+            await startDistribution(linear, accounts, {linear: true});
+            assert.equal(await stepwise.linearRelease(), false);
+            assert.equal(await linear.linearRelease(), true);
+            assert.equal(await linear.cliff(), 0);
+
+            const unlocked = (row, timestamp, isLinear) => schedule.allocators[row].tranches.reduce((sum, t) => {
+                if (t.periodEnd <= timestamp) return sum + t.amount;
+                if (!isLinear || t.periodStart > timestamp) return sum;
+                return sum + t.amount * (timestamp - t.periodStart) / (t.periodEnd - t.periodStart);
+            }, 0n);
+
+            // period ends, year boundaries and leap days till the end of 2038
+            let checkpoints = PERIODS.flatMap((end) => [end - 1, end]);
+            for (let year = 2026; year <= 2038; year++) checkpoints.push(Date.UTC(year, 11, 31, 23, 59, 59) / 1000, Date.UTC(year + 1, 0, 1, 0, 0, 1) / 1000);
+            const leapDays = [2028, 2032, 2036].map((year) => Date.UTC(year, 1, 29, 12) / 1000);
+            for (const leapDay of leapDays) checkpoints.push(leapDay - 86400, leapDay, leapDay + 43200);
+            checkpoints = [...new Set(checkpoints)].sort((a, b) => a - b);
+
+            const claimed = Array(10).fill(0n);
+            for (const checkpoint of checkpoints) {
+                if (checkpoint <= await time.latest()) continue;
+                await time.increaseTo(checkpoint);
+                const timestamp = BigInt(checkpoint);
+                for (let i = 0; i < 10; i++) {
+                    const step = await stepwise.pending(accounts[i]);
+                    const stream = await linear.pending(accounts[i]);
+                    assert.equal(step, unlocked(i, timestamp, false), `${NAMES[i]} stepwise at ${checkpoint}`);
+                    assert.equal(stream + claimed[i], unlocked(i, timestamp, true), `${NAMES[i]} linear at ${checkpoint}`);
+                    // linear release runs ahead of the stepwise one inside the periods
+                    assert.isTrue(stream + claimed[i] >= step);
+                    // tranches of all finished periods are unlocked by both modes
+                    if (PERIODS.includes(checkpoint))
+                        assert.equal(stream + claimed[i], unlocked(i, timestamp, false), `${NAMES[i]} at the period end ${checkpoint}`);
+                }
+                // team claims in the middle of the leap years
+                if (leapDays.includes(checkpoint)) {
+                    await linear.claimAll(team);
+                    claimed[5] = (await linear.getAddressInfo(team)).claimed;
+                }
+            }
+
+            // identical totals by the end of 2038
+            assert.isTrue(await time.latest() >= PERIODS.at(-1));
+            for (let i = 0; i < 10; i++) {
+                const total = TABLE[i].reduce((sum, perc) => sum + toAmount(perc), 0n);
+                assert.equal(await stepwise.pending(accounts[i]), total);
+                assert.equal(await linear.pending(accounts[i]) + claimed[i], total);
+            }
+            assert.isTrue(claimed[5] > 0n);
+        })
+
+        it("Linear release with cliff", async ()=> {
+            const {owner, ico, team, vesting} = await loadFixture(deployFixture);
+            const start = await time.latest() + 1000;
+            const period = 365 * 86400;
+            const cliff = 90 * 86400;
+            const shedules = [
+                [{periodStart: start, amount: ethers.parseEther('365'), periodEnd: start + period}, {periodStart: start + period, amount: ethers.parseEther('100'), periodEnd: start + 2 * period}],
+                [{periodStart: start + period, amount: ethers.parseEther('1'), periodEnd: start + period + cliff}],
+            ];
+            await expect(vesting.startDistribution([ico, team], shedules, true, cliff, {value: ethers.parseEther('466')}))
+                .to.emit(vesting, "DistributionStarted").withArgs([ico.address, team.address], ethers.parseEther('466'), true, cliff);
+
+            await time.increaseTo(start + cliff - 2);
+            await expect(vesting.claimAll(ico)).to.be.revertedWith("CRATVesting: nothing to claim");
+            assert.equal(await time.latest(), start + cliff - 1);
+            assert.equal(await vesting.pending(ico), 0);
+            // accrued during the cliff unlocks at once
+            await time.increaseTo(start + cliff);
+            assert.equal(await vesting.pending(ico), ethers.parseEther('90'));
+            await time.increase(86400);
+            assert.equal(await vesting.pending(ico), ethers.parseEther('91'));
+            await vesting.claim(ico, ethers.parseEther('50'));
+
+            // the second tranche waits for its own cliff
+            await time.increaseTo(start + period + cliff - 1);
+            assert.equal(await vesting.pending(ico), ethers.parseEther('315'));
+            assert.equal(await vesting.pending(team), 0);
+            await time.increaseTo(start + period + cliff);
+            assert.equal(await vesting.pending(ico), ethers.parseEther('315') + ethers.parseEther('100') * BigInt(cliff) / BigInt(period));
+            assert.equal(await vesting.pending(team), ethers.parseEther('1'));
+
+            await time.increaseTo(start + 2 * period);
+            assert.equal(await vesting.pending(ico), ethers.parseEther('415'));
+        })
+
+        it("Self claim", async ()=> {
+            const {owner, earlyAdoptors, royalties, ico, CTVG, ieo, team, liquidity, airdrop, manualDistribution, vesting, stakeManager} = await loadFixture(deployFixture);
+
+            await startDistribution(vesting, [earlyAdoptors, royalties, ico, CTVG, ieo, team, stakeManager, liquidity, airdrop, manualDistribution]);
+
+            const total = await vesting.pending(earlyAdoptors);
+            assert.equal(await vesting.claimDelegates(earlyAdoptors), ZERO_ADDRESS);
+
+            await expect(vesting.connect(owner).setClaimDelegate(ico)).to.be.revertedWith("CRATVesting: not allocator");
+            await expect(vesting.connect(ico).selfClaim(earlyAdoptors, ico, 1)).to.be.revertedWith("CRATVesting: not beneficiary");
+            await expect(vesting.connect(owner).selfClaimAll(earlyAdoptors, owner)).to.be.revertedWith("CRATVesting: not beneficiary");
+            await expect(vesting.connect(earlyAdoptors).selfClaim(earlyAdoptors, ZERO_ADDRESS, 1)).to.be.revertedWith("CRATVesting: 0x00");
+            await expect(vesting.connect(earlyAdoptors).selfClaim(earlyAdoptors, earlyAdoptors, 0)).to.be.revertedWith("CRATVesting: wrong amount");
+            await expect(vesting.connect(earlyAdoptors).selfClaim(earlyAdoptors, earlyAdoptors, total + 1n)).to.be.revertedWith("CRATVesting: wrong amount");
+
+            // allocator claims to another address
+            let tx = vesting.connect(earlyAdoptors).selfClaim(earlyAdoptors, airdrop, ethers.parseEther('1'));
+            await expect(tx).to.changeEtherBalances([vesting, earlyAdoptors, airdrop], [-ethers.parseEther('1'), 0, ethers.parseEther('1')]);
+            await expect(tx).to.emit(vesting, "SelfClaimed").withArgs(earlyAdoptors.address, earlyAdoptors.address, airdrop.address, ethers.parseEther('1'));
+            await expect(tx).to.not.emit(vesting, "Claimed");
+            assert.equal(await vesting.pending(earlyAdoptors), total - ethers.parseEther('1'));
+            assert.equal((await vesting.getAddressInfo(earlyAdoptors)).claimed, ethers.parseEther('1'));
+            assert.equal((await vesting.getAddressInfo(airdrop)).claimed, 0);
+
+            // admin push still works
+            await expect(vesting.claim(earlyAdoptors, ethers.parseEther('1'))).to.emit(vesting, "Claimed").withArgs(earlyAdoptors.address, ethers.parseEther('1'));
+
+            // delegate claims the rest
+            await expect(vesting.connect(earlyAdoptors).setClaimDelegate(ico)).to.emit(vesting, "ClaimDelegateSet").withArgs(earlyAdoptors.address, ico.address);
+            assert.equal(await vesting.claimDelegates(earlyAdoptors), ico.address);
+            const rest = total - ethers.parseEther('2');
+            // only to the allocator or the receiver it has chosen
+            await expect(vesting.connect(ico).selfClaimAll(earlyAdoptors, airdrop)).to.be.revertedWith("CRATVesting: wrong receiver");
+            await expect(vesting.connect(ico).selfClaim(earlyAdoptors, ico, 1)).to.be.revertedWith("CRATVesting: wrong receiver");
+            await expect(vesting.connect(owner).setClaimReceiver(ico)).to.be.revertedWith("CRATVesting: not allocator");
+            tx = vesting.connect(ico).selfClaim(earlyAdoptors, earlyAdoptors, 1);
+            await expect(tx).to.changeEtherBalances([vesting, earlyAdoptors], [-1, 1]);
+            await expect(vesting.connect(earlyAdoptors).setClaimReceiver(ico)).to.emit(vesting, "ClaimReceiverSet").withArgs(earlyAdoptors.address, ico.address);
+            assert.equal(await vesting.claimReceivers(earlyAdoptors), ico.address);
+            await expect(vesting.connect(ico).selfClaimAll(earlyAdoptors, airdrop)).to.be.revertedWith("CRATVesting: wrong receiver");
+            tx = vesting.connect(ico).selfClaimAll(earlyAdoptors, ico);
+            await expect(tx).to.changeEtherBalances([vesting, ico], [-(rest - 1n), rest - 1n]);
+            await expect(tx).to.emit(vesting, "SelfClaimed").withArgs(earlyAdoptors.address, ico.address, ico.address, rest - 1n);
+            assert.equal(await vesting.pending(earlyAdoptors), 0);
+            await expect(vesting.connect(ico).selfClaimAll(earlyAdoptors, ico)).to.be.revertedWith("CRATVesting: nothing to claim");
+            // delegate's own allocation isn't touched
+            assert.equal((await vesting.getAddressInfo(ico)).claimed, 0);
+
+            // delegate removed
+            await vesting.connect(earlyAdoptors).setClaimDelegate(ZERO_ADDRESS);
+            await expect(vesting.connect(ico).selfClaimAll(earlyAdoptors, ico)).to.be.revertedWith("CRATVesting: not beneficiary");
+        })
+
+        it("Beneficiary change", async ()=> {
+            const {owner, earlyAdoptors, royalties, ico, CTVG, ieo, team, liquidity, airdrop, manualDistribution, vesting, stakeManager} = await loadFixture(deployFixture);
+            const [newWallet, otherWallet] = (await ethers.getSigners()).slice(10);
+
+            await expect(vesting.proposeBeneficiaryChange(earlyAdoptors, newWallet)).to.be.revertedWith("CRATVesting: not allocator");
+            await startDistribution(vesting, [earlyAdoptors, royalties, ico, CTVG, ieo, team, stakeManager, liquidity, airdrop, manualDistribution]);
+
+            await vesting.claim(earlyAdoptors, ethers.parseEther('1'));
+            await vesting.connect(earlyAdoptors).setClaimDelegate(airdrop);
+            await vesting.connect(earlyAdoptors).setClaimReceiver(airdrop);
+            const info = await vesting.getAddressInfo(earlyAdoptors);
+            const pending = await vesting.pending(earlyAdoptors);
+
+            await expect(vesting.connect(ico).proposeBeneficiaryChange(earlyAdoptors, newWallet)).to.be.revertedWith("CRATVesting: not admin or allocator");
+            await expect(vesting.proposeBeneficiaryChange(earlyAdoptors, ZERO_ADDRESS)).to.be.revertedWith("CRATVesting: 0x00");
+            await expect(vesting.proposeBeneficiaryChange(earlyAdoptors, ico)).to.be.revertedWith("CRATVesting: has shedule");
+            await expect(vesting.cancelBeneficiaryChange(earlyAdoptors)).to.be.revertedWith("CRATVesting: no change");
+
+            // both admin and allocator have to propose the same address
+            await expect(vesting.proposeBeneficiaryChange(earlyAdoptors, newWallet)).to.emit(vesting, "BeneficiaryChangeProposed").withArgs(earlyAdoptors.address, newWallet.address, owner.address, 0);
+            await expect(vesting.connect(newWallet).acceptBeneficiaryChange(earlyAdoptors)).to.be.revertedWith("CRATVesting: no change");
+            await vesting.connect(earlyAdoptors).proposeBeneficiaryChange(earlyAdoptors, otherWallet);
+            let change = await vesting.beneficiaryChanges(earlyAdoptors);
+            assert.equal(change.beneficiary, otherWallet.address);
+            assert.equal(change.approvedByAdmin, false);
+            assert.equal(change.approvedByAllocator, true);
+            await expect(vesting.connect(earlyAdoptors).cancelBeneficiaryChange(earlyAdoptors)).to.emit(vesting, "BeneficiaryChangeCancelled").withArgs(earlyAdoptors.address);
+            assert.equal((await vesting.beneficiaryChanges(earlyAdoptors)).beneficiary, ZERO_ADDRESS);
+
+            await vesting.proposeBeneficiaryChange(earlyAdoptors, newWallet);
+            let tx = await vesting.connect(earlyAdoptors).proposeBeneficiaryChange(earlyAdoptors, newWallet);
+            await expect(tx).to.emit(vesting, "BeneficiaryChangeProposed").withArgs(earlyAdoptors.address, newWallet.address, earlyAdoptors.address, await time.latest() + 86400 * 7);
+            change = await vesting.beneficiaryChanges(earlyAdoptors);
+            assert.equal(change.approvedByAdmin, true);
+            assert.equal(change.availableAt, await time.latest() + 86400 * 7);
+
+            // repeated proposal doesn't restart the delay
+            await vesting.proposeBeneficiaryChange(earlyAdoptors, newWallet);
+            assert.equal((await vesting.beneficiaryChanges(earlyAdoptors)).availableAt, change.availableAt);
+            await expect(vesting.connect(otherWallet).acceptBeneficiaryChange(earlyAdoptors)).to.be.revertedWith("CRATVesting: no change");
+            await expect(vesting.connect(newWallet).acceptBeneficiaryChange(earlyAdoptors)).to.be.revertedWith("CRATVesting: timelock");
+
+            // allocator keeps claiming until the change is accepted
+            await vesting.connect(earlyAdoptors).selfClaim(earlyAdoptors, earlyAdoptors, ethers.parseEther('1'));
+            await time.increaseTo(change.availableAt);
+            tx = vesting.connect(newWallet).acceptBeneficiaryChange(earlyAdoptors);
+            await expect(tx).to.emit(vesting, "BeneficiaryChanged").withArgs(earlyAdoptors.address, newWallet.address);
+
+            const allocators = await vesting.getAllocationAddresses();
+            assert.equal(allocators[0], newWallet.address);
+            assert.equal(allocators.includes(earlyAdoptors.address), false);
+            const moved = await vesting.getAddressInfo(newWallet);
+            assert.equal(moved.hasShedule, true);
+            assert.equal(moved.claimed, info.claimed + ethers.parseEther('1'));
+            assert.deepEqual(moved.shedule, info.shedule);
+            assert.equal(await vesting.pending(newWallet), pending - ethers.parseEther('1'));
+            const old = await vesting.getAddressInfo(earlyAdoptors);
+            assert.equal(old.hasShedule, false);
+            assert.equal(old.claimed, 0);
+            assert.equal(await vesting.pending(earlyAdoptors), 0);
+            assert.equal(await vesting.claimDelegates(earlyAdoptors), ZERO_ADDRESS);
+            assert.equal(await vesting.claimReceivers(earlyAdoptors), ZERO_ADDRESS);
+            assert.equal((await vesting.beneficiaryChanges(earlyAdoptors)).beneficiary, ZERO_ADDRESS);
+
+            await expect(vesting.connect(earlyAdoptors).selfClaimAll(earlyAdoptors, earlyAdoptors)).to.be.revertedWith("CRATVesting: nothing to claim");
+            await expect(vesting.connect(airdrop).selfClaimAll(newWallet, airdrop)).to.be.revertedWith("CRATVesting: not beneficiary");
+            await expect(vesting.connect(newWallet).selfClaimAll(newWallet, newWallet)).to.changeEtherBalance(newWallet, pending - ethers.parseEther('1'));
+        })
+
+        it("Stake locked tranches in the stake manager", async ()=> {
+            const {owner, ico, team, vesting, stakeManager} = await loadFixture(deployFixture);
+            const [newWallet] = (await ethers.getSigners()).slice(10);
+            const day = 86400;
+            const start = await time.latest() + 1000;
+            const unlocks = [start + 10 * day, start + 40 * day, start + 70 * day];
+            const shedule = unlocks.map((periodStart, i) => ({periodStart, amount: ethers.parseEther('100') * BigInt(i + 1), periodEnd: periodStart}));
+            await vesting.startDistribution([ico, team], [shedule, shedule], false, 0, {value: ethers.parseEther('1200')});
+
+            await stakeManager.setValidatorsMinimum(ethers.parseEther('100'));
+            await stakeManager.setDelegatorsMinimum(ethers.parseEther('10'));
+            await stakeManager.setValidatorsAmountToSlash(ethers.parseEther('10'));
+            // variable rewards only
+            await stakeManager.setValidatorsAPR(0);
+            await stakeManager.setDelegatorsAPR(0);
+
+            await expect(vesting.connect(ico).stakeAsValidator(1, 1, 1000)).to.be.revertedWith("CRATVesting: no stake manager");
+            await expect(vesting.connect(ico).setStakeManager(stakeManager)).to.be.revertedWithCustomError(vesting, "AccessControlUnauthorizedAccount");
+            await expect(vesting.setStakeManager(ZERO_ADDRESS)).to.be.revertedWith("CRATVesting: 0x00");
+            await expect(vesting.setStakeManager(stakeManager)).to.emit(vesting, "StakeManagerSet").withArgs(stakeManager.target);
+            assert.equal(await vesting.stakeManager(), stakeManager.target);
+
+            await expect(vesting.stakeAsValidator(1, 1, 1000)).to.be.revertedWith("CRATVesting: not allocator");
+            await expect(vesting.connect(ico).stakeAsValidator(3, 1, 1000)).to.be.revertedWith("CRATVesting: wrong tranche");
+            await expect(vesting.connect(ico).stakeAsValidator(1, 0, 1000)).to.be.revertedWith("CRATVesting: wrong amount");
+            await expect(vesting.connect(ico).stakeAsValidator(1, ethers.parseEther('201'), 1000)).to.be.revertedWith("CRATVesting: wrong amount");
+            await expect(vesting.connect(ico).stakeAsValidator(1, ethers.parseEther('150'), 1000)).to.be.revertedWithCustomError(stakeManager, "AccessControlUnauthorizedAccount");
+            await stakeManager.grantRole(await stakeManager.SWAP_ROLE(), vesting);
+
+            // the stake manager locks validator's deposit till the latest release of its tranches
+            let tx = vesting.connect(ico).stakeAsValidator(1, ethers.parseEther('150'), 1000);
+            await expect(tx).to.emit(vesting, "Staked").withArgs(ico.address, ico.address, 1, ethers.parseEther('150'), unlocks[1]);
+            await expect(tx).to.changeEtherBalances([vesting, stakeManager], [-ethers.parseEther('150'), ethers.parseEther('150')]);
+            await expect(vesting.connect(ico).stakeAsValidator(0, ethers.parseEther('50'), 1000)).to.emit(vesting, "Staked").withArgs(ico.address, ico.address, 0, ethers.parseEther('50'), unlocks[1]);
+            await expect(vesting.connect(ico).stakeAsValidator(1, ethers.parseEther('51'), 1000)).to.be.revertedWith("CRATVesting: wrong amount");
+            let validatorInfo = await stakeManager.getValidatorInfo(ico);
+            assert.equal(validatorInfo.amount, ethers.parseEther('200'));
+            assert.equal(validatorInfo.vestingEnd, unlocks[1]);
+            assert.equal(await vesting.validatorLockedUntil(ico), unlocks[1]);
+            let staked = await vesting.getStaked(ico);
+            assert.equal(staked.staked, ethers.parseEther('200'));
+            assert.deepEqual(staked.tranches, [ethers.parseEther('50'), ethers.parseEther('150'), 0n]);
+
+            // approved before the stake, the beneficiary change waits for the position to be withdrawn
+            await vesting.proposeBeneficiaryChange(team, newWallet);
+            await vesting.connect(team).proposeBeneficiaryChange(team, newWallet);
+            tx = vesting.connect(team).stakeAsDelegator(2, ethers.parseEther('100'), ico);
+            await expect(tx).to.emit(vesting, "Staked").withArgs(team.address, ico.address, 2, ethers.parseEther('100'), unlocks[2]);
+            await expect(tx).to.emit(stakeManager, "DelegatorDeposited").withArgs(team.address, ico.address, ethers.parseEther('100'));
+            assert.equal(await stakeManager.delegatorVestingEnd(team, ico), unlocks[2]);
+            assert.equal(await vesting.stakeLockedUntil(team), unlocks[2]);
+            assert.equal(await vesting.stakeLockedUntil(ico), unlocks[1]);
+
+            await time.increase(86400 * 7);
+            await expect(vesting.connect(newWallet).acceptBeneficiaryChange(team)).to.be.revertedWith("CRATVesting: has stake");
+            await expect(vesting.connect(team).proposeBeneficiaryChange(team, newWallet)).to.be.revertedWith("CRATVesting: has stake");
+            await expect(vesting.proposeBeneficiaryChange(ico, newWallet)).to.be.revertedWith("CRATVesting: has stake");
+
+            await stakeManager.distributeRewards([ico], [ethers.parseEther('10')], {value: ethers.parseEther('10')});
+            await stakeManager.slash([ico]);
+            validatorInfo = await stakeManager.getValidatorInfo(ico);
+            assert.equal(validatorInfo.amount, ethers.parseEther('190'));
+
+            // staked parts aren't released by the vesting, slashes don't change its accounting
+            await time.increaseTo(unlocks[0]);
+            assert.equal(await vesting.pending(ico), ethers.parseEther('50'));
+            assert.equal(await vesting.pending(team), ethers.parseEther('100'));
+            await expect(vesting.connect(ico).stakeAsValidator(0, 1, 1000)).to.be.revertedWith("CRATVesting: tranche unlocked");
+            await vesting.connect(ico).selfClaimAll(ico, ico);
+
+            await stakeManager.connect(ico).validatorCallForWithdraw();
+            await time.increase(86400 * 7);
+            await expect(stakeManager.connect(ico).withdrawAsValidator()).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, unlocks[1]);
+
+            // the rewards and the deposit go to the allocator, delegator's locked deposit waits for its tranche's release
+            await time.increaseTo(unlocks[1]);
+            const [, validatorReward] = await stakeManager.validatorEarned(ico);
+            const [, delegatorReward] = await stakeManager.delegatorEarnedPerValidator(team, ico);
+            assert.isAbove(validatorReward, 0);
+            assert.isAbove(delegatorReward, 0);
+            tx = stakeManager.connect(ico).withdrawAsValidator();
+            await expect(tx).to.changeEtherBalances([ico, team], [ethers.parseEther('190') + validatorReward, delegatorReward]);
+            await expect(tx).to.emit(stakeManager, "DelegatorUnbonded").withArgs(team.address, ico.address, ethers.parseEther('95'), unlocks[2]);
+            assert.equal(await stakeManager.delegatorVestingEnd(team, ico), 0);
+            assert.equal(await vesting.pending(ico), ethers.parseEther('50'));
+            assert.equal(await vesting.pending(team), ethers.parseEther('300'));
+            await expect(stakeManager.connect(team).withdrawUnbondedAsDelegator(ico)).to.be.revertedWithCustomError(stakeManager, "Cooldown").withArgs(false, unlocks[2]);
+            // the position is closed, but its locked deposit is still unbonding
+            assert.isFalse(await stakeManager.isDelegator(team));
+            await expect(vesting.connect(newWallet).acceptBeneficiaryChange(team)).to.be.revertedWith("CRATVesting: has stake");
+
+            await time.increaseTo(unlocks[2]);
+            await expect(stakeManager.connect(team).withdrawUnbondedAsDelegator(ico)).to.changeEtherBalance(team, ethers.parseEther('95'));
+            await expect(vesting.connect(ico).selfClaimAll(ico, ico)).to.changeEtherBalance(ico, ethers.parseEther('350'));
+
+            // the shedule moves with its staked parts once the deposit is back with the allocator
+            await expect(vesting.connect(newWallet).acceptBeneficiaryChange(team)).to.emit(vesting, "BeneficiaryChanged").withArgs(team.address, newWallet.address);
+            staked = await vesting.getStaked(newWallet);
+            assert.equal(staked.staked, ethers.parseEther('100'));
+            assert.deepEqual(staked.tranches, [0n, 0n, ethers.parseEther('100')]);
+            staked = await vesting.getStaked(team);
+            assert.equal(staked.staked, 0);
+            assert.equal(staked.tranches.length, 0);
+            await expect(vesting.connect(newWallet).selfClaimAll(newWallet, newWallet)).to.changeEtherBalance(newWallet, ethers.parseEther('500'));
+            assert.equal(await ethers.provider.getBalance(vesting), 0);
+        })
+
         it("Other branches", async ()=> {
             await expect(ethers.deployContract("CRATVesting", [ZERO_ADDRESS, ZERO_ADDRESS])).to.be.revertedWith("CRATVesting: 0x00");
         })